@@ -1,60 +1,95 @@
 const express = require('express');
 const path = require('path');
+const { open, startExpirySweeper } = require('./lib/storage');
+const { startWebhookDispatcher } = require('./lib/webhooks');
+const { authenticate, authorize } = require('./lib/auth');
+const { observeRequests, countUnhandledError, metricsHandler } = require('./lib/metrics');
+const { assignRequestId, startAuditPruner } = require('./lib/audit');
+const { startBackupScheduler } = require('./lib/backup');
+const { validateRequest, openapiHandler } = require('./lib/openapi');
+const { sendProblem, NotFoundError } = require('./lib/errors');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Routes
-app.get('/', (req, res) => {
-    res.json({
-        message: 'Welcome to C-Store API',
-        status: 'Server is running successfully!',
-        endpoints: {
-            health: '/health',
-            api: '/api'
-        }
+/**
+ * Creates the Express application
+ * @param {Object} [options] - Application options
+ * @param {Object} [options.storage] - Storage configuration ({ adapter, path }, see lib/storage.js);
+ * read from STORAGE_ADAPTER and DB_PATH when omitted
+ * @returns {import('express').Express}
+ */
+const createApp = (options = {}) => {
+    open(options.storage);
+    const app = express();
+
+    // Middleware
+    app.use(observeRequests);
+    app.use(assignRequestId);
+    // Also parses JSON Merge Patch and JSON Patch bodies (application/merge-patch+json, application/json-patch+json)
+    app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+    app.use(express.urlencoded({ extended: true }));
+    app.use(express.static(path.join(__dirname, 'public')));
+
+    // Routes
+    app.get('/', (req, res) => {
+        res.json({
+            message: 'Welcome to C-Store API',
+            status: 'Server is running successfully!',
+            endpoints: {
+                health: '/health',
+                metrics: '/metrics',
+                api: '/api',
+                openapi: '/api/_openapi.json'
+            }
+        });
     });
-});
 
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'OK',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        });
     });
-});
 
-// API routes
-app.use('/api', require('./routes/api'));
+    // Prometheus metrics; scraping needs an admin API key unless authentication is disabled
+    app.get('/metrics', authenticate, authorize('admin'), metricsHandler);
+
+    // OpenAPI description of every route, public like /health
+    app.get('/api/_openapi.json', openapiHandler);
 
-// Error handling middleware
-app.use((err, req, res, _next) => {
-    console.error(err.stack);
-    res.status(500).json({
-        error: 'Something went wrong!',
-        message: err.message
+    // API routes; every request needs an API key and must match the OpenAPI document
+    app.use('/api', authenticate, validateRequest, require('./routes/api'));
+
+    // Error handling middleware; body parser errors keep their 4xx status
+    app.use((err, req, res, _next) => {
+        if (!(err.status >= 400 && err.status < 500)) {
+            console.error(err.stack);
+        }
+        countUnhandledError(req);
+        sendProblem(res, err);
     });
-});
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({
-        error: 'Route not found',
-        path: req.originalUrl
+    // 404 handler
+    app.use((req, res) => {
+        sendProblem(res, new NotFoundError(`Route not found: ${req.method} ${req.path}`));
     });
-});
 
-// Only start the server if not in a test environment so tests can import the app without opening a port
-if (process.env.NODE_ENV !== 'test') {
+    return app;
+};
+
+// Only start the server when run directly, so tests can create apps without opening a port
+if (require.main === module) {
+    const app = createApp();
+    startExpirySweeper(parseInt(process.env.EXPIRY_SWEEP_INTERVAL, 10) || undefined);
+    startWebhookDispatcher();
+    startAuditPruner();
+    // Scheduled backups are opt-in, as they write to BACKUP_DIR
+    startBackupScheduler(parseInt(process.env.BACKUP_INTERVAL, 10) || 0);
     app.listen(PORT, () => {
         console.log(`🚀 Server is running on http://localhost:${PORT}`);
         console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
 }
 
-module.exports = app;
+module.exports = { createApp };
@@ -1,68 +1,22 @@
-const http = require('http');
 const { performance } = require('perf_hooks');
+const { createClient } = require('./client');
 
 class ApiBenchmark {
-    constructor(baseUrl = 'http://localhost:3000') {
+    constructor(baseUrl = process.env.CSTORE_URL || 'http://localhost:3000', apiKey = process.env.CSTORE_API_KEY) {
         this.baseUrl = baseUrl;
+        // No retries, so that every failed request counts as an error
+        this.client = createClient({ baseUrl, apiKey, retries: 0 });
         this.results = {};
     }
 
-    // Create HTTP request promise
-    makeRequest(options, data = null) {
-        return new Promise((resolve, reject) => {
-            const req = http.request(options, (res) => {
-                let responseData = '';
-                
-                res.on('data', (chunk) => {
-                    responseData += chunk;
-                });
-                
-                res.on('end', () => {
-                    resolve({
-                        statusCode: res.statusCode,
-                        data: responseData,
-                        headers: res.headers
-                    });
-                });
-            });
-
-            req.on('error', (error) => {
-                reject(error);
-            });
-
-            if (data) {
-                req.write(JSON.stringify(data));
-            }
-            
-            req.end();
-        });
-    }
-
     // SET operation (POST request)
     async setValue(namespace, id, value) {
-        const options = {
-            hostname: 'localhost',
-            port: 3000,
-            path: `/api/${namespace}/${id}`,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        };
-
-        return this.makeRequest(options, { value });
+        return this.client.set(namespace, id, value);
     }
 
     // GET operation
     async getValue(namespace, id) {
-        const options = {
-            hostname: 'localhost',
-            port: 3000,
-            path: `/api/${namespace}/${id}`,
-            method: 'GET'
-        };
-
-        return this.makeRequest(options);
+        return this.client.get(namespace, id);
     }
 
     // Run concurrent operations
@@ -180,21 +134,28 @@ class ApiBenchmark {
     // Check if server is running
     async checkServerHealth() {
         try {
-            const options = {
-                hostname: 'localhost',
-                port: 3000,
-                path: '/health',
-                method: 'GET'
-            };
-            
-            const response = await this.makeRequest(options);
-            return response.statusCode === 200;
+            await this.client.request('GET', '/health');
+            return true;
         } catch (error) {
             console.error(`Failed to check server health: ${error.message}`);
             return false;
         }
     }
 
+    // Print the server's read cache statistics; needs an admin API key when auth is enabled
+    async reportCacheStats() {
+        try {
+            const { body: stats } = await this.client.request('GET', '/api/_cache');
+            const hitRate = stats.hitRate === null ? 'n/a' : `${(stats.hitRate * 100).toFixed(1)}%`;
+            console.log(`\n🗄️  Read cache: ${stats.hits} hits, ${stats.misses} misses (hit rate ${hitRate}), ${stats.entries} entries, ${stats.bytes} bytes`);
+        } catch (error) {
+            // Statistics the API key may not read are left out
+            if (error.status === null) {
+                console.log(`Warning: Failed to read cache statistics - ${error.message}`);
+            }
+        }
+    }
+
     // Generate summary report
     generateSummaryReport() {
         console.log('\n📋 BENCHMARK SUMMARY REPORT');
@@ -247,7 +208,7 @@ class ApiBenchmark {
         const isServerRunning = await this.checkServerHealth();
         
         if (!isServerRunning) {
-            console.log('❌ Server is not running or not accessible at http://localhost:3000');
+            console.log(`❌ Server is not running or not accessible at ${this.baseUrl}`);
             console.log('💡 Please start the server using: npm start or npm run dev');
             return;
         }
@@ -274,6 +235,7 @@ class ApiBenchmark {
             
             // Generate summary report
             this.generateSummaryReport();
+            await this.reportCacheStats();
             
         } catch (error) {
             console.error('\n❌ Benchmark failed:', error.message);
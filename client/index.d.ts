@@ -0,0 +1,219 @@
+// Type declarations of the C-Store JavaScript client (client/index.js)
+
+export interface ClientOptions {
+    /** Server URL, default http://localhost:3000 */
+    baseUrl?: string;
+    /** API key sent as a bearer token */
+    apiKey?: string;
+    /** Milliseconds to wait for each attempt, default 10000 */
+    timeout?: number;
+    /** Retries of failed idempotent requests, default 2 */
+    retries?: number;
+    /** Milliseconds before the first retry, doubled for each further one, default 100 */
+    retryDelay?: number;
+    /** Upper bound of the retry delay, default 5000 */
+    maxRetryDelay?: number;
+    /** fetch implementation, default the global fetch */
+    fetch?: typeof fetch;
+}
+
+/** A version number, or '*' for any version */
+export type VersionMatch = number | '*';
+
+export interface ReadOptions {
+    /** Read the value the key had at this time */
+    asOf?: number | string | Date;
+}
+
+export interface WriteOptions {
+    /** Seconds to live */
+    ttl?: number;
+    /** Only write if the key has this version ('*': exists) */
+    ifMatch?: VersionMatch;
+    /** Only write if the key does not have this version ('*': does not exist) */
+    ifNoneMatch?: VersionMatch;
+    /** Media type of the value; kept from the previous write when omitted, cleared with null */
+    contentType?: string | null;
+    /** Labels of the key; kept from the previous write when omitted, cleared with null */
+    tags?: string[] | null;
+}
+
+export interface KeyMetadata {
+    namespace: string;
+    key: string;
+    version: number;
+    /** Bytes of the JSON value */
+    size: number;
+    contentType: string | null;
+    tags: string[];
+    /** ISO 8601 times */
+    createdAt: string;
+    updatedAt: string;
+    expiresAt: string | null;
+}
+
+export interface NamespaceStats {
+    namespace: string;
+    keys: number;
+    /** Bytes of the keys and their JSON values */
+    bytes: number;
+    /** ISO 8601 time of the latest write of a live key, null for an empty namespace */
+    lastModified: string | null;
+    largest: { key: string; size: number }[];
+}
+
+export interface TrashedKey {
+    /** Id of the trash entry */
+    id: number;
+    key: string;
+    /** Version the key had when it was deleted */
+    version: number;
+    size: number;
+    reason: 'delete' | 'namespace_drop';
+    /** ISO 8601 times */
+    deletedAt: string;
+    purgeAt: string;
+}
+
+export interface TrashOptions {
+    /** Only list deletions of this key */
+    key?: string;
+    limit?: number;
+    /** Only list entries with a smaller id */
+    before?: number;
+}
+
+export interface DeleteOptions {
+    /** Only delete if the key has this version */
+    ifMatch?: VersionMatch;
+}
+
+export interface RangeOptions {
+    prefix?: string;
+    start?: string;
+    end?: string;
+    order?: 'asc' | 'desc';
+}
+
+export interface ListOptions extends RangeOptions {
+    limit?: number;
+    cursor?: string;
+}
+
+export interface IterateOptions extends RangeOptions {
+    /** Entries read per request, default 100 */
+    pageSize?: number;
+}
+
+export interface Entry<T = unknown> {
+    key: string;
+    value: T;
+}
+
+export interface RequestOptions {
+    query?: Record<string, string | number | boolean | Array<string | number | boolean> | undefined>;
+    /** Objects are sent as JSON */
+    body?: unknown;
+    headers?: Record<string, string>;
+    /** Content-Type of the body, default application/json */
+    contentType?: string;
+    /** Whether the request may be retried; defaults to true for every method but POST and PATCH */
+    idempotent?: boolean;
+}
+
+export interface Response<T = any> {
+    status: number;
+    headers: Headers;
+    body: T;
+}
+
+export interface Client {
+    /** Reads the value of a key; rejects with NotFoundError if it does not exist */
+    get<T = unknown>(namespace: string, key: string, options?: ReadOptions): Promise<T>;
+    /** Reads a key with its version; rejects with NotFoundError if it does not exist */
+    getEntry<T = unknown>(namespace: string, key: string, options?: ReadOptions): Promise<{ value: T; version: number }>;
+    /** Stores a value and resolves to its new version */
+    set(namespace: string, key: string, value: unknown, options?: WriteOptions): Promise<number>;
+    /** Deletes a key; deleting a missing key succeeds */
+    delete(namespace: string, key: string, options?: DeleteOptions): Promise<void>;
+    /** Reads the metadata of a key; rejects with NotFoundError if it does not exist */
+    getMetadata(namespace: string, key: string): Promise<KeyMetadata>;
+
+    /** Lists one page of the entries of a namespace */
+    list<T = unknown>(namespace: string, options?: ListOptions & { keysOnly?: false }): Promise<{ items: Entry<T>[]; nextCursor: string | null }>;
+    /** Lists one page of the keys of a namespace */
+    list(namespace: string, options: ListOptions & { keysOnly: true }): Promise<{ items: string[]; nextCursor: string | null }>;
+    /** Lists one page of the namespaces the API key can read */
+    listNamespaces(options?: ListOptions): Promise<{ namespaces: string[]; nextCursor: string | null }>;
+    /** Reads the key count, bytes, last write time and largest keys of a namespace */
+    stats(namespace: string, options?: { top?: number }): Promise<NamespaceStats>;
+
+    /** Iterates over the entries of a namespace, reading a page at a time */
+    entries<T = unknown>(namespace: string, options?: IterateOptions): AsyncGenerator<Entry<T>, void, undefined>;
+    /** Iterates over the keys of a namespace, reading a page at a time */
+    keys(namespace: string, options?: IterateOptions): AsyncGenerator<string, void, undefined>;
+    /** Iterates over the namespaces the API key can read, reading a page at a time */
+    namespaces(options?: IterateOptions): AsyncGenerator<string, void, undefined>;
+
+    /** Deletes a namespace, moving every key in it to the trash */
+    deleteNamespace(namespace: string): Promise<void>;
+    /** Lists the deleted keys of a namespace, most recently deleted first */
+    listTrash(namespace: string, options?: TrashOptions): Promise<TrashedKey[]>;
+    /** Restores the most recently deleted value of a key; rejects with ConflictError if the key exists */
+    restore(namespace: string, key: string): Promise<{ message: string; version: number }>;
+    /** Restores every deleted key of a namespace that does not exist again */
+    restore(namespace: string): Promise<{ message: string; restored: number; skipped: number }>;
+
+    /** Sends a request to a path relative to the server root, e.g. /api/orders/_query */
+    request<T = any>(method: string, path: string, options?: RequestOptions): Promise<Response<T>>;
+}
+
+export function createClient(options?: ClientOptions): Client;
+
+/** Problem details returned by the server */
+export interface Problem {
+    type?: string;
+    title?: string;
+    status?: number;
+    code?: string | null;
+    detail?: string;
+    instance?: string;
+    [field: string]: unknown;
+}
+
+export interface Violation {
+    in?: string;
+    path: string;
+    message: string;
+}
+
+export class CStoreError extends Error {
+    constructor(message: string, problem?: Problem);
+    /** HTTP status, null when no response was received */
+    status: number | null;
+    /** Problem code, such as not_found */
+    code: string | null;
+    problem: Problem;
+}
+
+export class ValidationError extends CStoreError {
+    violations: Violation[];
+}
+export class AuthenticationError extends CStoreError {}
+export class ForbiddenError extends CStoreError {}
+export class NotFoundError extends CStoreError {}
+export class ConflictError extends CStoreError {}
+export class PreconditionFailedError extends CStoreError {
+    /** Version of the key when the request failed, null if it does not exist */
+    currentVersion: number | null;
+}
+export class SchemaViolationError extends CStoreError {
+    violations: Violation[];
+}
+export class TimeoutError extends CStoreError {
+    constructor(message: string);
+}
+export class ConnectionError extends CStoreError {
+    constructor(message: string, cause?: unknown);
+    cause: unknown;
+}
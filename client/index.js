@@ -0,0 +1,477 @@
+/*
+ * JavaScript client of the C-Store HTTP API, for Node.js 18+ (uses the global fetch).
+ *
+ *   const { createClient } = require('c-store/client');
+ *   const store = createClient({ baseUrl: 'http://localhost:3000', apiKey: process.env.CSTORE_API_KEY });
+ *   await store.set('orders', 'o1', { total: 40 });
+ *   for await (const { key, value } of store.entries('orders')) { ... }
+ *
+ * Failed requests reject with a CStoreError subclass chosen by the problem code of the response.
+ * Requests that can safely be repeated are retried with exponential backoff on 5xx responses,
+ * timeouts and connection errors.
+ */
+
+/**
+ * Base class of every error raised by the client
+ */
+class CStoreError extends Error {
+    /**
+     * @param {string} message - Description of the error
+     * @param {Object} [problem] - Problem details returned by the server
+     */
+    constructor(message, problem = {}) {
+        super(message);
+        this.name = 'CStoreError';
+        this.status = problem.status === undefined ? null : problem.status;
+        this.code = problem.code || null;
+        this.problem = problem;
+    }
+}
+
+class ValidationError extends CStoreError {
+    constructor(message, problem) {
+        super(message, problem);
+        this.name = 'ValidationError';
+        this.violations = problem.violations || [];
+    }
+}
+
+class AuthenticationError extends CStoreError {
+    constructor(message, problem) {
+        super(message, problem);
+        this.name = 'AuthenticationError';
+    }
+}
+
+class ForbiddenError extends CStoreError {
+    constructor(message, problem) {
+        super(message, problem);
+        this.name = 'ForbiddenError';
+    }
+}
+
+class NotFoundError extends CStoreError {
+    constructor(message, problem) {
+        super(message, problem);
+        this.name = 'NotFoundError';
+    }
+}
+
+class ConflictError extends CStoreError {
+    constructor(message, problem) {
+        super(message, problem);
+        this.name = 'ConflictError';
+    }
+}
+
+class PreconditionFailedError extends CStoreError {
+    constructor(message, problem) {
+        super(message, problem);
+        this.name = 'PreconditionFailedError';
+        this.currentVersion = problem.currentVersion === undefined ? null : problem.currentVersion;
+    }
+}
+
+class SchemaViolationError extends CStoreError {
+    constructor(message, problem) {
+        super(message, problem);
+        this.name = 'SchemaViolationError';
+        this.violations = problem.violations || [];
+    }
+}
+
+/**
+ * Raised when the server did not answer within the timeout
+ */
+class TimeoutError extends CStoreError {
+    constructor(message) {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Raised when the server cannot be reached
+ */
+class ConnectionError extends CStoreError {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'ConnectionError';
+        this.cause = cause;
+    }
+}
+
+// Error class of each problem code; other codes raise a plain CStoreError
+const ERRORS_BY_CODE = {
+    invalid_request: ValidationError,
+    bad_request: ValidationError,
+    unauthenticated: AuthenticationError,
+    forbidden: ForbiddenError,
+    not_found: NotFoundError,
+    conflict: ConflictError,
+    precondition_failed: PreconditionFailedError,
+    schema_violation: SchemaViolationError
+};
+
+const DEFAULTS = {
+    baseUrl: 'http://localhost:3000',
+    apiKey: undefined,
+    // Milliseconds to wait for each attempt
+    timeout: 10 * 1000,
+    // Attempts after the first one
+    retries: 2,
+    // Delay before the first retry (milliseconds); doubled for each further retry
+    retryDelay: 100,
+    maxRetryDelay: 5 * 1000
+};
+
+// Listing pages read by the async iterators
+const DEFAULT_PAGE_SIZE = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Converts an error response into the matching error
+ * @param {number} status - HTTP status
+ * @param {any} body - The parsed response body, problem details for this API
+ */
+const toError = (status, body) => {
+    const problem = body && typeof body === 'object' ? body : { detail: String(body || '') };
+    const details = { ...problem, status, code: problem.code || null };
+    const ErrorClass = ERRORS_BY_CODE[details.code] || CStoreError;
+    return new ErrorClass(problem.detail || `Request failed with status ${status}`, details);
+};
+
+/**
+ * Tells whether a failed attempt may succeed when repeated
+ * @param {Error} error - The error the attempt raised
+ */
+const isRetryable = (error) => error instanceof TimeoutError || error instanceof ConnectionError ||
+    (error.status >= 500 && error.status !== 501);
+
+/**
+ * Formats a version as the ETag the server issued for it; '*' matches any version
+ * @param {number|'*'} version - The version
+ */
+const toETag = (version) => (version === '*' ? '*' : `"${version}"`);
+
+/**
+ * Creates a client of the C-Store HTTP API
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseUrl] - Server URL (default http://localhost:3000)
+ * @param {string} [options.apiKey] - API key sent as a bearer token
+ * @param {number} [options.timeout] - Milliseconds to wait for each attempt (default 10000)
+ * @param {number} [options.retries] - Retries of failed idempotent requests (default 2)
+ * @param {number} [options.retryDelay] - Milliseconds before the first retry, doubled for each
+ * further one (default 100)
+ * @param {number} [options.maxRetryDelay] - Upper bound of the retry delay (default 5000)
+ * @param {Function} [options.fetch] - fetch implementation (default the global fetch)
+ */
+const createClient = (options = {}) => {
+    const config = { ...DEFAULTS, ...options };
+    const fetchImpl = options.fetch || globalThis.fetch;
+    const baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+    /**
+     * Builds the URL of a path relative to the server root
+     * @param {string} path - e.g. /api/orders/o1
+     * @param {Object} [query] - Query parameters; undefined values are left out
+     */
+    const urlOf = (path, query = {}) => {
+        const url = new URL(`${baseUrl}${path}`);
+        Object.entries(query).forEach(([name, value]) => {
+            [].concat(value === undefined ? [] : value).forEach(item => url.searchParams.append(name, String(item)));
+        });
+        return url;
+    };
+
+    /**
+     * Sends a request once
+     * @returns {Promise<{status: number, headers: Headers, body: any}>}
+     */
+    const attempt = async (method, url, { body, headers = {}, contentType = 'application/json' }) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.timeout);
+        try {
+            const response = await fetchImpl(url, {
+                method,
+                headers: {
+                    Accept: 'application/json',
+                    ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }),
+                    ...(body !== undefined && { 'Content-Type': contentType }),
+                    ...headers
+                },
+                body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+                signal: controller.signal
+            });
+            const text = await response.text();
+            let parsed = text;
+            if (/json/.test(response.headers.get('Content-Type') || '') && text.length > 0) {
+                parsed = JSON.parse(text);
+            }
+            return { status: response.status, headers: response.headers, body: parsed };
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new TimeoutError(`${method} ${url.pathname} timed out after ${config.timeout} ms`);
+            }
+            throw new ConnectionError(`${method} ${url.pathname} failed: ${error.message}`, error);
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    /**
+     * Sends a request to the server, retrying idempotent ones
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the server root, e.g. /api/orders
+     * @param {Object} [requestOptions] - Request options
+     * @param {Object} [requestOptions.query] - Query parameters
+     * @param {any} [requestOptions.body] - Body; objects are sent as JSON
+     * @param {Object} [requestOptions.headers] - Extra headers
+     * @param {string} [requestOptions.contentType] - Content-Type of the body (default application/json)
+     * @param {boolean} [requestOptions.idempotent] - Whether the request may be retried; defaults
+     * to true for every method but POST and PATCH
+     * @returns {Promise<{status: number, headers: Headers, body: any}>}
+     * @throws {CStoreError} - The error of the last attempt
+     */
+    const request = async (method, path, requestOptions = {}) => {
+        const url = urlOf(path, requestOptions.query);
+        const idempotent = requestOptions.idempotent !== undefined
+            ? requestOptions.idempotent
+            : !['POST', 'PATCH'].includes(method);
+        for (let retry = 0; ; retry++) {
+            try {
+                const response = await attempt(method, url, requestOptions);
+                if (response.status >= 400) {
+                    throw toError(response.status, response.body);
+                }
+                return response;
+            } catch (error) {
+                if (!idempotent || retry >= config.retries || !isRetryable(error)) {
+                    throw error;
+                }
+                // Exponential backoff with jitter, so clients failing together do not retry together
+                const delay = Math.min(config.maxRetryDelay, config.retryDelay * 2 ** retry);
+                await sleep(delay / 2 + Math.random() * delay / 2);
+            }
+        }
+    };
+
+    const keyPath = (namespace, key) => `/api/${encodeURIComponent(namespace)}/${encodeURIComponent(key)}`;
+    const namespacePath = (namespace) => `/api/${encodeURIComponent(namespace)}`;
+
+    /**
+     * Reads a key with its version
+     * @param {string} namespace - The namespace
+     * @param {string} key - The key
+     * @param {Object} [readOptions] - Read options
+     * @param {number|string|Date} [readOptions.asOf] - Read the value the key had at this time
+     * @returns {Promise<{value: any, version: number}>}
+     * @throws {NotFoundError} - If the key does not exist
+     */
+    const getEntry = async (namespace, key, readOptions = {}) => {
+        const asOf = readOptions.asOf instanceof Date ? readOptions.asOf.toISOString() : readOptions.asOf;
+        const { headers, body } = await request('GET', keyPath(namespace, key), { query: { asOf } });
+        const etag = /"(\d+)"/.exec(headers.get('ETag') || '');
+        return { value: body.value, version: body.version !== undefined ? body.version : etag && Number(etag[1]) };
+    };
+
+    /**
+     * Lists one page of the keys of a namespace
+     * @param {string} namespace - The namespace
+     * @param {Object} [listOptions] - prefix, start, end, order ('asc' or 'desc'), limit, cursor and keysOnly
+     * @returns {Promise<{items: Object[]|string[], nextCursor: string|null}>}
+     */
+    const list = async (namespace, listOptions = {}) => {
+        const { prefix, start, end, order, cursor, keysOnly } = listOptions;
+        const { body } = await request('GET', namespacePath(namespace), {
+            query: { prefix, start, end, order, cursor, limit: listOptions.limit || DEFAULT_PAGE_SIZE, keysOnly: keysOnly ? 'true' : undefined }
+        });
+        return { items: keysOnly ? body.keys : body.items, nextCursor: body.nextCursor };
+    };
+
+    /**
+     * Lists one page of the namespaces the API key can read
+     * @param {Object} [listOptions] - prefix, start, end, order, limit and cursor
+     * @returns {Promise<{namespaces: string[], nextCursor: string|null}>}
+     */
+    const listNamespaces = async (listOptions = {}) => {
+        const { prefix, start, end, order, cursor } = listOptions;
+        const { body } = await request('GET', '/api', {
+            query: { prefix, start, end, order, cursor, limit: listOptions.limit || DEFAULT_PAGE_SIZE }
+        });
+        return { namespaces: body.namespaces, nextCursor: body.nextCursor };
+    };
+
+    /**
+     * Iterates over every page of a listing
+     * @param {Function} readPage - Reads the page at a cursor
+     * @param {string} field - The field of the page holding its entries
+     */
+    async function* paginate(readPage, field) {
+        let cursor;
+        do {
+            const page = await readPage(cursor);
+            yield* page[field];
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+
+    return {
+        request,
+        getEntry,
+
+        /**
+         * Reads the value of a key
+         * @param {string} namespace - The namespace
+         * @param {string} key - The key
+         * @param {Object} [readOptions] - See getEntry
+         * @throws {NotFoundError} - If the key does not exist
+         */
+        get: async (namespace, key, readOptions) => (await getEntry(namespace, key, readOptions)).value,
+
+        /**
+         * Stores a value
+         * @param {string} namespace - The namespace
+         * @param {string} key - The key
+         * @param {any} value - Any JSON value
+         * @param {Object} [writeOptions] - Write options
+         * @param {number} [writeOptions.ttl] - Seconds to live
+         * @param {number|'*'} [writeOptions.ifMatch] - Only write if the key has this version ('*': exists)
+         * @param {number|'*'} [writeOptions.ifNoneMatch] - Only write if the key does not have this
+         * version ('*': does not exist)
+         * @param {string|null} [writeOptions.contentType] - Media type of the value; kept when omitted
+         * @param {string[]|null} [writeOptions.tags] - Labels of the key; kept when omitted
+         * @returns {Promise<number>} - The new version
+         * @throws {PreconditionFailedError} - If a precondition failed
+         */
+        set: async (namespace, key, value, writeOptions = {}) => {
+            const { ttl, ifMatch, ifNoneMatch, contentType, tags } = writeOptions;
+            const { body } = await request('POST', keyPath(namespace, key), {
+                body: {
+                    value,
+                    ...(ttl !== undefined && { ttl }),
+                    ...(contentType !== undefined && { contentType }),
+                    ...(tags !== undefined && { tags })
+                },
+                headers: {
+                    ...(ifMatch !== undefined && { 'If-Match': toETag(ifMatch) }),
+                    ...(ifNoneMatch !== undefined && { 'If-None-Match': toETag(ifNoneMatch) })
+                },
+                // Storing the same value again has the same effect, unless it is conditional
+                idempotent: ifMatch === undefined && ifNoneMatch === undefined
+            });
+            return body.version;
+        },
+
+        /**
+         * Deletes a key; deleting a missing key succeeds
+         * @param {string} namespace - The namespace
+         * @param {string} key - The key
+         * @param {Object} [deleteOptions] - Delete options
+         * @param {number|'*'} [deleteOptions.ifMatch] - Only delete if the key has this version
+         */
+        delete: async (namespace, key, deleteOptions = {}) => {
+            const { ifMatch } = deleteOptions;
+            await request('DELETE', keyPath(namespace, key), {
+                headers: ifMatch !== undefined ? { 'If-Match': toETag(ifMatch) } : {}
+            });
+        },
+
+        /**
+         * Reads the metadata of a key: version, size, contentType, tags, createdAt, updatedAt and expiresAt
+         * @param {string} namespace - The namespace
+         * @param {string} key - The key
+         * @throws {NotFoundError} - If the key does not exist
+         */
+        getMetadata: async (namespace, key) => (await request('GET', keyPath(namespace, key), { query: { meta: 'true' } })).body,
+
+        list,
+        listNamespaces,
+
+        /**
+         * Reads the key count, bytes, last write time and largest keys of a namespace
+         * @param {string} namespace - The namespace
+         * @param {Object} [statsOptions] - Options
+         * @param {number} [statsOptions.top] - Number of largest keys to list (default 10)
+         */
+        stats: async (namespace, statsOptions = {}) => (await request('GET', `${namespacePath(namespace)}/_stats`, {
+            query: { top: statsOptions.top }
+        })).body,
+
+        /**
+         * Iterates over the { key, value } entries of a namespace, reading a page at a time
+         * @param {string} namespace - The namespace
+         * @param {Object} [iterateOptions] - prefix, start, end, order and pageSize
+         */
+        entries: (namespace, iterateOptions = {}) => paginate(
+            cursor => list(namespace, { ...iterateOptions, limit: iterateOptions.pageSize, cursor }),
+            'items'
+        ),
+
+        /**
+         * Iterates over the keys of a namespace, reading a page at a time
+         * @param {string} namespace - The namespace
+         * @param {Object} [iterateOptions] - prefix, start, end, order and pageSize
+         */
+        keys: (namespace, iterateOptions = {}) => paginate(
+            cursor => list(namespace, { ...iterateOptions, limit: iterateOptions.pageSize, cursor, keysOnly: true }),
+            'items'
+        ),
+
+        /**
+         * Iterates over the namespaces the API key can read, reading a page at a time
+         * @param {Object} [iterateOptions] - prefix, start, end, order and pageSize
+         */
+        namespaces: (iterateOptions = {}) => paginate(
+            cursor => listNamespaces({ ...iterateOptions, limit: iterateOptions.pageSize, cursor }),
+            'namespaces'
+        ),
+
+        /**
+         * Deletes a namespace, moving every key in it to the trash
+         * @param {string} namespace - The namespace
+         */
+        deleteNamespace: async (namespace) => {
+            await request('DELETE', namespacePath(namespace), { query: { confirm: namespace } });
+        },
+
+        /**
+         * Lists the deleted keys of a namespace, most recently deleted first
+         * @param {string} namespace - The namespace
+         * @param {Object} [options] - { key, limit, before }
+         * @returns {Promise<Object[]>}
+         */
+        listTrash: async (namespace, options = {}) => {
+            const { body } = await request('GET', `${namespacePath(namespace)}/_trash`, { query: options });
+            return body.keys;
+        },
+
+        /**
+         * Restores the most recently deleted value of a key, or every deleted key of the namespace
+         * when key is omitted
+         * @param {string} namespace - The namespace
+         * @param {string} [key] - The key
+         * @returns {Promise<Object>} - { message, version } for a key, { message, restored, skipped } for a namespace
+         */
+        restore: async (namespace, key) => {
+            const path = key === undefined ? '' : `/${encodeURIComponent(key)}`;
+            const { body } = await request('POST', `${namespacePath(namespace)}/_trash${path}/restore`);
+            return body;
+        }
+    };
+};
+
+module.exports = {
+    createClient,
+    CStoreError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    SchemaViolationError,
+    TimeoutError,
+    ConnectionError
+};
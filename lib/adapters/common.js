@@ -0,0 +1,338 @@
+const { isDeepStrictEqual } = require('util');
+const { ValidationError, NotFoundError, ConflictError, PreconditionFailedError } = require('../errors');
+const { applyMergePatch, applyJsonPatch, updatePath } = require('../patch');
+
+// Checks a value before an adapter stores it; see setWriteValidator
+let writeValidator = async () => {};
+
+/**
+ * Installs the check every adapter runs on a value before storing it, e.g. JSON Schema
+ * validation. The check rejects to refuse the write.
+ * @param {Function} validator - Async function receiving the namespace and the value
+ */
+const setWriteValidator = (validator) => {
+    writeValidator = validator;
+};
+
+/**
+ * Runs the installed write check on a value about to be stored
+ * @param {string} namespace - The namespace written to
+ * @param {any} value - The value
+ */
+const validateWrite = (namespace, value) => writeValidator(namespace, value);
+
+// Records what follows from a change in the database; see setChangeHandler
+let changeHandler = async () => {};
+
+/**
+ * Installs the function receiving every change an adapter records, e.g. to queue webhook
+ * deliveries. The SQLite adapter calls it inside the transaction of the write, so the rows it
+ * writes are kept exactly when the change is; lib/storage.js calls it for other adapters once
+ * the change is committed.
+ * @param {Function} handler - Async function receiving the change event
+ */
+const setChangeHandler = (handler) => {
+    changeHandler = handler;
+};
+
+/**
+ * Runs the installed change handler
+ * @param {Object} change - The change event
+ */
+const handleChange = (change) => changeHandler(change);
+
+// Wraps the task of every transaction; see setTransactionWrapper
+let transactionWrapper = (task) => task;
+
+/**
+ * Installs the function wrapping the task of every transaction, e.g. to write the audit entry of
+ * a request along with its mutation. The SQLite adapter calls it when a transaction is requested,
+ * so it sees the context of the caller, and runs the task it returns inside the transaction.
+ * @param {Function} wrapper - Receives the task and returns the task to run
+ */
+const setTransactionWrapper = (wrapper) => {
+    transactionWrapper = wrapper;
+};
+
+/**
+ * Runs the installed transaction wrapper on a task
+ * @param {Function} task - Async function performing the reads and writes
+ * @returns {Function} - The task to run
+ */
+const wrapTransaction = (task) => transactionWrapper(task);
+
+/**
+ * Converts a TTL in seconds into an absolute expiry timestamp
+ * @param {number|null|undefined} ttl - Time to live in seconds; null or undefined means no expiry
+ * @returns {number|null} - Expiry time in epoch milliseconds, or null when the key never expires
+ */
+const toExpiresAt = (ttl) => {
+    if (ttl === undefined || ttl === null) {
+        return null;
+    }
+    if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0) {
+        throw new ValidationError('TTL must be a positive number of seconds');
+    }
+    return Date.now() + Math.round(ttl * 1000);
+};
+
+// Client-supplied key metadata: a media type and up to MAX_TAGS short labels
+const CONTENT_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+(\s*;.*)?$/;
+const MAX_CONTENT_TYPE_LENGTH = 255;
+const TAG_PATTERN = /^[\w.:/-]{1,64}$/;
+const MAX_TAGS = 32;
+
+/**
+ * Resolves the client-supplied metadata a write leaves on a key. Fields given in the options
+ * replace the ones the key has, null clears them and omitted ones are kept.
+ * @param {Object} options - Write options
+ * @param {string|null} [options.contentType] - Media type of the value, e.g. text/markdown
+ * @param {string[]|null} [options.tags] - Labels of the key
+ * @param {{contentType: string|null, tags: string[]|null}} [current] - Metadata of the key, if it exists
+ * @returns {{contentType: string|null, tags: string[]|null}}
+ * @throws {ValidationError} - If the metadata is invalid
+ */
+const resolveMetadata = ({ contentType, tags }, current = { contentType: null, tags: null }) => {
+    if (contentType !== undefined && contentType !== null &&
+        (typeof contentType !== 'string' || contentType.length > MAX_CONTENT_TYPE_LENGTH || !CONTENT_TYPE_PATTERN.test(contentType))) {
+        throw new ValidationError('contentType must be a media type such as text/plain');
+    }
+    if (tags !== undefined && tags !== null &&
+        (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag)))) {
+        throw new ValidationError(`tags must be an array of at most ${MAX_TAGS} labels of letters, digits and . _ : / -`);
+    }
+    return {
+        contentType: contentType !== undefined ? contentType : current.contentType,
+        tags: tags !== undefined ? tags && [...new Set(tags)] : current.tags
+    };
+};
+
+/**
+ * Normalizes an If-Match / If-None-Match condition
+ * @param {'*'|number|number[]|undefined} condition - '*', a version or a list of versions
+ * @returns {'*'|number[]|undefined}
+ */
+const toVersionList = (condition) => {
+    if (condition === undefined || condition === '*') {
+        return condition;
+    }
+    return Array.isArray(condition) ? condition : [condition];
+};
+
+/**
+ * Verifies write preconditions against the current version of a key
+ * @param {number|null} currentVersion - The version the key has, or null if it does not exist
+ * @param {Object} options - The conditions to check
+ * @param {'*'|number|number[]} [options.ifMatch] - The key must exist (with one of these versions)
+ * @param {'*'|number|number[]} [options.ifNoneMatch] - The key must not exist (with these versions)
+ * @throws {PreconditionFailedError} - If a condition does not hold
+ */
+const checkPreconditions = (currentVersion, { ifMatch, ifNoneMatch } = {}) => {
+    const match = toVersionList(ifMatch);
+    const noneMatch = toVersionList(ifNoneMatch);
+    if (match !== undefined) {
+        const matched = currentVersion !== null && (match === '*' || match.includes(currentVersion));
+        if (!matched) {
+            throw new PreconditionFailedError(
+                currentVersion === null ? 'Key does not exist' : `Key is at version ${currentVersion}`,
+                currentVersion
+            );
+        }
+    }
+    if (noneMatch !== undefined && currentVersion !== null) {
+        if (noneMatch === '*' || noneMatch.includes(currentVersion)) {
+            throw new PreconditionFailedError(`Key is at version ${currentVersion}`, currentVersion);
+        }
+    }
+};
+
+/**
+ * Encodes the last key of a page as an opaque cursor
+ * @param {string} key - The last key returned
+ */
+const encodeCursor = (key) => Buffer.from(JSON.stringify({ after: key })).toString('base64url');
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - The cursor supplied by the client
+ * @returns {string} - The key the next page starts after
+ * @throws {ValidationError} - If the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof after === 'string') {
+            return after;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new ValidationError('Invalid cursor');
+};
+
+// Largest page a single list call returns
+const MAX_PAGE_SIZE = 1000;
+
+// Operations a batch may contain, and the most operations it may hold
+const BATCH_OPERATIONS = ['get', 'set', 'delete'];
+const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * Checks the shape of batch operations before anything is executed
+ * @param {any} operations - The operations supplied by the caller
+ * @throws {ValidationError} - If the list or one of its operations is malformed
+ */
+const validateBatch = (operations) => {
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+        throw new ValidationError(`operations must be a list of 1 to ${MAX_BATCH_OPERATIONS} operations`);
+    }
+    operations.forEach((operation, index) => {
+        if (!operation || !BATCH_OPERATIONS.includes(operation.op)) {
+            throw new ValidationError(`Operation ${index}: op must be one of: ${BATCH_OPERATIONS.join(', ')}`);
+        }
+        ['namespace', 'key'].forEach(field => {
+            if (typeof operation[field] !== 'string' || operation[field].length === 0) {
+                throw new ValidationError(`Operation ${index}: ${field} is required`);
+            }
+            if (operation[field].startsWith('_')) {
+                throw new ValidationError(`Operation ${index}: names starting with '_' are reserved`);
+            }
+        });
+        if (operation.op === 'set' && operation.value === undefined) {
+            throw new ValidationError(`Operation ${index}: set needs a value`);
+        }
+    });
+};
+
+// How a merge treats keys that exist in both namespaces
+const MERGE_POLICIES = ['overwrite', 'keep-target', 'fail'];
+
+/**
+ * Checks the namespaces of a copy, rename or merge before anything is read
+ * @param {string} source - The namespace read from
+ * @param {any} target - The namespace written to, as supplied by the caller
+ * @throws {ValidationError} - If the target is missing, reserved or the source itself
+ */
+const validateNamespaceTransfer = (source, target) => {
+    if (typeof target !== 'string' || target.length === 0) {
+        throw new ValidationError('target namespace is required');
+    }
+    if (target.startsWith('_')) {
+        throw new ValidationError(`Names starting with '_' are reserved: ${target}`);
+    }
+    if (target === source) {
+        throw new ValidationError('target must differ from the source namespace');
+    }
+};
+
+/**
+ * Checks the conflict policy of a merge
+ * @param {any} onConflict - The policy supplied by the caller
+ * @throws {ValidationError} - If it is not one of MERGE_POLICIES
+ */
+const validateMergePolicy = (onConflict) => {
+    if (!MERGE_POLICIES.includes(onConflict)) {
+        throw new ValidationError(`onConflict must be one of: ${MERGE_POLICIES.join(', ')}`);
+    }
+};
+
+/*
+ * Modifiers compute the new value of a key from its current value (undefined when the key does
+ * not exist); adapters apply them atomically.
+ */
+
+/**
+ * Creates the modifier applying a patch to an existing value
+ * @param {'merge'|'json-patch'} format - RFC 7396 JSON Merge Patch or RFC 6902 JSON Patch
+ * @param {any} patch - The patch document
+ */
+const patchModifier = (format, patch) => (value) => {
+    if (value === undefined) {
+        throw new NotFoundError('Key not found');
+    }
+    return format === 'json-patch' ? applyJsonPatch(value, patch) : applyMergePatch(value, patch);
+};
+
+/**
+ * Creates the modifier adding to a number; a missing key or field counts as 0
+ * @param {number} amount - The amount to add
+ * @param {string} [path] - Dotted path of a numeric field inside the value
+ */
+const incrementModifier = (amount, path) => {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+        throw new ValidationError('The amount must be a number');
+    }
+    return (value) => updatePath(value, path, (current = 0) => {
+        if (typeof current !== 'number') {
+            throw new ConflictError('Only numbers can be incremented');
+        }
+        // JSON has no infinity; it would be stored as null
+        const result = current + amount;
+        if (!Number.isFinite(result)) {
+            throw new ConflictError('The result is too large to be stored as a number');
+        }
+        return result;
+    });
+};
+
+/**
+ * Creates the modifier appending items to an array; a missing key or field counts as empty
+ * @param {any[]} items - The items to append
+ * @param {string} [path] - Dotted path of an array field inside the value
+ */
+const appendModifier = (items, path) => {
+    if (!Array.isArray(items)) {
+        throw new ValidationError('values must be a list');
+    }
+    return (value) => updatePath(value, path, (current = []) => {
+        if (!Array.isArray(current)) {
+            throw new ConflictError('Values can only be appended to an array');
+        }
+        return [...current, ...items];
+    });
+};
+
+/**
+ * Creates the modifier removing every element equal to one of the items from an array
+ * @param {any[]} items - The items to remove
+ * @param {string} [path] - Dotted path of an array field inside the value
+ */
+const removeModifier = (items, path) => {
+    if (!Array.isArray(items)) {
+        throw new ValidationError('values must be a list');
+    }
+    return (value) => {
+        if (value === undefined) {
+            throw new NotFoundError('Key not found');
+        }
+        return updatePath(value, path, (current = []) => {
+            if (!Array.isArray(current)) {
+                throw new ConflictError('Values can only be removed from an array');
+            }
+            return current.filter(element => !items.some(item => isDeepStrictEqual(item, element)));
+        });
+    };
+};
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    setWriteValidator,
+    validateWrite,
+    setChangeHandler,
+    handleChange,
+    setTransactionWrapper,
+    wrapTransaction,
+    toExpiresAt,
+    resolveMetadata,
+    checkPreconditions,
+    encodeCursor,
+    decodeCursor,
+    validateBatch,
+    MERGE_POLICIES,
+    validateNamespaceTransfer,
+    validateMergePolicy,
+    patchModifier,
+    incrementModifier,
+    appendModifier,
+    removeModifier
+};
@@ -0,0 +1,625 @@
+const { EventEmitter } = require('events');
+const { NotFoundError, ConflictError, PreconditionFailedError, BatchOperationError } = require('../errors');
+const {
+    MAX_PAGE_SIZE,
+    toExpiresAt,
+    resolveMetadata,
+    checkPreconditions,
+    encodeCursor,
+    decodeCursor,
+    validateBatch,
+    validateWrite,
+    validateNamespaceTransfer,
+    validateMergePolicy,
+    patchModifier,
+    incrementModifier,
+    appendModifier,
+    removeModifier
+} = require('./common');
+
+/*
+ * Storage adapter keeping every key in process memory. Nothing survives a restart; it suits
+ * tests and throwaway instances. History, change feed resumption, JSON queries and secondary
+ * indexes are not supported.
+ */
+
+// namespace -> key -> { value (JSON text), version, expiresAt, createdAt, updatedAt, contentType, tags }
+let store = new Map();
+
+// namespace -> key -> last version of keys that were deleted or purged, so recreating a key
+// continues its versions and a stale If-Match never matches the new key
+let retiredVersions = new Map();
+
+// Sequence number of the last change event
+let lastSeq = 0;
+
+// Emits a 'change' event for every committed write, in change sequence order
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+// Undo log and change events of the running atomic task, or null outside of one
+let pending = null;
+
+/**
+ * Tests whether an entry exists and has not expired
+ * @param {Object|undefined} entry - The stored entry
+ */
+const isLive = (entry) => entry !== undefined && (entry.expiresAt === null || entry.expiresAt > Date.now());
+
+/**
+ * Reads the live entry of a key
+ * @returns {Object|undefined}
+ */
+const liveEntry = (namespace, key) => {
+    const entry = store.has(namespace) ? store.get(namespace).get(key) : undefined;
+    return isLive(entry) ? entry : undefined;
+};
+
+/**
+ * Remembers the version of an entry about to be removed
+ * @param {Object|undefined} entry - The stored entry
+ */
+const retireVersion = (namespace, key, entry) => {
+    if (entry === undefined) {
+        return;
+    }
+    if (!retiredVersions.has(namespace)) {
+        retiredVersions.set(namespace, new Map());
+    }
+    retiredVersions.get(namespace).set(key, entry.version);
+};
+
+/**
+ * Reads the last version a key had, whether it is live, expired or removed
+ * @returns {number} - The version, 0 for keys that never existed
+ */
+const lastVersion = (namespace, key) => {
+    const entry = store.has(namespace) ? store.get(namespace).get(key) : undefined;
+    if (entry !== undefined) {
+        return entry.version;
+    }
+    return (retiredVersions.has(namespace) && retiredVersions.get(namespace).get(key)) || 0;
+};
+
+/**
+ * Replaces or removes the entry of a key, remembering the previous one so the running atomic
+ * task can be rolled back
+ * @param {Object|undefined} entry - The new entry, undefined to remove the key
+ */
+const putEntry = (namespace, key, entry) => {
+    if (!store.has(namespace)) {
+        store.set(namespace, new Map());
+    }
+    const keys = store.get(namespace);
+    pending.undo.push({ namespace, key, previous: keys.get(key) });
+    if (entry === undefined) {
+        retireVersion(namespace, key, keys.get(key));
+        keys.delete(key);
+    } else {
+        keys.set(key, entry);
+    }
+};
+
+/**
+ * Queues a change event; it is emitted once the running atomic task completes
+ */
+const recordChange = (type, namespace, key, version, jsonValue) => {
+    pending.changes.push({
+        seq: ++lastSeq,
+        type,
+        namespace,
+        key: key === null ? undefined : key,
+        version: version === null ? undefined : version,
+        value: jsonValue === null ? undefined : JSON.parse(jsonValue),
+        timestamp: Date.now()
+    });
+};
+
+// Tail of the queue of atomic tasks; each one runs after the previous one settles
+let taskQueue = Promise.resolve();
+
+/**
+ * Runs a task so that either all of its writes are kept or, if it throws, none are. Tasks run
+ * one at a time; change events are emitted only when the task succeeds.
+ * @param {Function} task - Async function performing the reads and writes
+ * @returns {Promise<any>} - The result of the task
+ */
+const atomically = (task) => {
+    const result = taskQueue.then(async () => {
+        pending = { undo: [], changes: [] };
+        const { undo, changes: committed } = pending;
+        try {
+            return await task();
+        } catch (error) {
+            undo.reverse().forEach(({ namespace, key, previous }) => {
+                if (previous === undefined) {
+                    store.get(namespace).delete(key);
+                } else {
+                    store.get(namespace).set(key, previous);
+                }
+            });
+            committed.length = 0;
+            throw error;
+        } finally {
+            pending = null;
+            committed.forEach(change => changes.emit('change', change));
+        }
+    });
+    taskQueue = result.catch(() => {});
+    return result;
+};
+
+/**
+ * Writes a value after checking it and its preconditions. Must be called inside an atomic task.
+ * @returns {Promise<number>} - The new version of the key
+ */
+const writeValue = async (namespace, key, value, options) => {
+    await validateWrite(namespace, value);
+    const jsonValue = JSON.stringify(value);
+    const expiresAt = options.expiresAt !== undefined ? options.expiresAt : toExpiresAt(options.ttl);
+    const entry = liveEntry(namespace, key);
+    checkPreconditions(entry ? entry.version : null, options);
+    const version = lastVersion(namespace, key) + 1;
+    const now = Date.now();
+    putEntry(namespace, key, {
+        value: jsonValue,
+        version,
+        expiresAt,
+        createdAt: entry ? entry.createdAt : now,
+        updatedAt: now,
+        ...resolveMetadata(options, entry)
+    });
+    recordChange('set', namespace, key, version, jsonValue);
+    return version;
+};
+
+/**
+ * Removes a key after checking its preconditions. Must be called inside an atomic task.
+ * @returns {boolean} - Whether the key existed
+ */
+const removeValue = (namespace, key, options) => {
+    const entry = liveEntry(namespace, key);
+    checkPreconditions(entry ? entry.version : null, options);
+    putEntry(namespace, key, undefined);
+    if (entry) {
+        recordChange('delete', namespace, key, entry.version, null);
+    }
+    return entry !== undefined;
+};
+
+/**
+ * Replaces a value with the result of a modifier. Must be called inside an atomic task.
+ * @returns {Promise<{value: any, version: number}>}
+ */
+const modify = async (namespace, key, modifier, options) => {
+    const entry = liveEntry(namespace, key);
+    checkPreconditions(entry ? entry.version : null, options);
+    const value = modifier(entry ? JSON.parse(entry.value) : undefined);
+    const version = await writeValue(namespace, key, value, {
+        ttl: options.ttl,
+        expiresAt: options.ttl === undefined && entry ? entry.expiresAt : undefined
+    });
+    return { value, version };
+};
+
+/**
+ * Sets a value; see the SQLite adapter for the options
+ */
+const setValue = async (namespace, key, value, options = {}) => {
+    return atomically(() => writeValue(namespace, key, value, options));
+};
+
+/**
+ * Replaces a value only if the key is still at the expected version (null: must not exist)
+ */
+const compareAndSet = async (namespace, key, expectedVersion, value, options = {}) => {
+    const condition = expectedVersion === null ? { ifNoneMatch: '*' } : { ifMatch: expectedVersion };
+    try {
+        return await setValue(namespace, key, value, { ttl: options.ttl, ...condition });
+    } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Applies a JSON Merge Patch or JSON Patch to an existing value
+ */
+const patchValue = async (namespace, key, format, patch, options = {}) => {
+    return atomically(() => modify(namespace, key, patchModifier(format, patch), options));
+};
+
+/**
+ * Adds to a number, or to the numeric field at options.path
+ */
+const incrementValue = async (namespace, key, amount, options = {}) => {
+    return atomically(() => modify(namespace, key, incrementModifier(amount, options.path), options));
+};
+
+/**
+ * Appends items to an array, or to the array field at options.path
+ */
+const appendValues = async (namespace, key, items, options = {}) => {
+    return atomically(() => modify(namespace, key, appendModifier(items, options.path), options));
+};
+
+/**
+ * Removes items from an array, or from the array field at options.path
+ */
+const removeValues = async (namespace, key, items, options = {}) => {
+    return atomically(() => modify(namespace, key, removeModifier(items, options.path), options));
+};
+
+/**
+ * Stores a value only if the key does not exist yet
+ */
+const setIfAbsent = async (namespace, key, value, options = {}) => {
+    return atomically(async () => {
+        const entry = liveEntry(namespace, key);
+        if (entry) {
+            return { created: false, value: JSON.parse(entry.value), version: entry.version };
+        }
+        return { created: true, value, version: await writeValue(namespace, key, value, { ttl: options.ttl }) };
+    });
+};
+
+/**
+ * Gets a value together with its version
+ */
+const getEntry = async (namespace, key) => {
+    const entry = liveEntry(namespace, key);
+    return entry ? { value: JSON.parse(entry.value), version: entry.version } : undefined;
+};
+
+/**
+ * Gets the metadata of a key; see the SQLite adapter
+ */
+const getMetadata = async (namespace, key) => {
+    const entry = liveEntry(namespace, key);
+    if (!entry) {
+        return undefined;
+    }
+    return {
+        version: entry.version,
+        size: Buffer.byteLength(entry.value),
+        contentType: entry.contentType,
+        tags: entry.tags || [],
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt,
+        expiresAt: entry.expiresAt
+    };
+};
+
+/**
+ * Gets a value, or every value of the namespace when no key is given
+ */
+const getValue = async (namespace, key) => {
+    if (key !== undefined) {
+        const entry = liveEntry(namespace, key);
+        return entry ? JSON.parse(entry.value) : undefined;
+    }
+    const values = {};
+    (store.get(namespace) || new Map()).forEach((entry, name) => {
+        if (isLive(entry)) {
+            values[name] = JSON.parse(entry.value);
+        }
+    });
+    return values;
+};
+
+/**
+ * Deletes a key, resolving whether it existed
+ */
+const deleteValue = async (namespace, key, options = {}) => {
+    return atomically(() => removeValue(namespace, key, options));
+};
+
+/**
+ * Runs get, set and delete operations atomically
+ */
+const batch = async (operations) => {
+    validateBatch(operations);
+    return atomically(async () => {
+        const results = [];
+        for (const [index, operation] of operations.entries()) {
+            const { op, namespace, key, value, ttl, ifMatch, ifNoneMatch } = operation;
+            const options = { ttl, ifMatch, ifNoneMatch };
+            try {
+                if (op === 'get') {
+                    const entry = liveEntry(namespace, key);
+                    checkPreconditions(entry ? entry.version : null, options);
+                    results.push(entry
+                        ? { op, found: true, value: JSON.parse(entry.value), version: entry.version }
+                        : { op, found: false });
+                } else if (op === 'set') {
+                    results.push({ op, version: await writeValue(namespace, key, value, options) });
+                } else {
+                    results.push({ op, deleted: removeValue(namespace, key, options) });
+                }
+            } catch (error) {
+                throw new BatchOperationError(index, error);
+            }
+        }
+        return results;
+    });
+};
+
+/**
+ * Selects the names in a key range, sorted, for one page of a listing
+ * @param {string[]} names - Candidate names
+ * @param {Object} options - Range options (prefix, start, end, cursor, order, limit)
+ * @returns {{page: string[], nextCursor: string|null}}
+ */
+const selectPage = (names, options) => {
+    const limit = Math.min(options.limit || 100, MAX_PAGE_SIZE);
+    const descending = options.order === 'desc';
+    const after = options.cursor ? decodeCursor(options.cursor) : undefined;
+    const selected = names
+        .filter(name =>
+            (!options.prefix || name.startsWith(options.prefix)) &&
+            (options.start === undefined || name >= options.start) &&
+            (options.end === undefined || name < options.end) &&
+            (after === undefined || (descending ? name < after : name > after)))
+        .sort();
+    if (descending) {
+        selected.reverse();
+    }
+    const page = selected.slice(0, limit);
+    return { page, nextCursor: selected.length > limit ? encodeCursor(page[page.length - 1]) : null };
+};
+
+/**
+ * Lists the keys of a namespace one page at a time
+ */
+const listKeys = async (namespace, options = {}) => {
+    const keys = [...(store.get(namespace) || new Map())]
+        .filter(([, entry]) => isLive(entry))
+        .map(([key]) => key);
+    const { page, nextCursor } = selectPage(keys, options);
+    return {
+        items: page.map(key => (options.keysOnly ? key : { key, value: JSON.parse(liveEntry(namespace, key).value) })),
+        nextCursor
+    };
+};
+
+/**
+ * Gets every namespace holding live keys, in name order
+ */
+const getNamespaces = async () => {
+    return [...store.keys()]
+        .filter(namespace => [...store.get(namespace).values()].some(isLive))
+        .sort();
+};
+
+/**
+ * Counts the live keys of every namespace and the bytes of their keys and values
+ */
+const getNamespaceSizes = async () => {
+    return (await getNamespaces()).map(namespace => {
+        const live = [...store.get(namespace)].filter(([, entry]) => isLive(entry));
+        return {
+            namespace,
+            keys: live.length,
+            bytes: live.reduce((total, [key, entry]) => total + Buffer.byteLength(key) + Buffer.byteLength(entry.value), 0)
+        };
+    });
+};
+
+/**
+ * Describes a namespace: its live keys, their bytes, the latest write and the largest keys
+ */
+const getNamespaceStats = async (namespace, options = {}) => {
+    const live = [...(store.get(namespace) || new Map())].filter(([, entry]) => isLive(entry));
+    const sized = live.map(([key, entry]) => ({ key, size: Buffer.byteLength(entry.value) }));
+    return {
+        namespace,
+        keys: live.length,
+        bytes: sized.reduce((total, { key, size }) => total + Buffer.byteLength(key) + size, 0),
+        lastModified: live.length > 0 ? live.reduce((latest, [, entry]) => Math.max(latest, entry.updatedAt), 0) : null,
+        largest: sized
+            .sort((a, b) => b.size - a.size || (a.key < b.key ? -1 : 1))
+            .slice(0, options.top === undefined ? 10 : options.top)
+    };
+};
+
+/**
+ * Lists namespaces one page at a time
+ */
+const listNamespaces = async (options = {}) => {
+    const { page, nextCursor } = selectPage(await getNamespaces(), options);
+    return { namespaces: page, nextCursor };
+};
+
+/**
+ * Deletes a namespace and all its keys
+ */
+const deleteNamespace = async (namespace) => {
+    return atomically(() => {
+        const keys = [...(store.get(namespace) || new Map()).keys()];
+        keys.forEach(key => putEntry(namespace, key, undefined));
+        if (keys.length > 0) {
+            recordChange('namespace_drop', namespace, null, null, null);
+        }
+    });
+};
+
+/**
+ * Lists the live entries of a namespace in key order
+ * @returns {[string, Object][]}
+ */
+const liveEntries = (namespace) => [...(store.get(namespace) || new Map())]
+    .filter(([, entry]) => isLive(entry))
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+
+/**
+ * Writes an entry into another namespace, keeping its expiry, content type and tags. Must be
+ * called inside an atomic task.
+ */
+const writeEntry = (target, key, entry) => writeValue(target, key, JSON.parse(entry.value), {
+    expiresAt: entry.expiresAt,
+    contentType: entry.contentType,
+    tags: entry.tags
+});
+
+/**
+ * Reads the entries of the source of a copy or rename, checking the target is empty
+ */
+const readTransferSource = (source, target) => {
+    validateNamespaceTransfer(source, target);
+    const entries = liveEntries(source);
+    if (entries.length === 0) {
+        throw new NotFoundError(`Namespace '${source}' has no keys`);
+    }
+    if (liveEntries(target).length > 0) {
+        throw new ConflictError(`Namespace '${target}' already has keys; merge into it instead`);
+    }
+    return entries;
+};
+
+/**
+ * Copies every key of a namespace into a new, empty namespace, resolving { copied }
+ */
+const copyNamespace = async (source, target) => {
+    return atomically(async () => {
+        const entries = readTransferSource(source, target);
+        for (const [key, entry] of entries) {
+            await writeEntry(target, key, entry);
+        }
+        return { copied: entries.length };
+    });
+};
+
+/**
+ * Moves every key of a namespace to a new, empty namespace, resolving { renamed }
+ */
+const renameNamespace = async (source, target) => {
+    return atomically(async () => {
+        const entries = readTransferSource(source, target);
+        for (const [key, entry] of entries) {
+            await writeEntry(target, key, entry);
+            putEntry(source, key, undefined);
+        }
+        recordChange('namespace_drop', source, null, null, null);
+        return { renamed: entries.length };
+    });
+};
+
+/**
+ * Writes every key of a namespace into another, treating keys in both as onConflict says
+ * ('overwrite', 'keep-target' or 'fail'), resolving { created, overwritten, skipped }
+ */
+const mergeNamespace = async (source, target, { onConflict } = {}) => {
+    validateNamespaceTransfer(source, target);
+    validateMergePolicy(onConflict);
+    return atomically(async () => {
+        const result = { created: 0, overwritten: 0, skipped: 0 };
+        for (const [key, entry] of liveEntries(source)) {
+            if (!liveEntry(target, key)) {
+                await writeEntry(target, key, entry);
+                result.created++;
+            } else if (onConflict === 'overwrite') {
+                await writeEntry(target, key, entry);
+                result.overwritten++;
+            } else if (onConflict === 'keep-target') {
+                result.skipped++;
+            } else {
+                throw new ConflictError(`Key '${key}' exists in namespace '${target}'`);
+            }
+        }
+        return result;
+    });
+};
+
+/**
+ * Gets the remaining seconds of a key, null if it never expires, undefined if missing
+ */
+const getTtl = async (namespace, key) => {
+    const entry = liveEntry(namespace, key);
+    if (!entry) {
+        return undefined;
+    }
+    return entry.expiresAt === null ? null : (entry.expiresAt - Date.now()) / 1000;
+};
+
+/**
+ * Changes the TTL of an existing key, resolving whether it existed
+ */
+const setTtl = async (namespace, key, ttl) => {
+    const expiresAt = toExpiresAt(ttl);
+    const entry = liveEntry(namespace, key);
+    if (entry) {
+        entry.expiresAt = expiresAt;
+    }
+    return entry !== undefined;
+};
+
+/**
+ * Removes every expired key, resolving how many were removed
+ */
+const purgeExpired = async () => {
+    let removed = 0;
+    store.forEach((keys, namespace) => keys.forEach((entry, key) => {
+        if (!isLive(entry)) {
+            retireVersion(namespace, key, entry);
+            keys.delete(key);
+            removed++;
+        }
+    }));
+    return removed;
+};
+
+/**
+ * Reclaims the memory of expired keys
+ */
+const sweep = async () => {
+    await purgeExpired();
+};
+
+/**
+ * Starts from an empty store
+ */
+const open = () => {
+    store = new Map();
+    retiredVersions = new Map();
+};
+
+/**
+ * Drops every key
+ */
+const close = async () => {
+    store = new Map();
+    retiredVersions = new Map();
+};
+
+module.exports = {
+    setValue,
+    getValue,
+    getEntry,
+    getMetadata,
+    compareAndSet,
+    patchValue,
+    incrementValue,
+    appendValues,
+    removeValues,
+    setIfAbsent,
+    deleteValue,
+    batch,
+    getNamespaces,
+    getNamespaceSizes,
+    getNamespaceStats,
+    listKeys,
+    listNamespaces,
+    deleteNamespace,
+    copyNamespace,
+    renameNamespace,
+    mergeNamespace,
+    getTtl,
+    setTtl,
+    purgeExpired,
+    changes,
+    sweep,
+    open,
+    close
+};
@@ -0,0 +1,1864 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { defineSchema, keepOnRestore, addColumn, run, get, all, exclusive, restoreFrom } = require('../db');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    BatchOperationError
+} = require('../errors');
+const { toJsonPath, compileFilter, setPath } = require('../query');
+const {
+    MAX_PAGE_SIZE,
+    toExpiresAt,
+    resolveMetadata,
+    checkPreconditions,
+    encodeCursor,
+    decodeCursor,
+    validateBatch,
+    validateWrite,
+    handleChange,
+    wrapTransaction,
+    validateNamespaceTransfer,
+    validateMergePolicy,
+    patchModifier,
+    incrementModifier,
+    appendModifier,
+    removeModifier
+} = require('./common');
+
+// History retention: revisions kept per key and maximum age of a revision (milliseconds)
+const historyRetention = {
+    maxRevisions: parseInt(process.env.HISTORY_MAX_REVISIONS, 10) || 100,
+    maxAge: (parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000
+};
+
+// Milliseconds deleted keys stay in the trash before they are purged
+let trashRetention = (parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Number of most recent change events kept for resuming change feeds
+let changeLogRetention = parseInt(process.env.CHANGE_LOG_RETENTION, 10) || 10000;
+
+// Emits a 'change' event for every committed write, in change sequence order
+const changes = new EventEmitter();
+// Each open change feed adds a listener
+changes.setMaxListeners(0);
+
+// Changes recorded by the running transaction, emitted once it commits
+let pendingChanges = [];
+
+// Initialize the database schema
+defineSchema((db) => {
+    db.run(`CREATE TABLE IF NOT EXISTS key_value_store (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (namespace, key)
+    )`);
+    // expires_at holds the expiry time in epoch milliseconds, NULL for keys that never expire
+    addColumn('key_value_store', 'expires_at INTEGER');
+    // version starts at 1 and is bumped on every write of the key
+    addColumn('key_value_store', 'version INTEGER NOT NULL DEFAULT 1');
+    // Key metadata: creation and last write times (epoch milliseconds), byte size of the stored
+    // JSON value, and the content type and tags (JSON array) supplied by clients
+    addColumn('key_value_store', 'created_at INTEGER');
+    addColumn('key_value_store', 'updated_at INTEGER');
+    addColumn('key_value_store', 'size INTEGER');
+    addColumn('key_value_store', 'content_type TEXT');
+    addColumn('key_value_store', 'tags TEXT');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_key_value_store_expires_at
+        ON key_value_store (expires_at) WHERE expires_at IS NOT NULL`);
+    // Every write and delete of a key; value is NULL for deletes
+    db.run(`CREATE TABLE IF NOT EXISTS key_history (
+        revision INTEGER PRIMARY KEY AUTOINCREMENT,
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        operation TEXT NOT NULL,
+        value TEXT,
+        created_at INTEGER NOT NULL
+    )`);
+    // Expiry the value of a set had, kept current by TTL changes, so point-in-time reads skip
+    // values that had expired by then; NULL for values that never expire
+    addColumn('key_history', 'expires_at INTEGER');
+    db.run('CREATE INDEX IF NOT EXISTS idx_key_history_key ON key_history (namespace, key, revision)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_key_history_created_at ON key_history (created_at)');
+    // Ordered log of mutations backing the change feed; seq is the change sequence number
+    db.run(`CREATE TABLE IF NOT EXISTS change_log (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        namespace TEXT NOT NULL,
+        key TEXT,
+        version INTEGER,
+        value TEXT,
+        created_at INTEGER NOT NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_change_log_namespace ON change_log (namespace, seq)');
+    // Secondary indexes declared on JSON fields; each one is backed by a partial expression index
+    db.run(`CREATE TABLE IF NOT EXISTS value_indexes (
+        namespace TEXT NOT NULL,
+        name TEXT NOT NULL,
+        paths TEXT NOT NULL,
+        sql_name TEXT NOT NULL UNIQUE,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (namespace, name)
+    )`);
+    // Deleted keys with their value and metadata, kept until restored or purged; reason is
+    // 'delete' or 'namespace_drop'
+    db.run(`CREATE TABLE IF NOT EXISTS trash (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        expires_at INTEGER,
+        content_type TEXT,
+        tags TEXT,
+        reason TEXT NOT NULL,
+        deleted_at INTEGER NOT NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_trash_key ON trash (namespace, key, id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_trash_deleted_at ON trash (deleted_at)');
+    // Fill in the metadata of keys written before it was tracked, taking the times from the key
+    // history when it still has them
+    db.run(`UPDATE key_value_store SET
+        size = LENGTH(CAST(value AS BLOB)),
+        created_at = COALESCE((SELECT MAX(created_at) FROM key_history AS h WHERE h.namespace = key_value_store.namespace
+            AND h.key = key_value_store.key AND h.operation = 'set' AND h.version = 1), CAST(strftime('%s', 'now') AS INTEGER) * 1000),
+        updated_at = COALESCE((SELECT MAX(created_at) FROM key_history AS h WHERE h.namespace = key_value_store.namespace
+            AND h.key = key_value_store.key AND h.operation = 'set' AND h.version = key_value_store.version), CAST(strftime('%s', 'now') AS INTEGER) * 1000)
+        WHERE updated_at IS NULL`);
+});
+
+// Sequence numbers keep growing across restores, so change feeds resume where they were
+keepOnRestore('change_log');
+
+// SQL condition matching rows that have not expired yet; binds the current time
+const NOT_EXPIRED = '(expires_at IS NULL OR expires_at > ?)';
+
+/**
+ * Parses a stored JSON value, falling back to the raw text
+ * @param {string} key - The key the value belongs to, for logging
+ * @param {string} value - The stored text
+ */
+const parseValue = (key, value) => {
+    try {
+        return JSON.parse(value);
+    } catch (parseError) {
+        console.warn(`Failed to parse JSON for key ${key}: ${parseError.message}`); // Log parsing error
+        return value;
+    }
+};
+
+/**
+ * Reads a non-negative integer setting from the environment
+ * @param {string} name - The environment variable
+ * @param {number} fallback - The value when the variable is unset or invalid
+ */
+const fromEnv = (name, fallback) => {
+    const number = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// Milliseconds a group commit waits for more writes to join it. Writes arriving while the
+// previous group commits always join the next one, so 0 still coalesces concurrent writes.
+let groupCommitWindow = fromEnv('SQLITE_GROUP_COMMIT_WINDOW', 0);
+
+// Transactions waiting for the next group commit
+let queuedTransactions = [];
+
+/**
+ * Commits the queued transactions together in one database transaction. Each one runs in its
+ * own savepoint, so a failing transaction is rolled back alone; the others are acknowledged
+ * once the group has committed.
+ */
+const commitGroup = async () => {
+    if (groupCommitWindow > 0) {
+        await new Promise(resolve => setTimeout(resolve, groupCommitWindow));
+    }
+    const group = queuedTransactions;
+    queuedTransactions = [];
+    // A transaction alone needs no savepoint; its failure rolls back the whole transaction
+    const savepoints = group.length > 1;
+    pendingChanges = [];
+    try {
+        await run('BEGIN IMMEDIATE');
+        for (const entry of group) {
+            const recorded = pendingChanges.length;
+            try {
+                if (savepoints) {
+                    await run('SAVEPOINT grouped_transaction');
+                }
+                entry.result = await entry.task();
+                if (savepoints) {
+                    await run('RELEASE grouped_transaction');
+                }
+            } catch (error) {
+                if (!savepoints) {
+                    throw error;
+                }
+                entry.error = error;
+                pendingChanges.length = recorded;
+                await run('ROLLBACK TO grouped_transaction');
+                await run('RELEASE grouped_transaction');
+            }
+        }
+        await run('COMMIT');
+    } catch (error) {
+        pendingChanges = [];
+        await run('ROLLBACK').catch(() => {});
+        group.forEach(entry => entry.reject(entry.error || error));
+        return;
+    }
+    const committed = pendingChanges;
+    pendingChanges = [];
+    committed.forEach(change => changes.emit('change', change));
+    group.forEach(entry => (entry.error ? entry.reject(entry.error) : entry.resolve(entry.result)));
+};
+
+/**
+ * Runs a task inside a database transaction with exclusive write access.
+ * Transactions queued while another one runs are group-committed: they share one database
+ * transaction and its commit, and each settles only once that commit succeeded. A task that
+ * throws is rolled back; changes it recorded are emitted only after the commit.
+ * @param {Function} task - Async function performing the reads and writes
+ * @returns {Promise<any>} - The result of the task
+ */
+const transaction = (task) => {
+    return new Promise((resolve, reject) => {
+        queuedTransactions.push({ task: wrapTransaction(task), resolve, reject });
+        // The first transaction of a group schedules its commit behind the running writes
+        if (queuedTransactions.length === 1) {
+            exclusive(commitGroup);
+        }
+    });
+};
+
+/**
+ * Converts a change_log row into a change event
+ * @param {Object} row - The change_log row
+ */
+const toChange = (row) => ({
+    seq: row.seq,
+    type: row.type,
+    namespace: row.namespace,
+    key: row.key === null ? undefined : row.key,
+    version: row.version === null ? undefined : row.version,
+    value: row.value === null ? undefined : parseValue(row.key, row.value),
+    timestamp: row.created_at
+});
+
+/**
+ * Appends a mutation to the change log and runs the change handler on it. Must be called
+ * inside a transaction.
+ * @param {'set'|'delete'|'namespace_drop'|'reset'} type - The kind of change
+ * @param {string} namespace - The namespace that changed
+ * @param {string|null} key - The key that changed, null for namespace drops and resets
+ * @param {number|null} version - The version written or deleted
+ * @param {string|null} jsonValue - The stored text for sets
+ */
+const recordChange = async (type, namespace, key, version, jsonValue) => {
+    const row = { type, namespace, key, version, value: jsonValue, created_at: Date.now() };
+    const { lastID } = await run(
+        'INSERT INTO change_log (type, namespace, key, version, value, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [type, namespace, key, version, jsonValue, row.created_at]
+    );
+    const change = toChange({ ...row, seq: lastID });
+    pendingChanges.push(change);
+    await handleChange(change);
+};
+
+/**
+ * Appends an entry to the history of a key and drops revisions beyond the retention count.
+ * Must be called inside a transaction.
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key that changed
+ * @param {number} version - The version written, or the version deleted
+ * @param {'set'|'delete'} operation - The kind of change
+ * @param {string|null} jsonValue - The stored text, null for deletes
+ * @param {number|null} [expiresAt] - Expiry of the value written, null if it never expires
+ */
+const recordHistory = async (namespace, key, version, operation, jsonValue, expiresAt = null) => {
+    await run(
+        `INSERT INTO key_history (namespace, key, version, operation, value, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [namespace, key, version, operation, jsonValue, Date.now(), expiresAt]
+    );
+    await run(
+        `DELETE FROM key_history WHERE namespace = ? AND key = ? AND revision <= (
+            SELECT revision FROM key_history WHERE namespace = ? AND key = ?
+            ORDER BY revision DESC LIMIT 1 OFFSET ?
+        )`,
+        [namespace, key, namespace, key, historyRetention.maxRevisions]
+    );
+};
+
+/**
+ * Reads the current version of a live key
+ * @returns {Promise<number|null>} - The version, or null if the key does not exist
+ */
+const currentVersion = async (namespace, key) => {
+    const row = await get(
+        `SELECT version FROM key_value_store WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+        [namespace, key, Date.now()]
+    );
+    return row ? row.version : null;
+};
+
+/**
+ * Reads the last version a key had, including when it expired or was deleted since, from the
+ * key itself, its history and the trash. A recreated key continues from it, so a stale If-Match
+ * never matches the new key.
+ * @returns {Promise<number>} - The version, 0 for keys never written
+ */
+const lastVersion = async (namespace, key) => {
+    const row = await get(
+        `SELECT MAX(version) AS version FROM (
+            SELECT version FROM key_value_store WHERE namespace = ? AND key = ?
+            UNION ALL SELECT version FROM key_history WHERE namespace = ? AND key = ?
+            UNION ALL SELECT version FROM trash WHERE namespace = ? AND key = ?
+        )`,
+        [namespace, key, namespace, key, namespace, key]
+    );
+    return row.version || 0;
+};
+
+/**
+ * Writes a value after checking its preconditions, recording history and the change.
+ * The key keeps its creation time, content type and tags unless the options replace them.
+ * Must be called inside a transaction.
+ * @returns {Promise<number>} - The new version of the key
+ */
+const writeValue = async (namespace, key, value, options) => {
+    await validateWrite(namespace, value);
+    const jsonValue = JSON.stringify(value);
+    // Updates in place pass the expiry the key already has
+    const expiresAt = options.expiresAt !== undefined ? options.expiresAt : toExpiresAt(options.ttl);
+    const current = await get(
+        `SELECT version, created_at, content_type, tags FROM key_value_store WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+        [namespace, key, Date.now()]
+    );
+    const version = current ? current.version : null;
+    checkPreconditions(version, options);
+    const { contentType, tags } = resolveMetadata(options, current && {
+        contentType: current.content_type,
+        tags: current.tags === null ? null : JSON.parse(current.tags)
+    });
+    const nextVersion = (version === null ? await lastVersion(namespace, key) : version) + 1;
+    const now = Date.now();
+    await run(
+        `INSERT OR REPLACE INTO key_value_store
+            (namespace, key, value, expires_at, version, created_at, updated_at, size, content_type, tags)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            namespace, key, jsonValue, expiresAt, nextVersion, current ? current.created_at : now, now,
+            Buffer.byteLength(jsonValue), contentType, tags === null ? null : JSON.stringify(tags)
+        ]
+    );
+    await recordHistory(namespace, key, nextVersion, 'set', jsonValue, expiresAt);
+    await recordChange('set', namespace, key, nextVersion, jsonValue);
+    return nextVersion;
+};
+
+/**
+ * Copies the live keys of a namespace, or one of its keys, into the trash.
+ * Must be called inside a transaction.
+ * @param {string} namespace - The namespace
+ * @param {string|null} key - The key, or null for every key of the namespace
+ * @param {'delete'|'namespace_drop'} reason - Why the keys are deleted
+ */
+const moveToTrash = async (namespace, key, reason) => {
+    const now = Date.now();
+    await run(
+        `INSERT INTO trash (namespace, key, value, version, expires_at, content_type, tags, reason, deleted_at)
+        SELECT namespace, key, value, version, expires_at, content_type, tags, ?, ? FROM key_value_store
+        WHERE namespace = ? AND (? IS NULL OR key = ?) AND ${NOT_EXPIRED}`,
+        [reason, now, namespace, key, key, now]
+    );
+};
+
+/**
+ * Removes a key after checking its preconditions, moving it to the trash and recording history
+ * and the change. Must be called inside a transaction.
+ * @returns {Promise<boolean>} - Whether the key existed
+ */
+const removeValue = async (namespace, key, options) => {
+    const version = await currentVersion(namespace, key);
+    checkPreconditions(version, options);
+    if (version !== null) {
+        await moveToTrash(namespace, key, 'delete');
+    }
+    await run('DELETE FROM key_value_store WHERE namespace = ? AND key = ?', [namespace, key]);
+    if (version !== null) {
+        await recordHistory(namespace, key, version, 'delete', null);
+        await recordChange('delete', namespace, key, version, null);
+    }
+    return version !== null;
+};
+
+/**
+ * Sets a value in the specified namespace
+ * @param {string} namespace - The namespace to store the value in
+ * @param {string} key - The key to store the value under
+ * @param {any} value - The value to store
+ * @param {Object} [options] - Write options
+ * @param {number} [options.ttl] - Time to live in seconds; the key never expires when omitted
+ * @param {'*'|number|number[]} [options.ifMatch] - Only write if the key is at one of these versions
+ * @param {'*'|number|number[]} [options.ifNoneMatch] - Only write if the key is not at these versions
+ * @param {string|null} [options.contentType] - Media type of the value; kept from the previous
+ * write when omitted, cleared with null
+ * @param {string[]|null} [options.tags] - Labels of the key; kept when omitted, cleared with null
+ * @returns {Promise<number>} - The new version of the key
+ */
+const setValue = async (namespace, key, value, options = {}) => {
+    return transaction(async () => {
+        try {
+            return await writeValue(namespace, key, value, options);
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to set value: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Atomically replaces a value only if the key is still at the expected version
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to write
+ * @param {number|null} expectedVersion - The version the key must have, or null if it must not exist
+ * @param {any} value - The value to store
+ * @param {Object} [options] - Write options
+ * @param {number} [options.ttl] - Time to live in seconds
+ * @returns {Promise<number|false>} - The new version, or false if the key was at another version
+ */
+const compareAndSet = async (namespace, key, expectedVersion, value, options = {}) => {
+    const condition = expectedVersion === null ? { ifNoneMatch: '*' } : { ifMatch: expectedVersion };
+    try {
+        return await setValue(namespace, key, value, { ttl: options.ttl, ...condition });
+    } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Atomically replaces a value with the result of a function of its current value.
+ * The key keeps its expiry unless a new ttl is given.
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to update
+ * @param {Function} modify - Receives the current value (undefined if the key does not exist) and
+ * returns the new one
+ * @param {Object} options - ttl, ifMatch and ifNoneMatch as for setValue
+ * @param {string} action - Description used in error messages
+ * @returns {Promise<{value: any, version: number}>}
+ */
+const modifyValue = async (namespace, key, modify, options, action) => {
+    return transaction(async () => {
+        try {
+            const row = await get(
+                `SELECT value, version, expires_at FROM key_value_store WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+                [namespace, key, Date.now()]
+            );
+            checkPreconditions(row ? row.version : null, options);
+            const value = modify(row ? parseValue(key, row.value) : undefined);
+            const version = await writeValue(namespace, key, value, {
+                ttl: options.ttl,
+                expiresAt: options.ttl === undefined && row ? row.expires_at : undefined
+            });
+            return { value, version };
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to ${action}: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Applies a patch to an existing value
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to patch
+ * @param {'merge'|'json-patch'} format - RFC 7396 JSON Merge Patch or RFC 6902 JSON Patch
+ * @param {any} patch - The patch document
+ * @param {Object} [options] - ifMatch / ifNoneMatch preconditions
+ * @returns {Promise<{value: any, version: number}>} - The patched value and its version
+ * @throws {NotFoundError} - If the key does not exist
+ * @throws {ConflictError} - If a JSON Patch operation cannot be applied or a test fails
+ */
+const patchValue = async (namespace, key, format, patch, options = {}) => {
+    return modifyValue(namespace, key, patchModifier(format, patch), options, 'patch value');
+};
+
+/**
+ * Atomically adds to a number; a missing key or field counts as 0
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key holding the counter
+ * @param {number} amount - The amount to add, negative to decrement
+ * @param {Object} [options] - Update options
+ * @param {string} [options.path] - Dotted path of a numeric field inside the value
+ * @param {number} [options.ttl] - New time to live in seconds
+ * @returns {Promise<{value: any, version: number}>} - The resulting value and its version
+ * @throws {ConflictError} - If the current value is not a number
+ */
+const incrementValue = async (namespace, key, amount, options = {}) => {
+    return modifyValue(namespace, key, incrementModifier(amount, options.path), options, 'increment value');
+};
+
+/**
+ * Atomically appends items to an array; a missing key or field counts as an empty array
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key holding the array
+ * @param {any[]} items - The items to append
+ * @param {Object} [options] - path and ttl as for incrementValue
+ * @returns {Promise<{value: any, version: number}>} - The resulting value and its version
+ * @throws {ConflictError} - If the current value is not an array
+ */
+const appendValues = async (namespace, key, items, options = {}) => {
+    return modifyValue(namespace, key, appendModifier(items, options.path), options, 'append values');
+};
+
+/**
+ * Atomically removes every element equal to one of the given items from an array
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key holding the array
+ * @param {any[]} items - The items to remove
+ * @param {Object} [options] - path and ttl as for incrementValue
+ * @returns {Promise<{value: any, version: number}>} - The resulting value and its version
+ * @throws {NotFoundError} - If the key does not exist
+ * @throws {ConflictError} - If the current value is not an array
+ */
+const removeValues = async (namespace, key, items, options = {}) => {
+    return modifyValue(namespace, key, removeModifier(items, options.path), options, 'remove values');
+};
+
+/**
+ * Stores a value only if the key does not exist yet
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to write
+ * @param {any} value - The value to store
+ * @param {Object} [options] - Write options
+ * @param {number} [options.ttl] - Time to live in seconds
+ * @returns {Promise<{created: boolean, value: any, version: number}>} - Whether the value was
+ * stored, and the value the key holds afterwards
+ */
+const setIfAbsent = async (namespace, key, value, options = {}) => {
+    return transaction(async () => {
+        try {
+            const entry = await getEntry(namespace, key);
+            if (entry) {
+                return { created: false, ...entry };
+            }
+            return { created: true, value, version: await writeValue(namespace, key, value, { ttl: options.ttl }) };
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to set value: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Gets a value together with its version
+ * @param {string} namespace - The namespace to retrieve from
+ * @param {string} key - The key to retrieve
+ * @returns {Promise<{value: any, version: number}|undefined>} - The entry or undefined if not found
+ */
+const getEntry = async (namespace, key) => {
+    try {
+        const row = await get(
+            `SELECT value, version FROM key_value_store WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+            [namespace, key, Date.now()]
+        );
+        if (!row) {
+            return undefined;
+        }
+        return { value: parseValue(key, row.value), version: row.version };
+    } catch (error) {
+        throw new Error(`Failed to get value: ${error.message}`);
+    }
+};
+
+/**
+ * Gets the metadata of a key
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key
+ * @returns {Promise<Object|undefined>} - version, size (bytes of the JSON value), contentType,
+ * tags, and createdAt, updatedAt and expiresAt in epoch milliseconds; undefined if not found
+ */
+const getMetadata = async (namespace, key) => {
+    try {
+        const row = await get(
+            `SELECT version, size, content_type, tags, created_at, updated_at, expires_at
+            FROM key_value_store WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+            [namespace, key, Date.now()]
+        );
+        if (!row) {
+            return undefined;
+        }
+        return {
+            version: row.version,
+            size: row.size,
+            contentType: row.content_type,
+            tags: row.tags === null ? [] : JSON.parse(row.tags),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            expiresAt: row.expires_at
+        };
+    } catch (error) {
+        throw new Error(`Failed to get metadata: ${error.message}`);
+    }
+};
+
+/**
+ * Gets a value from the specified namespace
+ * @param {string} namespace - The namespace to retrieve from
+ * @param {string} key - The key to retrieve (optional - if not provided, returns all keys in namespace)
+ * @returns {Promise<any>} - The stored value or undefined if not found
+ */
+const getValue = async (namespace, key) => {
+    try {
+        if (key === undefined) {
+            // Return all values in the namespace
+            const rows = await all(
+                `SELECT key, value FROM key_value_store WHERE namespace = ? AND ${NOT_EXPIRED}`,
+                [namespace, Date.now()]
+            );
+            const result = {};
+            rows.forEach(row => {
+                result[row.key] = parseValue(row.key, row.value);
+            });
+            return result;
+        }
+        // Return specific key
+        const row = await get(
+            `SELECT value FROM key_value_store WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+            [namespace, key, Date.now()]
+        );
+        return row ? parseValue(key, row.value) : undefined;
+    } catch (error) {
+        throw new Error(`Failed to get value: ${error.message}`);
+    }
+};
+
+/**
+ * Computes the smallest string greater than every string starting with a prefix, so prefix
+ * scans can use the primary key index as a range
+ * @param {string} prefix - A non-empty prefix
+ */
+const prefixUpperBound = (prefix) => {
+    const codePoints = [...prefix];
+    const last = codePoints.pop().codePointAt(0);
+    return codePoints.join('') + String.fromCodePoint(last + 1);
+};
+
+/**
+ * Builds the WHERE clause of a key range scan
+ * @param {string} column - The column being scanned
+ * @param {Object} options - Range options (prefix, start, end, cursor, order)
+ * @returns {{clause: string, params: any[]}}
+ */
+const rangeCondition = (column, options) => {
+    const conditions = [];
+    const params = [];
+    if (options.prefix) {
+        conditions.push(`${column} >= ?`, `${column} < ?`);
+        params.push(options.prefix, prefixUpperBound(options.prefix));
+    }
+    if (options.start !== undefined) {
+        conditions.push(`${column} >= ?`);
+        params.push(options.start);
+    }
+    if (options.end !== undefined) {
+        conditions.push(`${column} < ?`);
+        params.push(options.end);
+    }
+    if (options.cursor) {
+        conditions.push(`${column} ${options.order === 'desc' ? '<' : '>'} ?`);
+        params.push(decodeCursor(options.cursor));
+    }
+    return { clause: conditions.map(condition => ` AND ${condition}`).join(''), params };
+};
+
+/**
+ * Lists the keys of a namespace one page at a time, in key order
+ * @param {string} namespace - The namespace to list
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit] - Page size (default 100, at most 1000)
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @param {string} [options.prefix] - Only list keys starting with this prefix
+ * @param {string} [options.start] - Only list keys greater than or equal to this key
+ * @param {string} [options.end] - Only list keys lower than this key
+ * @param {'asc'|'desc'} [options.order] - Key order (default asc)
+ * @param {boolean} [options.keysOnly] - Return keys without their values
+ * @returns {Promise<{items: Object[]|string[], nextCursor: string|null}>} - Entries of the form
+ * { key, value }, or bare keys in keysOnly mode, and the cursor of the next page (null on the last)
+ */
+const listKeys = async (namespace, options = {}) => {
+    const limit = Math.min(options.limit || 100, MAX_PAGE_SIZE);
+    const order = options.order === 'desc' ? 'DESC' : 'ASC';
+    const range = rangeCondition('key', options);
+    try {
+        const rows = await all(
+            `SELECT key${options.keysOnly ? '' : ', value'} FROM key_value_store
+            WHERE namespace = ? AND ${NOT_EXPIRED}${range.clause}
+            ORDER BY key ${order} LIMIT ?`,
+            [namespace, Date.now(), ...range.params, limit + 1]
+        );
+        const page = rows.slice(0, limit);
+        return {
+            items: page.map(row => (options.keysOnly ? row.key : { key: row.key, value: parseValue(row.key, row.value) })),
+            nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1].key) : null
+        };
+    } catch (error) {
+        if (error.status) {
+            throw error;
+        }
+        throw new Error(`Failed to list keys: ${error.message}`);
+    }
+};
+
+/**
+ * Finds the values of a namespace matching a filter. Filtering, sorting and projection run
+ * inside SQLite; see lib/query.js for the filter language.
+ * @param {string} namespace - The namespace to search
+ * @param {Object} [options] - Query options
+ * @param {Object} [options.filter] - The filter; every key matches when omitted
+ * @param {string[]} [options.fields] - Dotted paths to return instead of whole values
+ * @param {Object} [options.sort] - { path, order } to sort by a field instead of by key
+ * @param {number} [options.limit] - Maximum number of results (default 100, at most 1000)
+ * @returns {Promise<Object[]>} - Matching entries of the form { key, value }
+ */
+const queryValues = async (namespace, options = {}) => {
+    const { filter, fields, sort } = options;
+    const where = filter === undefined ? { sql: '1', params: [] } : compileFilter(filter);
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0)) {
+        throw new ValidationError('fields must be a non-empty list of field paths');
+    }
+    const projection = fields ? fields.map(field => toJsonPath(field)) : null;
+    if (sort !== undefined && (!sort || typeof sort !== 'object' || !['asc', 'desc', undefined].includes(sort.order))) {
+        throw new ValidationError("sort must be { path, order } with order 'asc' or 'desc'");
+    }
+    const sortPath = sort ? toJsonPath(sort.path) : null;
+    const orderBy = sort ? `json_extract(value, ?) ${sort.order === 'desc' ? 'DESC' : 'ASC'}, key` : 'key';
+    const limit = Math.min(options.limit || 100, MAX_PAGE_SIZE);
+
+    // Projected fields come back as JSON text ("->"), NULL when missing
+    const columns = projection ? projection.map((_, i) => `value -> ? AS f${i}`).join(', ') : 'value';
+    try {
+        const rows = await all(
+            `SELECT key, ${columns} FROM key_value_store
+            WHERE namespace = ? AND ${NOT_EXPIRED} AND ${where.sql}
+            ORDER BY ${orderBy} LIMIT ?`,
+            [
+                ...(projection || []),
+                namespace,
+                Date.now(),
+                ...where.params,
+                ...(sort ? [sortPath] : []),
+                limit
+            ]
+        );
+        return rows.map(row => {
+            if (!projection) {
+                return { key: row.key, value: parseValue(row.key, row.value) };
+            }
+            let value = {};
+            fields.forEach((field, i) => {
+                if (row[`f${i}`] !== null) {
+                    value = setPath(value, field, JSON.parse(row[`f${i}`]));
+                }
+            });
+            return { key: row.key, value };
+        });
+    } catch (error) {
+        throw new Error(`Failed to query values: ${error.message}`);
+    }
+};
+
+/**
+ * Quotes a string as a SQL literal. Expression and partial indexes are only used by queries that
+ * repeat their expressions literally, so index definitions and lookups cannot use parameters.
+ * @param {string} text - The text to quote
+ */
+const sqlLiteral = (text) => `'${text.replace(/'/g, "''")}'`;
+
+/**
+ * Builds the indexed expression of each path of a secondary index
+ * @param {string[]} paths - Dotted field paths
+ */
+const indexExpressions = (paths) => paths.map(path => `json_extract(value, ${sqlLiteral(toJsonPath(path))})`);
+
+/**
+ * (Re)creates the SQLite index backing a secondary index: a partial index over the namespace
+ * on the extracted fields, with the key last so lookups come out in key order
+ * @param {string} sqlName - Name of the SQLite index
+ * @param {string} namespace - The indexed namespace
+ * @param {string[]} paths - Dotted field paths
+ */
+const buildIndex = async (sqlName, namespace, paths) => {
+    await run(`DROP INDEX IF EXISTS "${sqlName}"`);
+    await run(
+        `CREATE INDEX "${sqlName}" ON key_value_store (${indexExpressions(paths).join(', ')}, key)
+        WHERE namespace = ${sqlLiteral(namespace)}`
+    );
+};
+
+/**
+ * Converts a value_indexes row into an index description
+ * @param {Object} row - The value_indexes row
+ */
+const toIndex = (row) => ({
+    name: row.name,
+    namespace: row.namespace,
+    paths: JSON.parse(row.paths),
+    createdAt: new Date(row.created_at).toISOString()
+});
+
+/**
+ * Declares a secondary index on one or more JSON fields of the values in a namespace.
+ * SQLite maintains the index on every write from then on.
+ * @param {string} namespace - The namespace to index
+ * @param {string} name - Index name (letters, digits, "_" and "-")
+ * @param {string[]} paths - Dotted field paths, in index order
+ * @returns {Promise<Object>} - The index description
+ */
+const createIndex = async (namespace, name, paths) => {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+        throw new ValidationError('Index names are 1-64 letters, digits, "_" or "-"');
+    }
+    if (!Array.isArray(paths) || paths.length === 0 || paths.length > 8) {
+        throw new ValidationError('paths must be a list of 1 to 8 field paths');
+    }
+    // Validates every path before anything is written
+    indexExpressions(paths);
+    // Hashed so any namespace yields a valid, unique SQL identifier
+    const sqlName = `kvidx_${crypto.createHash('sha1').update(`${namespace}\0${name}`).digest('hex').slice(0, 20)}`;
+    const createdAt = Date.now();
+    // The index and its definition are written together; writes queued meanwhile wait, so the
+    // build sees every value
+    return transaction(async () => {
+        try {
+            if (await get('SELECT 1 FROM value_indexes WHERE namespace = ? AND name = ?', [namespace, name])) {
+                throw new ConflictError(`Index '${name}' already exists`);
+            }
+            await buildIndex(sqlName, namespace, paths);
+            await run(
+                'INSERT INTO value_indexes (namespace, name, paths, sql_name, created_at) VALUES (?, ?, ?, ?, ?)',
+                [namespace, name, JSON.stringify(paths), sqlName, createdAt]
+            );
+            return toIndex({ namespace, name, paths: JSON.stringify(paths), created_at: createdAt });
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to create index: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Lists the secondary indexes of a namespace
+ * @param {string} namespace - The namespace
+ * @returns {Promise<Object[]>}
+ */
+const listIndexes = async (namespace) => {
+    try {
+        const rows = await all('SELECT * FROM value_indexes WHERE namespace = ? ORDER BY name', [namespace]);
+        return rows.map(toIndex);
+    } catch (error) {
+        throw new Error(`Failed to list indexes: ${error.message}`);
+    }
+};
+
+/**
+ * Reads the definition of a secondary index
+ * @throws {NotFoundError} - If the index does not exist
+ */
+const findIndex = async (namespace, name) => {
+    const row = await get('SELECT * FROM value_indexes WHERE namespace = ? AND name = ?', [namespace, name]);
+    if (!row) {
+        throw new NotFoundError(`Index '${name}' not found`);
+    }
+    return row;
+};
+
+/**
+ * Drops a secondary index
+ * @param {string} namespace - The namespace
+ * @param {string} name - The index name
+ * @throws {NotFoundError} - If the index does not exist
+ */
+const dropIndex = async (namespace, name) => {
+    return transaction(async () => {
+        const row = await findIndex(namespace, name);
+        try {
+            await run(`DROP INDEX IF EXISTS "${row.sql_name}"`);
+            await run('DELETE FROM value_indexes WHERE namespace = ? AND name = ?', [namespace, name]);
+        } catch (error) {
+            throw new Error(`Failed to drop index: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Rebuilds a secondary index from the stored values
+ * @param {string} namespace - The namespace
+ * @param {string} name - The index name
+ * @throws {NotFoundError} - If the index does not exist
+ */
+const rebuildIndex = async (namespace, name) => {
+    return transaction(async () => {
+        const row = await findIndex(namespace, name);
+        try {
+            await buildIndex(row.sql_name, namespace, JSON.parse(row.paths));
+        } catch (error) {
+            throw new Error(`Failed to rebuild index: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Finds values through a secondary index, in key order
+ * @param {string} namespace - The namespace
+ * @param {string} name - The index name
+ * @param {any[]} values - One value per indexed path, in index order (a prefix of the paths
+ * may be given)
+ * @param {Object} [options] - Page options
+ * @param {number} [options.limit] - Page size (default 100, at most 1000)
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>}
+ * @throws {NotFoundError} - If the index does not exist
+ */
+const findByIndex = async (namespace, name, values, options = {}) => {
+    const row = await findIndex(namespace, name);
+    const paths = JSON.parse(row.paths);
+    if (values.length === 0 || values.length > paths.length) {
+        throw new ValidationError(`Index '${name}' takes 1 to ${paths.length} values`);
+    }
+    const expressions = indexExpressions(paths).slice(0, values.length);
+    const limit = Math.min(options.limit || 100, MAX_PAGE_SIZE);
+    const range = rangeCondition('key', { cursor: options.cursor });
+    try {
+        // INDEXED BY makes SQLite fail instead of silently scanning if the index cannot serve the lookup
+        const rows = await all(
+            `SELECT key, value FROM key_value_store INDEXED BY "${row.sql_name}"
+            WHERE namespace = ${sqlLiteral(namespace)} AND ${expressions.map(expression => `${expression} = ?`).join(' AND ')}
+            AND ${NOT_EXPIRED}${range.clause}
+            ORDER BY key LIMIT ?`,
+            [...values.map(value => (typeof value === 'boolean' ? Number(value) : value)), Date.now(), ...range.params, limit + 1]
+        );
+        const page = rows.slice(0, limit);
+        return {
+            items: page.map(item => ({ key: item.key, value: parseValue(item.key, item.value) })),
+            nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1].key) : null
+        };
+    } catch (error) {
+        throw new Error(`Failed to look up index: ${error.message}`);
+    }
+};
+
+/**
+ * Deletes a value from the specified namespace
+ * @param {string} namespace - The namespace to delete from
+ * @param {string} key - The key to delete
+ * @param {Object} [options] - Delete options
+ * @param {'*'|number|number[]} [options.ifMatch] - Only delete if the key is at one of these versions
+ * @param {'*'|number|number[]} [options.ifNoneMatch] - Only delete if the key is not at these versions
+ * @returns {Promise<boolean>} - Whether a live key was deleted
+ */
+const deleteValue = async (namespace, key, options = {}) => {
+    return transaction(async () => {
+        try {
+            return await removeValue(namespace, key, options);
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to delete value: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Runs one batch operation. Must be called inside a transaction.
+ * @param {Object} operation - The operation
+ * @returns {Promise<Object>} - The result of the operation
+ */
+const applyOperation = async ({ op, namespace, key, value, ttl, ifMatch, ifNoneMatch }) => {
+    const options = { ttl, ifMatch, ifNoneMatch };
+    switch (op) {
+        case 'get': {
+            const entry = await getEntry(namespace, key);
+            checkPreconditions(entry ? entry.version : null, options);
+            return entry ? { found: true, ...entry } : { found: false };
+        }
+        case 'set':
+            return { version: await writeValue(namespace, key, value, options) };
+        default:
+            return { deleted: await removeValue(namespace, key, options) };
+    }
+};
+
+/**
+ * Runs get, set and delete operations across namespaces in a single transaction.
+ * Each operation may carry ifMatch / ifNoneMatch preconditions and sees the writes of the
+ * operations before it. If any operation fails, none of the writes are kept.
+ * @param {Object[]} operations - Operations of the form { op, namespace, key, value, ttl, ifMatch, ifNoneMatch }
+ * @returns {Promise<Object[]>} - One result per operation, in order
+ * @throws {ValidationError} - If an operation is malformed; nothing is executed
+ * @throws {BatchOperationError} - If an operation fails; the batch is rolled back
+ */
+const batch = async (operations) => {
+    validateBatch(operations);
+    return transaction(async () => {
+        const results = [];
+        for (const [index, operation] of operations.entries()) {
+            try {
+                results.push({ op: operation.op, ...await applyOperation(operation) });
+            } catch (error) {
+                throw new BatchOperationError(index, error);
+            }
+        }
+        return results;
+    });
+};
+
+/**
+ * Gets all namespaces in the database
+ * @returns {Promise<string[]>} - Array of namespace names
+ */
+const getNamespaces = async () => {
+    try {
+        const rows = await all(
+            `SELECT DISTINCT namespace FROM key_value_store WHERE ${NOT_EXPIRED} ORDER BY namespace`,
+            [Date.now()]
+        );
+        return rows.map(row => row.namespace);
+    } catch (error) {
+        throw new Error(`Failed to get namespaces: ${error.message}`);
+    }
+};
+
+/**
+ * Counts the live keys of every namespace and the bytes of their keys and values
+ * @returns {Promise<{namespace: string, keys: number, bytes: number}[]>} - In namespace order
+ */
+const getNamespaceSizes = async () => {
+    try {
+        return await all(
+            `SELECT namespace, COUNT(*) AS keys, SUM(LENGTH(CAST(key AS BLOB)) + size) AS bytes
+            FROM key_value_store WHERE ${NOT_EXPIRED} GROUP BY namespace ORDER BY namespace`,
+            [Date.now()]
+        );
+    } catch (error) {
+        throw new Error(`Failed to get namespace sizes: ${error.message}`);
+    }
+};
+
+/**
+ * Describes a namespace: its live keys, their bytes, the time of the latest write of one of
+ * them and the largest keys
+ * @param {string} namespace - The namespace
+ * @param {Object} [options] - Options
+ * @param {number} [options.top] - Number of largest keys to list (default 10)
+ * @returns {Promise<{namespace: string, keys: number, bytes: number, lastModified: number|null,
+ * largest: {key: string, size: number}[]}>} - bytes counts keys and values; lastModified is in
+ * epoch milliseconds, null for an empty namespace
+ */
+const getNamespaceStats = async (namespace, options = {}) => {
+    const now = Date.now();
+    try {
+        const totals = await get(
+            `SELECT COUNT(*) AS keys, COALESCE(SUM(LENGTH(CAST(key AS BLOB)) + size), 0) AS bytes, MAX(updated_at) AS lastModified
+            FROM key_value_store WHERE namespace = ? AND ${NOT_EXPIRED}`,
+            [namespace, now]
+        );
+        const largest = await all(
+            `SELECT key, size FROM key_value_store WHERE namespace = ? AND ${NOT_EXPIRED} ORDER BY size DESC, key LIMIT ?`,
+            [namespace, now, options.top === undefined ? 10 : options.top]
+        );
+        return { namespace, ...totals, largest };
+    } catch (error) {
+        throw new Error(`Failed to get namespace statistics: ${error.message}`);
+    }
+};
+
+/**
+ * Lists namespaces one page at a time, in name order
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit] - Page size (default 100, at most 1000)
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @param {string} [options.prefix] - Only list namespaces starting with this prefix
+ * @param {'asc'|'desc'} [options.order] - Name order (default asc)
+ * @returns {Promise<{namespaces: string[], nextCursor: string|null}>}
+ */
+const listNamespaces = async (options = {}) => {
+    const limit = Math.min(options.limit || 100, MAX_PAGE_SIZE);
+    const order = options.order === 'desc' ? 'DESC' : 'ASC';
+    const range = rangeCondition('namespace', options);
+    try {
+        const rows = await all(
+            `SELECT DISTINCT namespace FROM key_value_store WHERE ${NOT_EXPIRED}${range.clause}
+            ORDER BY namespace ${order} LIMIT ?`,
+            [Date.now(), ...range.params, limit + 1]
+        );
+        const namespaces = rows.slice(0, limit).map(row => row.namespace);
+        return {
+            namespaces,
+            nextCursor: rows.length > limit ? encodeCursor(namespaces[namespaces.length - 1]) : null
+        };
+    } catch (error) {
+        if (error.status) {
+            throw error;
+        }
+        throw new Error(`Failed to list namespaces: ${error.message}`);
+    }
+};
+
+/**
+ * Deletes an entire namespace and all its keys
+ * @param {string} namespace - The namespace to delete
+ */
+const deleteNamespace = async (namespace) => {
+    return transaction(async () => {
+        try {
+            await dropKeys(namespace, { trash: true });
+        } catch (error) {
+            throw new Error(`Failed to delete namespace: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Removes every key of a namespace, recording a delete in the history of each and a single
+ * namespace_drop change. Must be called inside a transaction.
+ * @param {string} namespace - The namespace
+ * @param {Object} options - Options
+ * @param {boolean} options.trash - Whether the keys are moved to the trash
+ */
+const dropKeys = async (namespace, { trash }) => {
+    const now = Date.now();
+    await run(
+        `INSERT INTO key_history (namespace, key, version, operation, value, created_at)
+        SELECT namespace, key, version, 'delete', NULL, ? FROM key_value_store
+        WHERE namespace = ? AND ${NOT_EXPIRED}`,
+        [now, namespace, now]
+    );
+    if (trash) {
+        await moveToTrash(namespace, null, 'namespace_drop');
+    }
+    const { changes: removed } = await run('DELETE FROM key_value_store WHERE namespace = ?', [namespace]);
+    if (removed > 0) {
+        await recordChange('namespace_drop', namespace, null, null, null);
+    }
+};
+
+/**
+ * Reads the live keys of a namespace with their values and metadata, in key order
+ * @param {string} namespace - The namespace
+ */
+const readLiveRows = (namespace) => all(
+    `SELECT key, value, expires_at, content_type, tags FROM key_value_store
+    WHERE namespace = ? AND ${NOT_EXPIRED} ORDER BY key`,
+    [namespace, Date.now()]
+);
+
+/**
+ * Writes a key read by readLiveRows into another namespace, keeping its expiry, content type
+ * and tags. Must be called inside a transaction.
+ * @param {string} target - The namespace written to
+ * @param {Object} row - The row
+ * @param {Object} [options] - Preconditions of the write
+ * @returns {Promise<number>} - The new version of the key in the target namespace
+ */
+const writeRow = (target, row, options = {}) => writeValue(target, row.key, parseValue(row.key, row.value), {
+    ...options,
+    expiresAt: row.expires_at,
+    contentType: row.content_type,
+    tags: row.tags === null ? null : JSON.parse(row.tags)
+});
+
+/**
+ * Reads the keys of the source of a copy or rename, checking the target is empty
+ * @param {string} source - The namespace read from
+ * @param {any} target - The namespace written to
+ * @returns {Promise<Object[]>} - The rows of the source
+ * @throws {NotFoundError} - If the source has no keys
+ * @throws {ConflictError} - If the target has keys
+ */
+const readTransferSource = async (source, target) => {
+    validateNamespaceTransfer(source, target);
+    const rows = await readLiveRows(source);
+    if (rows.length === 0) {
+        throw new NotFoundError(`Namespace '${source}' has no keys`);
+    }
+    if (await get(`SELECT 1 FROM key_value_store WHERE namespace = ? AND ${NOT_EXPIRED} LIMIT 1`, [target, Date.now()])) {
+        throw new ConflictError(`Namespace '${target}' already has keys; merge into it instead`);
+    }
+    return rows;
+};
+
+/**
+ * Copies every key of a namespace into a new, empty namespace in one transaction. Values keep
+ * their expiry, content type and tags and start at version 1; schemas, indexes, webhooks and
+ * cache policies are not copied.
+ * @param {string} source - The namespace to copy
+ * @param {string} target - The namespace to create
+ * @returns {Promise<{copied: number}>} - The number of keys copied
+ * @throws {NotFoundError} - If the source has no keys
+ * @throws {ConflictError} - If the target has keys
+ */
+const copyNamespace = async (source, target) => {
+    return transaction(async () => {
+        try {
+            const rows = await readTransferSource(source, target);
+            for (const row of rows) {
+                await writeRow(target, row);
+            }
+            return { copied: rows.length };
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to copy namespace: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Moves every key of a namespace to a new, empty namespace in one transaction. The source is
+ * dropped without going to the trash; its schema, indexes, webhooks and cache policy stay with
+ * its name.
+ * @param {string} source - The namespace to rename
+ * @param {string} target - The new name
+ * @returns {Promise<{renamed: number}>} - The number of keys moved
+ * @throws {NotFoundError} - If the source has no keys
+ * @throws {ConflictError} - If the target has keys
+ */
+const renameNamespace = async (source, target) => {
+    return transaction(async () => {
+        try {
+            const rows = await readTransferSource(source, target);
+            for (const row of rows) {
+                await writeRow(target, row);
+            }
+            await dropKeys(source, { trash: false });
+            return { renamed: rows.length };
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to rename namespace: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Writes every key of a namespace into another in one transaction, leaving the source as is
+ * @param {string} source - The namespace to merge
+ * @param {string} target - The namespace merged into
+ * @param {Object} options - Merge options
+ * @param {'overwrite'|'keep-target'|'fail'} options.onConflict - What to do with keys that exist
+ * in both: replace the target value, leave it, or abort the merge
+ * @returns {Promise<{created: number, overwritten: number, skipped: number}>}
+ * @throws {ConflictError} - With onConflict 'fail', if a key exists in both
+ */
+const mergeNamespace = async (source, target, { onConflict } = {}) => {
+    validateNamespaceTransfer(source, target);
+    validateMergePolicy(onConflict);
+    return transaction(async () => {
+        try {
+            const result = { created: 0, overwritten: 0, skipped: 0 };
+            for (const row of await readLiveRows(source)) {
+                if (await currentVersion(target, row.key) === null) {
+                    await writeRow(target, row);
+                    result.created++;
+                } else if (onConflict === 'overwrite') {
+                    await writeRow(target, row);
+                    result.overwritten++;
+                } else if (onConflict === 'keep-target') {
+                    result.skipped++;
+                } else {
+                    throw new ConflictError(`Key '${row.key}' exists in namespace '${target}'`);
+                }
+            }
+            return result;
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            throw new Error(`Failed to merge namespace: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Gets the remaining time to live of a key
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to inspect
+ * @returns {Promise<number|null|undefined>} - Remaining seconds, null if the key never expires,
+ * or undefined if the key does not exist
+ */
+const getTtl = async (namespace, key) => {
+    try {
+        const now = Date.now();
+        const row = await get(
+            `SELECT expires_at FROM key_value_store WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+            [namespace, key, now]
+        );
+        if (!row) {
+            return undefined;
+        }
+        return row.expires_at === null ? null : (row.expires_at - now) / 1000;
+    } catch (error) {
+        throw new Error(`Failed to get TTL: ${error.message}`);
+    }
+};
+
+/**
+ * Changes the time to live of an existing key without touching its value
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to update
+ * @param {number|null} ttl - New time to live in seconds, or null to make the key persistent
+ * @returns {Promise<boolean>} - Whether the key existed and was updated
+ */
+const setTtl = async (namespace, key, ttl) => {
+    const expiresAt = toExpiresAt(ttl);
+    try {
+        return await transaction(async () => {
+            const { changes: updated } = await run(
+                `UPDATE key_value_store SET expires_at = ? WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`,
+                [expiresAt, namespace, key, Date.now()]
+            );
+            if (updated > 0) {
+                // The value was live until now either way, so its revision can take the new expiry
+                await run(
+                    `UPDATE key_history SET expires_at = ? WHERE revision = (
+                        SELECT MAX(revision) FROM key_history WHERE namespace = ? AND key = ?
+                    ) AND operation = 'set'`,
+                    [expiresAt, namespace, key]
+                );
+            }
+            return updated > 0;
+        });
+    } catch (error) {
+        throw new Error(`Failed to set TTL: ${error.message}`);
+    }
+};
+
+/**
+ * Permanently removes every key whose TTL has elapsed
+ * @returns {Promise<number>} - The number of keys removed
+ */
+const purgeExpired = async () => {
+    try {
+        return await transaction(async () => {
+            const { changes: removed } = await run(
+                'DELETE FROM key_value_store WHERE expires_at IS NOT NULL AND expires_at <= ?',
+                [Date.now()]
+            );
+            return removed;
+        });
+    } catch (error) {
+        throw new Error(`Failed to purge expired keys: ${error.message}`);
+    }
+};
+
+/**
+ * Converts a stored history row into a revision description
+ * @param {Object} row - The key_history row
+ * @param {boolean} withValue - Whether to include the stored value
+ */
+const toRevision = (row, withValue) => {
+    const revision = {
+        revision: row.revision,
+        version: row.version,
+        operation: row.operation,
+        timestamp: row.created_at
+    };
+    if (withValue) {
+        revision.value = row.value === null ? undefined : parseValue(row.key, row.value);
+    }
+    return revision;
+};
+
+/**
+ * Lists the recorded revisions of a key, newest first
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to inspect
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit] - Maximum number of revisions to return
+ * @param {number} [options.before] - Only return revisions older than this revision number
+ * @returns {Promise<Object[]>} - Revisions without their values
+ */
+const getHistory = async (namespace, key, options = {}) => {
+    try {
+        const rows = await all(
+            `SELECT revision, key, version, operation, created_at FROM key_history
+            WHERE namespace = ? AND key = ? AND revision < ?
+            ORDER BY revision DESC LIMIT ?`,
+            [namespace, key, options.before || Number.MAX_SAFE_INTEGER, options.limit || -1]
+        );
+        return rows.map(row => toRevision(row, false));
+    } catch (error) {
+        throw new Error(`Failed to get history: ${error.message}`);
+    }
+};
+
+/**
+ * Gets a single revision of a key including its value
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to inspect
+ * @param {number} revision - The revision number
+ * @returns {Promise<Object|undefined>} - The revision or undefined if it is not recorded
+ */
+const getRevision = async (namespace, key, revision) => {
+    try {
+        const row = await get(
+            'SELECT * FROM key_history WHERE namespace = ? AND key = ? AND revision = ?',
+            [namespace, key, revision]
+        );
+        return row ? toRevision(row, true) : undefined;
+    } catch (error) {
+        throw new Error(`Failed to get revision: ${error.message}`);
+    }
+};
+
+/**
+ * Reads a key as it was at a point in time
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to read
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {Promise<Object|undefined>} - The revision that was current at that time, or undefined
+ * if the key did not exist then (or its history has been pruned)
+ */
+const getValueAt = async (namespace, key, timestamp) => {
+    try {
+        const row = await get(
+            `SELECT * FROM key_history WHERE namespace = ? AND key = ? AND created_at <= ?
+            ORDER BY revision DESC LIMIT 1`,
+            [namespace, key, timestamp]
+        );
+        const live = row && row.operation === 'set' && (row.expires_at === null || row.expires_at > timestamp);
+        return live ? toRevision(row, true) : undefined;
+    } catch (error) {
+        throw new Error(`Failed to get value: ${error.message}`);
+    }
+};
+
+/**
+ * Writes the value of a prior revision back as the current value of the key
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key to restore
+ * @param {number} revision - The revision to restore
+ * @param {Object} [options] - Write options, as for setValue
+ * @returns {Promise<number>} - The new version of the key
+ */
+const restoreRevision = async (namespace, key, revision, options = {}) => {
+    const entry = await getRevision(namespace, key, revision);
+    if (!entry) {
+        throw new NotFoundError(`Revision ${revision} not found`);
+    }
+    if (entry.operation !== 'set') {
+        throw new ValidationError(`Revision ${revision} is a delete and holds no value`);
+    }
+    return setValue(namespace, key, entry.value, options);
+};
+
+/**
+ * Changes how much history is kept
+ * @param {Object} retention - New limits
+ * @param {number} [retention.maxRevisions] - Revisions kept per key
+ * @param {number} [retention.maxAge] - Maximum age of a revision in milliseconds
+ */
+const setHistoryRetention = ({ maxRevisions, maxAge }) => {
+    if (maxRevisions !== undefined) {
+        historyRetention.maxRevisions = maxRevisions;
+    }
+    if (maxAge !== undefined) {
+        historyRetention.maxAge = maxAge;
+    }
+};
+
+/**
+ * Removes history entries older than the retention age
+ * @returns {Promise<number>} - The number of entries removed
+ */
+const pruneHistory = async () => {
+    try {
+        return await transaction(async () => {
+            const { changes: removed } = await run(
+                'DELETE FROM key_history WHERE created_at < ?',
+                [Date.now() - historyRetention.maxAge]
+            );
+            return removed;
+        });
+    } catch (error) {
+        throw new Error(`Failed to prune history: ${error.message}`);
+    }
+};
+
+/**
+ * Converts a trash row into a description of the deleted key
+ * @param {Object} row - The trash row, with the size of its value
+ */
+const toTrashedKey = (row) => ({
+    id: row.id,
+    key: row.key,
+    version: row.version,
+    size: row.size,
+    reason: row.reason,
+    deletedAt: row.deleted_at,
+    purgeAt: row.deleted_at + trashRetention
+});
+
+/**
+ * Lists the namespaces holding deleted keys
+ * @returns {Promise<{namespace: string, keys: number, lastDeletedAt: number}[]>} - In name order;
+ * keys counts distinct keys
+ */
+const listTrashedNamespaces = async () => {
+    try {
+        return await all(
+            `SELECT namespace, COUNT(DISTINCT key) AS keys, MAX(deleted_at) AS lastDeletedAt
+            FROM trash GROUP BY namespace ORDER BY namespace`
+        );
+    } catch (error) {
+        throw new Error(`Failed to list trash: ${error.message}`);
+    }
+};
+
+/**
+ * Lists the deleted keys of a namespace, most recently deleted first. A key deleted several
+ * times appears once per deletion.
+ * @param {string} namespace - The namespace
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.key] - Only list deletions of this key
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @param {number} [options.before] - Only return entries with a smaller id
+ * @returns {Promise<Object[]>} - id, key, version, size, reason, and deletedAt and purgeAt in
+ * epoch milliseconds
+ */
+const listTrash = async (namespace, options = {}) => {
+    try {
+        const rows = await all(
+            `SELECT id, key, version, LENGTH(CAST(value AS BLOB)) AS size, reason, deleted_at FROM trash
+            WHERE namespace = ? AND (? IS NULL OR key = ?) AND id < ?
+            ORDER BY id DESC LIMIT ?`,
+            [namespace, options.key || null, options.key || null, options.before || Number.MAX_SAFE_INTEGER, options.limit || -1]
+        );
+        return rows.map(toTrashedKey);
+    } catch (error) {
+        throw new Error(`Failed to list trash: ${error.message}`);
+    }
+};
+
+/**
+ * Writes a trashed key back and removes it from the trash. A key whose expiry passed while it
+ * was in the trash is restored without one. Must be called inside a transaction.
+ * @param {Object} row - The trash row
+ * @returns {Promise<number>} - The new version of the key
+ * @throws {ConflictError} - If the key exists
+ */
+const restoreTrashRow = async (row) => {
+    try {
+        const version = await writeValue(row.namespace, row.key, parseValue(row.key, row.value), {
+            ifNoneMatch: '*',
+            expiresAt: row.expires_at !== null && row.expires_at <= Date.now() ? null : row.expires_at,
+            contentType: row.content_type,
+            tags: row.tags === null ? null : JSON.parse(row.tags)
+        });
+        await run('DELETE FROM trash WHERE id = ?', [row.id]);
+        return version;
+    } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+            throw new ConflictError(`Key '${row.key}' exists; delete it before restoring it from the trash`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Restores the most recently deleted value of a key
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key
+ * @returns {Promise<number>} - The new version of the key
+ * @throws {NotFoundError} - If the key is not in the trash
+ * @throws {ConflictError} - If the key exists
+ */
+const restoreTrashedKey = async (namespace, key) => {
+    return transaction(async () => {
+        const row = await get(
+            'SELECT * FROM trash WHERE namespace = ? AND key = ? ORDER BY id DESC LIMIT 1',
+            [namespace, key]
+        );
+        if (!row) {
+            throw new NotFoundError(`Key '${key}' is not in the trash of namespace '${namespace}'`);
+        }
+        return restoreTrashRow(row);
+    });
+};
+
+/**
+ * Restores the most recently deleted value of every trashed key of a namespace, leaving keys
+ * that exist again alone
+ * @param {string} namespace - The namespace
+ * @returns {Promise<{restored: number, skipped: number}>}
+ */
+const restoreTrashedNamespace = async (namespace) => {
+    return transaction(async () => {
+        const rows = await all(
+            `SELECT * FROM trash WHERE id IN (SELECT MAX(id) FROM trash WHERE namespace = ? GROUP BY key)
+            ORDER BY key`,
+            [namespace]
+        );
+        const result = { restored: 0, skipped: 0 };
+        for (const row of rows) {
+            if (await currentVersion(namespace, row.key) !== null) {
+                result.skipped++;
+            } else {
+                await restoreTrashRow(row);
+                result.restored++;
+            }
+        }
+        return result;
+    });
+};
+
+/**
+ * Permanently removes deleted keys from the trash
+ * @param {string} namespace - The namespace
+ * @param {string} [key] - Only purge this key; the whole trash of the namespace when omitted
+ * @returns {Promise<number>} - The number of entries removed
+ */
+const purgeTrash = async (namespace, key) => {
+    try {
+        return await transaction(async () => {
+            const { changes: removed } = await run(
+                'DELETE FROM trash WHERE namespace = ? AND (? IS NULL OR key = ?)',
+                [namespace, key === undefined ? null : key, key === undefined ? null : key]
+            );
+            return removed;
+        });
+    } catch (error) {
+        throw new Error(`Failed to purge trash: ${error.message}`);
+    }
+};
+
+/**
+ * Changes how long deleted keys stay in the trash
+ * @param {number} maxAge - Milliseconds
+ */
+const setTrashRetention = (maxAge) => {
+    trashRetention = maxAge;
+};
+
+/**
+ * Purges the deleted keys older than the trash retention
+ * @returns {Promise<number>} - The number of entries removed
+ */
+const pruneTrash = async () => {
+    try {
+        return await transaction(async () => {
+            const { changes: removed } = await run('DELETE FROM trash WHERE deleted_at < ?', [Date.now() - trashRetention]);
+            return removed;
+        });
+    } catch (error) {
+        throw new Error(`Failed to prune trash: ${error.message}`);
+    }
+};
+
+/**
+ * Reads logged changes of a namespace after a given sequence number, oldest first
+ * @param {string} namespace - The namespace to read changes of
+ * @param {Object} [options] - Filter options
+ * @param {number} [options.after] - Only return changes with a greater sequence number
+ * @param {string} [options.prefix] - Only return key changes whose key starts with this prefix
+ * (namespace drops and resets are always returned)
+ * @param {number} [options.limit] - Maximum number of changes to return
+ * @returns {Promise<Object[]>} - Change events
+ */
+const getChanges = async (namespace, options = {}) => {
+    try {
+        const prefix = options.prefix || '';
+        const rows = await all(
+            `SELECT * FROM change_log WHERE namespace = ? AND seq > ?
+            AND (key IS NULL OR substr(key, 1, ?) = ?)
+            ORDER BY seq LIMIT ?`,
+            [namespace, options.after || 0, prefix.length, prefix, options.limit || -1]
+        );
+        return rows.map(toChange);
+    } catch (error) {
+        throw new Error(`Failed to get changes: ${error.message}`);
+    }
+};
+
+/**
+ * Replaces the database with a snapshot, then logs a reset change for every namespace that had
+ * keys before or has keys after it, so change feeds and webhooks learn that the changes they saw
+ * no longer describe its content. The change log keeps its live rows, like the API keys and the
+ * audit log, so sequence numbers keep growing.
+ * @param {string} file - The snapshot
+ */
+const restoreDatabase = (file) => exclusive(async () => {
+    const liveNamespaces = async () => (await all('SELECT DISTINCT namespace FROM key_value_store'))
+        .map(row => row.namespace);
+    const replaced = await liveNamespaces();
+    await restoreFrom(file);
+    const namespaces = [...new Set([...replaced, ...await liveNamespaces()])].sort();
+    pendingChanges = [];
+    try {
+        await run('BEGIN IMMEDIATE');
+        for (const namespace of namespaces) {
+            await recordChange('reset', namespace, null, null, null);
+        }
+        await run('COMMIT');
+    } catch (error) {
+        pendingChanges = [];
+        await run('ROLLBACK').catch(() => {});
+        throw new Error(`Failed to log the restore: ${error.message}`);
+    }
+    const committed = pendingChanges;
+    pendingChanges = [];
+    committed.forEach(change => changes.emit('change', change));
+});
+
+/**
+ * Tells where the change log starts: the sequence number of the oldest change still logged, or
+ * the one the next change will get when the log is empty. A change feed resuming after an
+ * earlier sequence number has missed changes that were pruned.
+ * @returns {Promise<number>}
+ */
+const getChangeLogStart = async () => {
+    try {
+        const { start } = await get(
+            `SELECT COALESCE(
+                (SELECT MIN(seq) FROM change_log),
+                (SELECT seq + 1 FROM sqlite_sequence WHERE name = 'change_log'),
+                1
+            ) AS start`
+        );
+        return start;
+    } catch (error) {
+        throw new Error(`Failed to read change log: ${error.message}`);
+    }
+};
+
+/**
+ * Changes how many recent change events are kept for resuming change feeds
+ * @param {number} count - Number of change events to keep
+ */
+const setChangeLogRetention = (count) => {
+    changeLogRetention = count;
+};
+
+/**
+ * Removes change events beyond the change log retention
+ * @returns {Promise<number>} - The number of events removed
+ */
+const pruneChangeLog = async () => {
+    try {
+        return await transaction(async () => {
+            const { changes: removed } = await run(
+                'DELETE FROM change_log WHERE seq <= (SELECT MAX(seq) FROM change_log) - ?',
+                [changeLogRetention]
+            );
+            return removed;
+        });
+    } catch (error) {
+        throw new Error(`Failed to prune change log: ${error.message}`);
+    }
+};
+
+/**
+ * Purges expired keys, history older than the retention age, change events beyond the
+ * change log retention and deleted keys past the trash retention. Expired keys are already
+ * invisible to reads; sweeping only reclaims their storage.
+ */
+const sweep = async () => {
+    await purgeExpired();
+    await pruneHistory();
+    await pruneChangeLog();
+    await pruneTrash();
+};
+
+/**
+ * Applies the storage configuration
+ * @param {Object} config - Storage configuration (see lib/storage.js)
+ * @param {number} [config.groupCommitWindow] - Milliseconds a group commit waits for more writes
+ */
+const open = (config) => {
+    if (config.groupCommitWindow !== undefined) {
+        if (!Number.isInteger(config.groupCommitWindow) || config.groupCommitWindow < 0) {
+            throw new ValidationError('groupCommitWindow must be a non-negative integer number of milliseconds');
+        }
+        groupCommitWindow = config.groupCommitWindow;
+    }
+};
+
+/**
+ * Waits for queued writes to finish; the connection itself belongs to lib/db.js
+ */
+const close = async () => exclusive(async () => {});
+
+module.exports = { 
+    setValue, 
+    getValue, 
+    getEntry,
+    getMetadata,
+    compareAndSet,
+    patchValue,
+    incrementValue,
+    appendValues,
+    removeValues,
+    setIfAbsent,
+    deleteValue, 
+    batch,
+    getNamespaces, 
+    getNamespaceSizes,
+    getNamespaceStats,
+    listKeys,
+    listNamespaces,
+    queryValues,
+    createIndex,
+    listIndexes,
+    dropIndex,
+    rebuildIndex,
+    findByIndex,
+    deleteNamespace, 
+    copyNamespace,
+    renameNamespace,
+    mergeNamespace,
+    getTtl,
+    setTtl,
+    purgeExpired,
+    getHistory,
+    getRevision,
+    getValueAt,
+    restoreRevision,
+    setHistoryRetention,
+    pruneHistory,
+    listTrashedNamespaces,
+    listTrash,
+    restoreTrashedKey,
+    restoreTrashedNamespace,
+    purgeTrash,
+    setTrashRetention,
+    pruneTrash,
+    changes,
+    getChanges,
+    getChangeLogStart,
+    restoreDatabase,
+    setChangeLogRetention,
+    pruneChangeLog,
+    sweep,
+    open,
+    close
+};
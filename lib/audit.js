@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { defineSchema, keepOnRestore, run, all, exclusive } = require('./db');
+const { readEntry, setTransactionWrapper } = require('./storage');
+const { ValidationError } = require('./errors');
+
+const settings = {
+    // Maximum age of an audit entry (milliseconds); older entries are pruned
+    maxAge: (parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365) * 24 * 60 * 60 * 1000,
+    // Interval between prunings of the audit log (milliseconds)
+    pruneInterval: 60 * 60 * 1000
+};
+
+// Largest page GET /api/_audit returns
+const MAX_AUDIT_PAGE_SIZE = 1000;
+
+// Request IDs accepted from clients through X-Request-ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+let pruneTimer = null;
+
+// Audit context of the request being handled, shared by the code running for it
+const auditedRequests = new AsyncLocalStorage();
+
+// Requests whose entries may still be written once they are answered
+const pendingRequests = new Set();
+
+// Initialize the audit schema
+defineSchema((db) => {
+    // One row per key (or namespace) a mutating request targeted, whatever its outcome.
+    // before_hash and after_hash are SHA-256 hashes of the serialized value, NULL when absent.
+    db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at INTEGER NOT NULL,
+        request_id TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        api_key_id INTEGER,
+        client_ip TEXT,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        operation TEXT NOT NULL,
+        namespace TEXT,
+        key TEXT,
+        before_hash TEXT,
+        after_hash TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_namespace ON audit_log (namespace, key, id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)');
+    // Entries are never changed; only the retention pruning removes them
+    db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_append_only BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END`);
+});
+
+// A restore does not rewind the record of what happened, including the restore itself
+keepOnRestore('audit_log');
+
+/**
+ * Middleware giving every request an ID, taken from X-Request-ID when the client sent a valid
+ * one, and echoing it in the response
+ */
+const assignRequestId = (req, res, next) => {
+    const supplied = req.get('X-Request-ID');
+    req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+    res.set('X-Request-ID', req.id);
+    next();
+};
+
+/**
+ * Hashes the stored value of a key, read past the cache so audit reads neither see stale
+ * entries nor skew its statistics
+ * @param {string} namespace - The namespace
+ * @param {string} key - The key
+ * @returns {Promise<string|null>} - SHA-256 hex digest of the serialized value, null if the key
+ * does not exist or cannot be read
+ */
+const hashValue = async (namespace, key) => {
+    try {
+        const entry = await readEntry(namespace, key);
+        return entry ? crypto.createHash('sha256').update(JSON.stringify(entry.value)).digest('hex') : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Lists what a request targets by default: the namespace and key in its route parameters
+ * @param {import('express').Request} req - The request
+ * @returns {{namespace: string|undefined, key: string|undefined}[]}
+ */
+const routeTargets = (req) => [{ namespace: req.params.namespace, key: req.params.id }];
+
+/**
+ * Hashes the value of every targeted key
+ * @param {Object[]} targeted - The { namespace, key } targets
+ * @returns {Promise<(string|null)[]>} - The hashes, null for targets without a key
+ */
+const hashTargets = (targeted) => Promise.all(targeted.map(target =>
+    (target.key === undefined ? null : hashValue(target.namespace, target.key))
+));
+
+/**
+ * Builds the audit entries of a request, one per target
+ * @param {Object} context - The audit context of the request
+ * @param {number} status - The response status recorded
+ * @param {(string|null)[]} before - Hashes of the targeted values before the request
+ * @param {(string|null)[]} after - Hashes of the targeted values after it
+ * @returns {Object[]} - Entries with the audit_log columns in camel case
+ */
+const toEntries = ({ req, targeted, clientIp }, status, before, after) => {
+    const createdAt = Date.now();
+    return targeted.map((target, index) => ({
+        createdAt,
+        requestId: req.id || crypto.randomUUID(),
+        actor: req.apiKey ? req.apiKey.name : 'anonymous',
+        apiKeyId: req.apiKey ? req.apiKey.id : null,
+        clientIp,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status,
+        operation: target.operation,
+        namespace: target.namespace === undefined ? null : target.namespace,
+        key: target.key === undefined ? null : target.key,
+        beforeHash: before[index],
+        afterHash: after[index]
+    }));
+};
+
+/**
+ * Inserts entries into the audit log; the caller holds exclusive write access
+ * @param {Object[]} entries - Entries with the audit_log columns in camel case
+ */
+const insertEntries = async (entries) => {
+    for (const entry of entries) {
+        await run(
+            `INSERT INTO audit_log (created_at, request_id, actor, api_key_id, client_ip, method, path, status,
+                operation, namespace, key, before_hash, after_hash)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.createdAt, entry.requestId, entry.actor, entry.apiKeyId, entry.clientIp, entry.method,
+                entry.path, entry.status, entry.operation, entry.namespace, entry.key, entry.beforeHash,
+                entry.afterHash
+            ]
+        );
+    }
+};
+
+// The first transaction run for a request that targets keys writes its audit entries, with the
+// hashes read inside the transaction, so they commit with the mutation or not at all. Entries
+// written this way record the status the request answers with the result of the transaction.
+setTransactionWrapper((task) => {
+    const context = auditedRequests.getStore();
+    if (!context || !context.targeted.some(target => target.key !== undefined)) {
+        return task;
+    }
+    return async () => {
+        if (context.recorded) {
+            return task();
+        }
+        const before = await hashTargets(context.targeted);
+        const result = await task();
+        await insertEntries(toEntries(context, context.status(result), before, await hashTargets(context.targeted)));
+        context.recorded = true;
+        return result;
+    };
+});
+
+/**
+ * Creates middleware recording a mutating request in the audit log. A request whose keys change
+ * in a transaction is recorded inside it; any other request, such as a denied or failed one, is
+ * recorded once it has been answered, with the values hashed before it runs and after its response.
+ * @param {string} operation - The operation recorded, e.g. 'set' or 'namespace.delete'
+ * @param {Function} [targets] - Lists the { namespace, key, operation? } the request changes;
+ * defaults to the namespace and id route parameters
+ * @param {Object} [options] - Recording options
+ * @param {Function} [options.status] - Gives the status the request answers with the result of
+ * its key transaction, recorded by the entries written inside it; defaults to 200
+ */
+const audited = (operation, targets = routeTargets, { status = () => 200 } = {}) => async (req, res, next) => {
+    let targeted;
+    try {
+        targeted = targets(req).map(target => ({ operation, ...target }));
+    } catch {
+        targeted = [{ operation }];
+    }
+    // The socket, and with it the client address, may be gone by the time the response closes
+    const context = { req, targeted, clientIp: req.ip || null, status, recorded: false };
+    let settle;
+    const pending = new Promise((resolve) => {
+        settle = resolve;
+    });
+    pendingRequests.add(pending);
+    const before = await hashTargets(targeted);
+    // close also fires when the client went away before the response was sent
+    res.once('close', async () => {
+        try {
+            // A request failing after its entries were written failed to commit them
+            if (context.recorded && res.statusCode < 400) {
+                return;
+            }
+            const after = await hashTargets(targeted);
+            await exclusive(() => insertEntries(toEntries(context, res.statusCode, before, after)));
+        } catch (error) {
+            console.error(`Failed to write audit log: ${error.message}`);
+        } finally {
+            pendingRequests.delete(pending);
+            settle();
+        }
+    });
+    auditedRequests.run(context, next);
+};
+
+/**
+ * Waits until the entries of the requests being handled are written, e.g. before the database
+ * is closed
+ */
+const flushAuditLog = async () => {
+    while (pendingRequests.size > 0) {
+        await Promise.all(pendingRequests);
+    }
+};
+
+/**
+ * Converts an audit_log row into an audit entry
+ * @param {Object} row - The audit_log row
+ */
+const toAuditEntry = (row) => ({
+    id: row.id,
+    timestamp: new Date(row.created_at).toISOString(),
+    requestId: row.request_id,
+    actor: row.actor,
+    apiKeyId: row.api_key_id,
+    clientIp: row.client_ip,
+    method: row.method,
+    path: row.path,
+    status: row.status,
+    operation: row.operation,
+    namespace: row.namespace,
+    key: row.key,
+    beforeHash: row.before_hash,
+    afterHash: row.after_hash
+});
+
+/**
+ * Encodes the position after an audit entry as an opaque cursor
+ * @param {number} id - The id of the last entry returned
+ */
+const encodeAuditCursor = (id) => Buffer.from(JSON.stringify({ before: id })).toString('base64url');
+
+/**
+ * Decodes a cursor produced by encodeAuditCursor
+ * @param {string} cursor - The cursor supplied by the client
+ * @returns {number}
+ * @throws {ValidationError} - If the cursor is malformed
+ */
+const decodeAuditCursor = (cursor) => {
+    try {
+        const { before } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(before)) {
+            return before;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new ValidationError('Invalid cursor');
+};
+
+// Filters of an audit query and the conditions they add
+const AUDIT_FILTERS = {
+    namespace: 'namespace = ?',
+    key: 'key = ?',
+    operation: 'operation = ?',
+    actor: 'actor = ?',
+    apiKeyId: 'api_key_id = ?',
+    requestId: 'request_id = ?',
+    clientIp: 'client_ip = ?',
+    since: 'created_at >= ?',
+    until: 'created_at < ?'
+};
+
+/**
+ * Lists audit entries newest first, one page at a time
+ * @param {Object} [options] - Query options
+ * @param {string} [options.namespace] - Only entries of this namespace
+ * @param {string} [options.key] - Only entries of this key
+ * @param {string} [options.operation] - Only this operation
+ * @param {string} [options.actor] - Only requests made with the API key of this name
+ * @param {number} [options.apiKeyId] - Only requests made with this API key
+ * @param {string} [options.requestId] - Only entries of this request
+ * @param {string} [options.clientIp] - Only requests from this address
+ * @param {number} [options.since] - Only entries at or after this time (epoch milliseconds)
+ * @param {number} [options.until] - Only entries before this time (epoch milliseconds)
+ * @param {number} [options.limit] - Page size (default 100, at most 1000)
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @returns {Promise<{entries: Object[], nextCursor: string|null}>}
+ */
+const queryAuditLog = async (options = {}) => {
+    const limit = Math.min(options.limit || 100, MAX_AUDIT_PAGE_SIZE);
+    const conditions = [];
+    const params = [];
+    Object.entries(AUDIT_FILTERS).forEach(([name, condition]) => {
+        if (options[name] !== undefined) {
+            conditions.push(condition);
+            params.push(options[name]);
+        }
+    });
+    if (options.cursor !== undefined) {
+        conditions.push('id < ?');
+        params.push(decodeAuditCursor(options.cursor));
+    }
+    try {
+        const rows = await all(
+            `SELECT * FROM audit_log ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY id DESC LIMIT ?`,
+            [...params, limit + 1]
+        );
+        const page = rows.slice(0, limit);
+        return {
+            entries: page.map(toAuditEntry),
+            nextCursor: rows.length > limit ? encodeAuditCursor(page[page.length - 1].id) : null
+        };
+    } catch (error) {
+        throw new Error(`Failed to query audit log: ${error.message}`);
+    }
+};
+
+/**
+ * Changes how long audit entries are kept
+ * @param {Object} retention - New limits
+ * @param {number} [retention.maxAge] - Maximum age of an entry in milliseconds
+ */
+const setAuditRetention = ({ maxAge }) => {
+    if (maxAge !== undefined) {
+        settings.maxAge = maxAge;
+    }
+};
+
+/**
+ * Removes audit entries older than the retention age
+ * @returns {Promise<number>} - The number of entries removed
+ */
+const pruneAuditLog = async () => {
+    try {
+        const { changes } = await exclusive(() => run(
+            'DELETE FROM audit_log WHERE created_at < ?',
+            [Date.now() - settings.maxAge]
+        ));
+        return changes;
+    } catch (error) {
+        throw new Error(`Failed to prune audit log: ${error.message}`);
+    }
+};
+
+/**
+ * Starts pruning the audit log periodically
+ */
+const startAuditPruner = () => {
+    stopAuditPruner();
+    pruneTimer = setInterval(() => {
+        pruneAuditLog().catch(error => console.error(error.message));
+    }, settings.pruneInterval);
+    // Do not keep the process alive just for the pruner
+    pruneTimer.unref();
+};
+
+/**
+ * Stops the audit log pruner if it is running
+ */
+const stopAuditPruner = () => {
+    if (pruneTimer) {
+        clearInterval(pruneTimer);
+        pruneTimer = null;
+    }
+};
+
+module.exports = {
+    assignRequestId,
+    audited,
+    routeTargets,
+    flushAuditLog,
+    queryAuditLog,
+    setAuditRetention,
+    pruneAuditLog,
+    startAuditPruner,
+    stopAuditPruner
+};
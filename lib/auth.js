@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { defineSchema, keepOnRestore, run, get, all, exclusive } = require('./db');
+const { ValidationError, AuthenticationError, ForbiddenError, sendProblem } = require('./errors');
+
+// Permissions in increasing order; each one includes the ones before it
+const PERMISSIONS = ['read', 'write', 'admin'];
+
+const settings = {
+    // Authentication is on unless explicitly disabled, e.g. for local development
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    // Bootstrap key with admin access to every namespace, used to create the first API keys
+    adminKey: process.env.ADMIN_API_KEY || null
+};
+
+// Initialize the API key schema
+defineSchema((db) => {
+    // Only a SHA-256 hash of each key is stored; scopes is a JSON list of { namespace, permission }
+    db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        revoked_at INTEGER
+    )`);
+});
+
+// A restore neither brings revoked keys back nor drops the keys created since the backup
+keepOnRestore('api_keys');
+
+/**
+ * Hashes an API key for storage and lookup
+ * @param {string} key - The plaintext API key
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Compares a presented key with the bootstrap admin key in constant time; comparing their
+ * hashes gives buffers of equal length whatever the lengths of the keys
+ * @param {string} key - The plaintext key presented by a client
+ */
+const isAdminKey = (key) => settings.adminKey !== null &&
+    crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(settings.adminKey), 'hex'));
+
+/**
+ * Converts an api_keys row into its public description; the key itself is never returned
+ * @param {Object} row - The api_keys row
+ */
+const toApiKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    createdAt: new Date(row.created_at).toISOString(),
+    revokedAt: row.revoked_at === null ? null : new Date(row.revoked_at).toISOString()
+});
+
+/**
+ * Validates the scopes of a new API key
+ * @param {any} scopes - Scopes supplied by the caller
+ * @throws {ValidationError} - If the scopes are malformed
+ */
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new ValidationError('scopes must be a non-empty list of { namespace, permission }');
+    }
+    scopes.forEach(scope => {
+        if (!scope || typeof scope.namespace !== 'string' || scope.namespace.length === 0) {
+            throw new ValidationError('Every scope needs a namespace pattern, e.g. "orders" or "staging_*"');
+        }
+        if (!PERMISSIONS.includes(scope.permission)) {
+            throw new ValidationError(`Scope permission must be one of: ${PERMISSIONS.join(', ')}`);
+        }
+    });
+};
+
+/**
+ * Creates an API key
+ * @param {string} name - Human readable name of the key
+ * @param {Object[]} scopes - Namespace patterns ("*" matches any characters) and their permission
+ * @returns {Promise<Object>} - The key description including the plaintext key, which is not
+ * retrievable afterwards
+ */
+const createApiKey = async (name, scopes) => {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new ValidationError('name is required');
+    }
+    validateScopes(scopes);
+    const key = `cs_${crypto.randomBytes(24).toString('hex')}`;
+    const row = {
+        name: name.trim(),
+        key_prefix: key.slice(0, 10),
+        scopes: JSON.stringify(scopes.map(({ namespace, permission }) => ({ namespace, permission }))),
+        created_at: Date.now(),
+        revoked_at: null
+    };
+    try {
+        const { lastID } = await exclusive(() => run(
+            'INSERT INTO api_keys (name, key_hash, key_prefix, scopes, created_at) VALUES (?, ?, ?, ?, ?)',
+            [row.name, hashKey(key), row.key_prefix, row.scopes, row.created_at]
+        ));
+        return { ...toApiKey({ ...row, id: lastID }), key };
+    } catch (error) {
+        throw new Error(`Failed to create API key: ${error.message}`);
+    }
+};
+
+/**
+ * Lists every API key, including revoked ones
+ * @returns {Promise<Object[]>}
+ */
+const listApiKeys = async () => {
+    try {
+        const rows = await all('SELECT * FROM api_keys ORDER BY id');
+        return rows.map(toApiKey);
+    } catch (error) {
+        throw new Error(`Failed to list API keys: ${error.message}`);
+    }
+};
+
+/**
+ * Revokes an API key; revoked keys are kept for reference but no longer authenticate
+ * @param {number} id - The key id
+ * @returns {Promise<boolean>} - Whether an active key was revoked
+ */
+const revokeApiKey = async (id) => {
+    try {
+        const { changes } = await exclusive(() => run(
+            'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+            [Date.now(), id]
+        ));
+        return changes > 0;
+    } catch (error) {
+        throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+};
+
+/**
+ * Looks up the active API key matching a plaintext key
+ * @param {string} key - The plaintext key presented by a client
+ * @returns {Promise<Object|undefined>} - The key description, or undefined if unknown or revoked
+ */
+const findApiKey = async (key) => {
+    if (isAdminKey(key)) {
+        return { id: null, name: 'admin', scopes: [{ namespace: '*', permission: 'admin' }] };
+    }
+    try {
+        const row = await get('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [hashKey(key)]);
+        return row ? toApiKey(row) : undefined;
+    } catch (error) {
+        throw new Error(`Failed to look up API key: ${error.message}`);
+    }
+};
+
+/**
+ * Tests whether a namespace matches a scope pattern, where "*" matches any characters
+ * @param {string} pattern - The scope pattern
+ * @param {string} namespace - The namespace
+ */
+const matchesPattern = (pattern, namespace) => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(namespace);
+};
+
+/**
+ * Checks whether an API key grants a permission on a namespace
+ * @param {Object} apiKey - The authenticated key
+ * @param {'read'|'write'|'admin'} permission - The permission needed
+ * @param {string} [namespace] - The namespace; when omitted, the permission is needed on every
+ * namespace (a "*" scope)
+ * @returns {boolean}
+ */
+const can = (apiKey, permission, namespace) => {
+    const needed = PERMISSIONS.indexOf(permission);
+    return apiKey.scopes.some(scope =>
+        PERMISSIONS.indexOf(scope.permission) >= needed &&
+        (namespace === undefined ? scope.namespace === '*' : matchesPattern(scope.namespace, namespace))
+    );
+};
+
+// Change feeds, relative to the /api mount point. EventSource cannot send headers, so they
+// also take the key as an access_token query parameter; everywhere else it would end up in
+// URLs and access logs.
+const CHANGE_FEED_PATH = /^\/[^/]+\/_watch$/;
+
+/**
+ * Express middleware resolving the bearer API key of a request into req.apiKey.
+ * Responds 401 when credentials are missing or invalid.
+ */
+const authenticate = async (req, res, next) => {
+    if (!settings.enabled) {
+        return next();
+    }
+    const header = req.get('Authorization') || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    const tokenAllowed = req.method === 'GET' && CHANGE_FEED_PATH.test(req.path);
+    res.set('WWW-Authenticate', 'Bearer realm="c-store"');
+    if (!match && req.query.access_token !== undefined && !tokenAllowed) {
+        return sendProblem(res, new AuthenticationError('access_token is only accepted by change feeds; send the key in the Authorization header'));
+    }
+    const key = match ? match[1] : req.query.access_token;
+    if (typeof key !== 'string' || key.length === 0) {
+        return sendProblem(res, new AuthenticationError('Missing API key'));
+    }
+    try {
+        const apiKey = await findApiKey(key);
+        if (!apiKey) {
+            return sendProblem(res, new AuthenticationError('Invalid or revoked API key'));
+        }
+        res.removeHeader('WWW-Authenticate');
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        sendProblem(res, error);
+    }
+};
+
+/**
+ * Creates middleware requiring a permission on the namespace in req.params.namespace, or on every
+ * namespace for routes without one. Responds 403 when the API key lacks it.
+ * @param {'read'|'write'|'admin'} permission - The permission needed
+ */
+const authorize = (permission) => (req, res, next) => {
+    if (!settings.enabled || can(req.apiKey, permission, req.params.namespace)) {
+        return next();
+    }
+    const target = req.params.namespace === undefined ? 'all namespaces' : `namespace '${req.params.namespace}'`;
+    sendProblem(res, new ForbiddenError(`API key lacks ${permission} permission on ${target}`));
+};
+
+/**
+ * Changes authentication settings
+ * @param {Object} options - Settings to change
+ * @param {boolean} [options.enabled] - Whether API keys are required
+ * @param {string|null} [options.adminKey] - Bootstrap admin key
+ */
+const configureAuth = (options) => {
+    Object.keys(settings).forEach(name => {
+        if (options[name] !== undefined) {
+            settings[name] = options[name];
+        }
+    });
+};
+
+/**
+ * Tells whether API keys are currently required
+ */
+const isAuthEnabled = () => settings.enabled;
+
+module.exports = {
+    PERMISSIONS,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    findApiKey,
+    can,
+    authenticate,
+    authorize,
+    configureAuth,
+    isAuthEnabled
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { backupDatabase, restoreDatabase } = require('./storage');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+// BACKUP_RETENTION, NaN when unset or malformed; 0 keeps only the backup just taken
+const configuredRetention = parseInt(process.env.BACKUP_RETENTION, 10);
+
+const settings = {
+    // Directory the snapshots are written to
+    directory: process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups'),
+    // Number of snapshots kept; the oldest are deleted after every backup
+    retention: configuredRetention >= 0 ? configuredRetention : 7
+};
+
+// Snapshot files are named cstore-<id>.db, the id being the UTC time of the backup
+const BACKUP_ID_PATTERN = /^\d{8}T\d{9}Z(-\d+)?$/;
+const BACKUP_FILE_PATTERN = /^cstore-(\d{8}T\d{9}Z(?:-\d+)?)\.db$/;
+
+let backupTimer = null;
+
+// Tail of the queue of backup tasks; backups, restores and rotations run one at a time
+let backupQueue = Promise.resolve();
+
+/**
+ * Runs a task after the backup tasks queued before it
+ * @param {Function} task - Async function
+ * @returns {Promise<any>} - The result of the task
+ */
+const queued = (task) => {
+    const result = backupQueue.then(() => task());
+    backupQueue = result.catch(() => {});
+    return result;
+};
+
+/**
+ * Gives the file holding a snapshot
+ * @param {string} id - The backup id
+ */
+const backupFile = (id) => path.join(settings.directory, `cstore-${id}.db`);
+
+/**
+ * Gives the file holding the SHA-256 checksum of a snapshot, in the sha256sum format
+ * @param {string} id - The backup id
+ */
+const checksumFile = (id) => `${backupFile(id)}.sha256`;
+
+/**
+ * Reads the time of a backup from its id
+ * @param {string} id - The backup id, e.g. 20261019T120000123Z
+ * @returns {string} - ISO 8601 time
+ */
+const backupTime = (id) => id.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z.*$/, '$1-$2-$3T$4:$5:$6.$7Z');
+
+/**
+ * Hashes a file
+ * @param {string} file - The file
+ * @returns {Promise<string>} - SHA-256 hex digest
+ */
+const hashFile = async (file) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    return hash.digest('hex');
+};
+
+/**
+ * Reads the checksum recorded for a snapshot
+ * @param {string} id - The backup id
+ * @returns {Promise<string|null>} - SHA-256 hex digest, null if none was recorded
+ */
+const readChecksum = async (id) => {
+    try {
+        return (await fs.promises.readFile(checksumFile(id), 'utf8')).split(/\s/)[0] || null;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Checks a backup id supplied by a caller and that its snapshot exists
+ * @param {any} id - The backup id
+ * @throws {ValidationError} - If the id is malformed
+ * @throws {NotFoundError} - If there is no such backup
+ */
+const checkBackup = async (id) => {
+    if (typeof id !== 'string' || !BACKUP_ID_PATTERN.test(id)) {
+        throw new ValidationError('Backup ids look like 20261019T120000123Z');
+    }
+    try {
+        return await fs.promises.stat(backupFile(id));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new NotFoundError(`Backup '${id}' not found`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lists the available backups, newest first
+ * @returns {Promise<{id: string, createdAt: string, size: number, sha256: string|null}[]>}
+ */
+const listBackups = async () => {
+    let files;
+    try {
+        files = await fs.promises.readdir(settings.directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw new Error(`Failed to list backups: ${error.message}`);
+    }
+    const ids = files
+        .map(file => BACKUP_FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort()
+        .reverse();
+    return Promise.all(ids.map(async (id) => ({
+        id,
+        createdAt: backupTime(id),
+        size: (await fs.promises.stat(backupFile(id))).size,
+        sha256: await readChecksum(id)
+    })));
+};
+
+/**
+ * Deletes the oldest backups beyond the retention count
+ * @param {string[]} [keep] - Ids never deleted
+ * @returns {Promise<string[]>} - The ids deleted
+ */
+const rotateBackups = async (keep = []) => {
+    const expired = (await listBackups()).slice(settings.retention).filter(({ id }) => !keep.includes(id));
+    for (const { id } of expired) {
+        await fs.promises.rm(checksumFile(id), { force: true });
+        await fs.promises.rm(backupFile(id), { force: true });
+    }
+    return expired.map(({ id }) => id);
+};
+
+/**
+ * Takes a snapshot and records its checksum. The snapshot is written under a temporary name
+ * and renamed once complete, so listings never show a partial file.
+ * @returns {Promise<Object>} - The backup, as listed by listBackups
+ */
+const takeBackup = async () => {
+    await fs.promises.mkdir(settings.directory, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+    let id = timestamp;
+    for (let suffix = 1; fs.existsSync(backupFile(id)); suffix++) {
+        id = `${timestamp}-${suffix}`;
+    }
+    const partial = `${backupFile(id)}.partial`;
+    await fs.promises.rm(partial, { force: true });
+    try {
+        await backupDatabase(partial);
+        const sha256 = await hashFile(partial);
+        await fs.promises.writeFile(checksumFile(id), `${sha256}  ${path.basename(backupFile(id))}\n`);
+        await fs.promises.rename(partial, backupFile(id));
+        return { id, createdAt: backupTime(id), size: (await fs.promises.stat(backupFile(id))).size, sha256 };
+    } catch (error) {
+        await fs.promises.rm(partial, { force: true });
+        await fs.promises.rm(checksumFile(id), { force: true });
+        throw error;
+    }
+};
+
+/**
+ * Takes a consistent snapshot of the live database into the backup directory, then deletes the
+ * backups beyond the retention count
+ * @returns {Promise<{id: string, createdAt: string, size: number, sha256: string}>}
+ */
+const createBackup = () => queued(async () => {
+    const backup = await takeBackup();
+    await rotateBackups([backup.id]);
+    return backup;
+});
+
+/**
+ * Recomputes the checksum of a backup and compares it with the recorded one
+ * @param {string} id - The backup id
+ * @returns {Promise<{id: string, createdAt: string, size: number, sha256: string|null, valid: boolean}>}
+ * - valid is false when the file changed or no checksum was recorded
+ * @throws {NotFoundError} - If there is no such backup
+ */
+const verifyBackup = async (id) => {
+    const { size } = await checkBackup(id);
+    const [expected, actual] = await Promise.all([readChecksum(id), hashFile(backupFile(id))]);
+    return { id, createdAt: backupTime(id), size, sha256: expected, valid: expected !== null && expected === actual };
+};
+
+/**
+ * Replaces the live database with a backup after verifying its checksum. The database is first
+ * backed up itself, so the restore can be undone by restoring that backup.
+ * @param {string} id - The backup id
+ * @returns {Promise<{restored: string, safetyBackup: string}>} - The restored backup and the one
+ * taken of the database it replaced
+ * @throws {NotFoundError} - If there is no such backup
+ * @throws {ConflictError} - If the backup fails verification
+ */
+const restoreBackup = (id) => queued(async () => {
+    const { valid } = await verifyBackup(id);
+    if (!valid) {
+        throw new ConflictError(`Backup '${id}' does not match its checksum and was not restored`);
+    }
+    const safety = await takeBackup();
+    await restoreDatabase(backupFile(id));
+    await rotateBackups([id, safety.id]);
+    return { restored: id, safetyBackup: safety.id };
+});
+
+/**
+ * Changes the backup settings
+ * @param {Object} options - Settings to change
+ * @param {string} [options.directory] - Directory the snapshots are written to
+ * @param {number} [options.retention] - Number of snapshots kept
+ */
+const configureBackups = (options) => {
+    ['directory', 'retention'].forEach(name => {
+        if (options[name] !== undefined) {
+            settings[name] = options[name];
+        }
+    });
+};
+
+/**
+ * Starts taking backups periodically
+ * @param {number} interval - Milliseconds between backups; 0 disables scheduled backups
+ */
+const startBackupScheduler = (interval) => {
+    stopBackupScheduler();
+    if (!(interval > 0)) {
+        return;
+    }
+    backupTimer = setInterval(() => {
+        createBackup().catch(error => console.error(`Scheduled backup failed: ${error.message}`));
+    }, interval);
+    // Do not keep the process alive just for the scheduler
+    backupTimer.unref();
+};
+
+/**
+ * Stops the backup scheduler if it is running
+ */
+const stopBackupScheduler = () => {
+    if (backupTimer) {
+        clearInterval(backupTimer);
+        backupTimer = null;
+    }
+};
+
+module.exports = {
+    listBackups,
+    createBackup,
+    verifyBackup,
+    restoreBackup,
+    configureBackups,
+    startBackupScheduler,
+    stopBackupScheduler
+};
@@ -0,0 +1,299 @@
+const { defineSchema, run, get, exclusive } = require('./db');
+const { ValidationError } = require('./errors');
+
+/*
+ * Bounded LRU cache of key reads, kept in front of the storage adapter by lib/storage.js.
+ * Entries hold the serialized value, so callers never share cached objects. Every committed
+ * write invalidates the entries it touches, and a read that raced a write is not cached. Loads
+ * read through lib/db.js, which holds them back while a transaction is open, so uncommitted
+ * values are never cached.
+ */
+
+// Cache modes of a namespace: on caches until the key changes or expires, max-age also
+// bounds the age of entries, off bypasses the cache
+const CACHE_MODES = ['on', 'off', 'max-age'];
+
+/**
+ * Reads a non-negative integer setting from the environment
+ * @param {string} name - The environment variable
+ * @param {number} fallback - The value when the variable is unset or invalid
+ */
+const fromEnv = (name, fallback) => {
+    const number = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+const settings = {
+    // Largest number of cached keys; 0 disables the cache
+    maxEntries: fromEnv('CACHE_MAX_ENTRIES', 10000),
+    // Largest total size of cached values and keys (bytes)
+    maxBytes: fromEnv('CACHE_MAX_BYTES', 64 * 1024 * 1024)
+};
+
+// Cached entries in least to most recently used order
+const entries = new Map();
+let bytes = 0;
+
+// Loads in progress; an invalidation drops the token so the stale result is not cached
+const loading = new Map();
+
+// Cache policy per namespace, loaded on first use
+let policies = new Map();
+
+const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+// Initialize the cache policy table
+defineSchema((db) => {
+    // A new database has its own values and policies
+    clearCache();
+    policies = new Map();
+    db.run(`CREATE TABLE IF NOT EXISTS cache_policies (
+        namespace TEXT PRIMARY KEY,
+        mode TEXT NOT NULL,
+        max_age INTEGER,
+        updated_at INTEGER NOT NULL
+    )`);
+});
+
+/**
+ * Builds the cache key of a namespace key
+ * @param {string} namespace - The namespace
+ * @param {string} key - The key
+ */
+const cacheKey = (namespace, key) => `${namespace}\u0000${key}`;
+
+/**
+ * Removes a cached entry
+ * @param {string} id - The cache key
+ * @returns {boolean} - Whether the entry was cached
+ */
+const evict = (id) => {
+    const cached = entries.get(id);
+    if (cached) {
+        entries.delete(id);
+        bytes -= cached.bytes;
+    }
+    return cached !== undefined;
+};
+
+/**
+ * Evicts the least recently used entries until the cache fits its limits
+ */
+const shrink = () => {
+    for (const id of entries.keys()) {
+        if (entries.size <= settings.maxEntries && bytes <= settings.maxBytes) {
+            break;
+        }
+        evict(id);
+        stats.evictions++;
+    }
+};
+
+/**
+ * Converts a cache_policies row into a policy description
+ * @param {string} namespace - The namespace
+ * @param {Object|undefined} row - The row, undefined for the default policy
+ */
+const toPolicy = (namespace, row) => ({
+    namespace,
+    mode: row ? row.mode : 'on',
+    maxAge: row && row.max_age !== null ? row.max_age : null
+});
+
+/**
+ * Gets the cache policy of a namespace
+ * @param {string} namespace - The namespace
+ * @returns {Promise<{namespace: string, mode: string, maxAge: number|null}>} - maxAge is in
+ * seconds and only set in max-age mode
+ */
+const getCachePolicy = async (namespace) => {
+    if (!policies.has(namespace)) {
+        try {
+            const row = await get('SELECT mode, max_age FROM cache_policies WHERE namespace = ?', [namespace]);
+            policies.set(namespace, toPolicy(namespace, row));
+        } catch (error) {
+            throw new Error(`Failed to get cache policy: ${error.message}`);
+        }
+    }
+    return policies.get(namespace);
+};
+
+/**
+ * Sets how reads of a namespace are cached; entries cached under the previous policy are dropped
+ * @param {string} namespace - The namespace
+ * @param {Object} policy - The policy
+ * @param {'on'|'off'|'max-age'} policy.mode - The cache mode
+ * @param {number} [policy.maxAge] - Seconds an entry may be served from the cache, required in
+ * max-age mode
+ * @returns {Promise<Object>} - The policy
+ * @throws {ValidationError} - If the policy is malformed
+ */
+const setCachePolicy = async (namespace, { mode, maxAge } = {}) => {
+    if (!CACHE_MODES.includes(mode)) {
+        throw new ValidationError(`mode must be one of: ${CACHE_MODES.join(', ')}`);
+    }
+    if (mode === 'max-age' && !(Number.isInteger(maxAge) && maxAge > 0)) {
+        throw new ValidationError('maxAge must be a positive integer number of seconds');
+    }
+    if (mode !== 'max-age' && maxAge !== undefined) {
+        throw new ValidationError('maxAge is only allowed in max-age mode');
+    }
+    const row = { mode, max_age: mode === 'max-age' ? maxAge : null };
+    try {
+        await exclusive(() => run(
+            `INSERT INTO cache_policies (namespace, mode, max_age, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (namespace) DO UPDATE SET mode = excluded.mode, max_age = excluded.max_age, updated_at = excluded.updated_at`,
+            [namespace, row.mode, row.max_age, Date.now()]
+        ));
+    } catch (error) {
+        throw new Error(`Failed to set cache policy: ${error.message}`);
+    }
+    policies.set(namespace, toPolicy(namespace, row));
+    invalidate(namespace);
+    return policies.get(namespace);
+};
+
+/**
+ * Restores the default policy (on) of a namespace
+ * @param {string} namespace - The namespace
+ */
+const resetCachePolicy = async (namespace) => {
+    try {
+        await exclusive(() => run('DELETE FROM cache_policies WHERE namespace = ?', [namespace]));
+    } catch (error) {
+        throw new Error(`Failed to reset cache policy: ${error.message}`);
+    }
+    policies.set(namespace, toPolicy(namespace));
+    invalidate(namespace);
+    return policies.get(namespace);
+};
+
+/**
+ * Reads a key through the cache
+ * @param {string} namespace - The namespace
+ * @param {string} key - The key
+ * @param {Function} load - Reads the key from storage; resolves with { entry, ttl }, where entry
+ * is { value, version } or undefined and ttl the remaining seconds or null
+ * @returns {Promise<{value: any, version: number}|undefined>}
+ */
+const readThrough = async (namespace, key, load) => {
+    const id = cacheKey(namespace, key);
+    const cached = entries.get(id);
+    if (cached && cached.expiresAt > Date.now()) {
+        stats.hits++;
+        // Move to the most recently used end
+        entries.delete(id);
+        entries.set(id, cached);
+        return { value: JSON.parse(cached.value), version: cached.version };
+    }
+    evict(id);
+
+    const policy = await getCachePolicy(namespace);
+    if (policy.mode === 'off' || settings.maxEntries === 0) {
+        return (await load()).entry;
+    }
+    stats.misses++;
+    const token = {};
+    loading.set(id, token);
+    try {
+        const { entry, ttl } = await load();
+        if (entry && loading.get(id) === token) {
+            const value = JSON.stringify(entry.value);
+            const size = Buffer.byteLength(value) + Buffer.byteLength(id);
+            const lifetimes = [ttl, policy.maxAge].filter(seconds => typeof seconds === 'number');
+            if (size <= settings.maxBytes) {
+                entries.set(id, {
+                    value,
+                    version: entry.version,
+                    bytes: size,
+                    expiresAt: lifetimes.length > 0 ? Date.now() + Math.min(...lifetimes) * 1000 : Infinity
+                });
+                bytes += size;
+                shrink();
+            }
+        }
+        return entry;
+    } finally {
+        if (loading.get(id) === token) {
+            loading.delete(id);
+        }
+    }
+};
+
+/**
+ * Drops the cached entries of a key or of a whole namespace, including reads in progress
+ * @param {string} namespace - The namespace
+ * @param {string} [key] - The key; every key of the namespace when omitted
+ */
+const invalidate = (namespace, key) => {
+    if (key !== undefined) {
+        const id = cacheKey(namespace, key);
+        loading.delete(id);
+        if (evict(id)) {
+            stats.invalidations++;
+        }
+        return;
+    }
+    const prefix = cacheKey(namespace, '');
+    for (const id of loading.keys()) {
+        if (id.startsWith(prefix)) {
+            loading.delete(id);
+        }
+    }
+    for (const id of entries.keys()) {
+        if (id.startsWith(prefix) && evict(id)) {
+            stats.invalidations++;
+        }
+    }
+};
+
+/**
+ * Drops every cached entry
+ */
+const clearCache = () => {
+    entries.clear();
+    loading.clear();
+    bytes = 0;
+};
+
+/**
+ * Changes the cache limits, evicting entries beyond the new ones
+ * @param {Object} options - Settings to change
+ * @param {number} [options.maxEntries] - Largest number of cached keys; 0 disables the cache
+ * @param {number} [options.maxBytes] - Largest total size of the cache in bytes
+ */
+const configureCache = (options) => {
+    Object.keys(settings).forEach(name => {
+        if (options[name] !== undefined) {
+            settings[name] = options[name];
+        }
+    });
+    shrink();
+};
+
+/**
+ * Describes the cache usage and hit rate since the process started
+ */
+const getCacheStats = () => {
+    const reads = stats.hits + stats.misses;
+    return {
+        ...stats,
+        hitRate: reads === 0 ? null : stats.hits / reads,
+        entries: entries.size,
+        bytes,
+        maxEntries: settings.maxEntries,
+        maxBytes: settings.maxBytes
+    };
+};
+
+module.exports = {
+    CACHE_MODES,
+    getCachePolicy,
+    setCachePolicy,
+    resetCachePolicy,
+    readThrough,
+    invalidate,
+    clearCache,
+    configureCache,
+    getCacheStats
+};
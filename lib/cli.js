@@ -0,0 +1,369 @@
+const fs = require('fs');
+const { once } = require('events');
+const { parseArgs } = require('util');
+const { createClient } = require('../client');
+const { ValidationError, NotFoundError } = require('./errors');
+
+/*
+ * The cstore command-line tool (bin/cstore.js). It works in two modes:
+ *  - remote (default): talks to the /api routes of a running server through the client of client/
+ *  - local (--local or --db): opens the database directly through lib/storage.js. Local writes
+ *    bypass the read cache, change feeds and webhooks of a server using the same database, so
+ *    prefer remote mode while one is running.
+ */
+
+const USAGE = `Usage: cstore <command> [arguments] [options]
+
+Commands:
+  get <namespace> <key>           Print a value
+  set <namespace> <key> [value]   Store a JSON value given as an argument, with --file, or on stdin
+  del <namespace> <key>           Delete a key
+  ls                              List namespaces
+  keys <namespace>                List the keys of a namespace
+  dump <namespace>                Write the namespace as NDJSON { key, value } lines
+  load <namespace>                Import NDJSON lines from --file or stdin
+  stats [namespace]               Count the keys and bytes of each namespace, with their last write
+
+Options:
+  --url <url>          Server URL (default $CSTORE_URL or http://localhost:3000)
+  --api-key <key>      API key (default $CSTORE_API_KEY)
+  --timeout <ms>       Request timeout in remote mode
+  --local              Open the database directly instead of calling a server
+  --db <path>          Database file of local mode (implies --local; default $DB_PATH or lib/data.db)
+  --format <format>    json or table (default table on a terminal, json otherwise)
+  -f, --file <path>    Read the value or import from a file, or write the dump to one
+  --string             set: store the value argument as a string instead of parsing it as JSON
+  --ttl <seconds>      set: expire the key after this many seconds
+  --content-type <t>   set: media type of the value, e.g. text/markdown
+  --tags <a,b>         set: comma-separated labels of the key
+  --prefix <prefix>    ls, keys: only list names starting with this prefix
+  --mode <mode>        load: merge (default), replace or skip-existing
+  --dry-run            load: report what would change without writing
+  -h, --help           Show this help
+`;
+
+const OPTIONS = {
+    url: { type: 'string' },
+    'api-key': { type: 'string' },
+    timeout: { type: 'string' },
+    local: { type: 'boolean' },
+    db: { type: 'string' },
+    format: { type: 'string' },
+    file: { type: 'string', short: 'f' },
+    string: { type: 'boolean' },
+    ttl: { type: 'string' },
+    'content-type': { type: 'string' },
+    tags: { type: 'string' },
+    prefix: { type: 'string' },
+    mode: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Positional arguments of each command
+const COMMANDS = {
+    get: ['namespace', 'key'],
+    set: ['namespace', 'key', 'value?'],
+    del: ['namespace', 'key'],
+    ls: [],
+    keys: ['namespace'],
+    dump: ['namespace'],
+    load: ['namespace'],
+    stats: ['namespace?']
+};
+
+// Raised for invalid command lines, which exit with status 2 after the usage
+class UsageError extends Error {}
+
+/**
+ * Reads a whole stream
+ * @param {import('stream').Readable} stream - The stream
+ * @returns {Promise<string>}
+ */
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Writes to a stream, waiting for it to drain when its buffer is full
+ * @param {import('stream').Writable} stream - The stream
+ * @param {string} text - The text
+ */
+const write = async (stream, text) => {
+    if (!stream.write(text)) {
+        await once(stream, 'drain');
+    }
+};
+
+/**
+ * Collects an async iterable into an array
+ * @param {AsyncIterable} iterable - The iterable
+ */
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+};
+
+/**
+ * Creates the backend calling a running server
+ * @param {Object} options - The parsed command-line options
+ */
+const remoteBackend = (options) => {
+    const client = createClient({
+        baseUrl: options.url || process.env.CSTORE_URL || 'http://localhost:3000',
+        apiKey: options['api-key'] || process.env.CSTORE_API_KEY,
+        ...(options.timeout !== undefined && { timeout: Number(options.timeout) })
+    });
+    return {
+        getEntry: (namespace, key) => client.getEntry(namespace, key),
+        set: (namespace, key, value, writeOptions) => client.set(namespace, key, value, writeOptions),
+        del: async (namespace, key) => {
+            await client.delete(namespace, key);
+        },
+        namespaces: (prefix) => client.namespaces({ prefix }),
+        keys: (namespace, prefix) => client.keys(namespace, { prefix }),
+        entries: (namespace) => client.entries(namespace),
+        load: async (namespace, input, loadOptions) => (await client.request('POST', `/api/${encodeURIComponent(namespace)}/_import`, {
+            query: { mode: loadOptions.mode, dryRun: loadOptions.dryRun ? 'true' : undefined },
+            body: await readAll(input),
+            contentType: 'application/x-ndjson'
+        })).body,
+        stats: (namespace) => client.stats(namespace, { top: 0 }),
+        close: async () => {}
+    };
+};
+
+/**
+ * Creates the backend opening the database directly
+ * @param {Object} options - The parsed command-line options
+ * @throws {Error} - If the database cannot be opened
+ */
+const localBackend = async (options) => {
+    const storage = require('./storage');
+    const { opened } = require('./db');
+    // Loading the schema registry makes local writes honour the JSON Schemas of their namespace
+    require('./schemas');
+    const { importNamespace } = require('./transfer');
+    storage.open(options.db !== undefined ? { adapter: 'sqlite', path: options.db } : undefined);
+    try {
+        await opened();
+    } catch (error) {
+        await storage.close();
+        throw error;
+    }
+
+    /**
+     * Iterates over every page of a storage listing
+     * @param {Function} readPage - Reads the page at a cursor
+     * @param {string} field - The field of the page holding its entries
+     */
+    async function* paginate(readPage, field) {
+        let cursor;
+        do {
+            const page = await readPage(cursor);
+            yield* page[field];
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+
+    const rejectReservedName = (name) => {
+        if (name.startsWith('_')) {
+            throw new ValidationError(`Names starting with '_' are reserved: ${name}`);
+        }
+    };
+
+    return {
+        getEntry: async (namespace, key) => {
+            const entry = await storage.readEntry(namespace, key);
+            if (entry === undefined) {
+                throw new NotFoundError(`Key '${key}' not found in namespace '${namespace}'`);
+            }
+            return entry;
+        },
+        set: (namespace, key, value, writeOptions) => {
+            rejectReservedName(namespace);
+            rejectReservedName(key);
+            return storage.setValue(namespace, key, value, writeOptions);
+        },
+        del: async (namespace, key) => {
+            await storage.deleteValue(namespace, key);
+        },
+        namespaces: (prefix) => paginate(cursor => storage.listNamespaces({ prefix, cursor, limit: 1000 }), 'namespaces'),
+        keys: (namespace, prefix) => paginate(cursor => storage.listKeys(namespace, { prefix, cursor, limit: 1000, keysOnly: true }), 'items'),
+        entries: (namespace) => paginate(cursor => storage.listKeys(namespace, { cursor, limit: 1000 }), 'items'),
+        load: (namespace, input, loadOptions) => {
+            rejectReservedName(namespace);
+            return importNamespace(namespace, input, loadOptions);
+        },
+        stats: async (namespace) => {
+            const stats = await storage.getNamespaceStats(namespace, { top: 0 });
+            return { ...stats, lastModified: stats.lastModified === null ? null : new Date(stats.lastModified).toISOString() };
+        },
+        close: () => storage.close()
+    };
+};
+
+/**
+ * Formats rows as a table with a header line
+ * @param {Object[]} rows - The rows
+ * @param {string[]} columns - The fields shown, in order
+ */
+const formatTable = (rows, columns) => {
+    const cell = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+    const lines = [columns.map(column => column.toUpperCase()), ...rows.map(row => columns.map(column => cell(row[column])))];
+    const widths = columns.map((column, i) => Math.max(...lines.map(line => line[i].length)));
+    return lines.map(line => line.map((text, i) => text.padEnd(widths[i])).join('  ').trimEnd()).join('\n') + '\n';
+};
+
+/**
+ * Parses the value argument of set
+ * @param {string} text - The JSON text
+ * @param {string} source - Where the text came from, for the error message
+ */
+const parseValue = (text, source) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ValidationError(`The value ${source} is not valid JSON (${error.message}); use --string to store text`);
+    }
+};
+
+/**
+ * Runs a command and prints its result
+ * @param {Object} backend - The remote or local backend
+ * @param {string} command - The command
+ * @param {Object} args - Its positional arguments by name
+ * @param {Object} options - The parsed command-line options
+ * @param {Object} io - stdin, stdout and the output format
+ */
+const execute = async (backend, command, args, options, io) => {
+    const { namespace, key } = args;
+    const print = (data, rows, columns) => write(io.stdout, io.format === 'json'
+        ? JSON.stringify(data, null, 2) + '\n'
+        : formatTable(rows, columns));
+
+    switch (command) {
+        case 'get': {
+            const { value, version } = await backend.getEntry(namespace, key);
+            return print({ namespace, key, value, version }, [{ key, version, value }], ['key', 'version', 'value']);
+        }
+        case 'set': {
+            let text = args.value;
+            let source = 'argument';
+            if (options.file !== undefined) {
+                text = await fs.promises.readFile(options.file, 'utf8');
+                source = `in ${options.file}`;
+            } else if (text === undefined) {
+                text = await readAll(io.stdin);
+                source = 'on stdin';
+            }
+            const value = options.string ? text : parseValue(text, source);
+            const version = await backend.set(namespace, key, value, {
+                ttl: options.ttl !== undefined ? Number(options.ttl) : undefined,
+                contentType: options['content-type'],
+                tags: options.tags !== undefined ? options.tags.split(',').filter(tag => tag !== '') : undefined
+            });
+            return print({ namespace, key, version }, [{ key, version }], ['key', 'version']);
+        }
+        case 'del':
+            await backend.del(namespace, key);
+            return print({ namespace, key, deleted: true }, [{ key, deleted: true }], ['key', 'deleted']);
+        case 'ls': {
+            const namespaces = await collect(backend.namespaces(options.prefix));
+            return print(namespaces, namespaces.map(name => ({ namespace: name })), ['namespace']);
+        }
+        case 'keys': {
+            const keys = await collect(backend.keys(namespace, options.prefix));
+            return print(keys, keys.map(name => ({ key: name })), ['key']);
+        }
+        case 'dump': {
+            const output = options.file !== undefined ? fs.createWriteStream(options.file) : io.stdout;
+            for await (const entry of backend.entries(namespace)) {
+                await write(output, JSON.stringify(entry) + '\n');
+            }
+            if (output !== io.stdout) {
+                output.end();
+                await once(output, 'finish');
+            }
+            return undefined;
+        }
+        case 'load': {
+            const input = options.file !== undefined ? fs.createReadStream(options.file) : io.stdin;
+            const report = await backend.load(namespace, input, { mode: options.mode, dryRun: Boolean(options['dry-run']) });
+            await print(report, [report], ['lines', 'created', 'updated', 'skipped', 'deleted', 'failed']);
+            report.errors.forEach(({ line, error }) => io.stderr.write(`line ${line === null ? '-' : line}: ${error}\n`));
+            return undefined;
+        }
+        case 'stats': {
+            const namespaces = namespace !== undefined ? [namespace] : await collect(backend.namespaces());
+            const stats = [];
+            for (const name of namespaces) {
+                const { keys, bytes, lastModified } = await backend.stats(name);
+                stats.push({ namespace: name, keys, bytes, lastModified });
+            }
+            return print(stats, stats, ['namespace', 'keys', 'bytes', 'lastModified']);
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Runs the cstore command line
+ * @param {string[]} argv - The arguments after the program name
+ * @param {Object} [io] - Standard streams; default those of the process
+ * @returns {Promise<number>} - The exit status: 0 on success, 1 on errors, 2 on invalid usage
+ */
+const run = async (argv, io = {}) => {
+    const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io;
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        const [command, ...rest] = parsed.positionals;
+        if (parsed.values.help || command === undefined) {
+            stdout.write(USAGE);
+            return parsed.values.help ? 0 : 2;
+        }
+        if (!Object.hasOwn(COMMANDS, command)) {
+            throw new UsageError(`Unknown command '${command}'`);
+        }
+        const names = COMMANDS[command];
+        const required = names.filter(name => !name.endsWith('?')).length;
+        if (rest.length < required || rest.length > names.length) {
+            throw new UsageError(`Usage: cstore ${command} ${names.map(name => `<${name.replace('?', '')}>`).join(' ')}`.trimEnd());
+        }
+        const format = parsed.values.format || (stdout.isTTY ? 'table' : 'json');
+        if (!['json', 'table'].includes(format)) {
+            throw new UsageError('--format must be json or table');
+        }
+        parsed = { command, format, values: parsed.values, args: Object.fromEntries(rest.map((arg, i) => [names[i].replace('?', ''), arg])) };
+    } catch (error) {
+        stderr.write(`cstore: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { command, format, values, args } = parsed;
+    let backend;
+    try {
+        backend = values.local || values.db !== undefined ? await localBackend(values) : remoteBackend(values);
+        await execute(backend, command, args, values, { stdin, stdout, stderr, format });
+        return 0;
+    } catch (error) {
+        stderr.write(`cstore: ${error.message}\n`);
+        return 1;
+    } finally {
+        if (backend) {
+            await backend.close();
+        }
+    }
+};
+
+module.exports = {
+    run
+};
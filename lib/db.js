@@ -0,0 +1,505 @@
+const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Database file used unless another path is configured
+const DEFAULT_PATH = path.join(__dirname, 'data.db');
+
+// Accepted values of the journal_mode and synchronous pragmas
+const JOURNAL_MODES = ['WAL', 'DELETE', 'TRUNCATE', 'PERSIST', 'MEMORY', 'OFF'];
+const SYNCHRONOUS_LEVELS = ['OFF', 'NORMAL', 'FULL', 'EXTRA'];
+
+const settings = {
+    // WAL lets reads run while a write commits; in-memory databases ignore it
+    journalMode: process.env.SQLITE_JOURNAL_MODE || 'WAL',
+    // FULL syncs the WAL on every commit, so acknowledged writes survive a power loss; NORMAL
+    // only syncs at checkpoints and may lose the latest commits, OFF leaves syncing to the OS
+    synchronous: process.env.SQLITE_SYNCHRONOUS || 'FULL'
+};
+
+// Prepared statements kept per connection; the least recently used are finalized beyond this
+const MAX_STATEMENTS = 200;
+
+// Open connection, created on first use when open() was not called
+let connection = null;
+// Set by close(); queries then fail instead of opening the default database, until open()
+let closed = false;
+// Settles once the connection has opened, rejecting with the error that kept it from opening
+let connectionOpened = Promise.resolve();
+// Set once the connection failed to open; queries then fail with it
+let openError = null;
+let connectionFilename = null;
+let connectionOptions = {};
+
+// Prepared statements of the open connection by SQL text, least recently used first
+let statements = new Map();
+
+// Schema initializers registered by the modules owning the tables, run on every new connection
+const schemas = [];
+
+// Tables whose live rows a restore keeps, registered by the modules owning them
+const keptTables = [];
+
+/**
+ * Reads a pragma setting, falling back to the configured default
+ * @param {string|undefined} raw - The requested value
+ * @param {string} fallback - The configured default
+ * @param {string[]} accepted - Accepted values
+ * @param {string} name - Setting name used in the error message
+ * @returns {string}
+ */
+const pragmaValue = (raw, fallback, accepted, name) => {
+    const value = String(raw === undefined ? fallback : raw).toUpperCase();
+    if (!accepted.includes(value)) {
+        throw new ValidationError(`${name} must be one of: ${accepted.join(', ')}`);
+    }
+    return value;
+};
+
+/**
+ * Finalizes the prepared statements of a connection
+ * @param {Map<string, import('sqlite3').Statement>} prepared - The statements
+ */
+const finalizeAll = (prepared) => {
+    prepared.forEach(statement => statement.finalize());
+    prepared.clear();
+};
+
+/**
+ * Opens the SQLite database, replacing the current connection. The previous connection is
+ * closed once its queued statements have run.
+ * @param {string} [filename] - Database file, or ':memory:' for a private in-memory database
+ * @param {Object} [options] - Connection settings; SQLITE_JOURNAL_MODE and SQLITE_SYNCHRONOUS
+ * provide the defaults
+ * @param {string} [options.journalMode] - journal_mode pragma (default WAL)
+ * @param {string} [options.synchronous] - synchronous pragma (default FULL)
+ */
+const open = (filename = process.env.DB_PATH || DEFAULT_PATH, options = {}) => {
+    const journalMode = pragmaValue(options.journalMode, settings.journalMode, JOURNAL_MODES, 'journalMode');
+    const synchronous = pragmaValue(options.synchronous, settings.synchronous, SYNCHRONOUS_LEVELS, 'synchronous');
+    const previous = connection;
+    const previousStatements = statements;
+    // A failed open leaves the connection unusable: queries on it and its close never call back
+    let opening;
+    connectionOpened = new Promise((resolve, reject) => {
+        opening = new sqlite3.Database(filename, (error) => {
+            if (!error) {
+                resolve();
+                return;
+            }
+            const failure = new Error(`Failed to open database ${filename}: ${error.message}`);
+            if (connection === opening) {
+                openError = failure;
+            }
+            reject(failure);
+        });
+    });
+    // Callers that do not wait for the open get its error from database() instead
+    connectionOpened.catch(() => {});
+    connection = opening;
+    openError = null;
+    closed = false;
+    connectionFilename = filename;
+    connectionOptions = options;
+    statements = new Map();
+    connection.serialize(() => {
+        connection.run(`PRAGMA journal_mode = ${journalMode}`);
+        connection.run(`PRAGMA synchronous = ${synchronous}`);
+    });
+    schemas.forEach(init => connection.serialize(() => init(connection)));
+    if (previous) {
+        finalizeAll(previousStatements);
+        previous.close((error) => {
+            if (error) {
+                console.error(`Failed to close database: ${error.message}`);
+            }
+        });
+    }
+};
+
+/**
+ * Returns the open connection, opening the default database on first use
+ * @returns {import('sqlite3').Database}
+ * @throws {Error} - Once close() was called, until open() is called again, or once the
+ * connection failed to open
+ */
+const database = () => {
+    if (!connection) {
+        if (closed) {
+            throw new Error('The database is closed');
+        }
+        open();
+    }
+    if (openError) {
+        throw openError;
+    }
+    return connection;
+};
+
+/**
+ * Waits until the connection has opened
+ * @returns {Promise<void>}
+ * @throws {Error} - If the database file cannot be opened
+ */
+const opened = () => {
+    database();
+    return connectionOpened;
+};
+
+/**
+ * Registers the schema of a module; it runs on the open connection and on every connection
+ * opened later
+ * @param {Function} init - Receives the connection and issues CREATE statements on it
+ */
+const defineSchema = (init) => {
+    schemas.push(init);
+    if (connection) {
+        connection.serialize(() => init(connection));
+    }
+};
+
+/**
+ * Keeps the live rows of a table, and its AUTOINCREMENT counter, when the database is restored
+ * from a backup, for tables a restore must not roll back
+ * @param {string} table - The table
+ */
+const keepOnRestore = (table) => {
+    keptTables.push(table);
+};
+
+/**
+ * Adds a column to an existing table, ignoring the error raised when it is already there
+ * @param {string} table - The table to alter
+ * @param {string} definition - The column definition (name, type and constraints)
+ */
+const addColumn = (table, definition) => {
+    database().run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (error) => {
+        if (error && !error.message.includes('duplicate column name')) {
+            console.error(`Failed to migrate ${table}: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Returns the prepared statement of a SQL text, preparing it on first use
+ * @param {string} sql - The statement
+ * @returns {import('sqlite3').Statement}
+ */
+const prepare = (sql) => {
+    const db = database();
+    let statement = statements.get(sql);
+    if (statement) {
+        // Move to the most recently used end
+        statements.delete(sql);
+    } else {
+        // A statement that fails to prepare reports the error to every call and is dropped
+        statement = db.prepare(sql, (error) => {
+            if (error && statements.get(sql) === statement) {
+                statements.delete(sql);
+            }
+        });
+        if (statements.size >= MAX_STATEMENTS) {
+            const [oldest] = statements.keys();
+            statements.get(oldest).finalize();
+            statements.delete(oldest);
+        }
+    }
+    statements.set(sql, statement);
+    return statement;
+};
+
+// Every task run with exclusive access has a token; code running inside the task carries it
+const writeTasks = new AsyncLocalStorage();
+
+// Token of the task holding exclusive access, null when none runs
+let activeWrite = null;
+
+// Reads running outside of exclusive tasks, resumers of the reads waiting for the running task
+// to end, and the resumer of the task waiting for the running reads to end
+let activeReads = 0;
+let waitingReads = [];
+let readsDrained = null;
+
+/**
+ * Runs a read once no task holds exclusive access. Every query shares the connection, so a read
+ * running while a task has a transaction open would see its uncommitted writes, and cache or
+ * return them after they were rolled back. Reads made by the task itself run right away.
+ * @param {Function} query - Issues the read; resolves with its result
+ */
+const isolated = async (query) => {
+    if (activeWrite !== null && writeTasks.getStore() === activeWrite) {
+        return query();
+    }
+    while (activeWrite !== null) {
+        await new Promise(resolve => waitingReads.push(resolve));
+    }
+    activeReads++;
+    try {
+        return await query();
+    } finally {
+        activeReads--;
+        if (activeReads === 0 && readsDrained) {
+            readsDrained();
+            readsDrained = null;
+        }
+    }
+};
+
+/**
+ * Runs a statement and resolves with its lastID and changes
+ * @param {string} sql - The statement to run
+ * @param {any[]} params - Bound parameters
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+const run = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        prepare(sql).run(params, function(error) {
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ lastID: this.lastID, changes: this.changes });
+            }
+        });
+    });
+};
+
+/**
+ * Resolves with the first row returned by a query, or undefined
+ * @param {string} sql - The query to run
+ * @param {any[]} params - Bound parameters
+ */
+const get = (sql, params = []) => isolated(() => {
+    return new Promise((resolve, reject) => {
+        const statement = prepare(sql);
+        // Resetting ends the read, which would otherwise stay open waiting for further rows and
+        // keep its tables locked against schema changes; callers continue once it has ended
+        statement.get(params, (error, row) => {
+            statement.reset(() => (error ? reject(error) : resolve(row)));
+        });
+    });
+});
+
+/**
+ * Resolves with every row returned by a query
+ * @param {string} sql - The query to run
+ * @param {any[]} params - Bound parameters
+ */
+const all = (sql, params = []) => isolated(() => {
+    return new Promise((resolve, reject) => {
+        const statement = prepare(sql);
+        // Some statements, such as EXPLAIN, stay active after their last row until reset
+        statement.all(params, (error, rows) => {
+            statement.reset(() => (error ? reject(error) : resolve(rows)));
+        });
+    });
+});
+
+/**
+ * Measures the database: the size of its file and write-ahead log, or of its pages for an
+ * in-memory database
+ * @returns {Promise<number>} - Size in bytes
+ */
+const databaseSize = async () => {
+    database();
+    if (isInMemory()) {
+        const [{ page_count: pageCount }] = await all('PRAGMA page_count');
+        const [{ page_size: pageSize }] = await all('PRAGMA page_size');
+        return pageCount * pageSize;
+    }
+    const sizes = await Promise.all([connectionFilename, `${connectionFilename}-wal`].map(file =>
+        fs.promises.stat(file).then(stats => stats.size, () => 0)
+    ));
+    return sizes[0] + sizes[1];
+};
+
+/**
+ * Tests whether the open database lives in memory only
+ * @returns {boolean}
+ */
+const isInMemory = () => connectionFilename === ':memory:' || connectionFilename === '';
+
+/**
+ * Writes a consistent copy of the database to a new file with VACUUM INTO. The copy fails if
+ * a transaction is open on the connection, so callers run it with exclusive write access.
+ * @param {string} file - The file to create; it must not exist
+ */
+const vacuumInto = (file) => {
+    return new Promise((resolve, reject) => {
+        database().run('VACUUM INTO ?', [file], (error) => {
+            if (error) {
+                reject(new Error(`Failed to copy database: ${error.message}`));
+            } else {
+                resolve();
+            }
+        });
+    });
+};
+
+/**
+ * Copies the kept tables and their AUTOINCREMENT counters into another database file
+ * @param {string} file - The file to create
+ */
+const saveKeptTables = async (file) => {
+    await run('ATTACH DATABASE ? AS kept', [file]);
+    try {
+        for (const table of keptTables) {
+            await run(`CREATE TABLE kept.${table} AS SELECT * FROM main.${table}`);
+        }
+        await run(
+            `CREATE TABLE kept.sequences AS SELECT name, seq FROM main.sqlite_sequence
+            WHERE name IN (${keptTables.map(() => '?').join(', ')})`,
+            keptTables
+        );
+    } finally {
+        await run('DETACH DATABASE kept');
+    }
+};
+
+/**
+ * Replaces the kept tables and their AUTOINCREMENT counters with those saved by saveKeptTables,
+ * in one transaction
+ * @param {string} file - The file written by saveKeptTables
+ */
+const loadKeptTables = async (file) => {
+    await run('ATTACH DATABASE ? AS kept', [file]);
+    try {
+        await run('BEGIN IMMEDIATE');
+        try {
+            for (const table of keptTables) {
+                // Columns added since the backup was taken are back after the schemas ran
+                const columns = (await all(`PRAGMA kept.table_info(${table})`)).map(column => column.name).join(', ');
+                await run(`DELETE FROM main.${table}`);
+                await run(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM kept.${table}`);
+            }
+            await run(`DELETE FROM main.sqlite_sequence WHERE name IN (${keptTables.map(() => '?').join(', ')})`, keptTables);
+            await run('INSERT INTO main.sqlite_sequence (name, seq) SELECT name, seq FROM kept.sequences');
+            await run('COMMIT');
+        } catch (error) {
+            await run('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    } finally {
+        await run('DETACH DATABASE kept');
+    }
+};
+
+/**
+ * Replaces the content of the database with that of a database file through the SQLite backup
+ * API, then reopens the connection so the schemas run against the new content and no prepared
+ * statement outlives it. An in-memory database keeps its connection, which is its content.
+ * The tables registered with keepOnRestore keep their live rows. Callers run it with exclusive
+ * write access.
+ * @param {string} file - The database file to copy from
+ */
+const restoreFrom = async (file) => {
+    const kept = path.join(os.tmpdir(), `cstore-kept-${crypto.randomUUID()}.db`);
+    try {
+        await saveKeptTables(kept);
+        const db = database();
+        await new Promise((resolve, reject) => {
+            const backup = db.backup(file, 'main', 'main', false, (error) => {
+                if (error) {
+                    return reject(new Error(`Failed to restore database: ${error.message}`));
+                }
+                backup.step(-1, (stepError) => {
+                    backup.finish(() => (stepError
+                        ? reject(new Error(`Failed to restore database: ${stepError.message}`))
+                        : resolve()));
+                });
+            });
+        });
+        if (isInMemory()) {
+            finalizeAll(statements);
+            schemas.forEach(init => db.serialize(() => init(db)));
+        } else {
+            open(connectionFilename, connectionOptions);
+        }
+        await loadKeptTables(kept);
+    } finally {
+        await fs.promises.rm(kept, { force: true });
+    }
+};
+
+// Tail of the write queue; every read-modify-write runs after the previous one settles
+let writeQueue = Promise.resolve();
+
+/**
+ * Runs a task with exclusive write access, so reads made by the task cannot be invalidated by
+ * another write before the task finishes. The task starts once the reads already running have
+ * ended; reads made outside of it wait until it finishes.
+ * @param {Function} task - Async function performing the reads and writes
+ * @returns {Promise<any>} - The result of the task
+ */
+const exclusive = (task) => {
+    const result = writeQueue.then(async () => {
+        const token = {};
+        activeWrite = token;
+        try {
+            if (activeReads > 0) {
+                await new Promise(resolve => {
+                    readsDrained = resolve;
+                });
+            }
+            return await writeTasks.run(token, task);
+        } finally {
+            activeWrite = null;
+            const resumers = waitingReads;
+            waitingReads = [];
+            resumers.forEach(resume => resume());
+        }
+    });
+    writeQueue = result.catch(() => {});
+    return result;
+};
+
+/**
+ * Closes the connection; queries fail until open() is called again
+ */
+const close = async () => {
+    closed = true;
+    if (!connection) {
+        return;
+    }
+    const closing = connection;
+    const failed = openError !== null;
+    connection = null;
+    openError = null;
+    finalizeAll(statements);
+    statements = new Map();
+    if (failed) {
+        return;
+    }
+    return new Promise((resolve, reject) => {
+        closing.close((error) => {
+            if (error) {
+                reject(new Error(`Failed to close database: ${error.message}`));
+            } else {
+                resolve();
+            }
+        });
+    });
+};
+
+module.exports = {
+    DEFAULT_PATH,
+    JOURNAL_MODES,
+    SYNCHRONOUS_LEVELS,
+    open,
+    opened,
+    database,
+    defineSchema,
+    keepOnRestore,
+    addColumn,
+    run,
+    get,
+    all,
+    databaseSize,
+    vacuumInto,
+    restoreFrom,
+    exclusive,
+    close
+};
@@ -0,0 +1,213 @@
+const http = require('http');
+
+/*
+ * Every error carries the HTTP status and the machine-readable code it is reported with.
+ * Responses describe errors as RFC 7807 problem details, see sendProblem.
+ */
+
+/**
+ * Raised when a request or call carries invalid input
+ */
+class ValidationError extends Error {
+    /**
+     * @param {string} message - Description of the invalid input
+     * @param {Object[]} [violations] - The failed checks of a request, as { in, path, message }
+     */
+    constructor(message, violations) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.code = 'invalid_request';
+        if (violations) {
+            this.violations = violations;
+        }
+    }
+}
+
+/**
+ * Raised when a request carries no valid API key
+ */
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.status = 401;
+        this.code = 'unauthenticated';
+    }
+}
+
+/**
+ * Raised when the API key of a request lacks a permission
+ */
+class ForbiddenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ForbiddenError';
+        this.status = 403;
+        this.code = 'forbidden';
+    }
+}
+
+/**
+ * Raised when the requested key, revision or resource does not exist
+ */
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+        this.status = 404;
+        this.code = 'not_found';
+    }
+}
+
+/**
+ * Raised when a resource cannot be created because it already exists
+ */
+class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+        this.status = 409;
+        this.code = 'conflict';
+    }
+}
+
+/**
+ * Raised when a conditional write finds the key in a different state than the caller expected
+ */
+class PreconditionFailedError extends Error {
+    /**
+     * @param {string} message - Description of the failed precondition
+     * @param {number|null} currentVersion - The version the key currently has, null if it does not exist
+     */
+    constructor(message, currentVersion = null) {
+        super(message);
+        this.name = 'PreconditionFailedError';
+        this.status = 412;
+        this.code = 'precondition_failed';
+        this.currentVersion = currentVersion;
+    }
+}
+
+/**
+ * Raised when a value does not match the JSON Schema of its namespace
+ */
+class SchemaViolationError extends Error {
+    /**
+     * @param {string} message - Description of the rejected write
+     * @param {Object[]} violations - The failed checks, as { path, message }
+     */
+    constructor(message, violations) {
+        super(message);
+        this.name = 'SchemaViolationError';
+        this.status = 422;
+        this.code = 'schema_violation';
+        this.violations = violations;
+    }
+}
+
+/**
+ * Raised when a request body is sent in a format the route does not accept
+ */
+class UnsupportedMediaTypeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedMediaTypeError';
+        this.status = 415;
+        this.code = 'unsupported_media_type';
+    }
+}
+
+/**
+ * Raised when the configured storage adapter does not implement a feature
+ */
+class NotSupportedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotSupportedError';
+        this.status = 501;
+        this.code = 'not_supported';
+    }
+}
+
+/**
+ * Raised when one operation of a batch fails; the whole batch has been rolled back
+ */
+class BatchOperationError extends Error {
+    /**
+     * @param {number} index - Position of the failed operation in the batch
+     * @param {Error} cause - The error the operation raised
+     */
+    constructor(index, cause) {
+        super(`Operation ${index} failed: ${cause.message}`);
+        this.name = 'BatchOperationError';
+        this.status = cause.status || 500;
+        this.code = cause.code || 'internal_error';
+        this.index = index;
+        this.cause = cause;
+    }
+}
+
+// Extension members copied from an error (or the error that caused it) into its problem details
+const PROBLEM_MEMBERS = ['index', 'currentVersion', 'violations'];
+
+/**
+ * Derives a problem code from an HTTP status, e.g. 413 gives 'payload_too_large'
+ * @param {number} status - The HTTP status
+ */
+const defaultCode = (status) => (status >= 500
+    ? 'internal_error'
+    : (http.STATUS_CODES[status] || 'error').toLowerCase().replace(/[^a-z0-9]+/g, '_'));
+
+/**
+ * Describes an error as RFC 7807 problem details. Errors without a status are internal errors.
+ * @param {Error & {status?: number, code?: string}} error - The error
+ * @param {string} [instance] - The request path the problem occurred on
+ * @returns {Object} - { type, title, status, code, detail, instance } and any extension members
+ */
+const toProblem = (error, instance) => {
+    const status = error.status >= 400 && error.status < 600 ? error.status : 500;
+    const problem = {
+        type: 'about:blank',
+        title: http.STATUS_CODES[status] || 'Error',
+        status,
+        // Node and SQLite errors carry codes of their own, such as SQLITE_BUSY, which are not reported
+        code: typeof error.code === 'string' && /^[a-z_]+$/.test(error.code) ? error.code : defaultCode(status),
+        detail: error.message
+    };
+    if (instance !== undefined) {
+        problem.instance = instance;
+    }
+    PROBLEM_MEMBERS.forEach(member => {
+        const source = [error, error.cause].find(candidate => candidate && candidate[member] !== undefined);
+        if (source) {
+            problem[member] = source[member];
+        }
+    });
+    return problem;
+};
+
+/**
+ * Answers a request with the problem details of an error as application/problem+json
+ * @param {import('express').Response} res - The response
+ * @param {Error} error - The error
+ */
+const sendProblem = (res, error) => {
+    const problem = toProblem(error, res.req.originalUrl.split('?')[0]);
+    res.status(problem.status).type('application/problem+json').json(problem);
+};
+
+module.exports = {
+    toProblem,
+    sendProblem,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    SchemaViolationError,
+    UnsupportedMediaTypeError,
+    NotSupportedError,
+    BatchOperationError
+};
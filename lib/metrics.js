@@ -0,0 +1,153 @@
+const client = require('prom-client');
+const { getNamespaceSizes, setOperationObserver } = require('./storage');
+const { databaseSize } = require('./db');
+const { sendProblem } = require('./errors');
+
+// Metrics of this process only; exposed at /metrics in the Prometheus text format
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Latency buckets (seconds) shared by request and storage histograms
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const requestsTotal = new client.Counter({
+    name: 'cstore_http_requests_total',
+    help: 'HTTP requests handled, by route and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const requestDuration = new client.Histogram({
+    name: 'cstore_http_request_duration_seconds',
+    help: 'HTTP request latency, by route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const unhandledErrors = new client.Counter({
+    name: 'cstore_http_unhandled_errors_total',
+    help: 'Errors that reached the global error handler, by route',
+    labelNames: ['method', 'route'],
+    registers: [registry]
+});
+
+const operationDuration = new client.Histogram({
+    name: 'cstore_storage_operation_duration_seconds',
+    help: 'Duration of lib/storage.js calls, by function and result',
+    labelNames: ['operation', 'result'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+/**
+ * Reads the size of every namespace once per scrape
+ * @returns {Promise<Object[]>}
+ */
+const namespaceSizes = async () => {
+    try {
+        return await getNamespaceSizes();
+    } catch (error) {
+        console.error(`Failed to collect namespace metrics: ${error.message}`);
+        return [];
+    }
+};
+
+// Both namespace gauges are filled from the same query, started by whichever is collected first
+let pendingSizes = null;
+
+/**
+ * Creates the collect function of a per-namespace gauge
+ * @param {'keys'|'bytes'} field - The namespace size field reported
+ */
+const collectNamespaces = (field) => async function() {
+    if (!pendingSizes) {
+        pendingSizes = namespaceSizes().finally(() => setImmediate(() => {
+            pendingSizes = null;
+        }));
+    }
+    const sizes = await pendingSizes;
+    this.reset();
+    sizes.forEach(size => this.set({ namespace: size.namespace }, size[field]));
+};
+
+new client.Gauge({
+    name: 'cstore_namespace_keys',
+    help: 'Live keys per namespace',
+    labelNames: ['namespace'],
+    registers: [registry],
+    collect: collectNamespaces('keys')
+});
+
+new client.Gauge({
+    name: 'cstore_namespace_bytes',
+    help: 'Bytes of the keys and values stored per namespace',
+    labelNames: ['namespace'],
+    registers: [registry],
+    collect: collectNamespaces('bytes')
+});
+
+new client.Gauge({
+    name: 'cstore_database_size_bytes',
+    help: 'Size of the SQLite database file and its write-ahead log',
+    registers: [registry],
+    async collect() {
+        try {
+            this.set(await databaseSize());
+        } catch (error) {
+            console.error(`Failed to collect database size: ${error.message}`);
+        }
+    }
+});
+
+setOperationObserver((operation, seconds, error) => {
+    operationDuration.observe({ operation, result: error ? 'error' : 'ok' }, seconds);
+});
+
+/**
+ * Names the route that handled a request, as declared, so paths with keys in them do not
+ * create a series each
+ * @param {import('express').Request} req - The request
+ */
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+/**
+ * Middleware counting every request and timing it until the response is sent
+ */
+const observeRequests = (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeOf(req), status: res.statusCode };
+        requestsTotal.inc(labels);
+        requestDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+};
+
+/**
+ * Counts an error that reached the global error handler
+ * @param {import('express').Request} req - The failed request
+ */
+const countUnhandledError = (req) => {
+    unhandledErrors.inc({ method: req.method, route: routeOf(req) });
+};
+
+/**
+ * Serves every metric in the Prometheus text format
+ */
+const metricsHandler = async (req, res) => {
+    try {
+        const metrics = await registry.metrics();
+        res.set('Content-Type', registry.contentType);
+        res.send(metrics);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+};
+
+module.exports = {
+    registry,
+    observeRequests,
+    countUnhandledError,
+    metricsHandler
+};
@@ -0,0 +1,868 @@
+const Ajv = require('ajv');
+const { version } = require('../package.json');
+const { ValidationError, UnsupportedMediaTypeError, sendProblem } = require('./errors');
+
+/*
+ * OpenAPI 3.1 description of every route, served at /api/_openapi.json. validateRequest checks
+ * the parameters and JSON bodies of /api requests against it before they reach the routes, so
+ * the document and the behaviour cannot drift apart.
+ */
+
+// Building blocks of the document
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const ok = (description, schema) => ({ description, content: json(schema) });
+const problem = (description) => ({ description, content: { 'application/problem+json': { schema: ref('Problem') } } });
+const body = (schema, required = true) => ({ required, content: json(schema) });
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+const list = (name, items) => object({ [name]: { type: 'array', items }, count: { type: 'integer' } });
+const paged = (name, items) => object({
+    [name]: { type: 'array', items },
+    count: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'] }
+});
+
+const pathParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema });
+const header = (name, description) => ({ name, in: 'header', description, schema: { type: 'string' } });
+
+const positiveInt = { type: 'integer', minimum: 1 };
+const ttl = { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Seconds to live; null never expires' };
+const stringList = { type: 'array', items: { type: 'string' } };
+const contentType = { type: ['string', 'null'], description: 'Media type of the value; kept by later writes that omit it, null clears it' };
+const tags = { type: ['array', 'null'], maxItems: 32, items: { type: 'string', pattern: '^[\\w.:/-]{1,64}$' }, description: 'Labels of the key; kept by later writes that omit them, null clears them' };
+const BOOLEAN_FLAG = { type: 'string', enum: ['true', 'false', '1', '0'] };
+
+const NAMESPACE = pathParam('namespace', "Namespace; names starting with '_' are reserved");
+const KEY = pathParam('id', "Key; names starting with '_' are reserved");
+const BACKUP_ID = pathParam('backupId', 'Backup id, the UTC time of the backup', { type: 'string', pattern: '^\\d{8}T\\d{9}Z(-\\d+)?$' });
+const LIMIT = queryParam('limit', 'Page size', positiveInt);
+const CURSOR = queryParam('cursor', 'nextCursor of the previous page');
+const IF_MATCH = header('If-Match', 'Only proceed if the key has one of these ETags, or exists for *');
+const IF_NONE_MATCH = header('If-None-Match', 'Only proceed if the key has none of these ETags, or does not exist for *');
+const LIST_PARAMS = [
+    LIMIT,
+    CURSOR,
+    queryParam('prefix', 'Only names starting with this prefix'),
+    queryParam('start', 'Only names at or after this one'),
+    queryParam('end', 'Only names before this one'),
+    queryParam('order', 'Sort order', { type: 'string', enum: ['asc', 'desc'] }),
+    queryParam('keysOnly', 'List key names without values', BOOLEAN_FLAG)
+];
+
+/**
+ * Declares an operation, adding the error responses every route can give
+ * @param {Object} spec - The OpenAPI operation object
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.public] - Whether the operation needs no API key
+ */
+const operation = (spec, options = {}) => ({
+    ...spec,
+    ...(options.public && { security: [] }),
+    responses: {
+        ...spec.responses,
+        400: problem('Invalid request'),
+        ...(!options.public && { 401: problem('Missing or invalid API key'), 403: problem('The API key lacks a permission') }),
+        500: problem('Internal error')
+    }
+});
+
+const NOT_FOUND = { 404: problem('Not found') };
+const WRITE_ERRORS = { 412: problem('A precondition failed'), 422: problem('The value violates the namespace schema') };
+const MESSAGE = ok('Done', object({ message: { type: 'string' } }));
+const UPDATED = ok('The new value and version', ref('VersionedValue'));
+
+// Copies, renames and merges of a namespace
+const TARGET = { type: 'string', minLength: 1, pattern: '^[^_]', description: "Namespace written to; names starting with '_' are reserved" };
+const TRANSFER_ERRORS = { ...NOT_FOUND, 409: problem('The target has keys, or a key exists in both'), 422: problem('A value violates the target schema') };
+const transferResult = (counts) => object({ message: { type: 'string' }, source: { type: 'string' }, target: { type: 'string' }, ...counts });
+
+const counter = (summary) => operation({
+    summary,
+    tags: ['Atomic operations'],
+    parameters: [NAMESPACE, KEY],
+    requestBody: body(object({
+        by: { type: 'number', description: 'Amount, 1 by default' },
+        path: { type: 'string', description: 'Dot path of a numeric field inside the value' },
+        ttl
+    }), false),
+    responses: { 200: UPDATED, 409: problem('The value is not a number'), ...WRITE_ERRORS }
+});
+
+const arrayUpdate = (summary) => operation({
+    summary,
+    tags: ['Atomic operations'],
+    parameters: [NAMESPACE, KEY],
+    requestBody: body(object({
+        values: { type: 'array' },
+        path: { type: 'string', description: 'Dot path of an array field inside the value' },
+        ttl
+    }, ['values'])),
+    responses: { 200: UPDATED, 409: problem('The value is not an array'), ...WRITE_ERRORS }
+});
+
+const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'C-Store API',
+        version,
+        description: 'Namespaced JSON key-value store. Errors are RFC 7807 problem details.'
+    },
+    security: [{ apiKey: [] }],
+    paths: {
+        '/': {
+            get: operation({ summary: 'Service information', tags: ['Service'], responses: { 200: ok('Welcome message', { type: 'object' }) } }, { public: true })
+        },
+        '/health': {
+            get: operation({ summary: 'Health check', tags: ['Service'], responses: { 200: ok('Healthy', object({ status: { type: 'string' }, timestamp: { type: 'string' }, uptime: { type: 'number' } })) } }, { public: true })
+        },
+        '/metrics': {
+            get: operation({
+                summary: 'Prometheus metrics',
+                tags: ['Service'],
+                responses: { 200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+            })
+        },
+        '/api/_openapi.json': {
+            get: operation({ summary: 'This document', tags: ['Service'], responses: { 200: ok('OpenAPI document', { type: 'object' }) } }, { public: true })
+        },
+        '/api': {
+            get: operation({
+                summary: 'List the namespaces the API key can read',
+                tags: ['Namespaces'],
+                parameters: LIST_PARAMS,
+                responses: { 200: ok('Namespaces', paged('namespaces', { type: 'string' })) }
+            })
+        },
+        '/api/_audit': {
+            get: operation({
+                summary: 'List audit log entries, newest first',
+                tags: ['Administration'],
+                parameters: [
+                    ...['namespace', 'key', 'operation', 'actor', 'requestId', 'clientIp'].map(name => queryParam(name, `Only entries with this ${name}`)),
+                    queryParam('apiKeyId', 'Only requests made with this API key', positiveInt),
+                    queryParam('since', 'Only entries at or after this time (epoch milliseconds or ISO 8601)'),
+                    queryParam('until', 'Only entries before this time (epoch milliseconds or ISO 8601)'),
+                    queryParam('limit', 'Page size, at most 1000', positiveInt),
+                    CURSOR
+                ],
+                responses: { 200: ok('Audit entries', paged('entries', ref('AuditEntry'))) }
+            })
+        },
+        '/api/_backups': {
+            get: operation({ summary: 'List the backups, newest first', tags: ['Backups'], responses: { 200: ok('Backups', list('backups', ref('Backup'))) } }),
+            post: operation({ summary: 'Take a consistent snapshot of the database', tags: ['Backups'], responses: { 201: ok('The new backup', ref('Backup')) } })
+        },
+        '/api/_backups/{backupId}': {
+            get: operation({
+                summary: 'Describe a backup, verifying its checksum',
+                tags: ['Backups'],
+                parameters: [BACKUP_ID],
+                responses: { 200: ok('The backup', { allOf: [ref('Backup'), object({ valid: { type: 'boolean' } })] }), ...NOT_FOUND }
+            })
+        },
+        '/api/_backups/{backupId}/restore': {
+            post: operation({
+                summary: 'Replace the database with a backup, backing up the database it replaces first',
+                tags: ['Backups'],
+                parameters: [BACKUP_ID],
+                responses: {
+                    200: ok('The restored backup and the one taken before', object({ message: { type: 'string' }, restored: { type: 'string' }, safetyBackup: { type: 'string' } })),
+                    ...NOT_FOUND,
+                    409: problem('The backup does not match its checksum')
+                }
+            })
+        },
+        '/api/_keys': {
+            get: operation({ summary: 'List API keys', tags: ['Administration'], responses: { 200: ok('API keys', list('keys', ref('ApiKey'))) } }),
+            post: operation({
+                summary: 'Create an API key; the key itself is only returned here',
+                tags: ['Administration'],
+                requestBody: body(object({
+                    name: { type: 'string', minLength: 1 },
+                    scopes: { type: 'array', items: ref('Scope') }
+                }, ['name', 'scopes'])),
+                responses: { 201: ok('The new key', { allOf: [ref('ApiKey'), object({ key: { type: 'string' } })] }) }
+            })
+        },
+        '/api/_keys/{keyId}': {
+            delete: operation({
+                summary: 'Revoke an API key',
+                tags: ['Administration'],
+                parameters: [pathParam('keyId', 'API key id', positiveInt)],
+                responses: { 200: MESSAGE, ...NOT_FOUND }
+            })
+        },
+        '/api/_batch': {
+            post: operation({
+                summary: 'Run get, set and delete operations atomically',
+                tags: ['Keys'],
+                requestBody: body(object({
+                    operations: { type: 'array', minItems: 1, maxItems: 100, items: ref('BatchOperation') }
+                }, ['operations'])),
+                responses: { 200: ok('Result of every operation', list('results', { type: 'object' })), ...WRITE_ERRORS }
+            })
+        },
+        '/api/_trash': {
+            get: operation({
+                summary: 'List the namespaces holding deleted keys',
+                tags: ['Trash'],
+                responses: {
+                    200: ok('Namespaces', list('namespaces', object({ namespace: { type: 'string' }, keys: { type: 'integer' }, lastDeletedAt: { type: 'string' } })))
+                }
+            })
+        },
+        '/api/_cache': {
+            get: operation({ summary: 'Read cache statistics', tags: ['Administration'], responses: { 200: ok('Statistics', { type: 'object' }) } })
+        },
+        '/api/{namespace}': {
+            get: operation({
+                summary: 'List the keys of a namespace; paginated when a listing parameter is given',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE, ...LIST_PARAMS],
+                responses: { 200: ok('Values by key, or a page of items or keys', { type: 'object' }) }
+            }),
+            delete: operation({
+                summary: 'Delete a namespace, moving its keys to the trash; permanently with adapters that keep none',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE, { ...queryParam('confirm', 'The namespace name again, confirming the deletion'), required: true }],
+                responses: { 200: MESSAGE }
+            })
+        },
+        '/api/{namespace}/_watch': {
+            get: operation({
+                summary: 'Stream changes as Server-Sent Events',
+                tags: ['Namespaces'],
+                parameters: [
+                    NAMESPACE,
+                    queryParam('prefix', 'Only keys starting with this prefix'),
+                    queryParam('since', 'Replay changes after this sequence number', { type: 'integer', minimum: 0 }),
+                    header('Last-Event-ID', 'Resume after this sequence number'),
+                    queryParam('access_token', 'API key, for clients such as EventSource that cannot send headers')
+                ],
+                responses: { 200: { description: 'Change events; a reset event first when changes after Last-Event-ID were pruned', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+            })
+        },
+        '/api/{namespace}/_query': {
+            post: operation({
+                summary: 'Find values by their JSON fields',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({
+                    filter: { type: 'object', description: '{ path, op, value } or { and }, { or }, { not }' },
+                    fields: stringList,
+                    sort: object({ path: { type: 'string' }, order: { type: 'string', enum: ['asc', 'desc'] } }),
+                    limit: positiveInt
+                }), false),
+                responses: { 200: ok('Matching items', list('items', { type: 'object' })) }
+            })
+        },
+        '/api/{namespace}/_stats': {
+            get: operation({
+                summary: 'Key count, bytes and last write of a namespace, with its largest keys',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE, queryParam('top', 'Number of largest keys to list (default 10)', { type: 'integer', minimum: 0, maximum: 100 })],
+                responses: { 200: ok('Statistics', ref('NamespaceStats')) }
+            })
+        },
+        '/api/{namespace}/_trash': {
+            get: operation({
+                summary: 'List the deleted keys of a namespace, most recently deleted first',
+                tags: ['Trash'],
+                parameters: [
+                    NAMESPACE,
+                    queryParam('key', 'Only deletions of this key'),
+                    LIMIT,
+                    queryParam('before', 'Only entries with a smaller id', positiveInt)
+                ],
+                responses: { 200: ok('Deleted keys', object({ namespace: { type: 'string' }, keys: { type: 'array', items: ref('TrashedKey') }, count: { type: 'integer' } })) }
+            }),
+            delete: operation({
+                summary: 'Permanently remove the deleted keys of a namespace',
+                tags: ['Trash'],
+                parameters: [NAMESPACE],
+                responses: { 200: ok('Number of entries removed', object({ message: { type: 'string' }, purged: { type: 'integer' } })) }
+            })
+        },
+        '/api/{namespace}/_trash/restore': {
+            post: operation({
+                summary: 'Restore every deleted key of a namespace that does not exist again',
+                tags: ['Trash'],
+                parameters: [NAMESPACE],
+                responses: {
+                    200: ok('Restored and skipped keys', object({ message: { type: 'string' }, restored: { type: 'integer' }, skipped: { type: 'integer' } })),
+                    ...WRITE_ERRORS
+                }
+            })
+        },
+        '/api/{namespace}/_trash/{id}': {
+            delete: operation({
+                summary: 'Permanently remove the deleted values of a key',
+                tags: ['Trash'],
+                parameters: [NAMESPACE, KEY],
+                responses: { 200: ok('Number of entries removed', object({ message: { type: 'string' }, purged: { type: 'integer' } })) }
+            })
+        },
+        '/api/{namespace}/_trash/{id}/restore': {
+            post: operation({
+                summary: 'Restore the most recently deleted value of a key',
+                tags: ['Trash'],
+                parameters: [NAMESPACE, KEY],
+                responses: {
+                    200: ok('The new version', object({ message: { type: 'string' }, version: { type: 'integer' } })),
+                    ...NOT_FOUND,
+                    409: problem('The key exists'),
+                    ...WRITE_ERRORS
+                }
+            })
+        },
+        '/api/{namespace}/_webhooks': {
+            get: operation({ summary: 'List webhooks', tags: ['Webhooks'], parameters: [NAMESPACE], responses: { 200: ok('Webhooks', list('webhooks', ref('Webhook'))) } }),
+            post: operation({
+                summary: 'Register a webhook',
+                tags: ['Webhooks'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({
+                    url: { type: 'string' },
+                    events: { type: 'array', minItems: 1, items: { type: 'string', enum: ['set', 'delete', 'namespace_drop', 'reset'] } },
+                    prefix: { type: 'string' },
+                    secret: { type: 'string' }
+                }, ['url'])),
+                responses: { 201: ok('The webhook with its signing secret', ref('Webhook')) }
+            })
+        },
+        '/api/{namespace}/_webhooks/{webhookId}': {
+            get: operation({
+                summary: 'Get a webhook',
+                tags: ['Webhooks'],
+                parameters: [NAMESPACE, pathParam('webhookId', 'Webhook id', positiveInt)],
+                responses: { 200: ok('The webhook', ref('Webhook')), ...NOT_FOUND }
+            }),
+            delete: operation({
+                summary: 'Delete a webhook',
+                tags: ['Webhooks'],
+                parameters: [NAMESPACE, pathParam('webhookId', 'Webhook id', positiveInt)],
+                responses: { 200: MESSAGE, ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/_webhooks/{webhookId}/deliveries': {
+            get: operation({
+                summary: 'Delivery log of a webhook, newest first',
+                tags: ['Webhooks'],
+                parameters: [
+                    NAMESPACE,
+                    pathParam('webhookId', 'Webhook id', positiveInt),
+                    queryParam('status', 'Only deliveries in this state', { type: 'string', enum: ['pending', 'delivered', 'failed'] }),
+                    LIMIT
+                ],
+                responses: { 200: ok('Deliveries', list('deliveries', { type: 'object' })), ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/_indexes': {
+            get: operation({ summary: 'List indexes', tags: ['Indexes'], parameters: [NAMESPACE], responses: { 200: ok('Indexes', list('indexes', ref('Index'))) } }),
+            post: operation({
+                summary: 'Declare an index on JSON fields',
+                tags: ['Indexes'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({ name: { type: 'string' }, paths: { ...stringList, minItems: 1 } }, ['name', 'paths'])),
+                responses: { 201: ok('The index', ref('Index')), 409: problem('The index exists') }
+            })
+        },
+        '/api/{namespace}/_indexes/{index}': {
+            delete: operation({
+                summary: 'Drop an index',
+                tags: ['Indexes'],
+                parameters: [NAMESPACE, pathParam('index', 'Index name')],
+                responses: { 200: MESSAGE, ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/_indexes/{index}/rebuild': {
+            post: operation({
+                summary: 'Rebuild an index',
+                tags: ['Indexes'],
+                parameters: [NAMESPACE, pathParam('index', 'Index name')],
+                responses: { 200: MESSAGE, ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/_by/{index}': {
+            get: operation({
+                summary: 'Find values through an index',
+                tags: ['Indexes'],
+                parameters: [
+                    NAMESPACE,
+                    pathParam('index', 'Index name'),
+                    queryParam('value', 'Lookup value, parsed as JSON when possible; repeat for indexes on several paths', stringList),
+                    LIMIT,
+                    CURSOR
+                ],
+                responses: { 200: ok('Matching items', paged('items', { type: 'object' })), ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/_export': {
+            get: operation({
+                summary: 'Export a namespace as NDJSON',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE],
+                responses: { 200: { description: 'One { key, value, ttl? } object per line; ttl is the seconds an expiring key has left', content: { 'application/x-ndjson': { schema: { type: 'string' } } } } }
+            })
+        },
+        '/api/{namespace}/_import': {
+            post: operation({
+                summary: 'Import NDJSON { key, value } lines',
+                tags: ['Namespaces'],
+                parameters: [
+                    NAMESPACE,
+                    queryParam('mode', 'How existing keys are treated', { type: 'string', enum: ['merge', 'replace', 'skip-existing'] }),
+                    queryParam('dryRun', 'Report without writing', { type: 'string', enum: ['true', 'false', '1', '0'] })
+                ],
+                requestBody: { required: true, content: { 'application/x-ndjson': { schema: { type: 'string' } } } },
+                responses: { 200: ok('Import report', { type: 'object' }), 415: problem('Not sent as NDJSON') }
+            })
+        },
+        '/api/{namespace}/_copy': {
+            post: operation({
+                summary: 'Copy every key into a new, empty namespace',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({ target: TARGET }, ['target'])),
+                responses: { 200: ok('Number of keys copied', transferResult({ copied: { type: 'integer' } })), ...TRANSFER_ERRORS }
+            })
+        },
+        '/api/{namespace}/_rename': {
+            post: operation({
+                summary: 'Move every key to a new, empty namespace',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({ target: TARGET }, ['target'])),
+                responses: { 200: ok('Number of keys moved', transferResult({ renamed: { type: 'integer' } })), ...TRANSFER_ERRORS }
+            })
+        },
+        '/api/{namespace}/_merge': {
+            post: operation({
+                summary: 'Write every key into another namespace',
+                tags: ['Namespaces'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({
+                    target: TARGET,
+                    onConflict: { type: 'string', enum: ['overwrite', 'keep-target', 'fail'], description: 'Keys in both namespaces: replace, keep the target value, or abort (default)' }
+                }, ['target'])),
+                responses: {
+                    200: ok('Keys created, overwritten and skipped', transferResult({ created: { type: 'integer' }, overwritten: { type: 'integer' }, skipped: { type: 'integer' } })),
+                    ...TRANSFER_ERRORS
+                }
+            })
+        },
+        '/api/{namespace}/_schema': {
+            get: operation({ summary: 'Get the JSON Schema of a namespace', tags: ['Schemas'], parameters: [NAMESPACE], responses: { 200: ok('The schema', ref('NamespaceSchema')), ...NOT_FOUND } }),
+            put: operation({
+                summary: 'Attach a JSON Schema (draft-07) to a namespace',
+                tags: ['Schemas'],
+                parameters: [NAMESPACE],
+                requestBody: body({ type: 'object' }),
+                responses: { 200: ok('The schema', ref('NamespaceSchema')) }
+            }),
+            delete: operation({ summary: 'Remove the schema of a namespace', tags: ['Schemas'], parameters: [NAMESPACE], responses: { 200: MESSAGE, ...NOT_FOUND } })
+        },
+        '/api/{namespace}/_schema/validate': {
+            post: operation({
+                summary: 'Report stored values violating the schema, or a candidate schema',
+                tags: ['Schemas'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({ schema: { type: 'object' } }), false),
+                responses: { 200: ok('Validation report', { type: 'object' }), ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/_cache': {
+            get: operation({ summary: 'Get the cache policy of a namespace', tags: ['Administration'], parameters: [NAMESPACE], responses: { 200: ok('The policy', ref('CachePolicy')) } }),
+            put: operation({
+                summary: 'Set the cache policy of a namespace',
+                tags: ['Administration'],
+                parameters: [NAMESPACE],
+                requestBody: body(object({
+                    mode: { type: 'string', enum: ['on', 'off', 'max-age'] },
+                    maxAge: { ...positiveInt, description: 'Seconds, in max-age mode' }
+                }, ['mode'])),
+                responses: { 200: ok('The policy', ref('CachePolicy')) }
+            }),
+            delete: operation({ summary: 'Restore the default cache policy', tags: ['Administration'], parameters: [NAMESPACE], responses: { 200: ok('The policy', ref('CachePolicy')) } })
+        },
+        '/api/{namespace}/{id}': {
+            get: operation({
+                summary: 'Get a value',
+                tags: ['Keys'],
+                parameters: [
+                    NAMESPACE,
+                    KEY,
+                    queryParam('asOf', 'Read the value the key had at this time (epoch milliseconds or ISO 8601)'),
+                    queryParam('meta', 'Return the metadata of the key instead of its value', BOOLEAN_FLAG),
+                    IF_NONE_MATCH
+                ],
+                responses: {
+                    200: ok('The value, its version being in the ETag header, or the metadata of the key with meta=true', {
+                        oneOf: [object({ value: {}, version: { type: 'integer' }, revision: { type: 'integer' } }, ['value']), ref('KeyMetadata')]
+                    }),
+                    304: { description: 'The value has the ETag in If-None-Match' },
+                    ...NOT_FOUND
+                }
+            }),
+            head: operation({
+                summary: 'Get the metadata of a key as headers',
+                tags: ['Keys'],
+                parameters: [NAMESPACE, KEY],
+                responses: {
+                    200: {
+                        description: 'ETag, Last-Modified, X-Created-At, X-Value-Size, X-Value-Content-Type (if set) and X-Tags (comma-separated, if any)'
+                    },
+                    404: { description: 'Not found' }
+                }
+            }),
+            post: operation({
+                summary: 'Set a value',
+                tags: ['Keys'],
+                parameters: [NAMESPACE, KEY, IF_MATCH, IF_NONE_MATCH, header('X-TTL', 'Seconds to live')],
+                requestBody: body(object({ value: { description: 'Any JSON value' }, ttl, contentType, tags }, ['value'])),
+                responses: { 200: ok('The new version', object({ message: { type: 'string' }, version: { type: 'integer' } })), ...WRITE_ERRORS }
+            }),
+            patch: operation({
+                summary: 'Update a value with a JSON Merge Patch (RFC 7396) or a JSON Patch (RFC 6902)',
+                tags: ['Keys'],
+                parameters: [NAMESPACE, KEY, IF_MATCH, IF_NONE_MATCH],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/merge-patch+json': { schema: {} },
+                        'application/json': { schema: {} },
+                        'application/json-patch+json': { schema: { type: 'array', items: ref('JsonPatchOperation') } }
+                    }
+                },
+                responses: { 200: UPDATED, ...NOT_FOUND, 409: problem('The patch cannot be applied'), ...WRITE_ERRORS }
+            }),
+            delete: operation({
+                summary: 'Delete a key',
+                tags: ['Keys'],
+                parameters: [NAMESPACE, KEY, IF_MATCH],
+                responses: { 200: MESSAGE, 412: problem('A precondition failed') }
+            })
+        },
+        '/api/{namespace}/{id}/increment': { post: counter('Atomically add to a number') },
+        '/api/{namespace}/{id}/decrement': { post: counter('Atomically subtract from a number') },
+        '/api/{namespace}/{id}/append': { post: arrayUpdate('Atomically append to an array') },
+        '/api/{namespace}/{id}/remove': { post: arrayUpdate('Atomically remove every occurrence of values from an array') },
+        '/api/{namespace}/{id}/set-if-absent': {
+            post: operation({
+                summary: 'Set a value only if the key does not exist',
+                tags: ['Atomic operations'],
+                parameters: [NAMESPACE, KEY],
+                requestBody: body(object({ value: { description: 'Any JSON value' }, ttl }, ['value'])),
+                responses: {
+                    200: ok('The key existed; its value', ref('SetIfAbsentResult')),
+                    201: ok('The value was stored', ref('SetIfAbsentResult')),
+                    422: WRITE_ERRORS[422]
+                }
+            })
+        },
+        '/api/{namespace}/{id}/ttl': {
+            get: operation({ summary: 'Get the remaining TTL of a key', tags: ['Keys'], parameters: [NAMESPACE, KEY], responses: { 200: ok('The TTL', ref('Ttl')), ...NOT_FOUND } }),
+            put: operation({
+                summary: 'Change the TTL of a key',
+                tags: ['Keys'],
+                parameters: [NAMESPACE, KEY],
+                requestBody: body(object({ ttl }, ['ttl'])),
+                responses: { 200: ok('The TTL', ref('Ttl')), ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/{id}/history': {
+            get: operation({
+                summary: 'List the revisions of a key, newest first',
+                tags: ['History'],
+                parameters: [NAMESPACE, KEY, LIMIT, queryParam('before', 'Only revisions before this one', positiveInt)],
+                responses: { 200: ok('Revisions', object({ namespace: { type: 'string' }, key: { type: 'string' }, revisions: { type: 'array', items: ref('Revision') } })) }
+            })
+        },
+        '/api/{namespace}/{id}/history/{revision}': {
+            get: operation({
+                summary: 'Get a revision of a key with its value',
+                tags: ['History'],
+                parameters: [NAMESPACE, KEY, pathParam('revision', 'Revision number', positiveInt)],
+                responses: { 200: ok('The revision', ref('Revision')), ...NOT_FOUND }
+            })
+        },
+        '/api/{namespace}/{id}/history/{revision}/restore': {
+            post: operation({
+                summary: 'Restore a revision as the current value',
+                tags: ['History'],
+                parameters: [NAMESPACE, KEY, pathParam('revision', 'Revision number', positiveInt), IF_MATCH, IF_NONE_MATCH],
+                responses: { 200: ok('The new version', object({ message: { type: 'string' }, version: { type: 'integer' } })), ...NOT_FOUND, ...WRITE_ERRORS }
+            })
+        }
+    },
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'http', scheme: 'bearer', description: 'API key, or the ADMIN_API_KEY; only required when authentication is enabled' }
+        },
+        schemas: {
+            Problem: object({
+                type: { type: 'string' },
+                title: { type: 'string' },
+                status: { type: 'integer' },
+                code: { type: 'string', description: 'Machine-readable error code, e.g. not_found or invalid_request' },
+                detail: { type: 'string' },
+                instance: { type: 'string' },
+                violations: { type: 'array', items: object({ in: { type: 'string' }, path: { type: 'string' }, message: { type: 'string' } }) },
+                currentVersion: { type: ['integer', 'null'] },
+                index: { type: 'integer', description: 'Failed operation of a batch' }
+            }, ['type', 'title', 'status', 'code', 'detail']),
+            VersionedValue: object({ value: {}, version: { type: 'integer' } }),
+            KeyMetadata: object({
+                namespace: { type: 'string' },
+                key: { type: 'string' },
+                version: { type: 'integer' },
+                size: { type: 'integer', description: 'Bytes of the JSON value' },
+                contentType: { type: ['string', 'null'] },
+                tags: stringList,
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' },
+                expiresAt: { type: ['string', 'null'] }
+            }),
+            NamespaceStats: object({
+                namespace: { type: 'string' },
+                keys: { type: 'integer' },
+                bytes: { type: 'integer', description: 'Bytes of the keys and their JSON values' },
+                lastModified: { type: ['string', 'null'], description: 'Time of the latest write of a live key' },
+                largest: { type: 'array', items: object({ key: { type: 'string' }, size: { type: 'integer' } }) }
+            }),
+            SetIfAbsentResult: object({ value: {}, version: { type: 'integer' }, created: { type: 'boolean' } }),
+            Ttl: object({ namespace: { type: 'string' }, key: { type: 'string' }, ttl: { type: ['integer', 'null'] }, expiresAt: { type: ['string', 'null'] } }),
+            Backup: object({
+                id: { type: 'string' },
+                createdAt: { type: 'string' },
+                size: { type: 'integer', description: 'Bytes' },
+                sha256: { type: ['string', 'null'], description: 'Checksum recorded when the backup was taken' }
+            }),
+            TrashedKey: object({
+                id: { type: 'integer' },
+                key: { type: 'string' },
+                version: { type: 'integer', description: 'Version of the key when it was deleted' },
+                size: { type: 'integer' },
+                reason: { type: 'string', enum: ['delete', 'namespace_drop'] },
+                deletedAt: { type: 'string' },
+                purgeAt: { type: 'string', description: 'When the entry is removed for good' }
+            }),
+            Revision: object({ revision: { type: 'integer' }, version: { type: 'integer' }, operation: { type: 'string' }, timestamp: { type: 'string' }, value: {} }),
+            Scope: object({ namespace: { type: 'string' }, permission: { type: 'string', enum: ['read', 'write', 'admin'] } }, ['namespace', 'permission']),
+            ApiKey: object({
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                prefix: { type: 'string' },
+                scopes: { type: 'array', items: ref('Scope') },
+                createdAt: { type: 'string' },
+                revokedAt: { type: ['string', 'null'] }
+            }),
+            BatchOperation: object({
+                op: { type: 'string', enum: ['get', 'set', 'delete'] },
+                namespace: { type: 'string', minLength: 1 },
+                key: { type: 'string', minLength: 1 },
+                value: {},
+                ifMatch: {},
+                ifNoneMatch: {}
+            }, ['op', 'namespace', 'key']),
+            JsonPatchOperation: object({
+                op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                path: { type: 'string' },
+                from: { type: 'string' },
+                value: {}
+            }, ['op', 'path']),
+            Webhook: object({
+                id: { type: 'integer' },
+                namespace: { type: 'string' },
+                url: { type: 'string' },
+                events: stringList,
+                prefix: { type: 'string' },
+                secret: { type: 'string' },
+                createdAt: { type: 'string' }
+            }),
+            Index: object({ name: { type: 'string' }, namespace: { type: 'string' }, paths: stringList, createdAt: { type: 'string' } }),
+            NamespaceSchema: object({ namespace: { type: 'string' }, schema: { type: 'object' }, updatedAt: { type: 'string' } }),
+            CachePolicy: object({ namespace: { type: 'string' }, mode: { type: 'string' }, maxAge: { type: ['integer', 'null'] } }),
+            AuditEntry: object({
+                id: { type: 'integer' },
+                timestamp: { type: 'string' },
+                requestId: { type: 'string' },
+                actor: { type: 'string' },
+                apiKeyId: { type: ['integer', 'null'] },
+                clientIp: { type: ['string', 'null'] },
+                method: { type: 'string' },
+                path: { type: 'string' },
+                status: { type: 'integer' },
+                operation: { type: 'string' },
+                namespace: { type: ['string', 'null'] },
+                key: { type: ['string', 'null'] },
+                beforeHash: { type: ['string', 'null'] },
+                afterHash: { type: ['string', 'null'] }
+            })
+        }
+    }
+};
+
+// Request validation
+
+// Parameters arrive as strings and repeated query parameters as arrays; both are coerced
+const parameterAjv = new Ajv({ allErrors: true, coerceTypes: 'array', strict: false });
+// Bodies are checked as sent
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Compiles a body schema; the components travel with it so its $refs resolve
+ * @param {Object} schema - The schema of a media type
+ */
+const compileBody = (schema) => bodyAjv.compile({ ...schema, components: document.components });
+
+/**
+ * Compiles the parameters of one location (path or query) into a validator of the object
+ * holding them
+ * @param {Object[]} parameters - The parameters of an operation
+ * @param {'path'|'query'} location - The location
+ */
+const compileParameters = (parameters, location) => {
+    const declared = parameters.filter(parameter => parameter.in === location);
+    return parameterAjv.compile({
+        type: 'object',
+        properties: Object.fromEntries(declared.map(parameter => [parameter.name, parameter.schema])),
+        required: declared.filter(parameter => parameter.required).map(parameter => parameter.name)
+    });
+};
+
+/**
+ * Lists the path templates of the document with their compiled validators. Templates are
+ * ordered so that literal segments win over parameters, as in the routers: /{namespace}/_watch
+ * is tried before /{namespace}/{id}.
+ */
+const compileOperations = () => Object.entries(document.paths)
+    .map(([template, methods]) => ({
+        segments: template.split('/').slice(1).map(segment => {
+            const match = /^\{(\w+)\}$/.exec(segment);
+            return match ? { param: match[1] } : { literal: segment };
+        }),
+        methods: Object.fromEntries(Object.entries(methods).map(([method, spec]) => {
+            const parameters = spec.parameters || [];
+            const content = spec.requestBody ? spec.requestBody.content : {};
+            return [method, {
+                path: compileParameters(parameters, 'path'),
+                query: compileParameters(parameters, 'query'),
+                bodyRequired: Boolean(spec.requestBody && spec.requestBody.required),
+                mediaTypes: Object.keys(content),
+                // Only JSON bodies are parsed up front; NDJSON imports are streamed to the route
+                bodies: Object.fromEntries(Object.entries(content)
+                    .filter(([mediaType]) => /[/+]json$/.test(mediaType))
+                    .map(([mediaType, { schema }]) => [mediaType, compileBody(schema)]))
+            }];
+        }))
+    }))
+    .sort((a, b) => {
+        for (let i = 0; i < Math.min(a.segments.length, b.segments.length); i++) {
+            if (Boolean(a.segments[i].literal) !== Boolean(b.segments[i].literal)) {
+                return a.segments[i].literal ? -1 : 1;
+            }
+        }
+        return 0;
+    });
+
+const operations = compileOperations();
+
+/**
+ * Finds the documented operation answering a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without the query string
+ * @returns {{validators: Object, params: Object}|undefined}
+ */
+const findOperation = (method, path) => {
+    const segments = (path.length > 1 ? path.replace(/\/$/, '') : path).split('/').slice(1);
+    const name = method === 'HEAD' ? 'get' : method.toLowerCase();
+    for (const candidate of operations) {
+        if (candidate.segments.length !== segments.length) {
+            continue;
+        }
+        const params = {};
+        const matches = candidate.segments.every((segment, index) => {
+            if (segment.literal !== undefined) {
+                return segment.literal === segments[index];
+            }
+            if (segments[index] === '') {
+                return false;
+            }
+            try {
+                params[segment.param] = decodeURIComponent(segments[index]);
+            } catch {
+                params[segment.param] = segments[index];
+            }
+            return true;
+        });
+        if (matches && candidate.methods[name]) {
+            return { validators: candidate.methods[name], params };
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Runs a validator, converting its errors into violations of the form { in, path, message }
+ * @param {Function} validate - The compiled validator
+ * @param {any} data - The data checked
+ * @param {'path'|'query'|'body'} location - Where the data came from
+ */
+const violationsOf = (validate, data, location) => (validate(data) ? [] : validate.errors.map(error => ({
+    in: location,
+    path: error.instancePath || '/',
+    message: error.message
+})));
+
+/**
+ * Middleware checking the parameters and body of a request against the OpenAPI document.
+ * Undocumented paths are left to the routers, which answer 404.
+ */
+const validateRequest = (req, res, next) => {
+    const found = findOperation(req.method, `${req.baseUrl}${req.path}`);
+    if (!found) {
+        return next();
+    }
+    const { validators, params } = found;
+    const violations = [
+        ...violationsOf(validators.path, params, 'path'),
+        ...violationsOf(validators.query, { ...req.query }, 'query')
+    ];
+    if (validators.mediaTypes.length > 0) {
+        // An empty body, often sent without a Content-Type, counts as no body
+        const empty = Number(req.get('Content-Length')) === 0 && !req.get('Transfer-Encoding');
+        const mediaType = empty ? null : req.is(validators.mediaTypes);
+        if (mediaType === false) {
+            return sendProblem(res, new UnsupportedMediaTypeError(`Content-Type must be one of: ${validators.mediaTypes.join(', ')}`));
+        }
+        if (mediaType === null) {
+            if (validators.bodyRequired) {
+                violations.push({ in: 'body', path: '/', message: 'a request body is required' });
+            }
+        } else if (validators.bodies[mediaType]) {
+            violations.push(...violationsOf(validators.bodies[mediaType], req.body, 'body'));
+        }
+    }
+    if (violations.length > 0) {
+        const [first] = violations;
+        const where = first.path === '/' ? first.in : `${first.in} ${first.path}`;
+        return sendProblem(res, new ValidationError(`Invalid request ${where}: ${first.message}`, violations));
+    }
+    next();
+};
+
+/**
+ * Serves the OpenAPI document
+ */
+const openapiHandler = (req, res) => {
+    res.json(document);
+};
+
+module.exports = {
+    document,
+    validateRequest,
+    openapiHandler
+};
@@ -0,0 +1,227 @@
+const { isDeepStrictEqual } = require('util');
+const { ValidationError, ConflictError } = require('./errors');
+
+// Operations of RFC 6902 JSON Patch
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Tests whether a value is a JSON object (not an array or null)
+ * @param {any} value - The value
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Applies an RFC 7396 JSON Merge Patch: objects are merged recursively, null removes a member
+ * and any other value replaces the target
+ * @param {any} target - The current value
+ * @param {any} patch - The merge patch
+ * @returns {any} - The patched value
+ */
+const applyMergePatch = (target, patch) => {
+    if (!isObject(patch)) {
+        return patch;
+    }
+    const result = isObject(target) ? { ...target } : {};
+    Object.entries(patch).forEach(([name, value]) => {
+        if (value === null) {
+            delete result[name];
+        } else {
+            result[name] = applyMergePatch(result[name], value);
+        }
+    });
+    return result;
+};
+
+/**
+ * Splits an RFC 6901 JSON Pointer into its unescaped reference tokens
+ * @param {string} pointer - The pointer, e.g. "/items/0/sku"
+ * @returns {string[]}
+ */
+const parsePointer = (pointer) => {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new ValidationError(`Invalid JSON Pointer: ${pointer}`);
+    }
+    return pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Reads an array index from a reference token
+ * @param {string} token - The token
+ * @param {number} max - Largest index allowed
+ */
+const toIndex = (token, max) => {
+    if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) > max) {
+        throw new ConflictError(`Array index out of range: ${token}`);
+    }
+    return Number(token);
+};
+
+/**
+ * Steps from a container to one of its members
+ * @param {any} node - The container
+ * @param {string} token - Reference token of the member
+ * @param {string[]} tokens - The whole pointer, for error messages
+ * @throws {ConflictError} - If the member does not exist
+ */
+const childOf = (node, token, tokens) => {
+    if (Array.isArray(node)) {
+        return node[toIndex(token, node.length - 1)];
+    }
+    if (isObject(node) && Object.hasOwn(node, token)) {
+        return node[token];
+    }
+    throw new ConflictError(`Path not found: /${tokens.join('/')}`);
+};
+
+/**
+ * Resolves the container holding the location a pointer refers to
+ * @param {any} document - The document
+ * @param {string[]} tokens - Reference tokens of the pointer (at least one)
+ * @returns {{parent: Object|any[], token: string}}
+ */
+const resolveParent = (document, tokens) => {
+    const parent = tokens.slice(0, -1).reduce((node, token) => childOf(node, token, tokens), document);
+    if (parent === null || typeof parent !== 'object') {
+        throw new ConflictError(`Path not found: /${tokens.join('/')}`);
+    }
+    return { parent, token: tokens[tokens.length - 1] };
+};
+
+/**
+ * Reads the value a pointer refers to
+ * @throws {ConflictError} - If nothing is there
+ */
+const getPointer = (document, tokens) => tokens.reduce((node, token) => childOf(node, token, tokens), document);
+
+/**
+ * Adds a value at a pointer, inserting into arrays ("-" appends); returns the new document
+ */
+const addPointer = (document, tokens, value) => {
+    if (tokens.length === 0) {
+        return value;
+    }
+    const { parent, token } = resolveParent(document, tokens);
+    if (Array.isArray(parent)) {
+        parent.splice(token === '-' ? parent.length : toIndex(token, parent.length), 0, value);
+    } else {
+        parent[token] = value;
+    }
+    return document;
+};
+
+/**
+ * Removes the value at a pointer; returns the new document
+ * @throws {ConflictError} - If nothing is there
+ */
+const removePointer = (document, tokens) => {
+    getPointer(document, tokens);
+    if (tokens.length === 0) {
+        return null;
+    }
+    const { parent, token } = resolveParent(document, tokens);
+    if (Array.isArray(parent)) {
+        parent.splice(toIndex(token, parent.length - 1), 1);
+    } else {
+        delete parent[token];
+    }
+    return document;
+};
+
+/**
+ * Replaces the value at a pointer in place; returns the new document
+ * @throws {ConflictError} - If nothing is there
+ */
+const replacePointer = (document, tokens, value) => {
+    getPointer(document, tokens);
+    if (tokens.length === 0) {
+        return value;
+    }
+    const { parent, token } = resolveParent(document, tokens);
+    parent[Array.isArray(parent) ? toIndex(token, parent.length - 1) : token] = value;
+    return document;
+};
+
+/**
+ * Applies an RFC 6902 JSON Patch. The operations are applied in order to a copy of the
+ * document, so a failing operation leaves the original untouched.
+ * @param {any} document - The current value
+ * @param {Object[]} operations - The patch operations
+ * @returns {any} - The patched value
+ * @throws {ValidationError} - If the patch is malformed
+ * @throws {ConflictError} - If an operation cannot be applied or a test fails
+ */
+const applyJsonPatch = (document, operations) => {
+    if (!Array.isArray(operations)) {
+        throw new ValidationError('A JSON Patch must be a list of operations');
+    }
+    return operations.reduce((current, operation, index) => {
+        if (!operation || !PATCH_OPERATIONS.includes(operation.op)) {
+            throw new ValidationError(`Patch operation ${index}: op must be one of: ${PATCH_OPERATIONS.join(', ')}`);
+        }
+        const { op, value } = operation;
+        const path = parsePointer(operation.path);
+        if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operation, 'value')) {
+            throw new ValidationError(`Patch operation ${index}: ${op} needs a value`);
+        }
+        switch (op) {
+            case 'add':
+                return addPointer(current, path, structuredClone(value));
+            case 'remove':
+                return removePointer(current, path);
+            case 'replace':
+                return replacePointer(current, path, structuredClone(value));
+            case 'move': {
+                const from = parsePointer(operation.from);
+                if (from.length < path.length && from.every((token, position) => token === path[position])) {
+                    throw new ValidationError(`Patch operation ${index}: cannot move a value into itself`);
+                }
+                const moved = getPointer(current, from);
+                return addPointer(removePointer(current, from), path, moved);
+            }
+            case 'copy':
+                return addPointer(current, path, structuredClone(getPointer(current, parsePointer(operation.from))));
+            default:
+                if (!isDeepStrictEqual(getPointer(current, path), value)) {
+                    throw new ConflictError(`Test failed at ${operation.path}`);
+                }
+                return current;
+        }
+    }, structuredClone(document));
+};
+
+/**
+ * Replaces the field at a dotted path (as used by queries) with the result of an update
+ * function, creating missing objects along the way
+ * @param {any} document - The current value
+ * @param {string} path - Dotted field path; empty for the whole value
+ * @param {Function} update - Receives the current field (undefined if missing) and returns the new one
+ * @returns {any} - The updated value
+ */
+const updatePath = (document, path, update) => {
+    if (path === undefined || path === '') {
+        return update(document);
+    }
+    if (typeof path !== 'string' || path.split('.').some(segment => segment === '')) {
+        throw new ValidationError(`Invalid field path: ${path}`);
+    }
+    const segments = path.split('.');
+    const result = isObject(document) || Array.isArray(document) ? structuredClone(document) : {};
+    let node = result;
+    segments.slice(0, -1).forEach(segment => {
+        if (node[segment] === undefined) {
+            node[segment] = {};
+        } else if (node[segment] === null || typeof node[segment] !== 'object') {
+            throw new ConflictError(`Field '${segment}' of path '${path}' is not an object`);
+        }
+        node = node[segment];
+    });
+    const last = segments[segments.length - 1];
+    node[last] = update(node[last]);
+    return result;
+};
+
+module.exports = {
+    applyMergePatch,
+    applyJsonPatch,
+    updatePath
+};
@@ -0,0 +1,180 @@
+const { ValidationError } = require('./errors');
+
+// Comparison operators of the filter language
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'];
+
+// Upper bound on the number of conditions in one filter
+const MAX_CONDITIONS = 100;
+
+const SQL_COMPARISONS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Converts a dotted field path into a SQLite JSON path.
+ * "customer.address.city" becomes $."customer"."address"."city" and numeric segments
+ * index arrays, so "items.0.sku" becomes $."items"[0]."sku". An empty path is the whole value.
+ * @param {string} path - The dotted path
+ * @returns {string} - The JSON path
+ * @throws {ValidationError} - If the path is not a string or has empty segments
+ */
+const toJsonPath = (path) => {
+    if (typeof path !== 'string') {
+        throw new ValidationError('Field paths must be strings');
+    }
+    if (path === '' || path === '$') {
+        return '$';
+    }
+    return '$' + path.split('.').map(segment => {
+        if (segment === '' || segment.includes('"')) {
+            throw new ValidationError(`Invalid field path: ${path}`);
+        }
+        return /^\d+$/.test(segment) ? `[${segment}]` : `."${segment}"`;
+    }).join('');
+};
+
+/**
+ * Tests whether a filter operand is a JSON scalar
+ * @param {any} operand - The operand
+ */
+const isScalar = (operand) => operand === null || ['string', 'number', 'boolean'].includes(typeof operand);
+
+/**
+ * Compiles an equality test; json_type keeps 1 from matching true and "1" from matching 1
+ * @param {string} column - SQL expression holding the JSON document
+ * @param {string} jsonPath - Path of the compared field
+ * @param {any} operand - Scalar to compare with
+ * @returns {{sql: string, params: any[]}}
+ */
+const compileEquals = (column, jsonPath, operand) => {
+    if (!isScalar(operand)) {
+        throw new ValidationError('eq, ne and in only compare with strings, numbers, booleans or null');
+    }
+    if (operand === null) {
+        return { sql: `json_type(${column}, ?) = 'null'`, params: [jsonPath] };
+    }
+    if (typeof operand === 'boolean') {
+        return { sql: `json_type(${column}, ?) = ?`, params: [jsonPath, String(operand)] };
+    }
+    const type = typeof operand === 'string' ? "= 'text'" : "IN ('integer', 'real')";
+    return {
+        sql: `(json_type(${column}, ?) ${type} AND json_extract(${column}, ?) = ?)`,
+        params: [jsonPath, jsonPath, operand]
+    };
+};
+
+/**
+ * Compiles a single condition of the form { path, op, value }
+ * @param {string} column - SQL expression holding the JSON document
+ * @param {Object} condition - The condition
+ * @returns {{sql: string, params: any[]}}
+ */
+const compileCondition = (column, { path, op, value }) => {
+    const jsonPath = toJsonPath(path);
+    switch (op) {
+        case 'eq':
+            return compileEquals(column, jsonPath, value);
+        case 'ne': {
+            // Missing fields make the equality NULL; they count as not equal
+            const equals = compileEquals(column, jsonPath, value);
+            return { sql: `NOT COALESCE(${equals.sql}, 0)`, params: equals.params };
+        }
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte': {
+            if (typeof value !== 'number' && typeof value !== 'string') {
+                throw new ValidationError(`${op} compares with a number or a string`);
+            }
+            // Only values of the same JSON type are ordered against each other
+            const type = typeof value === 'string' ? "= 'text'" : "IN ('integer', 'real')";
+            return {
+                sql: `(json_type(${column}, ?) ${type} AND json_extract(${column}, ?) ${SQL_COMPARISONS[op]} ?)`,
+                params: [jsonPath, jsonPath, value]
+            };
+        }
+        case 'in': {
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new ValidationError('in needs a non-empty list of values');
+            }
+            const alternatives = value.map(operand => compileEquals(column, jsonPath, operand));
+            return {
+                sql: `(${alternatives.map(alternative => alternative.sql).join(' OR ')})`,
+                params: alternatives.flatMap(alternative => alternative.params)
+            };
+        }
+        case 'exists':
+            if (typeof value !== 'boolean') {
+                throw new ValidationError('exists takes true or false');
+            }
+            return { sql: `json_type(${column}, ?) IS ${value ? 'NOT NULL' : 'NULL'}`, params: [jsonPath] };
+        default:
+            throw new ValidationError(`Unknown operator '${op}', expected one of: ${OPERATORS.join(', ')}`);
+    }
+};
+
+/**
+ * Compiles a filter into a SQL condition over a JSON column.
+ * A filter is either a condition { path, op, value } or a combination { and: [filters] },
+ * { or: [filters] } or { not: filter }.
+ * @param {Object} filter - The filter
+ * @param {string} [column] - SQL expression holding the JSON document
+ * @returns {{sql: string, params: any[]}}
+ * @throws {ValidationError} - If the filter is malformed
+ */
+const compileFilter = (filter, column = 'value') => {
+    let conditions = 0;
+    const compile = (node) => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            throw new ValidationError('A filter must be an object');
+        }
+        if (++conditions > MAX_CONDITIONS) {
+            throw new ValidationError(`A filter may hold at most ${MAX_CONDITIONS} conditions`);
+        }
+        if (node.and !== undefined || node.or !== undefined) {
+            const operator = node.and !== undefined ? 'and' : 'or';
+            const children = node[operator];
+            if (!Array.isArray(children) || children.length === 0) {
+                throw new ValidationError(`${operator} needs a non-empty list of filters`);
+            }
+            const compiled = children.map(compile);
+            return {
+                sql: `(${compiled.map(child => child.sql).join(` ${operator.toUpperCase()} `)})`,
+                params: compiled.flatMap(child => child.params)
+            };
+        }
+        if (node.not !== undefined) {
+            const compiled = compile(node.not);
+            return { sql: `NOT COALESCE(${compiled.sql}, 0)`, params: compiled.params };
+        }
+        return compileCondition(column, node);
+    };
+    return compile(filter);
+};
+
+/**
+ * Places a projected field into a result object following its dotted path
+ * @param {Object} target - The result object
+ * @param {string} path - The dotted path of the field
+ * @param {any} value - The field value
+ */
+const setPath = (target, path, value) => {
+    if (path === '' || path === '$') {
+        return value;
+    }
+    const segments = path.split('.');
+    let node = target;
+    segments.slice(0, -1).forEach(segment => {
+        if (node[segment] === null || typeof node[segment] !== 'object') {
+            node[segment] = {};
+        }
+        node = node[segment];
+    });
+    node[segments[segments.length - 1]] = value;
+    return target;
+};
+
+module.exports = {
+    OPERATORS,
+    toJsonPath,
+    compileFilter,
+    setPath
+};
@@ -0,0 +1,196 @@
+const Ajv = require('ajv');
+const { defineSchema, run, get, exclusive } = require('./db');
+const { listKeys, setWriteValidator } = require('./storage');
+const { ValidationError, NotFoundError, SchemaViolationError } = require('./errors');
+
+// JSON Schema draft-07 validator options; formats are not checked
+const AJV_OPTIONS = { allErrors: true, validateFormats: false };
+
+// Compiled validator per namespace, null for namespaces without a schema
+let compiled = new Map();
+
+// Keys reported by a validation run; further invalid keys are only counted
+const MAX_REPORTED_KEYS = 100;
+
+// Initialize the namespace schema table
+defineSchema((db) => {
+    // A new database has its own schemas
+    compiled = new Map();
+    db.run(`CREATE TABLE IF NOT EXISTS namespace_schemas (
+        namespace TEXT PRIMARY KEY,
+        schema TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+    )`);
+});
+
+/**
+ * Compiles a JSON Schema. Each schema gets its own ajv instance, which registers it under its
+ * $id: a shared instance would refuse to compile a new version of a schema, or the schema of
+ * another namespace, with the same $id.
+ * @param {any} schema - The schema document
+ * @returns {Function} - The ajv validate function
+ * @throws {ValidationError} - If the schema is invalid
+ */
+const compile = (schema) => {
+    if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new ValidationError('A schema must be a JSON Schema object');
+    }
+    try {
+        return new Ajv(AJV_OPTIONS).compile(schema);
+    } catch (error) {
+        throw new ValidationError(`Invalid schema: ${error.message}`);
+    }
+};
+
+/**
+ * Converts ajv errors into violations of the form { path, message }
+ * @param {Object[]} errors - ajv errors
+ */
+const toViolations = (errors) => errors.map(error => ({
+    path: error.instancePath || '/',
+    message: error.message
+}));
+
+/**
+ * Checks a value against a compiled schema
+ * @param {Function} validate - The compiled schema
+ * @param {any} value - The value
+ * @returns {Object[]} - The violations, empty if the value conforms
+ */
+const check = (validate, value) => {
+    if (value === undefined) {
+        return [{ path: '/', message: 'value is required' }];
+    }
+    return validate(value) ? [] : toViolations(validate.errors);
+};
+
+/**
+ * Attaches a JSON Schema to a namespace, replacing the previous one. Existing values are not
+ * checked; see validateNamespace.
+ * @param {string} namespace - The namespace
+ * @param {Object} schema - The JSON Schema (draft-07)
+ * @returns {Promise<Object>} - The schema description
+ * @throws {ValidationError} - If the schema is invalid
+ */
+const setSchema = async (namespace, schema) => {
+    const validate = compile(schema);
+    const updatedAt = Date.now();
+    try {
+        await exclusive(() => run(
+            `INSERT INTO namespace_schemas (namespace, schema, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (namespace) DO UPDATE SET schema = excluded.schema, updated_at = excluded.updated_at`,
+            [namespace, JSON.stringify(schema), updatedAt]
+        ));
+        compiled.set(namespace, validate);
+        return { namespace, schema, updatedAt: new Date(updatedAt).toISOString() };
+    } catch (error) {
+        throw new Error(`Failed to set schema: ${error.message}`);
+    }
+};
+
+/**
+ * Gets the schema of a namespace
+ * @param {string} namespace - The namespace
+ * @returns {Promise<Object|undefined>} - The schema description, or undefined if it has none
+ */
+const getSchema = async (namespace) => {
+    try {
+        const row = await get('SELECT * FROM namespace_schemas WHERE namespace = ?', [namespace]);
+        return row && {
+            namespace,
+            schema: JSON.parse(row.schema),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    } catch (error) {
+        throw new Error(`Failed to get schema: ${error.message}`);
+    }
+};
+
+/**
+ * Removes the schema of a namespace, so any value is accepted again
+ * @param {string} namespace - The namespace
+ * @returns {Promise<boolean>} - Whether the namespace had a schema
+ */
+const deleteSchema = async (namespace) => {
+    try {
+        const { changes } = await exclusive(() => run('DELETE FROM namespace_schemas WHERE namespace = ?', [namespace]));
+        compiled.set(namespace, null);
+        return changes > 0;
+    } catch (error) {
+        throw new Error(`Failed to delete schema: ${error.message}`);
+    }
+};
+
+/**
+ * Gets the compiled schema of a namespace, loading it on first use
+ * @param {string} namespace - The namespace
+ * @returns {Promise<Function|null>} - The validate function, or null if the namespace has none
+ */
+const compiledSchema = async (namespace) => {
+    if (!compiled.has(namespace)) {
+        const description = await getSchema(namespace);
+        compiled.set(namespace, description ? compile(description.schema) : null);
+    }
+    return compiled.get(namespace);
+};
+
+/**
+ * Checks a value about to be written against the schema of its namespace
+ * @param {string} namespace - The namespace written to
+ * @param {any} value - The value
+ * @throws {SchemaViolationError} - If the value does not conform
+ */
+const validateValue = async (namespace, value) => {
+    const validate = await compiledSchema(namespace);
+    if (!validate) {
+        return;
+    }
+    const violations = check(validate, value);
+    if (violations.length > 0) {
+        throw new SchemaViolationError(`Value does not match the schema of namespace '${namespace}'`, violations);
+    }
+};
+
+/**
+ * Checks every stored value of a namespace against its schema or a candidate schema, one
+ * page at a time
+ * @param {string} namespace - The namespace
+ * @param {Object} [schema] - Candidate schema to check instead of the attached one
+ * @returns {Promise<Object>} - Report with the number of keys checked and invalid, and the
+ * first invalid keys with their violations
+ * @throws {NotFoundError} - If no schema is given and the namespace has none
+ */
+const validateNamespace = async (namespace, schema) => {
+    const validate = schema !== undefined ? compile(schema) : await compiledSchema(namespace);
+    if (!validate) {
+        throw new NotFoundError(`Namespace '${namespace}' has no schema`);
+    }
+    const report = { namespace, checked: 0, invalid: 0, keys: [] };
+    let cursor;
+    do {
+        const page = await listKeys(namespace, { limit: 1000, cursor });
+        page.items.forEach(({ key, value }) => {
+            report.checked++;
+            const violations = check(validate, value);
+            if (violations.length > 0) {
+                report.invalid++;
+                if (report.keys.length < MAX_REPORTED_KEYS) {
+                    report.keys.push({ key, violations });
+                }
+            }
+        });
+        cursor = page.nextCursor;
+    } while (cursor);
+    return report;
+};
+
+// Every write of every storage adapter goes through the namespace schema
+setWriteValidator(validateValue);
+
+module.exports = {
+    setSchema,
+    getSchema,
+    deleteSchema,
+    validateValue,
+    validateNamespace
+};
@@ -1,199 +1,365 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-// Initialize SQLite database
-const DB_PATH = path.join(__dirname, 'data.db');
-const db = new sqlite3.Database(DB_PATH);
-
-// Initialize the database schema
-db.serialize(() => {
-    db.run(`CREATE TABLE IF NOT EXISTS key_value_store (
-        namespace TEXT NOT NULL,
-        key TEXT NOT NULL,
-        value TEXT NOT NULL,
-        PRIMARY KEY (namespace, key)
-    )`);
+const { EventEmitter } = require('events');
+const db = require('./db');
+const { ValidationError, NotSupportedError } = require('./errors');
+const {
+    setWriteValidator, validateWrite, toExpiresAt, setChangeHandler, handleChange, setTransactionWrapper
+} = require('./adapters/common');
+const { readThrough, invalidate, clearCache } = require('./cache');
+
+/*
+ * Storage facade. Every call is delegated to the configured adapter:
+ *  - sqlite (lib/adapters/sqlite.js): persistent, implements every feature
+ *  - memory (lib/adapters/memory.js): process memory only, implements the core contract
+ *
+ * The core contract every adapter implements: setValue, getValue, getEntry, getMetadata, compareAndSet,
+ * deleteValue, batch, getNamespaces, getNamespaceSizes, getNamespaceStats, listKeys, listNamespaces, deleteNamespace,
+ * the namespace transfers (copyNamespace, renameNamespace, mergeNamespace), the atomic
+ * operations (patchValue, incrementValue, appendValues, removeValues, setIfAbsent), TTLs
+ * (getTtl, setTtl, purgeExpired), a `changes` emitter, sweep and close. Calling a function
+ * the adapter lacks throws a NotSupportedError (501).
+ *
+ * Single-key reads (getValue, getEntry) are served through the read cache of lib/cache.js;
+ * committed changes and TTL updates invalidate it. readEntry bypasses the cache.
+ */
+const adapters = {
+    sqlite: require('./adapters/sqlite'),
+    memory: require('./adapters/memory')
+};
+
+// Default interval between sweeps of expired keys (milliseconds)
+const DEFAULT_SWEEP_INTERVAL = 60 * 1000;
+
+// Functions delegated to the adapter
+const OPERATIONS = [
+    'setValue',
+    'compareAndSet',
+    'patchValue',
+    'incrementValue',
+    'appendValues',
+    'removeValues',
+    'setIfAbsent',
+    'deleteValue',
+    'batch',
+    'getNamespaces',
+    'getNamespaceSizes',
+    'getNamespaceStats',
+    'getMetadata',
+    'listKeys',
+    'listNamespaces',
+    'queryValues',
+    'createIndex',
+    'listIndexes',
+    'dropIndex',
+    'rebuildIndex',
+    'findByIndex',
+    'deleteNamespace',
+    'copyNamespace',
+    'renameNamespace',
+    'mergeNamespace',
+    'getTtl',
+    'purgeExpired',
+    'getHistory',
+    'getRevision',
+    'getValueAt',
+    'restoreRevision',
+    'setHistoryRetention',
+    'pruneHistory',
+    'listTrashedNamespaces',
+    'listTrash',
+    'restoreTrashedKey',
+    'restoreTrashedNamespace',
+    'purgeTrash',
+    'setTrashRetention',
+    'pruneTrash',
+    'getChanges',
+    'getChangeLogStart',
+    'setChangeLogRetention',
+    'pruneChangeLog'
+];
+
+let adapterName = 'sqlite';
+let adapter = adapters.sqlite;
+
+let sweepTimer = null;
+
+// Receives the name, duration (seconds) and error of every storage call; see setOperationObserver
+let operationObserver = () => {};
+
+// Emits a 'change' event for every committed write of the current adapter
+const changes = new EventEmitter();
+// Each open change feed adds a listener
+changes.setMaxListeners(0);
+
+const forwardChange = (change) => {
+    // Drop cached reads before anyone learns about the change
+    if (change.key === undefined) {
+        invalidate(change.namespace);
+    } else {
+        invalidate(change.namespace, change.key);
+    }
+    // The sqlite adapter runs the change handler inside the transaction of the write; the
+    // other adapters keep their keys outside the database, so it runs after the commit
+    if (adapterName !== 'sqlite') {
+        db.exclusive(() => handleChange(change))
+            .catch(error => console.error(`Failed to handle change: ${error.message}`));
+    }
+    changes.emit('change', change);
+};
+adapter.changes.on('change', forwardChange);
+
+/**
+ * Reads the storage configuration from the environment
+ * @returns {{adapter: string, path: string|undefined}}
+ */
+const configFromEnv = () => ({
+    adapter: process.env.STORAGE_ADAPTER || 'sqlite',
+    path: process.env.DB_PATH
 });
 
 /**
- * Sets a value in the specified namespace
- * @param {string} namespace - The namespace to store the value in
- * @param {string} key - The key to store the value under
- * @param {any} value - The value to store
- */
-const setValue = async (namespace, key, value) => {
-    return new Promise((resolve, reject) => {
-        try {
-            const jsonValue = JSON.stringify(value);
-            db.run(
-                'INSERT OR REPLACE INTO key_value_store (namespace, key, value) VALUES (?, ?, ?)',
-                [namespace, key, jsonValue],
-                function(error) {
-                    if (error) {
-                        reject(new Error(`Failed to set value: ${error.message}`));
-                    } else {
-                        resolve();
-                    }
-                }
-            );
-        } catch (error) {
-            reject(new Error(`Failed to set value: ${error.message}`));
-        }
+ * Selects and opens the storage backend, replacing the current one
+ * @param {Object} [config] - Storage configuration; read from the environment when omitted
+ * @param {'sqlite'|'memory'} [config.adapter] - The adapter (default sqlite)
+ * @param {string} [config.path] - SQLite database file, or ':memory:' for a private in-memory
+ * database (default lib/data.db). API keys and webhooks are always kept in SQLite; with the
+ * memory adapter this database defaults to ':memory:'.
+ * @param {string} [config.journalMode] - SQLite journal mode (default WAL)
+ * @param {string} [config.synchronous] - SQLite synchronous level: OFF, NORMAL, FULL (default) or EXTRA
+ * @param {number} [config.groupCommitWindow] - Milliseconds the sqlite adapter waits for
+ * concurrent writes to share a commit (default 0)
+ */
+const open = (config = configFromEnv()) => {
+    const name = config.adapter || 'sqlite';
+    if (!Object.hasOwn(adapters, name)) {
+        throw new ValidationError(`Unknown storage adapter '${name}', expected one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    db.open(config.path || (name === 'memory' ? ':memory:' : undefined), {
+        journalMode: config.journalMode,
+        synchronous: config.synchronous
     });
+    adapter.changes.off('change', forwardChange);
+    clearCache();
+    adapterName = name;
+    adapter = adapters[name];
+    if (adapter.open) {
+        adapter.open(config);
+    }
+    adapter.changes.on('change', forwardChange);
 };
 
 /**
- * Gets a value from the specified namespace
- * @param {string} namespace - The namespace to retrieve from
- * @param {string} key - The key to retrieve (optional - if not provided, returns all keys in namespace)
- * @returns {Promise<any>} - The stored value or undefined if not found
+ * Tells which adapter is in use
+ * @returns {string}
  */
-const getValue = async (namespace, key) => {
-    return new Promise((resolve, reject) => {
-        try {
-            if (key === undefined) {
-                // Return all values in the namespace
-                db.all(
-                    'SELECT key, value FROM key_value_store WHERE namespace = ?',
-                    [namespace],
-                    (error, rows) => {
-                        if (error) {
-                            reject(new Error(`Failed to get value: ${error.message}`));
-                        } else {
-                            const result = {};
-                            rows.forEach(row => {
-                                try {
-                                    result[row.key] = JSON.parse(row.value);
-                                } catch (parseError) {
-                                    result[row.key] = row.value;
-                                    console.warn(`Failed to parse JSON for key ${row.key}: ${parseError.message}`); // Log parsing error
-                                }
-                            });
-                            resolve(result);
-                        }
-                    }
-                );
-            } else {
-                // Return specific key
-                db.get(
-                    'SELECT value FROM key_value_store WHERE namespace = ? AND key = ?',
-                    [namespace, key],
-                    (error, row) => {
-                        if (error) {
-                            reject(new Error(`Failed to get value: ${error.message}`));
-                        } else if (!row) {
-                            resolve(undefined);
-                        } else {
-                            try {
-                                resolve(JSON.parse(row.value));
-                            } catch (parseError) {
-                                resolve(row.value);
-                                console.warn(`Failed to parse JSON for key ${key}: ${parseError.message}`); // Log parsing error
-                            }
-                        }
-                    }
-                );
-            }
-        } catch (error) {
-            reject(new Error(`Failed to get value: ${error.message}`));
-        }
-    });
+const getAdapterName = () => adapterName;
+
+/**
+ * Tests whether the current adapter implements an operation
+ * @param {string} name - The operation
+ * @returns {boolean}
+ */
+const supports = (name) => typeof adapter[name] === 'function';
+
+/**
+ * Creates the function delegating an operation to the current adapter
+ * @param {string} name - The operation
+ */
+const delegate = (name) => (...args) => {
+    if (typeof adapter[name] !== 'function') {
+        throw new NotSupportedError(`${name} is not supported by the ${adapterName} storage adapter`);
+    }
+    return adapter[name](...args);
 };
 
 /**
- * Deletes a value from the specified namespace
- * @param {string} namespace - The namespace to delete from
- * @param {string} key - The key to delete
- */
-const deleteValue = async (namespace, key) => {
-    return new Promise((resolve, reject) => {
-        try {
-            db.run(
-                'DELETE FROM key_value_store WHERE namespace = ? AND key = ?',
-                [namespace, key],
-                function(error) {
-                    if (error) {
-                        reject(new Error(`Failed to delete value: ${error.message}`));
-                    } else {
-                        resolve();
-                    }
-                }
-            );
-        } catch (error) {
-            reject(new Error(`Failed to delete value: ${error.message}`));
+ * Wraps a storage function so every call is reported to the operation observer
+ * @param {string} name - The operation
+ * @param {Function} operation - The function
+ */
+const observed = (name, operation) => (...args) => {
+    const started = process.hrtime.bigint();
+    const report = (error) => operationObserver(name, Number(process.hrtime.bigint() - started) / 1e9, error);
+    let result;
+    try {
+        result = operation(...args);
+    } catch (error) {
+        report(error);
+        throw error;
+    }
+    if (!(result instanceof Promise)) {
+        report();
+        return result;
+    }
+    return result.then(
+        (value) => {
+            report();
+            return value;
+        },
+        (error) => {
+            report(error);
+            throw error;
         }
-    });
+    );
 };
 
 /**
- * Gets all namespaces in the database
- * @returns {Promise<string[]>} - Array of namespace names
- */
-const getNamespaces = async () => {
-    return new Promise((resolve, reject) => {
-        try {
-            db.all(
-                'SELECT DISTINCT namespace FROM key_value_store ORDER BY namespace',
-                [],
-                (error, rows) => {
-                    if (error) {
-                        reject(new Error(`Failed to get namespaces: ${error.message}`));
-                    } else {
-                        const namespaces = rows.map(row => row.namespace);
-                        resolve(namespaces);
-                    }
-                }
-            );
-        } catch (error) {
-            reject(new Error(`Failed to get namespaces: ${error.message}`));
-        }
-    });
+ * Sets the function told about every storage call, e.g. to record timings
+ * @param {Function} observer - Receives the operation name, its duration in seconds and the
+ * error it failed with, if any
+ */
+const setOperationObserver = (observer) => {
+    operationObserver = observer;
 };
 
 /**
- * Deletes an entire namespace and all its keys
- * @param {string} namespace - The namespace to delete
- */
-const deleteNamespace = async (namespace) => {
-    return new Promise((resolve, reject) => {
-        try {
-            db.run(
-                'DELETE FROM key_value_store WHERE namespace = ?',
-                [namespace],
-                function(error) {
-                    if (error) {
-                        reject(new Error(`Failed to delete namespace: ${error.message}`));
-                    } else {
-                        resolve();
-                    }
-                }
-            );
-        } catch (error) {
-            reject(new Error(`Failed to delete namespace: ${error.message}`));
-        }
-    });
+ * Reads a key through the cache; a miss also reads its TTL so the cached entry expires with it
+ * @param {string} namespace - The namespace
+ * @param {string} key - The key
+ * @returns {Promise<{value: any, version: number}|undefined>}
+ */
+const getEntry = (namespace, key) => readThrough(namespace, key, async () => {
+    const entry = await delegate('getEntry')(namespace, key);
+    return { entry, ttl: entry && await delegate('getTtl')(namespace, key) };
+});
+
+/**
+ * Reads a key straight from the adapter, without consulting or filling the read cache
+ * @param {string} namespace - The namespace
+ * @param {string} key - The key
+ * @returns {Promise<{value: any, version: number}|undefined>}
+ */
+const readEntry = (namespace, key) => delegate('getEntry')(namespace, key);
+
+/**
+ * Gets a value, or every value of a namespace when no key is given
+ * @param {string} namespace - The namespace
+ * @param {string} [key] - The key
+ */
+const getValue = async (namespace, key) => {
+    if (key === undefined) {
+        return delegate('getValue')(namespace);
+    }
+    const entry = await getEntry(namespace, key);
+    return entry && entry.value;
+};
+
+/**
+ * Changes the TTL of a key, dropping its cached entry
+ * @param {string} namespace - The namespace
+ * @param {string} key - The key
+ * @param {number|null} ttl - Seconds to live, or null to never expire
+ * @returns {Promise<boolean>} - Whether the key exists
+ */
+const setTtl = async (namespace, key, ttl) => {
+    try {
+        return await delegate('setTtl')(namespace, key, ttl);
+    } finally {
+        invalidate(namespace, key);
+    }
+};
+
+/**
+ * Runs the checks a write would run on a value without writing it: the TTL and the installed
+ * write validator, such as the namespace schema
+ * @param {string} namespace - The namespace written to
+ * @param {any} value - The value
+ * @param {Object} [options] - Write options
+ * @param {number|null} [options.ttl] - Seconds to live
+ * @throws {ValidationError} - If the write would be rejected
+ */
+const checkWrite = async (namespace, value, options = {}) => {
+    toExpiresAt(options.ttl);
+    await validateWrite(namespace, value);
+};
+
+/**
+ * Checks that the keys are kept in the SQLite database, as backups only copy that database
+ * @param {string} name - The operation, for the error message
+ * @throws {NotSupportedError} - With any other adapter
+ */
+const requireDatabaseStorage = (name) => {
+    if (adapterName !== 'sqlite') {
+        throw new NotSupportedError(`${name} is not supported by the ${adapterName} storage adapter`);
+    }
 };
 
 /**
- * Closes the database connection
+ * Writes a consistent snapshot of the database to a file while it keeps serving; writes queued
+ * meanwhile wait for the snapshot
+ * @param {string} file - The file to create; it must not exist
+ */
+const backupDatabase = async (file) => {
+    requireDatabaseStorage('backupDatabase');
+    await db.exclusive(() => db.vacuumInto(file));
+};
+
+/**
+ * Replaces the database with a snapshot written by backupDatabase and reopens its connection.
+ * Writes queued meanwhile wait and then apply to the restored content; cached reads are dropped.
+ * API keys, the audit log and the change log keep their live rows, and every namespace the
+ * restore replaced gets a reset change.
+ * @param {string} file - The snapshot
+ */
+const restoreDatabase = async (file) => {
+    requireDatabaseStorage('restoreDatabase');
+    try {
+        await adapter.restoreDatabase(file);
+    } finally {
+        clearCache();
+    }
+};
+
+/**
+ * Starts the background sweeper that periodically lets the adapter reclaim the storage of
+ * expired keys and of history and change events beyond their retention.
+ * @param {number} [interval] - Milliseconds between sweeps
+ */
+const startExpirySweeper = (interval = DEFAULT_SWEEP_INTERVAL) => {
+    stopExpirySweeper();
+    sweepTimer = setInterval(() => {
+        adapter.sweep().catch(error => console.error(error.message));
+    }, interval);
+    // Do not keep the process alive just for the sweeper
+    sweepTimer.unref();
+};
+
+/**
+ * Stops the background expiry sweeper if it is running
+ */
+const stopExpirySweeper = () => {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+};
+
+/**
+ * Closes the storage backend and the database connection
  */
 const close = async () => {
-    return new Promise((resolve, reject) => {
-        db.close((error) => {
-            if (error) {
-                reject(new Error(`Failed to close database: ${error.message}`));
-            } else {
-                resolve();
-            }
-        });
-    });
+    stopExpirySweeper();
+    await adapter.close();
+    await db.close();
 };
 
-module.exports = { 
-    setValue, 
-    getValue, 
-    deleteValue, 
-    getNamespaces, 
-    deleteNamespace, 
-    close 
+module.exports = {
+    ...Object.fromEntries(OPERATIONS.map(name => [name, observed(name, delegate(name))])),
+    getValue: observed('getValue', getValue),
+    getEntry: observed('getEntry', getEntry),
+    readEntry: observed('readEntry', readEntry),
+    setTtl: observed('setTtl', setTtl),
+    checkWrite,
+    backupDatabase,
+    restoreDatabase,
+    changes,
+    open,
+    getAdapterName,
+    supports,
+    setWriteValidator,
+    setChangeHandler,
+    setTransactionWrapper,
+    setOperationObserver,
+    startExpirySweeper,
+    stopExpirySweeper,
+    close
 };
@@ -0,0 +1,148 @@
+const readline = require('readline');
+const { setValue, checkWrite, getEntry, getTtl, deleteValue, listKeys } = require('./storage');
+const { ValidationError, PreconditionFailedError } = require('./errors');
+
+// Import modes: merge overwrites existing keys, skip-existing keeps them, replace also removes
+// the keys missing from the import
+const IMPORT_MODES = ['merge', 'replace', 'skip-existing'];
+
+// Keys read per page while exporting
+const EXPORT_PAGE_SIZE = 1000;
+
+// Line errors listed in an import report; further errors are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Streams the entries of a namespace one page at a time, in key order, without loading the
+ * whole namespace. Keys written during the export appear if they sort after the current page.
+ * Expiring keys carry the seconds they have left, so an import expires them at the same time.
+ * @param {string} namespace - The namespace to export
+ * @yields {string} - One NDJSON line { key, value, ttl? } per key, newline included
+ */
+async function* exportNamespace(namespace) {
+    let cursor;
+    do {
+        const page = await listKeys(namespace, { limit: EXPORT_PAGE_SIZE, cursor });
+        for (const { key, value } of page.items) {
+            const ttl = await getTtl(namespace, key);
+            // Keys that expired since the page was read are left out
+            if (ttl !== undefined) {
+                yield JSON.stringify({ key, value, ...(ttl !== null && { ttl }) }) + '\n';
+            }
+        }
+        cursor = page.nextCursor;
+    } while (cursor);
+}
+
+/**
+ * Parses one NDJSON import line
+ * @param {string} line - The line
+ * @returns {{key: string, value: any, ttl: number|undefined}}
+ * @throws {ValidationError} - If the line is not an entry
+ */
+const parseLine = (line) => {
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch (error) {
+        throw new ValidationError(`Invalid JSON: ${error.message}`);
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new ValidationError('Each line must be an object { "key": ..., "value": ... }');
+    }
+    if (typeof record.key !== 'string' || record.key.length === 0 || record.key.startsWith('_')) {
+        throw new ValidationError("key must be a non-empty string not starting with '_'");
+    }
+    if (record.value === undefined) {
+        throw new ValidationError('value is required');
+    }
+    return record;
+};
+
+/**
+ * Imports NDJSON entries into a namespace, one line at a time
+ * @param {string} namespace - The target namespace
+ * @param {import('stream').Readable} input - NDJSON stream of { key, value, ttl? } lines
+ * @param {Object} [options] - Import options
+ * @param {'merge'|'replace'|'skip-existing'} [options.mode] - How existing keys are treated
+ * (default merge). replace removes the keys absent from the input, but only if every line
+ * imported.
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @returns {Promise<Object>} - Report with counts of lines, created, updated, skipped, deleted
+ * and failed entries, and the first line errors
+ */
+const importNamespace = async (namespace, input, options = {}) => {
+    const mode = options.mode || 'merge';
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new ValidationError(`mode must be one of: ${IMPORT_MODES.join(', ')}`);
+    }
+    const dryRun = Boolean(options.dryRun);
+    const report = { namespace, mode, dryRun, lines: 0, created: 0, updated: 0, skipped: 0, deleted: 0, failed: 0, errors: [] };
+    const fail = (line, message) => {
+        report.failed++;
+        if (report.errors.length < MAX_REPORTED_ERRORS) {
+            report.errors.push({ line, error: message });
+        }
+    };
+    // Keys seen in the input, to find the ones replace removes
+    const imported = new Set();
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') {
+            continue;
+        }
+        report.lines++;
+        try {
+            const { key, value, ttl } = parseLine(line);
+            imported.add(key);
+            const exists = (await getEntry(namespace, key)) !== undefined;
+            if (exists && mode === 'skip-existing') {
+                report.skipped++;
+                continue;
+            }
+            if (dryRun) {
+                // The checks of the write, so lines it would reject are reported
+                await checkWrite(namespace, value, { ttl });
+            } else {
+                // A key created since the lookup is still not overwritten in skip-existing mode
+                await setValue(namespace, key, value, { ttl, ...(mode === 'skip-existing' && { ifNoneMatch: '*' }) });
+            }
+            report[exists ? 'updated' : 'created']++;
+        } catch (error) {
+            if (error instanceof PreconditionFailedError) {
+                report.skipped++;
+            } else if (error.status) {
+                fail(lineNumber, error.message);
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    if (mode === 'replace') {
+        if (report.failed > 0) {
+            report.errors.push({ line: null, error: 'Keys missing from the import were kept because some lines failed' });
+            return report;
+        }
+        let cursor;
+        do {
+            const page = await listKeys(namespace, { limit: EXPORT_PAGE_SIZE, cursor, keysOnly: true });
+            for (const key of page.items.filter(key => !imported.has(key))) {
+                if (dryRun || await deleteValue(namespace, key)) {
+                    report.deleted++;
+                }
+            }
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+    return report;
+};
+
+module.exports = {
+    IMPORT_MODES,
+    exportNamespace,
+    importNamespace
+};
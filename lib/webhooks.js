@@ -0,0 +1,427 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { defineSchema, keepOnRestore, run, get, all, exclusive } = require('./db');
+const { changes, setChangeHandler } = require('./storage');
+const { ValidationError, NotFoundError } = require('./errors');
+
+// Change types a webhook can subscribe to
+const EVENT_TYPES = ['set', 'delete', 'namespace_drop', 'reset'];
+
+// Delivery and retry settings; backoff doubles after every failed attempt up to maxBackoff
+const settings = {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    baseBackoff: 1000,
+    maxBackoff: 60 * 60 * 1000,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10 * 1000,
+    pollInterval: 5 * 1000,
+    batchSize: 20
+};
+
+let pollTimer = null;
+let dispatching = null;
+
+// Set when deliveries were queued since the running or last dispatch pass started
+let undispatched = false;
+
+// Initialize the webhook schema
+defineSchema((db) => {
+    db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        namespace TEXT NOT NULL,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        prefix TEXT NOT NULL DEFAULT '',
+        secret TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_webhooks_namespace ON webhooks (namespace)');
+    // Persistent delivery queue and delivery log; status is pending, delivered or failed
+    db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending
+        ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id)');
+});
+
+// A restore neither brings deleted webhooks back nor sends the deliveries already made again
+keepOnRestore('webhooks');
+keepOnRestore('webhook_deliveries');
+
+/**
+ * Converts a webhooks row into its public description; the secret is only revealed on creation
+ * @param {Object} row - The webhooks row
+ * @param {boolean} [withSecret] - Whether to include the signing secret
+ */
+const toWebhook = (row, withSecret = false) => {
+    const webhook = {
+        id: row.id,
+        namespace: row.namespace,
+        url: row.url,
+        events: JSON.parse(row.events),
+        prefix: row.prefix,
+        createdAt: new Date(row.created_at).toISOString()
+    };
+    if (withSecret) {
+        webhook.secret = row.secret;
+    }
+    return webhook;
+};
+
+/**
+ * Converts a webhook_deliveries row into a delivery log entry
+ * @param {Object} row - The webhook_deliveries row
+ */
+const toDelivery = (row) => ({
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    lastError: row.last_error,
+    nextAttemptAt: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+    payload: JSON.parse(row.payload),
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString()
+});
+
+/**
+ * Registers a webhook on a namespace
+ * @param {string} namespace - The namespace to watch
+ * @param {Object} options - Webhook definition
+ * @param {string} options.url - The http(s) URL deliveries are POSTed to
+ * @param {string[]} [options.events] - Change types to deliver; all types when omitted
+ * @param {string} [options.prefix] - Only deliver key changes whose key starts with this prefix
+ * @param {string} [options.secret] - HMAC signing secret; generated when omitted
+ * @returns {Promise<Object>} - The webhook, including its secret
+ */
+const createWebhook = async (namespace, { url, events = EVENT_TYPES, prefix = '', secret } = {}) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new ValidationError('url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new ValidationError('url must be an absolute http(s) URL');
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENT_TYPES.includes(event))) {
+        throw new ValidationError(`events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`);
+    }
+    if (typeof prefix !== 'string') {
+        throw new ValidationError('prefix must be a string');
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length === 0)) {
+        throw new ValidationError('secret must be a non-empty string');
+    }
+
+    const row = {
+        namespace,
+        url,
+        events: JSON.stringify([...new Set(events)]),
+        prefix,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        created_at: Date.now()
+    };
+    try {
+        const { lastID } = await exclusive(() => run(
+            'INSERT INTO webhooks (namespace, url, events, prefix, secret, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [row.namespace, row.url, row.events, row.prefix, row.secret, row.created_at]
+        ));
+        return toWebhook({ ...row, id: lastID }, true);
+    } catch (error) {
+        throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+};
+
+/**
+ * Lists the webhooks registered on a namespace
+ * @param {string} namespace - The namespace
+ * @returns {Promise<Object[]>}
+ */
+const listWebhooks = async (namespace) => {
+    try {
+        const rows = await all('SELECT * FROM webhooks WHERE namespace = ? ORDER BY id', [namespace]);
+        return rows.map(row => toWebhook(row));
+    } catch (error) {
+        throw new Error(`Failed to list webhooks: ${error.message}`);
+    }
+};
+
+/**
+ * Gets a webhook of a namespace
+ * @param {string} namespace - The namespace
+ * @param {number} id - The webhook id
+ * @returns {Promise<Object|undefined>}
+ */
+const getWebhook = async (namespace, id) => {
+    try {
+        const row = await get('SELECT * FROM webhooks WHERE namespace = ? AND id = ?', [namespace, id]);
+        return row ? toWebhook(row) : undefined;
+    } catch (error) {
+        throw new Error(`Failed to get webhook: ${error.message}`);
+    }
+};
+
+/**
+ * Removes a webhook and its delivery log
+ * @param {string} namespace - The namespace
+ * @param {number} id - The webhook id
+ * @returns {Promise<boolean>} - Whether the webhook existed
+ */
+const deleteWebhook = async (namespace, id) => {
+    try {
+        return await exclusive(async () => {
+            const { changes: removed } = await run('DELETE FROM webhooks WHERE namespace = ? AND id = ?', [namespace, id]);
+            if (removed > 0) {
+                await run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+            }
+            return removed > 0;
+        });
+    } catch (error) {
+        throw new Error(`Failed to delete webhook: ${error.message}`);
+    }
+};
+
+/**
+ * Lists deliveries of a webhook, newest first
+ * @param {string} namespace - The namespace of the webhook
+ * @param {number} id - The webhook id
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.status] - Only list deliveries in this status
+ * @param {number} [options.limit] - Maximum number of deliveries to return
+ * @returns {Promise<Object[]>}
+ * @throws {NotFoundError} - If the webhook does not exist
+ */
+const listDeliveries = async (namespace, id, options = {}) => {
+    if (!await getWebhook(namespace, id)) {
+        throw new NotFoundError('Webhook not found');
+    }
+    try {
+        const rows = await all(
+            `SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND (? IS NULL OR status = ?)
+            ORDER BY id DESC LIMIT ?`,
+            [id, options.status || null, options.status || null, options.limit || 100]
+        );
+        return rows.map(toDelivery);
+    } catch (error) {
+        throw new Error(`Failed to list deliveries: ${error.message}`);
+    }
+};
+
+/**
+ * Queues a delivery for every webhook subscribed to a change. Runs as the change handler of
+ * the storage layer, inside the transaction recording the change, so a committed change always
+ * has its deliveries queued.
+ * @param {Object} change - Change event from the storage layer
+ */
+const enqueueDeliveries = async (change) => {
+    const hooks = await all('SELECT * FROM webhooks WHERE namespace = ?', [change.namespace]);
+    const targets = hooks.filter(hook =>
+        JSON.parse(hook.events).includes(change.type) &&
+        (change.key === undefined || change.key.startsWith(hook.prefix))
+    );
+    if (targets.length === 0) {
+        return;
+    }
+    const payload = JSON.stringify({
+        event: change.type,
+        seq: change.seq,
+        namespace: change.namespace,
+        key: change.key,
+        version: change.version,
+        value: change.value,
+        timestamp: new Date(change.timestamp).toISOString()
+    });
+    const now = Date.now();
+    for (const hook of targets) {
+        await run(
+            `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at, created_at, updated_at)
+            VALUES (?, ?, ?, 'pending', ?, ?, ?)`,
+            [hook.id, change.type, payload, now, now, now]
+        );
+    }
+    undispatched = true;
+};
+
+/**
+ * Computes the HMAC-SHA256 signature sent in the X-CStore-Signature header
+ * @param {string} secret - The webhook secret
+ * @param {string} body - The exact request body
+ * @returns {string} - The signature as "sha256=<hex digest>"
+ */
+const signPayload = (secret, body) => {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+};
+
+/**
+ * POSTs a delivery to its webhook URL
+ * @param {Object} hook - The webhooks row
+ * @param {Object} delivery - The webhook_deliveries row
+ * @returns {Promise<number>} - The response status code
+ */
+const send = (hook, delivery) => {
+    return new Promise((resolve, reject) => {
+        const url = new URL(hook.url);
+        const transport = url.protocol === 'https:' ? https : http;
+        const req = transport.request(url, {
+            method: 'POST',
+            timeout: settings.timeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(delivery.payload),
+                'User-Agent': 'c-store-webhooks',
+                'X-CStore-Event': delivery.event,
+                'X-CStore-Delivery': String(delivery.id),
+                'X-CStore-Signature': signPayload(hook.secret, delivery.payload)
+            }
+        }, (res) => {
+            // Drain the response; only the status matters
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('timeout', () => req.destroy(new Error(`Timed out after ${settings.timeout}ms`)));
+        req.on('error', reject);
+        req.end(delivery.payload);
+    });
+};
+
+/**
+ * Attempts one delivery and records the outcome, scheduling a retry with exponential backoff
+ * when it fails and attempts remain
+ * @param {Object} delivery - The webhook_deliveries row joined with its webhook
+ */
+const attemptDelivery = async (delivery) => {
+    const hook = { url: delivery.url, secret: delivery.secret };
+    let responseStatus = null;
+    let lastError = null;
+    try {
+        responseStatus = await send(hook, delivery);
+        if (responseStatus < 200 || responseStatus >= 300) {
+            lastError = `Receiver responded with ${responseStatus}`;
+        }
+    } catch (error) {
+        lastError = error.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = Date.now();
+    let status = 'delivered';
+    let nextAttemptAt = now;
+    if (lastError) {
+        status = attempts >= settings.maxAttempts ? 'failed' : 'pending';
+        nextAttemptAt = now + Math.min(settings.baseBackoff * 2 ** (attempts - 1), settings.maxBackoff);
+    }
+    await exclusive(() => run(
+        `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?,
+        last_error = ?, updated_at = ? WHERE id = ?`,
+        [status, attempts, nextAttemptAt, responseStatus, lastError, now, delivery.id]
+    ));
+};
+
+/**
+ * Sends every pending delivery that is due. Concurrent calls share the running pass, which runs
+ * again when deliveries were queued meanwhile.
+ * @returns {Promise<void>}
+ */
+const dispatchDeliveries = () => {
+    if (!dispatching) {
+        dispatching = (async () => {
+            try {
+                do {
+                    undispatched = false;
+                    let due;
+                    do {
+                        due = await all(
+                            `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+                            JOIN webhooks w ON w.id = d.webhook_id
+                            WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+                            ORDER BY d.id LIMIT ?`,
+                            [Date.now(), settings.batchSize]
+                        );
+                        await Promise.all(due.map(attemptDelivery));
+                    } while (due.length === settings.batchSize);
+                } while (undispatched);
+            } finally {
+                dispatching = null;
+            }
+        })();
+    }
+    return dispatching;
+};
+
+/**
+ * Changes delivery and retry settings
+ * @param {Object} options - Settings to change
+ * @param {number} [options.maxAttempts] - Attempts before a delivery is marked failed
+ * @param {number} [options.baseBackoff] - Delay before the first retry (milliseconds)
+ * @param {number} [options.maxBackoff] - Upper bound of the retry delay (milliseconds)
+ * @param {number} [options.timeout] - Request timeout (milliseconds)
+ * @param {number} [options.pollInterval] - Interval between scans for due retries (milliseconds)
+ */
+const configureWebhooks = (options) => {
+    Object.keys(settings).forEach(name => {
+        if (options[name] !== undefined) {
+            settings[name] = options[name];
+        }
+    });
+};
+
+/**
+ * Starts delivering queued webhooks: new deliveries are sent right away and due retries are
+ * picked up every poll interval
+ */
+const startWebhookDispatcher = () => {
+    stopWebhookDispatcher();
+    pollTimer = setInterval(() => {
+        dispatchDeliveries().catch(error => console.error(error.message));
+    }, settings.pollInterval);
+    // Do not keep the process alive just for the dispatcher
+    pollTimer.unref();
+    dispatchDeliveries().catch(error => console.error(error.message));
+};
+
+/**
+ * Stops the webhook dispatcher; queued deliveries stay pending until it is started again
+ */
+const stopWebhookDispatcher = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+setChangeHandler(enqueueDeliveries);
+
+// Deliveries queued by a write are sent right away once it has committed
+changes.on('change', () => {
+    if (pollTimer && undispatched) {
+        dispatchDeliveries().catch(error => console.error(error.message));
+    }
+});
+
+module.exports = {
+    EVENT_TYPES,
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    deleteWebhook,
+    listDeliveries,
+    signPayload,
+    dispatchDeliveries,
+    configureWebhooks,
+    startWebhookDispatcher,
+    stopWebhookDispatcher
+};
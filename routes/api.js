@@ -1,10 +1,234 @@
 const express = require('express');
 const router = express.Router();
-const { setValue, getValue, deleteValue, getNamespaces, deleteNamespace } = require('../lib/storage');
+const {
+    setValue,
+    getValue,
+    getEntry,
+    getMetadata,
+    getNamespaceStats,
+    patchValue,
+    incrementValue,
+    appendValues,
+    removeValues,
+    setIfAbsent,
+    deleteValue,
+    getNamespaces,
+    listKeys,
+    listNamespaces,
+    queryValues,
+    deleteNamespace,
+    getTtl,
+    setTtl,
+    getHistory,
+    getRevision,
+    getValueAt,
+    restoreRevision,
+    changes,
+    getChanges,
+    getChangeLogStart,
+    supports,
+    getAdapterName
+} = require('../lib/storage');
+const {
+    rejectReservedName,
+    parseTtl,
+    parsePositiveInt,
+    parseNonNegativeInt,
+    parseTimestamp,
+    parseListOptions,
+    toETag,
+    preconditions
+} = require('./helpers');
+const { authorize, can } = require('../lib/auth');
+const { audited, routeTargets } = require('../lib/audit');
+const { sendProblem, ValidationError, NotFoundError } = require('../lib/errors');
+
+/**
+ * Formats a stored revision for responses
+ * @param {Object} revision - Revision returned by the storage layer
+ */
+const describeRevision = (revision) => ({
+    ...revision,
+    timestamp: new Date(revision.timestamp).toISOString()
+});
+
+/**
+ * Formats the TTL state of a key for responses
+ * @param {number|null} ttl - Remaining seconds, or null if the key never expires
+ */
+const describeTtl = (ttl) => ({
+    ttl: ttl === null ? null : Math.ceil(ttl),
+    expiresAt: ttl === null ? null : new Date(Date.now() + ttl * 1000).toISOString()
+});
+
+/**
+ * Formats the metadata of a key for responses
+ * @param {string} namespace - The namespace of the key
+ * @param {string} key - The key
+ * @param {Object} metadata - Metadata returned by the storage layer
+ */
+const describeMetadata = (namespace, key, metadata) => ({
+    namespace,
+    key,
+    ...metadata,
+    createdAt: new Date(metadata.createdAt).toISOString(),
+    updatedAt: new Date(metadata.updatedAt).toISOString(),
+    expiresAt: metadata.expiresAt === null ? null : new Date(metadata.expiresAt).toISOString()
+});
+
+// Interval between keep-alive comments on open change feeds (milliseconds)
+const WATCH_HEARTBEAT_INTERVAL = 15 * 1000;
+
+/**
+ * Formats a change event as a Server-Sent Event
+ * @param {Object} change - Change event from the storage layer
+ */
+const toServerSentEvent = (change) => {
+    const data = JSON.stringify({ ...change, timestamp: new Date(change.timestamp).toISOString() });
+    return `id: ${change.seq}\nevent: ${change.type}\ndata: ${data}\n\n`;
+};
+
+/**
+ * Formats the reset event telling a change feed client that it missed changes and must reload
+ * the namespace; the feed continues after the given sequence number
+ * @param {string} namespace - The watched namespace
+ * @param {number} seq - Sequence number the feed resumes after
+ * @param {Object} details - Why the changes were missed
+ */
+const toResetEvent = (namespace, seq, details) => {
+    const data = JSON.stringify({ type: 'reset', namespace, ...details });
+    return `id: ${seq}\nevent: reset\ndata: ${data}\n\n`;
+};
+
+// Namespace sub-resources are registered ahead of the key routes they would otherwise match
+router.use(require('./audit'));
+router.use(require('./keys'));
+router.use(require('./batch'));
+router.use(require('./webhooks'));
+router.use(require('./indexes'));
+router.use(require('./transfer'));
+router.use(require('./schemas'));
+router.use(require('./cache'));
+router.use(require('./trash'));
+router.use(require('./backups'));
+
+router.param('namespace', rejectReservedName);
+router.param('id', rejectReservedName);
+
+// Stream changes of a namespace as Server-Sent Events; resumable through Last-Event-ID
+router.get('/:namespace/_watch', authorize('read'), async (req, res) => {
+    const { namespace } = req.params;
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+    let lastSeq;
+    try {
+        const resumeFrom = req.get('Last-Event-ID') !== undefined ? req.get('Last-Event-ID') : req.query.since;
+        lastSeq = resumeFrom === undefined ? undefined : parseNonNegativeInt(resumeFrom, 'Last-Event-ID');
+    } catch (error) {
+        return sendProblem(res, error);
+    }
+
+    const matches = (change) =>
+        change.namespace === namespace &&
+        (change.key === undefined || change.key.startsWith(prefix));
+    const send = (change) => {
+        // Events delivered by both the catch-up read and the live listener are sent once
+        if (lastSeq !== undefined && change.seq <= lastSeq) {
+            return;
+        }
+        lastSeq = change.seq;
+        res.write(toServerSentEvent(change));
+    };
+
+    // Subscribe before reading the backlog so nothing committed in between is missed
+    let backlog = [];
+    const listener = (change) => {
+        if (!matches(change)) {
+            return;
+        }
+        if (backlog) {
+            backlog.push(change);
+        } else {
+            send(change);
+        }
+    };
+    changes.on('change', listener);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), WATCH_HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+        changes.off('change', listener);
+        clearInterval(heartbeat);
+    });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
 
-router.get('/:namespace', async (req, res) => {
+    try {
+        if (lastSeq !== undefined) {
+            const start = await getChangeLogStart();
+            if (lastSeq < start - 1) {
+                // Changes the client has not seen were pruned; it has to reload the namespace
+                // before applying the changes that follow
+                res.write(toResetEvent(namespace, start - 1, { lastEventId: lastSeq, oldestSeq: start }));
+                lastSeq = start - 1;
+            }
+            (await getChanges(namespace, { after: lastSeq, prefix })).forEach(send);
+        }
+    } catch (error) {
+        console.error(error.message);
+        res.end();
+        return;
+    }
+    const live = backlog;
+    backlog = null;
+    live.forEach(send);
+});
+
+// Find values by their JSON fields, e.g. { "filter": { "path": "status", "op": "eq", "value": "pending" } }
+router.post('/:namespace/_query', authorize('read'), async (req, res) => {
     try {
         const { namespace } = req.params;
+        const { filter, fields, sort, limit } = req.body || {};
+        const items = await queryValues(namespace, {
+            filter,
+            fields,
+            sort,
+            limit: parsePositiveInt(limit, 'limit')
+        });
+        res.json({ namespace, items, count: items.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Key count, bytes and last write of a namespace, with its largest keys
+router.get('/:namespace/_stats', authorize('read'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const top = req.query.top === undefined ? undefined : parseNonNegativeInt(req.query.top, 'top');
+        const stats = await getNamespaceStats(namespace, { top });
+        res.json({ ...stats, lastModified: stats.lastModified === null ? null : new Date(stats.lastModified).toISOString() });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.get('/:namespace', authorize('read'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const listOptions = parseListOptions(req.query);
+        if (listOptions) {
+            // Paginated listing; arrays keep the key order that an object would not
+            const { items, nextCursor } = await listKeys(namespace, listOptions);
+            return res.json({
+                namespace,
+                [listOptions.keysOnly ? 'keys' : 'items']: items,
+                count: items.length,
+                nextCursor
+            });
+        }
         const values = await getValue(namespace);
         res.json({
             namespace,
@@ -12,64 +236,250 @@ router.get('/:namespace', async (req, res) => {
             count: Object.keys(values).length
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendProblem(res, error);
     }
 });
 
 // Get all namespaces
 router.get('/', async (req, res) => {
     try {
-        const namespaces = await getNamespaces();
+        const listOptions = parseListOptions(req.query);
+        const page = listOptions ? await listNamespaces(listOptions) : { namespaces: await getNamespaces() };
+        // Only list the namespaces the API key can read; filtered pages may come out short
+        const namespaces = page.namespaces
+            .filter(namespace => !req.apiKey || can(req.apiKey, 'read', namespace));
         res.json({
             message: 'Welcome to the C-Store API',
             status: 'API is running successfully!',
             namespaces,
-            count: namespaces.length
+            count: namespaces.length,
+            ...(listOptions && { nextCursor: page.nextCursor })
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendProblem(res, error);
     }
 });
 
-router.post('/:namespace/:id', async (req, res) => {
+router.post('/:namespace/:id', audited('set'), authorize('write'), async (req, res) => {
     try {
         const { namespace, id } = req.params;
-        const { value } = req.body;
-        await setValue(namespace, id, value);
-        res.json({ message: 'Value set successfully' });
+        const { value, contentType, tags } = req.body;
+        const ttl = parseTtl(req.body.ttl !== undefined ? req.body.ttl : req.get('X-TTL'));
+        const version = await setValue(namespace, id, value, { ttl, contentType, tags, ...preconditions(req) });
+        res.set('ETag', toETag(version));
+        res.json({ message: 'Value set successfully', version });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendProblem(res, error);
     }
 });
 
-router.get('/:namespace/:id', async (req, res) => {
+// Partially update a value with a JSON Merge Patch, or a JSON Patch when sent as application/json-patch+json
+router.patch('/:namespace/:id', audited('patch'), authorize('write'), async (req, res) => {
     try {
         const { namespace, id } = req.params;
-        const value = await getValue(namespace, id);
-        res.json({ value });
+        const format = req.is('application/json-patch+json') ? 'json-patch' : 'merge';
+        const { value, version } = await patchValue(namespace, id, format, req.body, preconditions(req));
+        res.set('ETag', toETag(version));
+        res.json({ value, version });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendProblem(res, error);
     }
 });
 
-router.delete('/:namespace/:id', async (req, res) => {
+/**
+ * Creates the handler of an atomic counter route; by defaults to 1 and path selects a numeric
+ * field inside the value
+ * @param {1|-1} sign - 1 to increment, -1 to decrement
+ */
+const counterHandler = (sign) => async (req, res) => {
     try {
         const { namespace, id } = req.params;
-        await deleteValue(namespace, id);
+        const { by = 1, path } = req.body || {};
+        const ttl = parseTtl((req.body || {}).ttl);
+        const { value, version } = await incrementValue(namespace, id, typeof by === 'number' ? sign * by : by, { path, ttl });
+        res.set('ETag', toETag(version));
+        res.json({ value, version });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+};
+
+/**
+ * Creates the handler of an atomic array route, taking { values, path }
+ * @param {Function} update - appendValues or removeValues
+ */
+const arrayHandler = (update) => async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const { values, path } = req.body || {};
+        const ttl = parseTtl((req.body || {}).ttl);
+        const { value, version } = await update(namespace, id, values, { path, ttl });
+        res.set('ETag', toETag(version));
+        res.json({ value, version });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+};
+
+router.post('/:namespace/:id/increment', audited('increment'), authorize('write'), counterHandler(1));
+router.post('/:namespace/:id/decrement', audited('decrement'), authorize('write'), counterHandler(-1));
+router.post('/:namespace/:id/append', audited('append'), authorize('write'), arrayHandler(appendValues));
+router.post('/:namespace/:id/remove', audited('remove'), authorize('write'), arrayHandler(removeValues));
+
+// Status of a set-if-absent: 201 when it created the key
+const setIfAbsentStatus = (result) => (result.created ? 201 : 200);
+
+// Store a value only if the key does not exist; answers with the value the key holds either way
+router.post('/:namespace/:id/set-if-absent', audited('set-if-absent', routeTargets, { status: setIfAbsentStatus }), authorize('write'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const { value } = req.body || {};
+        const ttl = parseTtl((req.body || {}).ttl);
+        const result = await setIfAbsent(namespace, id, value, { ttl });
+        res.set('ETag', toETag(result.version));
+        res.status(setIfAbsentStatus(result)).json(result);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Get the remaining TTL of a key
+router.get('/:namespace/:id/ttl', authorize('read'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const ttl = await getTtl(namespace, id);
+        if (ttl === undefined) {
+            return sendProblem(res, new NotFoundError('Key not found'));
+        }
+        res.json({ namespace, key: id, ...describeTtl(ttl) });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Change the TTL of a key; a null ttl makes the key persistent
+router.put('/:namespace/:id/ttl', audited('ttl'), authorize('write'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const ttl = parseTtl((req.body || {}).ttl);
+        if (ttl === undefined) {
+            return sendProblem(res, new ValidationError('A ttl (seconds) or null is required'));
+        }
+        const updated = await setTtl(namespace, id, ttl);
+        if (!updated) {
+            return sendProblem(res, new NotFoundError('Key not found'));
+        }
+        res.json({ namespace, key: id, ...describeTtl(await getTtl(namespace, id)) });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// List the revisions of a key, newest first
+router.get('/:namespace/:id/history', authorize('read'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const revisions = await getHistory(namespace, id, {
+            limit: parsePositiveInt(req.query.limit, 'limit'),
+            before: parsePositiveInt(req.query.before, 'before')
+        });
+        res.json({ namespace, key: id, revisions: revisions.map(describeRevision) });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Get a single revision of a key, including its value
+router.get('/:namespace/:id/history/:revision', authorize('read'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const revision = await getRevision(namespace, id, parsePositiveInt(req.params.revision, 'revision'));
+        if (!revision) {
+            return sendProblem(res, new NotFoundError('Revision not found'));
+        }
+        res.json({ namespace, key: id, ...describeRevision(revision) });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Restore a prior revision as the current value of a key
+router.post('/:namespace/:id/history/:revision/restore', audited('restore'), authorize('write'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const revision = parsePositiveInt(req.params.revision, 'revision');
+        const version = await restoreRevision(namespace, id, revision, preconditions(req));
+        res.set('ETag', toETag(version));
+        res.json({ message: `Revision ${revision} restored successfully`, version });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.get('/:namespace/:id', authorize('read'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        if (req.query.asOf !== undefined) {
+            // Point-in-time read served from the key history
+            const revision = await getValueAt(namespace, id, parseTimestamp(req.query.asOf));
+            if (!revision) {
+                return sendProblem(res, new NotFoundError(`Key '${id}' did not exist at ${req.query.asOf}`));
+            }
+            return res.json({ value: revision.value, version: revision.version, revision: revision.revision });
+        }
+        if (req.method === 'HEAD' || req.query.meta === 'true' || req.query.meta === '1') {
+            const metadata = await getMetadata(namespace, id);
+            if (!metadata) {
+                return sendProblem(res, new NotFoundError(`Key '${id}' not found in namespace '${namespace}'`));
+            }
+            res.set({
+                ETag: toETag(metadata.version),
+                'Last-Modified': new Date(metadata.updatedAt).toUTCString(),
+                'X-Created-At': new Date(metadata.createdAt).toISOString(),
+                'X-Value-Size': String(metadata.size),
+                ...(metadata.contentType !== null && { 'X-Value-Content-Type': metadata.contentType }),
+                ...(metadata.tags.length > 0 && { 'X-Tags': metadata.tags.join(',') })
+            });
+            return req.method === 'HEAD' ? res.end() : res.json(describeMetadata(namespace, id, metadata));
+        }
+        const entry = await getEntry(namespace, id);
+        if (!entry) {
+            return sendProblem(res, new NotFoundError(`Key '${id}' not found in namespace '${namespace}'`));
+        }
+        // Express answers 304 by itself when If-None-Match matches this ETag
+        res.set('ETag', toETag(entry.version));
+        res.json({ value: entry.value });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.delete('/:namespace/:id', audited('delete'), authorize('write'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        await deleteValue(namespace, id, preconditions(req));
         res.json({ message: 'Value deleted successfully' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendProblem(res, error);
     }
 });
 
-// Delete entire namespace
-router.delete('/:namespace', async (req, res) => {
+// Delete entire namespace, moving its keys to the trash of adapters that keep one; ?confirm must
+// repeat the namespace name
+router.delete('/:namespace', audited('namespace.delete'), authorize('admin'), async (req, res) => {
     try {
         const { namespace } = req.params;
+        if (req.query.confirm !== namespace) {
+            throw new ValidationError(`Deleting a namespace needs confirm=${namespace}`);
+        }
         await deleteNamespace(namespace);
-        res.json({ message: `Namespace '${namespace}' deleted successfully` });
+        res.json({
+            message: supports('listTrash')
+                ? `Namespace '${namespace}' moved to the trash`
+                : `Namespace '${namespace}' deleted permanently; the ${getAdapterName()} storage adapter keeps no trash`
+        });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendProblem(res, error);
     }
 });
 
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { queryAuditLog } = require('../lib/audit');
+const { parsePositiveInt, parseTimestamp } = require('./helpers');
+const { authorize } = require('../lib/auth');
+const { sendProblem, ValidationError } = require('../lib/errors');
+
+// Query parameters filtering the audit log by exact match
+const STRING_FILTERS = ['namespace', 'key', 'operation', 'actor', 'requestId', 'clientIp', 'cursor'];
+
+// List audit entries newest first, e.g. ?namespace=orders&key=o1&since=2024-01-01T00:00:00Z&limit=50
+router.get('/_audit', authorize('admin'), async (req, res) => {
+    try {
+        const options = {};
+        STRING_FILTERS.forEach(name => {
+            if (req.query[name] !== undefined && typeof req.query[name] !== 'string') {
+                throw new ValidationError(`${name} must be a string`);
+            }
+            options[name] = req.query[name];
+        });
+        ['since', 'until'].forEach(name => {
+            if (req.query[name] !== undefined) {
+                options[name] = parseTimestamp(req.query[name], name);
+            }
+        });
+        options.apiKeyId = parsePositiveInt(req.query.apiKeyId, 'apiKeyId');
+        options.limit = parsePositiveInt(req.query.limit, 'limit');
+        const { entries, nextCursor } = await queryAuditLog(options);
+        res.json({ entries, count: entries.length, nextCursor });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
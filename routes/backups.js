@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { listBackups, createBackup, verifyBackup, restoreBackup } = require('../lib/backup');
+const { authorize } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem } = require('../lib/errors');
+
+// Backups copy every namespace, so managing them needs admin permission on every namespace
+router.use('/_backups', authorize('admin'));
+
+router.get('/_backups', async (req, res) => {
+    try {
+        const backups = await listBackups();
+        res.json({ backups, count: backups.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Take a consistent snapshot of the live database
+router.post('/_backups', audited('backup.create'), async (req, res) => {
+    try {
+        const backup = await createBackup();
+        res.status(201).json(backup);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Describe a backup, verifying its checksum
+router.get('/_backups/:backupId', async (req, res) => {
+    try {
+        res.json(await verifyBackup(req.params.backupId));
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Replace the live database with a backup; the database it replaces is backed up first
+router.post('/_backups/:backupId/restore', audited('backup.restore'), async (req, res) => {
+    try {
+        const { restored, safetyBackup } = await restoreBackup(req.params.backupId);
+        res.json({ message: `Backup '${restored}' restored successfully`, restored, safetyBackup });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { batch } = require('../lib/storage');
+const { can, isAuthEnabled } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem, ForbiddenError } = require('../lib/errors');
+
+// Permission each batch operation needs on its namespace
+const OPERATION_PERMISSIONS = { get: 'read', set: 'write', delete: 'write' };
+
+/**
+ * Lists the keys a batch writes, for the audit log
+ * @param {import('express').Request} req - The batch request
+ */
+const batchTargets = (req) => req.body.operations
+    .filter(operation => operation && (operation.op === 'set' || operation.op === 'delete'))
+    .map(operation => ({
+        operation: `batch.${operation.op}`,
+        namespace: typeof operation.namespace === 'string' ? operation.namespace : undefined,
+        key: typeof operation.key === 'string' ? operation.key : undefined
+    }));
+
+// Run get/set/delete operations across namespaces atomically, e.g.
+// { "operations": [{ "op": "set", "namespace": "orders", "key": "o1", "value": {}, "ifNoneMatch": "*" }] }
+router.post('/_batch', audited('batch', batchTargets), async (req, res) => {
+    const { operations } = req.body || {};
+    if (isAuthEnabled() && Array.isArray(operations)) {
+        const denied = operations.find(operation =>
+            operation && OPERATION_PERMISSIONS[operation.op] && typeof operation.namespace === 'string' &&
+            !can(req.apiKey, OPERATION_PERMISSIONS[operation.op], operation.namespace)
+        );
+        if (denied) {
+            const permission = OPERATION_PERMISSIONS[denied.op];
+            return sendProblem(res, new ForbiddenError(
+                `API key lacks ${permission} permission on namespace '${denied.namespace}'`
+            ));
+        }
+    }
+    try {
+        const results = await batch(operations);
+        res.json({ results, count: results.length });
+    } catch (error) {
+        // The index, currentVersion and violations of a failed operation are reported with it
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { getCachePolicy, setCachePolicy, resetCachePolicy, getCacheStats } = require('../lib/cache');
+const { rejectReservedName } = require('./helpers');
+const { authorize } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem } = require('../lib/errors');
+
+router.param('namespace', rejectReservedName);
+
+// Read cache usage and hit rate
+router.get('/_cache', authorize('admin'), (req, res) => {
+    res.json(getCacheStats());
+});
+
+router.get('/:namespace/_cache', authorize('admin'), async (req, res) => {
+    try {
+        const policy = await getCachePolicy(req.params.namespace);
+        res.json(policy);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Set how reads of a namespace are cached, e.g. { "mode": "off" } or { "mode": "max-age", "maxAge": 30 }
+router.put('/:namespace/_cache', audited('cache.set'), authorize('admin'), async (req, res) => {
+    try {
+        const policy = await setCachePolicy(req.params.namespace, req.body || {});
+        res.json(policy);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Restore the default policy (on)
+router.delete('/:namespace/_cache', audited('cache.reset'), authorize('admin'), async (req, res) => {
+    try {
+        const policy = await resetCachePolicy(req.params.namespace);
+        res.json(policy);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
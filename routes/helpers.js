@@ -0,0 +1,158 @@
+const { sendProblem, ValidationError } = require('../lib/errors');
+
+/**
+ * Reads a TTL (in seconds) supplied by the client
+ * @param {any} raw - The TTL from the request body or the X-TTL header
+ * @returns {number|null|undefined} - The TTL, null to clear it, or undefined when none was given
+ * @throws {Error} - If the TTL is not a positive number
+ */
+const parseTtl = (raw) => {
+    if (raw === undefined || raw === '') {
+        return undefined;
+    }
+    if (raw === null) {
+        return null;
+    }
+    const ttl = typeof raw === 'string' ? Number(raw) : raw;
+    if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0) {
+        throw new ValidationError('TTL must be a positive number of seconds');
+    }
+    return ttl;
+};
+
+/**
+ * Parses a positive integer parameter such as a revision number or a limit
+ * @param {any} raw - The raw parameter
+ * @param {string} name - Parameter name used in the error message
+ * @returns {number|undefined} - The number, or undefined when the parameter is absent
+ */
+const parsePositiveInt = (raw, name) => {
+    if (raw === undefined) {
+        return undefined;
+    }
+    const number = Number(raw);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new ValidationError(`${name} must be a positive integer`);
+    }
+    return number;
+};
+
+/**
+ * Parses a non-negative integer such as a change sequence number
+ * @param {any} raw - The raw parameter
+ * @param {string} name - Parameter name used in the error message
+ * @returns {number}
+ */
+const parseNonNegativeInt = (raw, name) => {
+    const number = Number(raw);
+    if (raw === '' || !Number.isInteger(number) || number < 0) {
+        throw new ValidationError(`${name} must be a non-negative integer`);
+    }
+    return number;
+};
+
+/**
+ * Parses a point in time given as epoch milliseconds or an ISO 8601 date
+ * @param {string} raw - The raw parameter
+ * @param {string} [name] - Parameter name used in the error message
+ * @returns {number} - Epoch milliseconds
+ */
+const parseTimestamp = (raw, name = 'asOf') => {
+    const timestamp = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+    if (Number.isNaN(timestamp)) {
+        throw new ValidationError(`${name} must be epoch milliseconds or an ISO 8601 date`);
+    }
+    return timestamp;
+};
+
+// Query parameters that switch namespace and key listings to paginated mode
+const LIST_PARAMS = ['limit', 'cursor', 'prefix', 'start', 'end', 'order', 'keysOnly'];
+
+/**
+ * Parses the pagination and range parameters of a listing
+ * @param {Object} query - The request query
+ * @returns {Object|undefined} - Options for listKeys / listNamespaces, or undefined when the
+ * request uses none of the pagination parameters
+ */
+const parseListOptions = (query) => {
+    if (!LIST_PARAMS.some(name => query[name] !== undefined)) {
+        return undefined;
+    }
+    const strings = {};
+    ['cursor', 'prefix', 'start', 'end'].forEach(name => {
+        if (query[name] !== undefined && typeof query[name] !== 'string') {
+            throw new ValidationError(`${name} must be a string`);
+        }
+        strings[name] = query[name];
+    });
+    if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+        throw new ValidationError("order must be 'asc' or 'desc'");
+    }
+    return {
+        ...strings,
+        limit: parsePositiveInt(query.limit, 'limit'),
+        order: query.order,
+        keysOnly: query.keysOnly === 'true' || query.keysOnly === '1'
+    };
+};
+
+/**
+ * Formats a key version as a strong ETag
+ * @param {number} version - The key version
+ */
+const toETag = (version) => `"${version}"`;
+
+/**
+ * Parses an If-Match / If-None-Match header into the versions it lists
+ * @param {string|undefined} header - The raw header value
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.weak] - Whether weak tags match (RFC 9110 weak comparison, used by
+ * If-None-Match); If-Match compares strongly, so weak tags never match
+ * @returns {'*'|number[]|undefined} - '*', the listed versions, or undefined if the header is absent
+ */
+const parseETags = (header, { weak = true } = {}) => {
+    if (header === undefined) {
+        return undefined;
+    }
+    if (header.trim() === '*') {
+        return '*';
+    }
+    // Tags that are not versions issued by this server can never match
+    return header.split(',')
+        .map(tag => (weak ? /^(?:W\/)?"(\d+)"$/ : /^"(\d+)"$/).exec(tag.trim()))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+};
+
+/**
+ * Collects the conditional request headers into storage preconditions
+ * @param {import('express').Request} req - The incoming request
+ */
+const preconditions = (req) => ({
+    ifMatch: parseETags(req.get('If-Match'), { weak: false }),
+    ifNoneMatch: parseETags(req.get('If-None-Match'))
+});
+
+/**
+ * Param handler refusing namespace and key names starting with an underscore, which are
+ * reserved for API endpoints such as _watch. Every router with such parameters registers it,
+ * as param handlers do not reach the routers mounted into another.
+ */
+const rejectReservedName = (req, res, next, name) => {
+    if (name.startsWith('_')) {
+        return sendProblem(res, new ValidationError(`Names starting with '_' are reserved: ${name}`));
+    }
+    next();
+};
+
+module.exports = {
+    rejectReservedName,
+    parseTtl,
+    parsePositiveInt,
+    parseNonNegativeInt,
+    parseTimestamp,
+    parseListOptions,
+    toETag,
+    parseETags,
+    preconditions
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createIndex,
+    listIndexes,
+    dropIndex,
+    rebuildIndex,
+    findByIndex
+} = require('../lib/storage');
+const { rejectReservedName, parsePositiveInt } = require('./helpers');
+const { authorize } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem, ValidationError } = require('../lib/errors');
+
+router.param('namespace', rejectReservedName);
+
+/**
+ * Reads the lookup values of an index query; each value is parsed as JSON when possible, so
+ * ?value=42 finds the number 42 and ?value="42" the string
+ * @param {string|string[]|undefined} raw - The value query parameter(s)
+ * @returns {(string|number|boolean|null)[]}
+ * @throws {ValidationError} - If a value is a JSON object or array, which indexes do not hold
+ */
+const parseLookupValues = (raw) => {
+    const values = raw === undefined ? [] : [].concat(raw);
+    return values.map(value => {
+        let parsed;
+        try {
+            parsed = JSON.parse(value);
+        } catch {
+            return value;
+        }
+        if (parsed !== null && typeof parsed === 'object') {
+            throw new ValidationError('Index lookup values must be strings, numbers, booleans or null');
+        }
+        return parsed;
+    });
+};
+
+// Declare an index, e.g. { "name": "byCustomer", "paths": ["customerId"] }
+router.post('/:namespace/_indexes', audited('index.create'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const { name, paths } = req.body || {};
+        const index = await createIndex(namespace, name, paths);
+        res.status(201).json(index);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.get('/:namespace/_indexes', authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const indexes = await listIndexes(namespace);
+        res.json({ namespace, indexes, count: indexes.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.delete('/:namespace/_indexes/:index', audited('index.drop'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace, index } = req.params;
+        await dropIndex(namespace, index);
+        res.json({ message: `Index '${index}' dropped successfully` });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.post('/:namespace/_indexes/:index/rebuild', audited('index.rebuild'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace, index } = req.params;
+        await rebuildIndex(namespace, index);
+        res.json({ message: `Index '${index}' rebuilt successfully` });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Find values through an index; repeat value for indexes on several paths
+router.get('/:namespace/_by/:index', authorize('read'), async (req, res) => {
+    try {
+        const { namespace, index } = req.params;
+        const { items, nextCursor } = await findByIndex(namespace, index, parseLookupValues(req.query.value), {
+            limit: parsePositiveInt(req.query.limit, 'limit'),
+            cursor: req.query.cursor
+        });
+        res.json({ namespace, index, items, count: items.length, nextCursor });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { createApiKey, listApiKeys, revokeApiKey, authorize } = require('../lib/auth');
+const { parsePositiveInt } = require('./helpers');
+const { audited } = require('../lib/audit');
+const { sendProblem, NotFoundError } = require('../lib/errors');
+
+// Managing API keys needs admin permission on every namespace
+router.use('/_keys', authorize('admin'));
+
+// Create an API key; the plaintext key is only returned in this response
+router.post('/_keys', audited('key.create'), async (req, res) => {
+    try {
+        const { name, scopes } = req.body || {};
+        const apiKey = await createApiKey(name, scopes);
+        res.status(201).json(apiKey);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.get('/_keys', async (req, res) => {
+    try {
+        const keys = await listApiKeys();
+        res.json({ keys, count: keys.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Revoke an API key
+router.delete('/_keys/:keyId', audited('key.revoke'), async (req, res) => {
+    try {
+        const revoked = await revokeApiKey(parsePositiveInt(req.params.keyId, 'keyId'));
+        if (!revoked) {
+            return sendProblem(res, new NotFoundError('API key not found or already revoked'));
+        }
+        res.json({ message: 'API key revoked successfully' });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { setSchema, getSchema, deleteSchema, validateNamespace } = require('../lib/schemas');
+const { rejectReservedName } = require('./helpers');
+const { authorize } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem, NotFoundError } = require('../lib/errors');
+
+router.param('namespace', rejectReservedName);
+
+// Attach a JSON Schema to a namespace; the body is the schema. Existing values are not checked.
+router.put('/:namespace/_schema', audited('schema.set'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const schema = await setSchema(namespace, req.body);
+        res.json(schema);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.get('/:namespace/_schema', authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const schema = await getSchema(namespace);
+        if (!schema) {
+            return sendProblem(res, new NotFoundError(`Namespace '${namespace}' has no schema`));
+        }
+        res.json(schema);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.delete('/:namespace/_schema', audited('schema.delete'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        if (!(await deleteSchema(namespace))) {
+            return sendProblem(res, new NotFoundError(`Namespace '${namespace}' has no schema`));
+        }
+        res.json({ message: 'Schema removed successfully' });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Report the stored values that do not conform to the schema, or to a candidate { "schema": ... }
+router.post('/:namespace/_schema/validate', authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const { schema } = req.body || {};
+        const report = await validateNamespace(namespace, schema);
+        res.json(report);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
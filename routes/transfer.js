@@ -0,0 +1,117 @@
+const express = require('express');
+const { once } = require('events');
+const router = express.Router();
+const { exportNamespace, importNamespace } = require('../lib/transfer');
+const { copyNamespace, renameNamespace, mergeNamespace } = require('../lib/storage');
+const { rejectReservedName } = require('./helpers');
+const { authorize, can, isAuthEnabled } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem, ForbiddenError, UnsupportedMediaTypeError } = require('../lib/errors');
+
+router.param('namespace', rejectReservedName);
+
+/**
+ * Creates middleware checking that the API key also holds a permission on the target
+ * namespace named in the body of a copy, rename or merge
+ * @param {'read'|'write'|'admin'} permission - The permission needed on the target
+ */
+const authorizeTarget = (permission) => (req, res, next) => {
+    const { target } = req.body || {};
+    if (!isAuthEnabled() || typeof target !== 'string' || can(req.apiKey, permission, target)) {
+        return next();
+    }
+    sendProblem(res, new ForbiddenError(`API key lacks ${permission} permission on namespace '${target}'`));
+};
+
+/**
+ * Lists the namespaces a copy or merge writes, for the audit log
+ * @param {import('express').Request} req - The request
+ */
+const targetNamespace = (req) => [{ namespace: typeof req.body.target === 'string' ? req.body.target : undefined }];
+
+/**
+ * Lists the namespaces a rename changes, for the audit log
+ * @param {import('express').Request} req - The request
+ */
+const renamedNamespaces = (req) => [{ namespace: req.params.namespace }, ...targetNamespace(req)];
+
+// Stream every key of a namespace as NDJSON, one { key, value } object per line
+router.get('/:namespace/_export', authorize('read'), async (req, res) => {
+    const { namespace } = req.params;
+    res.set({
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(namespace)}.ndjson"`
+    });
+    try {
+        for await (const line of exportNamespace(namespace)) {
+            // Respect backpressure so slow clients do not make the export pile up in memory
+            if (!res.write(line)) {
+                await once(res, 'drain');
+            }
+        }
+        res.end();
+    } catch (error) {
+        if (res.headersSent) {
+            // Cut the stream short so the client sees an incomplete export
+            console.error(error.message);
+            return res.destroy();
+        }
+        sendProblem(res, error);
+    }
+});
+
+// Import NDJSON sent as application/x-ndjson, e.g. ?mode=replace&dryRun=true
+router.post('/:namespace/_import', audited('import'), authorize('write'), async (req, res) => {
+    if (req.is('application/json')) {
+        // The JSON body parser has already consumed the stream
+        return sendProblem(res, new UnsupportedMediaTypeError('Send the import as application/x-ndjson'));
+    }
+    try {
+        const { namespace } = req.params;
+        const report = await importNamespace(namespace, req, {
+            mode: req.query.mode,
+            dryRun: req.query.dryRun === 'true' || req.query.dryRun === '1'
+        });
+        res.json(report);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Copy every key into a new, empty namespace, e.g. { "target": "products_staging" }
+router.post('/:namespace/_copy', audited('namespace.copy', targetNamespace), authorize('read'), authorizeTarget('write'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const { target } = req.body || {};
+        const { copied } = await copyNamespace(namespace, target);
+        res.json({ message: `Copied ${copied} keys to namespace '${target}'`, source: namespace, target, copied });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Move every key to a new, empty namespace, e.g. { "target": "products" }
+router.post('/:namespace/_rename', audited('namespace.rename', renamedNamespaces), authorize('admin'), authorizeTarget('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const { target } = req.body || {};
+        const { renamed } = await renameNamespace(namespace, target);
+        res.json({ message: `Renamed namespace '${namespace}' to '${target}'`, source: namespace, target, renamed });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Write every key into another namespace, e.g. { "target": "products", "onConflict": "overwrite" }
+router.post('/:namespace/_merge', audited('namespace.merge', targetNamespace), authorize('read'), authorizeTarget('write'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const { target, onConflict = 'fail' } = req.body || {};
+        const result = await mergeNamespace(namespace, target, { onConflict });
+        res.json({ message: `Merged namespace '${namespace}' into '${target}'`, source: namespace, target, ...result });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const {
+    listTrashedNamespaces,
+    listTrash,
+    restoreTrashedKey,
+    restoreTrashedNamespace,
+    purgeTrash
+} = require('../lib/storage');
+const { rejectReservedName, parsePositiveInt } = require('./helpers');
+const { authorize, can } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem, ValidationError } = require('../lib/errors');
+
+router.param('namespace', rejectReservedName);
+
+/**
+ * Formats a trashed key for responses
+ * @param {Object} entry - Trash entry returned by the storage layer
+ */
+const describeTrashedKey = (entry) => ({
+    ...entry,
+    deletedAt: new Date(entry.deletedAt).toISOString(),
+    purgeAt: new Date(entry.purgeAt).toISOString()
+});
+
+// Namespaces holding deleted keys that the API key can read
+router.get('/_trash', async (req, res) => {
+    try {
+        const namespaces = (await listTrashedNamespaces())
+            .filter(({ namespace }) => !req.apiKey || can(req.apiKey, 'read', namespace))
+            .map(entry => ({ ...entry, lastDeletedAt: new Date(entry.lastDeletedAt).toISOString() }));
+        res.json({ namespaces, count: namespaces.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Deleted keys of a namespace, most recently deleted first
+router.get('/:namespace/_trash', authorize('read'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        if (req.query.key !== undefined && typeof req.query.key !== 'string') {
+            throw new ValidationError('key must be a string');
+        }
+        const keys = await listTrash(namespace, {
+            key: req.query.key,
+            limit: parsePositiveInt(req.query.limit, 'limit'),
+            before: parsePositiveInt(req.query.before, 'before')
+        });
+        res.json({ namespace, keys: keys.map(describeTrashedKey), count: keys.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Restore every deleted key of a namespace that does not exist again
+router.post('/:namespace/_trash/restore', audited('trash.restore'), authorize('write'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const { restored, skipped } = await restoreTrashedNamespace(namespace);
+        res.json({ message: `Restored ${restored} keys of namespace '${namespace}'`, restored, skipped });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Restore the most recently deleted value of a key
+router.post('/:namespace/_trash/:id/restore', audited('trash.restore'), authorize('write'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const version = await restoreTrashedKey(namespace, id);
+        res.json({ message: `Key '${id}' restored successfully`, version });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Permanently remove the deleted keys of a namespace
+router.delete('/:namespace/_trash', audited('trash.purge'), authorize('admin'), async (req, res) => {
+    try {
+        const purged = await purgeTrash(req.params.namespace);
+        res.json({ message: `Purged ${purged} deleted keys`, purged });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.delete('/:namespace/_trash/:id', audited('trash.purge'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace, id } = req.params;
+        const purged = await purgeTrash(namespace, id);
+        res.json({ message: `Purged ${purged} deleted values of key '${id}'`, purged });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
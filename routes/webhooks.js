@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    deleteWebhook,
+    listDeliveries
+} = require('../lib/webhooks');
+const { rejectReservedName, parsePositiveInt } = require('./helpers');
+const { authorize } = require('../lib/auth');
+const { audited } = require('../lib/audit');
+const { sendProblem, NotFoundError } = require('../lib/errors');
+
+router.param('namespace', rejectReservedName);
+
+// Register a webhook on a namespace
+router.post('/:namespace/_webhooks', audited('webhook.create'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const { url, events, prefix, secret } = req.body || {};
+        const webhook = await createWebhook(namespace, { url, events, prefix, secret });
+        res.status(201).json(webhook);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// List the webhooks of a namespace
+router.get('/:namespace/_webhooks', authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const webhooks = await listWebhooks(namespace);
+        res.json({ namespace, webhooks, count: webhooks.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.get('/:namespace/_webhooks/:webhookId', authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const webhook = await getWebhook(namespace, parsePositiveInt(req.params.webhookId, 'webhookId'));
+        if (!webhook) {
+            return sendProblem(res, new NotFoundError('Webhook not found'));
+        }
+        res.json(webhook);
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+router.delete('/:namespace/_webhooks/:webhookId', audited('webhook.delete'), authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const deleted = await deleteWebhook(namespace, parsePositiveInt(req.params.webhookId, 'webhookId'));
+        if (!deleted) {
+            return sendProblem(res, new NotFoundError('Webhook not found'));
+        }
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+// Delivery log of a webhook, newest first
+router.get('/:namespace/_webhooks/:webhookId/deliveries', authorize('admin'), async (req, res) => {
+    try {
+        const { namespace } = req.params;
+        const deliveries = await listDeliveries(namespace, parsePositiveInt(req.params.webhookId, 'webhookId'), {
+            status: req.query.status,
+            limit: parsePositiveInt(req.query.limit, 'limit')
+        });
+        res.json({ deliveries, count: deliveries.length });
+    } catch (error) {
+        sendProblem(res, error);
+    }
+});
+
+module.exports = router;
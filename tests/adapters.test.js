@@ -0,0 +1,481 @@
+const request = require('supertest');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createApp } = require('../app');
+const storage = require('../lib/storage');
+const { configureAuth } = require('../lib/auth');
+const { validateValue } = require('../lib/schemas');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    NotSupportedError,
+    BatchOperationError
+} = require('../lib/errors');
+const { sleep, closeDb, queryDb } = require('./helpers');
+
+// Every adapter must pass the same contract
+const ADAPTERS = [
+    { adapter: 'sqlite', path: ':memory:' },
+    { adapter: 'memory' }
+];
+
+ADAPTERS.forEach((config) => {
+    describe(`Storage adapter conformance: ${config.adapter}`, () => {
+        beforeEach(() => storage.open(config));
+
+        after((done) => {
+            closeDb(done);
+        });
+
+        it('should store, version and read values', async () => {
+            assert.strictEqual(await storage.setValue('orders', 'o1', { total: 1 }), 1);
+            assert.strictEqual(await storage.setValue('orders', 'o1', { total: 2 }), 2);
+            await storage.setValue('orders', 'o2', 'text');
+            assert.deepStrictEqual(await storage.getValue('orders', 'o1'), { total: 2 });
+            assert.deepStrictEqual(await storage.getEntry('orders', 'o1'), { value: { total: 2 }, version: 2 });
+            assert.deepStrictEqual(await storage.getValue('orders'), { o1: { total: 2 }, o2: 'text' });
+            assert.strictEqual(await storage.getValue('orders', 'missing'), undefined);
+            assert.strictEqual(await storage.getEntry('orders', 'missing'), undefined);
+        });
+
+        it('should not share stored objects with callers', async () => {
+            const value = { items: [1] };
+            await storage.setValue('orders', 'o1', value);
+            value.items.push(2);
+            const read = await storage.getValue('orders', 'o1');
+            read.items.push(3);
+            assert.deepStrictEqual(await storage.getValue('orders', 'o1'), { items: [1] });
+        });
+
+        it('should delete keys and namespaces', async () => {
+            await storage.setValue('orders', 'o1', 1);
+            await storage.setValue('orders', 'o2', 2);
+            await storage.setValue('users', 'u1', 1);
+            assert.strictEqual(await storage.deleteValue('orders', 'o1'), true);
+            assert.strictEqual(await storage.deleteValue('orders', 'o1'), false);
+            assert.deepStrictEqual(await storage.getNamespaces(), ['orders', 'users']);
+            await storage.deleteNamespace('orders');
+            assert.deepStrictEqual(await storage.getNamespaces(), ['users']);
+            assert.deepStrictEqual(await storage.getValue('orders'), {});
+        });
+
+        it('should continue the versions of deleted and expired keys', async () => {
+            await storage.setValue('orders', 'o1', 1);
+            await storage.setValue('orders', 'o1', 2);
+            await storage.deleteValue('orders', 'o1');
+            assert.strictEqual(await storage.setValue('orders', 'o1', 3), 3);
+            assert.strictEqual(await storage.compareAndSet('orders', 'o1', 1, 4), false);
+
+            await storage.setValue('orders', 'o2', 1, { ttl: 0.001 });
+            await sleep(5);
+            await storage.purgeExpired();
+            assert.strictEqual(await storage.setValue('orders', 'o2', 2), 2);
+        });
+
+        it('should copy, rename and merge namespaces', async () => {
+            await storage.setValue('products', 'p1', { price: 1 }, { ttl: 60, tags: ['sale'] });
+            await storage.setValue('products', 'p2', { price: 2 });
+            assert.deepStrictEqual(await storage.copyNamespace('products', 'staging'), { copied: 2 });
+            assert.deepStrictEqual(await storage.getValue('staging'), { p1: { price: 1 }, p2: { price: 2 } });
+            assert.deepStrictEqual((await storage.getMetadata('staging', 'p1')).tags, ['sale']);
+            assert.ok((await storage.getTtl('staging', 'p1')) > 0);
+            await assert.rejects(storage.copyNamespace('products', 'staging'), ConflictError);
+            await assert.rejects(storage.copyNamespace('missing', 'other'), NotFoundError);
+
+            await storage.setValue('staging', 'p2', { price: 3 });
+            await storage.setValue('staging', 'p3', { price: 4 });
+            await assert.rejects(storage.mergeNamespace('staging', 'products', { onConflict: 'fail' }), ConflictError);
+            assert.deepStrictEqual(await storage.getValue('products', 'p3'), undefined);
+            assert.deepStrictEqual(await storage.mergeNamespace('staging', 'products', { onConflict: 'keep-target' }),
+                { created: 1, overwritten: 0, skipped: 2 });
+            assert.deepStrictEqual(await storage.getValue('products', 'p2'), { price: 2 });
+            assert.deepStrictEqual(await storage.mergeNamespace('staging', 'products', { onConflict: 'overwrite' }),
+                { created: 0, overwritten: 3, skipped: 0 });
+            assert.deepStrictEqual(await storage.getValue('products', 'p2'), { price: 3 });
+            await assert.rejects(storage.mergeNamespace('staging', 'products', { onConflict: 'ask' }), ValidationError);
+
+            assert.deepStrictEqual(await storage.renameNamespace('staging', 'archive'), { renamed: 3 });
+            assert.deepStrictEqual(await storage.getNamespaces(), ['archive', 'products']);
+            await assert.rejects(storage.renameNamespace('archive', '_reserved'), ValidationError);
+        });
+
+        it('should enforce preconditions and compare-and-set', async () => {
+            await assert.rejects(storage.setValue('orders', 'o1', 1, { ifMatch: '*' }), PreconditionFailedError);
+            await storage.setValue('orders', 'o1', 1, { ifNoneMatch: '*' });
+            await assert.rejects(storage.setValue('orders', 'o1', 2, { ifNoneMatch: '*' }), PreconditionFailedError);
+            await assert.rejects(storage.deleteValue('orders', 'o1', { ifMatch: 5 }), PreconditionFailedError);
+            assert.strictEqual(await storage.compareAndSet('orders', 'o1', 1, 2), 2);
+            assert.strictEqual(await storage.compareAndSet('orders', 'o1', 1, 3), false);
+            assert.strictEqual(await storage.compareAndSet('orders', 'o2', null, 1), 1);
+        });
+
+        it('should expire keys after their TTL', async () => {
+            await storage.setValue('sessions', 's1', 'a', { ttl: 0.05 });
+            await storage.setValue('sessions', 's2', 'b');
+            assert.ok((await storage.getTtl('sessions', 's1')) > 0);
+            assert.strictEqual(await storage.getTtl('sessions', 's2'), null);
+            assert.strictEqual(await storage.setTtl('sessions', 's2', 60), true);
+            assert.ok((await storage.getTtl('sessions', 's2')) > 59);
+            await sleep(80);
+            assert.strictEqual(await storage.getValue('sessions', 's1'), undefined);
+            assert.strictEqual(await storage.getTtl('sessions', 's1'), undefined);
+            assert.strictEqual(await storage.setTtl('sessions', 's1', 60), false);
+            assert.strictEqual(await storage.purgeExpired(), 1);
+        });
+
+        it('should list keys and namespaces in pages', async () => {
+            for (const key of ['a1', 'a2', 'a3', 'b1']) {
+                await storage.setValue('items', key, key.toUpperCase());
+            }
+            await storage.setValue('logs', 'l1', 1);
+            const first = await storage.listKeys('items', { prefix: 'a', limit: 2 });
+            assert.deepStrictEqual(first.items, [{ key: 'a1', value: 'A1' }, { key: 'a2', value: 'A2' }]);
+            const second = await storage.listKeys('items', { prefix: 'a', limit: 2, cursor: first.nextCursor });
+            assert.deepStrictEqual(second, { items: [{ key: 'a3', value: 'A3' }], nextCursor: null });
+            const descending = await storage.listKeys('items', { order: 'desc', keysOnly: true, start: 'a2', end: 'b1' });
+            assert.deepStrictEqual(descending.items, ['a3', 'a2']);
+            const namespaces = await storage.listNamespaces({ limit: 1 });
+            assert.deepStrictEqual(namespaces.namespaces, ['items']);
+            assert.deepStrictEqual((await storage.listNamespaces({ cursor: namespaces.nextCursor })).namespaces, ['logs']);
+        });
+
+        it('should apply atomic operations', async () => {
+            await Promise.all(Array.from({ length: 10 }, () => storage.incrementValue('counters', 'hits', 1)));
+            assert.deepStrictEqual(await storage.incrementValue('counters', 'hits', -3), { value: 7, version: 11 });
+            assert.deepStrictEqual((await storage.appendValues('lists', 'l1', [1, 2, 1])).value, [1, 2, 1]);
+            assert.deepStrictEqual((await storage.removeValues('lists', 'l1', [1])).value, [2]);
+            await storage.setValue('orders', 'o1', { status: 'new', total: 1 }, { ttl: 60 });
+            const patched = await storage.patchValue('orders', 'o1', 'merge', { status: null, paid: true });
+            assert.deepStrictEqual(patched.value, { total: 1, paid: true });
+            assert.ok((await storage.getTtl('orders', 'o1')) > 0);
+            const created = await storage.setIfAbsent('locks', 'job', 'w1');
+            const existing = await storage.setIfAbsent('locks', 'job', 'w2');
+            assert.deepStrictEqual([created.created, existing.created, existing.value], [true, false, 'w1']);
+        });
+
+        it('should run batches atomically', async () => {
+            await storage.setValue('stock', 'sku1', 5);
+            const results = await storage.batch([
+                { op: 'set', namespace: 'stock', key: 'sku1', value: 4, ifMatch: 1 },
+                { op: 'get', namespace: 'stock', key: 'sku1' }
+            ]);
+            assert.deepStrictEqual(results[1], { op: 'get', found: true, value: 4, version: 2 });
+            await assert.rejects(storage.batch([
+                { op: 'delete', namespace: 'stock', key: 'sku1' },
+                { op: 'set', namespace: 'orders', key: 'o1', value: 1 },
+                { op: 'set', namespace: 'stock', key: 'sku2', value: 1, ifMatch: '*' }
+            ]), { status: 412, index: 2 });
+            assert.deepStrictEqual(await storage.getEntry('stock', 'sku1'), { value: 4, version: 2 });
+            assert.strictEqual(await storage.getValue('orders', 'o1'), undefined);
+        });
+
+        it('should emit committed changes in sequence', async () => {
+            const received = [];
+            const listener = (change) => received.push(change);
+            storage.changes.on('change', listener);
+            await storage.setValue('orders', 'o1', { total: 1 });
+            await storage.deleteValue('orders', 'o1');
+            await assert.rejects(storage.setValue('orders', 'o2', 1, { ifMatch: 3 }));
+            await storage.setValue('orders', 'o3', 1);
+            await storage.deleteNamespace('orders');
+            storage.changes.off('change', listener);
+            assert.deepStrictEqual(received.map(change => [change.type, change.key, change.version]), [
+                ['set', 'o1', 1],
+                ['delete', 'o1', 1],
+                ['set', 'o3', 1],
+                ['namespace_drop', undefined, undefined]
+            ]);
+            assert.deepStrictEqual(received[0].value, { total: 1 });
+            assert.ok(received.every((change, index) => index === 0 || change.seq > received[index - 1].seq));
+        });
+
+        it('should track key metadata and namespace statistics', async () => {
+            const before = Date.now();
+            await storage.setValue('docs', 'readme', '# C-Store', { contentType: 'text/markdown', tags: ['docs', 'docs', 'v1'] });
+            await sleep(5);
+            await storage.setValue('docs', 'readme', '# C-Store API');
+            await storage.setValue('docs', 'empty', null);
+
+            const metadata = await storage.getMetadata('docs', 'readme');
+            assert.strictEqual(metadata.version, 2);
+            assert.strictEqual(metadata.size, Buffer.byteLength('"# C-Store API"'));
+            assert.strictEqual(metadata.contentType, 'text/markdown');
+            assert.deepStrictEqual(metadata.tags, ['docs', 'v1']);
+            assert.ok(metadata.createdAt >= before && metadata.updatedAt > metadata.createdAt);
+            assert.strictEqual(metadata.expiresAt, null);
+
+            await storage.setValue('docs', 'readme', 'x', { contentType: null, tags: null });
+            assert.deepStrictEqual(await storage.getMetadata('docs', 'readme').then(({ contentType, tags }) => ({ contentType, tags })),
+                { contentType: null, tags: [] });
+            assert.strictEqual(await storage.getMetadata('docs', 'missing'), undefined);
+            await assert.rejects(storage.setValue('docs', 'bad', 1, { tags: ['no spaces'] }), /tags must be/);
+            await assert.rejects(storage.setValue('docs', 'bad', 1, { contentType: 'markdown' }), /contentType must be/);
+
+            const stats = await storage.getNamespaceStats('docs', { top: 1 });
+            assert.deepStrictEqual({ ...stats, lastModified: undefined }, {
+                namespace: 'docs',
+                keys: 2,
+                bytes: 'readme'.length + 3 + 'empty'.length + 4,
+                lastModified: undefined,
+                largest: [{ key: 'empty', size: 4 }]
+            });
+            assert.ok(stats.lastModified >= metadata.updatedAt);
+            assert.deepStrictEqual(await storage.getNamespaceStats('none'),
+                { namespace: 'none', keys: 0, bytes: 0, lastModified: null, largest: [] });
+        });
+
+        it('should serve the API', async () => {
+            configureAuth({ enabled: false });
+            const app = createApp({ storage: config });
+            await request(app).post('/api/orders/o1').send({ value: { total: 1 } });
+            const res = await request(app).get('/api/orders/o1');
+            assert.deepStrictEqual(res.body, { value: { total: 1 } });
+        });
+    });
+});
+
+describe('Storage configuration', () => {
+    afterEach((done) => {
+        closeDb(done);
+    });
+
+    it('should report features an adapter lacks as not supported', async () => {
+        storage.open({ adapter: 'memory' });
+        assert.strictEqual(storage.getAdapterName(), 'memory');
+        assert.throws(() => storage.getHistory('orders', 'o1'), NotSupportedError);
+
+        const app = createApp({ storage: { adapter: 'memory' } });
+        const res = await request(app).get('/api/orders/o1/history');
+        assert.strictEqual(res.status, 501);
+    });
+
+    it('should report namespace deletes as permanent when the adapter keeps no trash', async () => {
+        const app = createApp({ storage: { adapter: 'memory' } });
+        await request(app).post('/api/orders/o1').send({ value: 1 });
+        const res = await request(app).delete('/api/orders?confirm=orders');
+        assert.strictEqual(res.status, 200);
+        assert.match(res.body.message, /deleted permanently; the memory storage adapter keeps no trash/);
+        assert.strictEqual((await request(app).get('/api/orders/_trash')).status, 501);
+    });
+
+    it('should reject unknown adapters', () => {
+        assert.throws(() => storage.open({ adapter: 'redis' }), /Unknown storage adapter/);
+    });
+});
+
+describe('SQLite migrations', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'c-store-'));
+    });
+
+    afterEach((done) => {
+        closeDb(done);
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should fill in the metadata of keys written before it was tracked', async () => {
+        const file = path.join(directory, 'old.db');
+        const old = new sqlite3.Database(file);
+        await new Promise((resolve, reject) => old.exec(`
+            CREATE TABLE key_value_store (namespace TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL,
+                expires_at INTEGER, version INTEGER NOT NULL DEFAULT 1, PRIMARY KEY (namespace, key));
+            CREATE TABLE key_history (revision INTEGER PRIMARY KEY AUTOINCREMENT, namespace TEXT NOT NULL, key TEXT NOT NULL,
+                version INTEGER NOT NULL, operation TEXT NOT NULL, value TEXT, created_at INTEGER NOT NULL);
+            INSERT INTO key_value_store (namespace, key, value, version) VALUES ('orders', 'o1', '{"total":2}', 2), ('orders', 'o2', '1', 1);
+            INSERT INTO key_history (namespace, key, version, operation, value, created_at)
+                VALUES ('orders', 'o1', 1, 'set', '{"total":1}', 1000), ('orders', 'o1', 2, 'set', '{"total":2}', 2000);
+        `, error => (error ? reject(error) : resolve())));
+        await new Promise(resolve => old.close(resolve));
+
+        const opened = Date.now();
+        storage.open({ adapter: 'sqlite', path: file });
+        const o1 = await storage.getMetadata('orders', 'o1');
+        assert.deepStrictEqual(o1, {
+            version: 2, size: 11, contentType: null, tags: [], createdAt: 1000, updatedAt: 2000, expiresAt: null
+        });
+        // Keys without history get the time of the migration
+        const o2 = await storage.getMetadata('orders', 'o2');
+        assert.ok(o2.createdAt >= opened - 1000 && o2.createdAt === o2.updatedAt);
+        assert.strictEqual(o2.size, 1);
+    });
+});
+
+describe('SQLite write path', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'c-store-'));
+    });
+
+    afterEach((done) => {
+        closeDb(done);
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should open file databases in WAL mode with the configured synchronous level', async () => {
+        storage.open({ adapter: 'sqlite', path: path.join(directory, 'wal.db'), synchronous: 'normal' });
+        await storage.setValue('orders', 'o1', 1);
+        const [{ journal_mode: journalMode }] = await queryDb('PRAGMA journal_mode');
+        const [{ synchronous }] = await queryDb('PRAGMA synchronous');
+        assert.strictEqual(journalMode, 'wal');
+        // 1 is NORMAL
+        assert.strictEqual(synchronous, 1);
+        assert.throws(() => storage.open({ adapter: 'sqlite', path: ':memory:', synchronous: 'sometimes' }), /synchronous must be one of/);
+    });
+
+    it('should not leave cached statements active after reading', async () => {
+        storage.open({ adapter: 'sqlite', path: ':memory:' });
+        await storage.setValue('orders', 'o1', { customerId: 'c1' });
+        await storage.createIndex('orders', 'byCustomer', ['customerId']);
+        await queryDb("EXPLAIN QUERY PLAN SELECT key FROM key_value_store WHERE namespace = 'orders'");
+        await storage.getValue('orders', 'o1');
+        // Schema changes fail with SQLITE_LOCKED while any statement is active
+        await storage.dropIndex('orders', 'byCustomer');
+    });
+
+    it('should commit concurrent writes together and roll back failures alone', async () => {
+        storage.open({ adapter: 'sqlite', path: path.join(directory, 'group.db'), groupCommitWindow: 5 });
+        await storage.setValue('stock', 'sku1', 1);
+        const received = [];
+        const listener = (change) => received.push(change.key);
+        storage.changes.on('change', listener);
+        const writes = await Promise.allSettled([
+            storage.setValue('stock', 'sku2', 1),
+            storage.setValue('stock', 'sku1', 2, { ifMatch: 7 }),
+            storage.incrementValue('stock', 'sku1', 1),
+            storage.deleteValue('stock', 'sku2'),
+            storage.batch([{ op: 'set', namespace: 'stock', key: 'sku3', value: 3 }])
+        ]);
+        storage.changes.off('change', listener);
+
+        assert.deepStrictEqual(writes.map(write => write.status), ['fulfilled', 'rejected', 'fulfilled', 'fulfilled', 'fulfilled']);
+        assert.ok(writes[1].reason instanceof PreconditionFailedError);
+        assert.deepStrictEqual(received, ['sku2', 'sku1', 'sku2', 'sku3']);
+        assert.deepStrictEqual(await storage.getEntry('stock', 'sku1'), { value: 2, version: 2 });
+        assert.deepStrictEqual(await storage.getNamespaces(), ['stock']);
+        assert.deepStrictEqual((await storage.listKeys('stock', { keysOnly: true })).items, ['sku1', 'sku3']);
+    });
+
+    it('should keep maintenance writes made while another write fails', async () => {
+        storage.open({ adapter: 'sqlite', path: ':memory:' });
+        await storage.setValue('sessions', 's1', 1);
+        await storage.setValue('sessions', 's2', 2, { ttl: 0.001 });
+        await storage.setValue('sessions', 's3', 3);
+        await storage.setValue('sessions', 's4', 4);
+        await storage.deleteValue('sessions', 's3');
+        await storage.deleteValue('sessions', 's4');
+        await sleep(5);
+        const maintenance = [];
+        storage.setWriteValidator(async (namespace) => {
+            if (namespace === 'failing') {
+                // Issued while the failing write holds its transaction open
+                maintenance.push(
+                    storage.setTtl('sessions', 's1', 60), storage.purgeExpired(), storage.pruneChangeLog(),
+                    storage.purgeTrash('sessions', 's3'), storage.pruneTrash()
+                );
+                await sleep(5);
+                throw new ValidationError('rejected');
+            }
+        });
+        storage.setChangeLogRetention(1);
+        storage.setTrashRetention(0);
+        try {
+            await assert.rejects(storage.setValue('failing', 'k', 1), ValidationError);
+            assert.deepStrictEqual(await Promise.all(maintenance), [true, 1, 5, 1, 1]);
+        } finally {
+            storage.setWriteValidator(validateValue);
+            storage.setChangeLogRetention(10000);
+            storage.setTrashRetention(30 * 24 * 60 * 60 * 1000);
+        }
+        assert.strictEqual((await queryDb('SELECT seq FROM change_log')).length, 1);
+        assert.deepStrictEqual(await queryDb('SELECT key FROM trash'), []);
+        assert.ok(await storage.getTtl('sessions', 's1') > 59);
+        assert.deepStrictEqual(await queryDb("SELECT key FROM key_value_store WHERE namespace = 'sessions'"), [{ key: 's1' }]);
+    });
+
+    it('should not let reads see the writes of an open transaction', async () => {
+        storage.open({ adapter: 'sqlite', path: ':memory:' });
+        await storage.setValue('stock', 'sku1', 1);
+        let probed;
+        const probe = new Promise(resolve => {
+            probed = resolve;
+        });
+        storage.setWriteValidator(async (namespace, value) => {
+            if (value === 'probe') {
+                // The batch has written sku1 but not committed it
+                probed();
+                await sleep(5);
+            }
+        });
+        try {
+            const batch = storage.batch([
+                { op: 'set', namespace: 'stock', key: 'sku1', value: 2 },
+                { op: 'set', namespace: 'stock', key: 'sku2', value: 'probe' },
+                { op: 'set', namespace: 'stock', key: 'sku3', value: 3, ifMatch: 9 }
+            ]);
+            await probe;
+            const reads = Promise.all([
+                storage.readEntry('stock', 'sku1'),
+                storage.getValue('stock'),
+                storage.listKeys('stock', { keysOnly: true })
+            ]);
+            await assert.rejects(batch, BatchOperationError);
+            const [entry, values, keys] = await reads;
+            assert.deepStrictEqual(entry, { value: 1, version: 1 });
+            assert.deepStrictEqual(values, { sku1: 1 });
+            assert.deepStrictEqual(keys.items, ['sku1']);
+        } finally {
+            storage.setWriteValidator(validateValue);
+        }
+    });
+
+    it('should not cache values of a transaction that rolls back', async () => {
+        storage.open({ adapter: 'sqlite', path: ':memory:' });
+        await storage.setValue('stock', 'sku1', 1, { ttl: 60 });
+        let probed;
+        const probe = new Promise(resolve => {
+            probed = resolve;
+        });
+        storage.setWriteValidator(async (namespace, value) => {
+            if (value === 'probe') {
+                probed();
+                await sleep(5);
+            }
+        });
+        try {
+            const batch = storage.batch([
+                { op: 'set', namespace: 'stock', key: 'sku1', value: 0 },
+                { op: 'set', namespace: 'stock', key: 'sku2', value: 'probe' },
+                { op: 'get', namespace: 'stock', key: 'sku3', ifMatch: 9 }
+            ]);
+            await probe;
+            // Cache miss loading the key while the batch holds its transaction open
+            const read = storage.getValue('stock', 'sku1');
+            await assert.rejects(batch, BatchOperationError);
+            assert.strictEqual(await read, 1);
+        } finally {
+            storage.setWriteValidator(validateValue);
+        }
+        assert.strictEqual(await storage.getValue('stock', 'sku1'), 1);
+        assert.deepStrictEqual(await storage.readEntry('stock', 'sku1'), { value: 1, version: 1 });
+    });
+
+    it('should keep every concurrent increment', async () => {
+        storage.open({ adapter: 'sqlite', path: ':memory:', groupCommitWindow: 0 });
+        await Promise.all(Array.from({ length: 200 }, () => storage.incrementValue('counters', 'hits', 1)));
+        assert.deepStrictEqual(await storage.getEntry('counters', 'hits'), { value: 200, version: 200 });
+    });
+});
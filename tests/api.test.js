@@ -1,38 +1,75 @@
 const request = require('supertest');
 const assert = require('assert');
-const sqlite3 = require('sqlite3').verbose();
-const { join } = require('path');
+const http = require('http');
 
 // Force test env before requiring app
 process.env.NODE_ENV = 'test';
-const app = require('../app');
+const { createApp } = require('../app');
+const {
+    purgeExpired,
+    compareAndSet,
+    getEntry,
+    setHistoryRetention,
+    pruneHistory,
+    setTrashRetention,
+    pruneTrash,
+    setChangeLogRetention,
+    pruneChangeLog,
+    changes
+} = require('../lib/storage');
+const { configureAuth } = require('../lib/auth');
+const { configureCache, getCacheStats } = require('../lib/cache');
+const { TEST_STORAGE, sleep, resetDb, closeDb, queryDb } = require('./helpers');
 
-const dbPath = join(__dirname, '..', 'lib', 'data.db');
-let dbInstance;
+const app = createApp({ storage: TEST_STORAGE });
 
-// Helper to wipe database between tests (delete rows to avoid file lock issues on Windows)
-const resetDb = (done) => {
-    if (!dbInstance) {
-        dbInstance = new sqlite3.Database(dbPath, (err) => {
-            if (err) return done(err);
-            dbInstance.run('DELETE FROM key_value_store', [], (delErr) => done(delErr));
+// Opens a Server-Sent Events stream and collects the events it receives
+const openStream = (server, path, headers = {}) => new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path, headers }, (res) => {
+        const stream = { status: res.statusCode, events: [], close: () => req.destroy() };
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const event = {};
+                buffer.slice(0, end).split('\n').forEach(line => {
+                    const match = /^(id|event|data): (.*)$/.exec(line);
+                    if (match) {
+                        event[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+                    }
+                });
+                buffer = buffer.slice(end + 2);
+                if (event.data) {
+                    stream.events.push(event);
+                }
+            }
+            resolve(stream);
         });
-    } else {
-        dbInstance.run('DELETE FROM key_value_store', [], (delErr) => done(delErr));
+    });
+    req.on('error', (error) => (error.code === 'ECONNRESET' ? null : reject(error)));
+});
+
+// Waits until a stream has received the given number of events
+const waitForEvents = async (stream, count) => {
+    for (let i = 0; i < 100 && stream.events.length < count; i++) {
+        await sleep(10);
     }
+    assert.strictEqual(stream.events.length, count);
+    return stream.events;
 };
 
 describe('C-Store API', () => {
+    // API key checks are covered in auth.test.js
+    before(() => configureAuth({ enabled: false }));
+
     beforeEach((done) => {
         resetDb(done);
     });
 
     after((done) => {
-        if (dbInstance) {
-            dbInstance.close(done);
-        } else {
-            done();
-        }
+        closeDb(done);
     });
 
     describe('Root & Health', () => {
@@ -107,11 +144,13 @@ describe('C-Store API', () => {
             assert.deepStrictEqual(getRes.body.value, payload);
         });
 
-        it('GET non-existent key should return empty object (no value property)', async () => {
+        it('GET non-existent key should return 404 problem details', async () => {
             const res = await request(app).get('/api/unknown/doesNotExist');
-            assert.strictEqual(res.status, 200);
-            assert.strictEqual(typeof res.body, 'object');
-            assert.strictEqual(res.body.value, undefined);
+            assert.strictEqual(res.status, 404);
+            assert.match(res.headers['content-type'], /^application\/problem\+json/);
+            assert.strictEqual(res.body.code, 'not_found');
+            assert.strictEqual(res.body.status, 404);
+            assert.strictEqual(res.body.instance, '/api/unknown/doesNotExist');
         });
 
         it('DELETE /api/:namespace/:id should remove key', async () => {
@@ -121,8 +160,7 @@ describe('C-Store API', () => {
             assert(delRes.body.message.includes('deleted successfully'));
 
             const getRes = await request(app).get('/api/tmp/a');
-            assert.strictEqual(getRes.status, 200);
-            assert.strictEqual(getRes.body.value, undefined);
+            assert.strictEqual(getRes.status, 404);
         });
     });
 
@@ -133,22 +171,1295 @@ describe('C-Store API', () => {
             const before = await request(app).get('/api/group');
             assert.strictEqual(before.body.count, 2);
 
-            const delNs = await request(app).delete('/api/group');
+            const delNs = await request(app).delete('/api/group?confirm=group');
             assert.strictEqual(delNs.status, 200);
-            assert(delNs.body.message.includes("Namespace 'group' deleted successfully"));
+            assert(delNs.body.message.includes("Namespace 'group' moved to the trash"));
 
             const after = await request(app).get('/api/group');
             assert.strictEqual(after.body.count, 0);
             assert.deepStrictEqual(after.body.values, {});
         });
+
+        it('DELETE /api/:namespace should require confirm to repeat the namespace', async () => {
+            await request(app).post('/api/group/k1').send({ value: 1 });
+            assert.strictEqual((await request(app).delete('/api/group')).status, 400);
+            const wrong = await request(app).delete('/api/group?confirm=other');
+            assert.strictEqual(wrong.status, 400);
+            assert.match(wrong.body.detail, /confirm=group/);
+            assert.strictEqual((await request(app).get('/api/group')).body.count, 1);
+        });
+    });
+
+    describe('Namespace copy, rename & merge', () => {
+        beforeEach(async () => {
+            await request(app).post('/api/products/p1').send({ value: { price: 1 } });
+            await request(app).post('/api/products/p2').send({ value: { price: 2 } });
+        });
+
+        it('POST /api/:namespace/_copy should copy into a new namespace', async () => {
+            const res = await request(app).post('/api/products/_copy').send({ target: 'products_staging' });
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.copied, 2);
+            assert.deepStrictEqual((await request(app).get('/api/products_staging')).body.values,
+                { p1: { price: 1 }, p2: { price: 2 } });
+            assert.strictEqual((await request(app).get('/api/products')).body.count, 2);
+
+            assert.strictEqual((await request(app).post('/api/products/_copy').send({ target: 'products_staging' })).status, 409);
+            assert.strictEqual((await request(app).post('/api/empty/_copy').send({ target: 'other' })).status, 404);
+            assert.strictEqual((await request(app).post('/api/products/_copy').send({ target: '_keys' })).status, 400);
+            assert.strictEqual((await request(app).post('/api/products/_copy').send({})).status, 400);
+        });
+
+        it('POST /api/:namespace/_rename should move every key', async () => {
+            const res = await request(app).post('/api/products/_rename').send({ target: 'catalog' });
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.renamed, 2);
+            assert.strictEqual((await request(app).get('/api/products')).body.count, 0);
+            assert.strictEqual((await request(app).get('/api/catalog')).body.count, 2);
+            // A rename is not a deletion, so nothing lands in the trash
+            assert.strictEqual((await request(app).get('/api/products/_trash')).body.count, 0);
+            const history = await request(app).get('/api/products/p1/history');
+            assert.strictEqual(history.body.revisions[0].operation, 'delete');
+        });
+
+        it('POST /api/:namespace/_merge should apply the conflict policy', async () => {
+            await request(app).post('/api/products_staging/p2').send({ value: { price: 20 } });
+            await request(app).post('/api/products_staging/p3').send({ value: { price: 30 } });
+
+            const failed = await request(app).post('/api/products_staging/_merge').send({ target: 'products' });
+            assert.strictEqual(failed.status, 409);
+            assert.strictEqual((await request(app).get('/api/products/p3')).status, 404);
+
+            const kept = await request(app).post('/api/products_staging/_merge').send({ target: 'products', onConflict: 'keep-target' });
+            assert.deepStrictEqual([kept.body.created, kept.body.overwritten, kept.body.skipped], [1, 0, 1]);
+            assert.deepStrictEqual((await request(app).get('/api/products/p2')).body, { value: { price: 2 } });
+
+            const overwritten = await request(app).post('/api/products_staging/_merge').send({ target: 'products', onConflict: 'overwrite' });
+            assert.deepStrictEqual([overwritten.body.created, overwritten.body.overwritten, overwritten.body.skipped], [0, 2, 0]);
+            assert.deepStrictEqual((await request(app).get('/api/products/p2')).body, { value: { price: 20 } });
+            assert.strictEqual((await request(app).get('/api/products_staging')).body.count, 2);
+
+            const invalid = await request(app).post('/api/products_staging/_merge').send({ target: 'products', onConflict: 'ask' });
+            assert.strictEqual(invalid.status, 400);
+        });
+
+        it('copies should be checked against the schema of the target', async () => {
+            await request(app).put('/api/strict/_schema').send({ type: 'object', required: ['sku'] });
+            const res = await request(app).post('/api/products/_merge').send({ target: 'strict' });
+            assert.strictEqual(res.status, 422);
+            assert.strictEqual((await request(app).get('/api/strict')).body.count, 0);
+        });
+    });
+
+    describe('Trash', () => {
+        before(() => setTrashRetention(30 * 24 * 60 * 60 * 1000));
+
+        it('deleted keys should be listed in the trash and restorable', async () => {
+            await request(app).post('/api/orders/o1').send({ value: { total: 1 }, contentType: 'application/json', tags: ['a'] });
+            await request(app).post('/api/orders/o1').send({ value: { total: 2 } });
+            await request(app).delete('/api/orders/o1');
+            await request(app).delete('/api/orders/missing');
+
+            const trash = await request(app).get('/api/orders/_trash');
+            assert.strictEqual(trash.status, 200);
+            assert.strictEqual(trash.body.count, 1);
+            const [entry] = trash.body.keys;
+            assert.strictEqual(entry.key, 'o1');
+            assert.strictEqual(entry.version, 2);
+            assert.strictEqual(entry.reason, 'delete');
+            assert.ok(Date.parse(entry.purgeAt) > Date.parse(entry.deletedAt));
+
+            const restored = await request(app).post('/api/orders/_trash/o1/restore');
+            assert.strictEqual(restored.status, 200);
+            assert.strictEqual(restored.body.version, 3);
+            assert.deepStrictEqual((await request(app).get('/api/orders/o1')).body, { value: { total: 2 } });
+            const meta = await request(app).get('/api/orders/o1?meta=true');
+            assert.deepStrictEqual(meta.body.tags, ['a']);
+            assert.strictEqual((await request(app).get('/api/orders/_trash')).body.count, 0);
+
+            assert.strictEqual((await request(app).post('/api/orders/_trash/o1/restore')).status, 404);
+        });
+
+        it('restoring should not overwrite a key that exists again', async () => {
+            await request(app).post('/api/orders/o1').send({ value: 'old' });
+            await request(app).delete('/api/orders/o1');
+            await request(app).post('/api/orders/o1').send({ value: 'new' });
+
+            assert.strictEqual((await request(app).post('/api/orders/_trash/o1/restore')).status, 409);
+            assert.deepStrictEqual((await request(app).get('/api/orders/o1')).body, { value: 'new' });
+        });
+
+        it('a deleted namespace should be restorable as a whole', async () => {
+            await request(app).post('/api/orders/o1').send({ value: 1 });
+            await request(app).post('/api/orders/o2').send({ value: 2 });
+            await request(app).post('/api/orders/o3').send({ value: 3, ttl: 0.01 });
+            await sleep(20);
+            await request(app).delete('/api/orders?confirm=orders');
+            await request(app).post('/api/orders/o2').send({ value: 'recreated' });
+
+            const namespaces = await request(app).get('/api/_trash');
+            assert.deepStrictEqual(namespaces.body.namespaces.map(({ namespace, keys }) => [namespace, keys]), [['orders', 2]]);
+            const trash = await request(app).get('/api/orders/_trash');
+            assert.deepStrictEqual(trash.body.keys.map(entry => entry.reason), ['namespace_drop', 'namespace_drop']);
+
+            const res = await request(app).post('/api/orders/_trash/restore');
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual([res.body.restored, res.body.skipped], [1, 1]);
+            assert.deepStrictEqual((await request(app).get('/api/orders')).body.values, { o1: 1, o2: 'recreated' });
+        });
+
+        it('purging and the retention period should remove deleted keys for good', async () => {
+            for (const key of ['o1', 'o2', 'o3']) {
+                await request(app).post(`/api/orders/${key}`).send({ value: key });
+                await request(app).delete(`/api/orders/${key}`);
+            }
+
+            const one = await request(app).delete('/api/orders/_trash/o1');
+            assert.strictEqual(one.body.purged, 1);
+            assert.strictEqual((await request(app).post('/api/orders/_trash/o1/restore')).status, 404);
+
+            await sleep(20);
+            setTrashRetention(10);
+            assert.strictEqual(await pruneTrash(), 2);
+            setTrashRetention(30 * 24 * 60 * 60 * 1000);
+
+            await request(app).post('/api/orders/o4').send({ value: 4 });
+            await request(app).delete('/api/orders/o4');
+            const all = await request(app).delete('/api/orders/_trash');
+            assert.strictEqual(all.body.purged, 1);
+            assert.deepStrictEqual((await request(app).get('/api/_trash')).body.namespaces, []);
+        });
+    });
+
+    describe('Key expiry (TTL)', () => {
+        it('POST with ttl should hide the key once it expires', async () => {
+            await request(app).post('/api/sessions/s1').send({ value: 'token', ttl: 0.05 });
+            await request(app).post('/api/sessions/s2').send({ value: 'other' });
+
+            const live = await request(app).get('/api/sessions/s1');
+            assert.strictEqual(live.body.value, 'token');
+
+            await sleep(80);
+            const expired = await request(app).get('/api/sessions/s1');
+            assert.strictEqual(expired.status, 404);
+
+            const listing = await request(app).get('/api/sessions');
+            assert.deepStrictEqual(listing.body.values, { s2: 'other' });
+        });
+
+        it('Expired keys should not keep a namespace listed', async () => {
+            await request(app).post('/api/cache/c1').set('X-TTL', '0.05').send({ value: 1 });
+            await sleep(80);
+            const res = await request(app).get('/api');
+            assert(!res.body.namespaces.includes('cache'));
+        });
+
+        it('POST with an invalid ttl should return 400', async () => {
+            const res = await request(app).post('/api/sessions/s1').send({ value: 1, ttl: -5 });
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.code, 'invalid_request');
+        });
+
+        it('GET /api/:namespace/:id/ttl should report the remaining TTL', async () => {
+            await request(app).post('/api/sessions/s1').send({ value: 1, ttl: 600 });
+            await request(app).post('/api/sessions/s2').send({ value: 2 });
+
+            const withTtl = await request(app).get('/api/sessions/s1/ttl');
+            assert.strictEqual(withTtl.status, 200);
+            assert(withTtl.body.ttl > 590 && withTtl.body.ttl <= 600);
+            assert(withTtl.body.expiresAt);
+
+            const persistent = await request(app).get('/api/sessions/s2/ttl');
+            assert.strictEqual(persistent.body.ttl, null);
+            assert.strictEqual(persistent.body.expiresAt, null);
+
+            const missing = await request(app).get('/api/sessions/nope/ttl');
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('PUT /api/:namespace/:id/ttl should change or clear the TTL', async () => {
+            await request(app).post('/api/sessions/s1').send({ value: 1, ttl: 600 });
+
+            const shortened = await request(app).put('/api/sessions/s1/ttl').send({ ttl: 30 });
+            assert.strictEqual(shortened.status, 200);
+            assert(shortened.body.ttl <= 30);
+
+            const cleared = await request(app).put('/api/sessions/s1/ttl').send({ ttl: null });
+            assert.strictEqual(cleared.status, 200);
+            assert.strictEqual(cleared.body.ttl, null);
+
+            const missing = await request(app).put('/api/sessions/nope/ttl').send({ ttl: 30 });
+            assert.strictEqual(missing.status, 404);
+
+            const invalid = await request(app).put('/api/sessions/s1/ttl').send({});
+            assert.strictEqual(invalid.status, 400);
+        });
+
+        it('purgeExpired should delete expired rows from the table', async () => {
+            await request(app).post('/api/sessions/s1').send({ value: 1, ttl: 0.05 });
+            await request(app).post('/api/sessions/s2').send({ value: 2 });
+            await sleep(80);
+
+            const removed = await purgeExpired();
+            assert.strictEqual(removed, 1);
+            const rows = await queryDb('SELECT key FROM key_value_store');
+            assert.deepStrictEqual(rows.map(row => row.key), ['s2']);
+        });
+    });
+
+    describe('Versions & conditional requests', () => {
+        it('GET should return the key version as an ETag that changes on every write', async () => {
+            const first = await request(app).post('/api/config/flag').send({ value: true });
+            assert.strictEqual(first.body.version, 1);
+            assert.strictEqual(first.headers.etag, '"1"');
+
+            await request(app).post('/api/config/flag').send({ value: false });
+            const res = await request(app).get('/api/config/flag');
+            assert.strictEqual(res.headers.etag, '"2"');
+            assert.strictEqual(res.body.value, false);
+        });
+
+        it('GET with a matching If-None-Match should return 304', async () => {
+            await request(app).post('/api/config/flag').send({ value: true });
+            const res = await request(app).get('/api/config/flag').set('If-None-Match', '"1"');
+            assert.strictEqual(res.status, 304);
+        });
+
+        it('POST with If-Match should only write the expected version', async () => {
+            await request(app).post('/api/config/flag').send({ value: 'a' });
+
+            const stale = await request(app).post('/api/config/flag').set('If-Match', '"7"').send({ value: 'b' });
+            assert.strictEqual(stale.status, 412);
+
+            const current = await request(app).post('/api/config/flag').set('If-Match', '"1"').send({ value: 'c' });
+            assert.strictEqual(current.status, 200);
+            assert.strictEqual(current.body.version, 2);
+
+            const res = await request(app).get('/api/config/flag');
+            assert.strictEqual(res.body.value, 'c');
+        });
+
+        it('POST with If-Match: * should fail for a missing key', async () => {
+            const res = await request(app).post('/api/config/new').set('If-Match', '*').send({ value: 1 });
+            assert.strictEqual(res.status, 412);
+        });
+
+        it('POST with If-None-Match: * should only create missing keys', async () => {
+            const created = await request(app).post('/api/config/once').set('If-None-Match', '*').send({ value: 1 });
+            assert.strictEqual(created.status, 200);
+
+            const again = await request(app).post('/api/config/once').set('If-None-Match', '*').send({ value: 2 });
+            assert.strictEqual(again.status, 412);
+
+            const res = await request(app).get('/api/config/once');
+            assert.strictEqual(res.body.value, 1);
+        });
+
+        it('DELETE should honor If-Match', async () => {
+            await request(app).post('/api/config/flag').send({ value: 1 });
+            await request(app).post('/api/config/flag').send({ value: 2 });
+
+            const stale = await request(app).delete('/api/config/flag').set('If-Match', '"1"');
+            assert.strictEqual(stale.status, 412);
+
+            const weak = await request(app).delete('/api/config/flag').set('If-Match', 'W/"2"');
+            assert.strictEqual(weak.status, 412);
+
+            const current = await request(app).delete('/api/config/flag').set('If-Match', 'W/"1", "2"');
+            assert.strictEqual(current.status, 200);
+            const res = await request(app).get('/api/config/flag');
+            assert.strictEqual(res.body.value, undefined);
+        });
+
+        it('should keep versions growing when a key is deleted and recreated', async () => {
+            await request(app).post('/api/config/flag').send({ value: 1 });
+            await request(app).delete('/api/config/flag');
+            const recreated = await request(app).post('/api/config/flag').send({ value: 2 });
+            assert.strictEqual(recreated.headers.etag, '"2"');
+
+            const stale = await request(app).post('/api/config/flag').set('If-Match', '"1"').send({ value: 3 });
+            assert.strictEqual(stale.status, 412);
+            assert.strictEqual(await compareAndSet('config', 'flag', 1, 3), false);
+            assert.deepStrictEqual(await getEntry('config', 'flag'), { value: 2, version: 2 });
+        });
+
+        it('compareAndSet should let only one of two racing writers win', async () => {
+            await request(app).post('/api/config/counter').send({ value: 0 });
+            const results = await Promise.all([
+                compareAndSet('config', 'counter', 1, 'first'),
+                compareAndSet('config', 'counter', 1, 'second')
+            ]);
+            assert.deepStrictEqual(results, [2, false]);
+            assert.deepStrictEqual(await getEntry('config', 'counter'), { value: 'first', version: 2 });
+        });
+
+        it('compareAndSet with a null version should only create the key', async () => {
+            assert.strictEqual(await compareAndSet('config', 'lock', null, 'owner-a'), 1);
+            assert.strictEqual(await compareAndSet('config', 'lock', null, 'owner-b'), false);
+        });
+    });
+
+    describe('Key history', () => {
+        afterEach(() => {
+            setHistoryRetention({ maxRevisions: 100, maxAge: 30 * 24 * 60 * 60 * 1000 });
+        });
+
+        it('GET /api/:namespace/:id/history should list writes and deletes newest first', async () => {
+            await request(app).post('/api/config/mode').send({ value: 'a' });
+            await request(app).post('/api/config/mode').send({ value: 'b' });
+            await request(app).delete('/api/config/mode');
+
+            const res = await request(app).get('/api/config/mode/history');
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body.revisions.map(r => [r.operation, r.version]), [
+                ['delete', 2],
+                ['set', 2],
+                ['set', 1]
+            ]);
+            assert(res.body.revisions.every(r => r.value === undefined && r.timestamp));
+
+            const limited = await request(app).get('/api/config/mode/history?limit=1');
+            assert.strictEqual(limited.body.revisions.length, 1);
+        });
+
+        it('GET /api/:namespace/:id/history/:revision should return the stored value', async () => {
+            await request(app).post('/api/config/mode').send({ value: { level: 1 } });
+            await request(app).post('/api/config/mode').send({ value: { level: 2 } });
+            const history = await request(app).get('/api/config/mode/history');
+            const oldest = history.body.revisions[1];
+
+            const res = await request(app).get(`/api/config/mode/history/${oldest.revision}`);
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body.value, { level: 1 });
+            assert.strictEqual(res.body.version, 1);
+
+            const missing = await request(app).get('/api/config/mode/history/999999');
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('GET /api/:namespace/:id?asOf should read the key at a point in time', async () => {
+            await request(app).post('/api/config/mode').send({ value: 'old' });
+            await sleep(20);
+            const between = new Date().toISOString();
+            await sleep(20);
+            await request(app).post('/api/config/mode').send({ value: 'new' });
+
+            const past = await request(app).get('/api/config/mode').query({ asOf: between });
+            assert.strictEqual(past.body.value, 'old');
+            assert.strictEqual(past.body.version, 1);
+
+            const before = await request(app).get('/api/config/mode').query({ asOf: '0' });
+            assert.strictEqual(before.body.value, undefined);
+
+            const invalid = await request(app).get('/api/config/mode').query({ asOf: 'yesterday' });
+            assert.strictEqual(invalid.status, 400);
+        });
+
+        it('GET ?asOf should not return values that had expired by then', async () => {
+            await request(app).post('/api/config/session').send({ value: 'short', ttl: 0.02 });
+            await request(app).post('/api/config/kept').send({ value: 'kept', ttl: 0.02 });
+            await request(app).put('/api/config/kept/ttl').send({ ttl: null });
+            await sleep(40);
+            const now = new Date().toISOString();
+
+            assert.strictEqual((await request(app).get('/api/config/session')).status, 404);
+            assert.strictEqual((await request(app).get('/api/config/session').query({ asOf: now })).status, 404);
+            const kept = await request(app).get('/api/config/kept').query({ asOf: now });
+            assert.strictEqual(kept.body.value, 'kept');
+        });
+
+        it('POST /api/:namespace/:id/history/:revision/restore should bring back a prior value', async () => {
+            await request(app).post('/api/config/mode').send({ value: 'good' });
+            await request(app).post('/api/config/mode').send({ value: 'oops' });
+            await request(app).delete('/api/config/mode');
+            const history = await request(app).get('/api/config/mode/history');
+            const [deleted, , good] = history.body.revisions;
+
+            const restored = await request(app).post(`/api/config/mode/history/${good.revision}/restore`);
+            assert.strictEqual(restored.status, 200);
+            assert.strictEqual(restored.body.version, 3);
+            const res = await request(app).get('/api/config/mode');
+            assert.strictEqual(res.body.value, 'good');
+
+            const fromDelete = await request(app).post(`/api/config/mode/history/${deleted.revision}/restore`);
+            assert.strictEqual(fromDelete.status, 400);
+            const missing = await request(app).post('/api/config/mode/history/999999/restore');
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('DELETE /api/:namespace should record a delete for every key', async () => {
+            await request(app).post('/api/group/k1').send({ value: 1 });
+            await request(app).post('/api/group/k2').send({ value: 2 });
+            await request(app).delete('/api/group?confirm=group');
+
+            const res = await request(app).get('/api/group/k2/history');
+            assert.strictEqual(res.body.revisions[0].operation, 'delete');
+        });
+
+        it('should only keep the configured number of revisions per key', async () => {
+            setHistoryRetention({ maxRevisions: 2 });
+            for (let i = 0; i < 4; i++) {
+                await request(app).post('/api/config/mode').send({ value: i });
+            }
+            const res = await request(app).get('/api/config/mode/history');
+            assert.deepStrictEqual(res.body.revisions.map(r => r.version), [4, 3]);
+        });
+
+        it('pruneHistory should drop revisions older than the retention age', async () => {
+            await request(app).post('/api/config/mode').send({ value: 1 });
+            await sleep(20);
+            setHistoryRetention({ maxAge: 10 });
+            assert.strictEqual(await pruneHistory(), 1);
+            const res = await request(app).get('/api/config/mode/history');
+            assert.deepStrictEqual(res.body.revisions, []);
+        });
+    });
+
+    describe('Change feed', () => {
+        let server;
+
+        before((done) => {
+            server = app.listen(0, done);
+        });
+
+        after((done) => {
+            server.close(done);
+        });
+
+        it('GET /api/:namespace/_watch should stream set, delete and namespace drop events', async () => {
+            const stream = await openStream(server, '/api/feed/_watch');
+            assert.strictEqual(stream.status, 200);
+
+            await request(app).post('/api/feed/a').send({ value: 1 });
+            await request(app).post('/api/other/a').send({ value: 2 });
+            await request(app).delete('/api/feed/a');
+            await request(app).post('/api/feed/b').send({ value: 3 });
+            await request(app).delete('/api/feed?confirm=feed');
+
+            const events = await waitForEvents(stream, 4);
+            stream.close();
+            assert.deepStrictEqual(events.map(e => e.event), ['set', 'delete', 'set', 'namespace_drop']);
+            assert.deepStrictEqual(events[0].data.value, 1);
+            assert.strictEqual(events[0].data.key, 'a');
+            const ids = events.map(e => Number(e.id));
+            assert(ids.every((id, i) => i === 0 || id > ids[i - 1]));
+        });
+
+        it('should only stream keys matching the prefix filter', async () => {
+            const stream = await openStream(server, '/api/feed/_watch?prefix=user:');
+            await request(app).post('/api/feed/order:1').send({ value: 1 });
+            await request(app).post('/api/feed/user:1').send({ value: 2 });
+
+            const events = await waitForEvents(stream, 1);
+            stream.close();
+            assert.strictEqual(events[0].data.key, 'user:1');
+        });
+
+        it('should replay missed events when resuming with Last-Event-ID', async () => {
+            const first = await openStream(server, '/api/feed/_watch');
+            await request(app).post('/api/feed/a').send({ value: 1 });
+            const [seen] = await waitForEvents(first, 1);
+            first.close();
+
+            await request(app).post('/api/feed/b').send({ value: 2 });
+            await request(app).post('/api/feed/c').send({ value: 3 });
+
+            const resumed = await openStream(server, '/api/feed/_watch', { 'Last-Event-ID': seen.id });
+            await request(app).post('/api/feed/d').send({ value: 4 });
+            const events = await waitForEvents(resumed, 3);
+            resumed.close();
+            assert.deepStrictEqual(events.map(e => e.data.key), ['b', 'c', 'd']);
+        });
+
+        it('should send a reset event when resuming after pruned events', async () => {
+            const first = await openStream(server, '/api/feed/_watch');
+            await request(app).post('/api/feed/a').send({ value: 1 });
+            const [seen] = await waitForEvents(first, 1);
+            first.close();
+
+            await request(app).post('/api/feed/b').send({ value: 2 });
+            await request(app).post('/api/feed/c').send({ value: 3 });
+            setChangeLogRetention(1);
+            try {
+                assert.strictEqual(await pruneChangeLog(), 2);
+            } finally {
+                setChangeLogRetention(10000);
+            }
+
+            const resumed = await openStream(server, '/api/feed/_watch', { 'Last-Event-ID': seen.id });
+            const [reset, latest] = await waitForEvents(resumed, 2);
+            resumed.close();
+            assert.strictEqual(reset.event, 'reset');
+            assert.deepStrictEqual(reset.data, { type: 'reset', namespace: 'feed', lastEventId: Number(seen.id), oldestSeq: Number(latest.id) });
+            assert.strictEqual(Number(reset.id), Number(latest.id) - 1);
+            assert.strictEqual(latest.data.key, 'c');
+        });
+
+        it('should reject an invalid Last-Event-ID', async () => {
+            const res = await request(app).get('/api/feed/_watch').set('Last-Event-ID', 'abc');
+            assert.strictEqual(res.status, 400);
+        });
+
+        it('should reject writes to reserved key names', async () => {
+            const res = await request(app).post('/api/feed/_private').send({ value: 1 });
+            assert.strictEqual(res.status, 400);
+        });
+
+        it('should reject reserved namespace names on namespace sub-resources', async () => {
+            const imported = await request(app).post('/api/_hidden/_import')
+                .set('Content-Type', 'application/x-ndjson').send('{"key":"k","value":1}\n');
+            assert.strictEqual(imported.status, 400);
+            assert.strictEqual(imported.body.code, 'invalid_request');
+            assert.strictEqual((await request(app).put('/api/_hidden/_schema').send({ type: 'object' })).status, 400);
+            assert.strictEqual((await request(app).get('/api/_hidden/_trash')).status, 400);
+            assert.ok(!(await request(app).get('/api')).body.namespaces.includes('_hidden'));
+        });
+    });
+
+    describe('Pagination & range queries', () => {
+        const seed = async (namespace, keys) => {
+            for (const key of keys) {
+                await request(app).post(`/api/${namespace}/${key}`).send({ value: { id: key } });
+            }
+        };
+
+        it('GET /api/:namespace?limit should walk the namespace with cursors', async () => {
+            await seed('items', ['e', 'a', 'd', 'c', 'b']);
+
+            const first = await request(app).get('/api/items?limit=2');
+            assert.strictEqual(first.status, 200);
+            assert.deepStrictEqual(first.body.items, [{ key: 'a', value: { id: 'a' } }, { key: 'b', value: { id: 'b' } }]);
+            assert(first.body.nextCursor);
+
+            const second = await request(app).get('/api/items').query({ limit: 2, cursor: first.body.nextCursor });
+            assert.deepStrictEqual(second.body.items.map(item => item.key), ['c', 'd']);
+
+            const last = await request(app).get('/api/items').query({ limit: 2, cursor: second.body.nextCursor });
+            assert.deepStrictEqual(last.body.items.map(item => item.key), ['e']);
+            assert.strictEqual(last.body.nextCursor, null);
+        });
+
+        it('should support prefix scans, key ranges, descending order and keysOnly', async () => {
+            await seed('items', ['user:1', 'user:2', 'user:3', 'order:1', 'usera']);
+
+            const prefixed = await request(app).get('/api/items?prefix=user:&keysOnly=true');
+            assert.deepStrictEqual(prefixed.body.keys, ['user:1', 'user:2', 'user:3']);
+            assert.strictEqual(prefixed.body.items, undefined);
+
+            const ranged = await request(app).get('/api/items').query({ start: 'user:2', end: 'usera', keysOnly: 'true' });
+            assert.deepStrictEqual(ranged.body.keys, ['user:2', 'user:3']);
+
+            const first = await request(app).get('/api/items?order=desc&limit=2&keysOnly=true');
+            assert.deepStrictEqual(first.body.keys, ['usera', 'user:3']);
+            const next = await request(app).get('/api/items')
+                .query({ order: 'desc', limit: 2, keysOnly: 'true', cursor: first.body.nextCursor });
+            assert.deepStrictEqual(next.body.keys, ['user:2', 'user:1']);
+        });
+
+        it('should reject invalid cursors and parameters', async () => {
+            assert.strictEqual((await request(app).get('/api/items?cursor=garbage')).status, 400);
+            assert.strictEqual((await request(app).get('/api/items?limit=0')).status, 400);
+            assert.strictEqual((await request(app).get('/api/items?order=sideways')).status, 400);
+        });
+
+        it('GET /api?limit should paginate namespaces', async () => {
+            await seed('ns_a', ['k']);
+            await seed('ns_b', ['k']);
+            await seed('other', ['k']);
+
+            const first = await request(app).get('/api?limit=1&prefix=ns_');
+            assert.deepStrictEqual(first.body.namespaces, ['ns_a']);
+            const second = await request(app).get('/api').query({ limit: 1, prefix: 'ns_', cursor: first.body.nextCursor });
+            assert.deepStrictEqual(second.body.namespaces, ['ns_b']);
+            assert.strictEqual(second.body.nextCursor, null);
+        });
+
+        it('GET /api/:namespace without pagination parameters should keep the values object', async () => {
+            await seed('items', ['a']);
+            const res = await request(app).get('/api/items');
+            assert.deepStrictEqual(res.body.values, { a: { id: 'a' } });
+            assert.strictEqual(res.body.nextCursor, undefined);
+        });
+    });
+
+    describe('JSON queries', () => {
+        const orders = {
+            o1: { status: 'pending', total: 40, customer: { name: 'Ann', vip: true }, tags: ['rush'] },
+            o2: { status: 'shipped', total: 15, customer: { name: 'Bob', vip: false } },
+            o3: { status: 'pending', total: 5, customer: { name: 'Cid', vip: false } },
+            o4: { status: 'cancelled', total: '40', customer: { name: 'Dee' } }
+        };
+        const query = (body) => request(app).post('/api/orders/_query').send(body);
+        const keysOf = (res) => res.body.items.map(item => item.key);
+
+        beforeEach(async () => {
+            for (const [key, value] of Object.entries(orders)) {
+                await request(app).post(`/api/orders/${key}`).send({ value });
+            }
+        });
+
+        it('should match equality on a field', async () => {
+            const res = await query({ filter: { path: 'status', op: 'eq', value: 'pending' } });
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(keysOf(res), ['o1', 'o3']);
+            assert.deepStrictEqual(res.body.items[0].value, orders.o1);
+        });
+
+        it('should compare numbers without matching strings', async () => {
+            const res = await query({ filter: { path: 'total', op: 'gte', value: 15 } });
+            assert.deepStrictEqual(keysOf(res), ['o1', 'o2']);
+        });
+
+        it('should support nested paths, booleans, in, exists, ne and combinations', async () => {
+            const vip = await query({ filter: { path: 'customer.vip', op: 'eq', value: true } });
+            assert.deepStrictEqual(keysOf(vip), ['o1']);
+
+            const statuses = await query({ filter: { path: 'status', op: 'in', value: ['shipped', 'cancelled'] } });
+            assert.deepStrictEqual(keysOf(statuses), ['o2', 'o4']);
+
+            const noVipFlag = await query({ filter: { path: 'customer.vip', op: 'exists', value: false } });
+            assert.deepStrictEqual(keysOf(noVipFlag), ['o4']);
+
+            const notPending = await query({ filter: { path: 'status', op: 'ne', value: 'pending' } });
+            assert.deepStrictEqual(keysOf(notPending), ['o2', 'o4']);
+
+            const firstTag = await query({ filter: { path: 'tags.0', op: 'eq', value: 'rush' } });
+            assert.deepStrictEqual(keysOf(firstTag), ['o1']);
+
+            const combined = await query({
+                filter: {
+                    or: [
+                        { and: [{ path: 'status', op: 'eq', value: 'pending' }, { path: 'total', op: 'lt', value: 10 }] },
+                        { not: { path: 'customer.vip', op: 'exists', value: true } }
+                    ]
+                }
+            });
+            assert.deepStrictEqual(keysOf(combined), ['o3', 'o4']);
+        });
+
+        it('should project fields, sort by a field and limit results', async () => {
+            const res = await query({
+                filter: { path: 'total', op: 'gt', value: 0 },
+                fields: ['total', 'customer.name'],
+                sort: { path: 'total', order: 'desc' },
+                limit: 2
+            });
+            assert.deepStrictEqual(res.body.items, [
+                { key: 'o1', value: { total: 40, customer: { name: 'Ann' } } },
+                { key: 'o2', value: { total: 15, customer: { name: 'Bob' } } }
+            ]);
+        });
+
+        it('should reject malformed filters with 400', async () => {
+            assert.strictEqual((await query({ filter: { path: 'status', op: 'like', value: 'p%' } })).status, 400);
+            assert.strictEqual((await query({ filter: { and: [] } })).status, 400);
+            assert.strictEqual((await query({ filter: { path: 'total', op: 'gt', value: {} } })).status, 400);
+            assert.strictEqual((await query({ sort: { path: 'total', order: 'up' } })).status, 400);
+        });
+    });
+
+    describe('Patches & atomic operations', () => {
+        const patch = (key, type, body) => request(app).patch(`/api/orders/${key}`).set('Content-Type', type)
+            .send(JSON.stringify(body));
+
+        it('PATCH should apply a JSON Merge Patch', async () => {
+            await request(app).post('/api/orders/o1').send({ value: { status: 'pending', customer: { name: 'Ann', vip: true } } });
+            const res = await patch('o1', 'application/merge-patch+json', { status: 'shipped', customer: { vip: null } });
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body, { value: { status: 'shipped', customer: { name: 'Ann' } }, version: 2 });
+            assert.strictEqual(res.headers.etag, '"2"');
+        });
+
+        it('PATCH should apply a JSON Patch atomically', async () => {
+            await request(app).post('/api/orders/o1').send({ value: { items: ['a'], total: 1 } });
+            const res = await patch('o1', 'application/json-patch+json', [
+                { op: 'add', path: '/items/-', value: 'b' },
+                { op: 'replace', path: '/total', value: 2 },
+                { op: 'test', path: '/items/0', value: 'a' }
+            ]);
+            assert.deepStrictEqual(res.body.value, { items: ['a', 'b'], total: 2 });
+
+            const failed = await patch('o1', 'application/json-patch+json', [
+                { op: 'remove', path: '/total' },
+                { op: 'test', path: '/items/0', value: 'z' }
+            ]);
+            assert.strictEqual(failed.status, 409);
+            assert.deepStrictEqual((await request(app).get('/api/orders/o1')).body.value, { items: ['a', 'b'], total: 2 });
+
+            const malformed = await patch('o1', 'application/json-patch+json', [{ op: 'rename', path: '/total' }]);
+            assert.strictEqual(malformed.status, 400);
+        });
+
+        it('PATCH should honour preconditions, keep the TTL and 404 on missing keys', async () => {
+            await request(app).post('/api/orders/o1').send({ value: { n: 1 }, ttl: 60 });
+            const stale = await patch('o1', 'application/merge-patch+json', { n: 2 }).set('If-Match', '"5"');
+            assert.strictEqual(stale.status, 412);
+            await patch('o1', 'application/merge-patch+json', { n: 2 }).set('If-Match', '"1"');
+            assert.ok((await request(app).get('/api/orders/o1/ttl')).body.ttl > 0);
+            assert.strictEqual((await patch('missing', 'application/merge-patch+json', { n: 1 })).status, 404);
+        });
+
+        it('should increment and decrement counters without losing concurrent updates', async () => {
+            await Promise.all(Array.from({ length: 20 }, () => request(app).post('/api/counters/hits/increment').send({})));
+            const res = await request(app).post('/api/counters/hits/increment').send({ by: 5 });
+            assert.deepStrictEqual(res.body, { value: 25, version: 21 });
+
+            await request(app).post('/api/stock/sku1').send({ value: { quantity: 5 } });
+            const stock = await request(app).post('/api/stock/sku1/decrement').send({ path: 'quantity', by: 2 });
+            assert.deepStrictEqual(stock.body.value, { quantity: 3 });
+
+            assert.strictEqual((await request(app).post('/api/stock/sku1/increment').send({})).status, 409);
+            assert.strictEqual((await request(app).post('/api/stock/sku1/increment').send({ by: 'x' })).status, 400);
+        });
+
+        it('should refuse increments whose result is not a finite number', async () => {
+            await request(app).post('/api/counters/huge').send({ value: 1e308 });
+            const res = await request(app).post('/api/counters/huge/increment').send({ by: 1e308 });
+            assert.strictEqual(res.status, 409);
+            assert.deepStrictEqual((await request(app).get('/api/counters/huge')).body, { value: 1e308 });
+        });
+
+        it('should append to and remove from arrays', async () => {
+            const appended = await request(app).post('/api/customers/c1/append')
+                .send({ path: 'orders', values: ['o1', 'o2', 'o1'] });
+            assert.deepStrictEqual(appended.body.value, { orders: ['o1', 'o2', 'o1'] });
+            const removed = await request(app).post('/api/customers/c1/remove').send({ path: 'orders', values: ['o1'] });
+            assert.deepStrictEqual(removed.body.value, { orders: ['o2'] });
+            assert.strictEqual((await request(app).post('/api/customers/c2/remove').send({ values: [1] })).status, 404);
+        });
+
+        it('should set a value only if the key is absent', async () => {
+            const created = await request(app).post('/api/locks/job/set-if-absent').send({ value: 'worker-1' });
+            assert.strictEqual(created.status, 201);
+            assert.deepStrictEqual(created.body, { created: true, value: 'worker-1', version: 1 });
+            const existing = await request(app).post('/api/locks/job/set-if-absent').send({ value: 'worker-2' });
+            assert.strictEqual(existing.status, 200);
+            assert.deepStrictEqual(existing.body, { created: false, value: 'worker-1', version: 1 });
+        });
+    });
+
+    describe('Batches', () => {
+        const runBatch = (operations) => request(app).post('/api/_batch').send({ operations });
+
+        beforeEach(async () => {
+            await request(app).post('/api/stock/sku1').send({ value: { quantity: 5 } });
+            await request(app).post('/api/customers/c1').send({ value: { orders: [] } });
+        });
+
+        it('should run operations across namespaces and return a result for each', async () => {
+            const res = await runBatch([
+                { op: 'set', namespace: 'orders', key: 'o1', value: { sku: 'sku1' }, ifNoneMatch: '*' },
+                { op: 'set', namespace: 'stock', key: 'sku1', value: { quantity: 4 }, ifMatch: 1 },
+                { op: 'get', namespace: 'stock', key: 'sku1' },
+                { op: 'delete', namespace: 'customers', key: 'c1' },
+                { op: 'get', namespace: 'customers', key: 'c1' }
+            ]);
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body.results, [
+                { op: 'set', version: 1 },
+                { op: 'set', version: 2 },
+                { op: 'get', found: true, value: { quantity: 4 }, version: 2 },
+                { op: 'delete', deleted: true },
+                { op: 'get', found: false }
+            ]);
+        });
+
+        it('should roll back every operation when one fails', async () => {
+            let events = 0;
+            const listener = () => events++;
+            changes.on('change', listener);
+            const res = await runBatch([
+                { op: 'set', namespace: 'orders', key: 'o1', value: { sku: 'sku1' } },
+                { op: 'delete', namespace: 'customers', key: 'c1' },
+                { op: 'set', namespace: 'stock', key: 'sku1', value: { quantity: 4 }, ifMatch: 7 }
+            ]);
+            changes.off('change', listener);
+            assert.strictEqual(res.status, 412);
+            assert.strictEqual(res.body.index, 2);
+            assert.strictEqual(res.body.currentVersion, 1);
+            assert.strictEqual(events, 0);
+
+            assert.strictEqual((await request(app).get('/api/orders/o1')).status, 404);
+            assert.deepStrictEqual((await request(app).get('/api/customers/c1')).body, { value: { orders: [] } });
+            assert.deepStrictEqual((await request(app).get('/api/stock/sku1')).body, { value: { quantity: 5 } });
+            const history = await request(app).get('/api/customers/c1/history');
+            assert.strictEqual(history.body.revisions.length, 1);
+        });
+
+        it('should reject malformed batches before running them', async () => {
+            assert.strictEqual((await runBatch([])).status, 400);
+            assert.strictEqual((await runBatch([{ op: 'merge', namespace: 'a', key: 'b' }])).status, 400);
+            const res = await runBatch([
+                { op: 'delete', namespace: 'stock', key: 'sku1' },
+                { op: 'set', namespace: 'orders', key: 'o1' }
+            ]);
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual((await request(app).get('/api/stock/sku1')).body, { value: { quantity: 5 } });
+            assert.strictEqual((await runBatch([{ op: 'get', namespace: '_keys', key: 'x' }])).status, 400);
+        });
+    });
+
+    describe('Export & import', () => {
+        const toNdjson = (records) => records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        const importLines = (namespace, body, query = {}) => request(app).post(`/api/${namespace}/_import`)
+            .query(query).set('Content-Type', 'application/x-ndjson').send(body);
+
+        beforeEach(async () => {
+            await request(app).post('/api/products/p1').send({ value: { name: 'Pen' } });
+            await request(app).post('/api/products/p2').send({ value: { name: 'Ink' } });
+        });
+
+        it('GET /api/:namespace/_export should stream NDJSON in key order', async () => {
+            const records = Array.from({ length: 1200 }, (_, i) => ({ key: `k${String(i).padStart(4, '0')}`, value: i }));
+            assert.strictEqual((await importLines('bulk', toNdjson(records))).body.created, 1200);
+            const res = await request(app).get('/api/bulk/_export').buffer(true).parse((response, callback) => {
+                let text = '';
+                response.on('data', chunk => (text += chunk));
+                response.on('end', () => callback(null, text));
+            });
+            assert.strictEqual(res.status, 200);
+            assert.ok(res.headers['content-type'].startsWith('application/x-ndjson'));
+            const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+            assert.strictEqual(lines.length, 1200);
+            assert.deepStrictEqual(lines[0], { key: 'k0000', value: 0 });
+            assert.deepStrictEqual(lines[1199], { key: 'k1199', value: 1199 });
+        });
+
+        it('should keep expiry through an export and import', async () => {
+            await request(app).post('/api/products/p3').send({ value: { name: 'Pad' }, ttl: 1 });
+            const res = await request(app).get('/api/products/_export').buffer(true).parse((response, callback) => {
+                let text = '';
+                response.on('data', chunk => (text += chunk));
+                response.on('end', () => callback(null, text));
+            });
+            const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+            assert.deepStrictEqual(lines.map(line => line.ttl === undefined), [true, true, false]);
+            assert.ok(lines[2].ttl > 0 && lines[2].ttl <= 1);
+
+            assert.strictEqual((await importLines('copies', res.body)).body.created, 3);
+            assert.ok((await request(app).get('/api/copies/p3/ttl')).body.ttl > 0);
+            await sleep(1100);
+            assert.strictEqual((await request(app).get('/api/copies/p3')).status, 404);
+            assert.strictEqual((await request(app).get('/api/copies/p1')).status, 200);
+        });
+
+        it('POST /api/:namespace/_import should merge by default and report counts', async () => {
+            const res = await importLines('products', toNdjson([
+                { key: 'p2', value: { name: 'Blue ink' } },
+                { key: 'p3', value: { name: 'Pad' }, ttl: 60 }
+            ]));
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(
+                [res.body.lines, res.body.created, res.body.updated, res.body.skipped, res.body.deleted],
+                [2, 1, 1, 0, 0]
+            );
+            const values = (await request(app).get('/api/products')).body.values;
+            assert.deepStrictEqual(values, { p1: { name: 'Pen' }, p2: { name: 'Blue ink' }, p3: { name: 'Pad' } });
+            assert.ok((await request(app).get('/api/products/p3/ttl')).body.ttl > 0);
+        });
+
+        it('should skip existing keys or replace the namespace', async () => {
+            const records = [{ key: 'p2', value: 'new' }, { key: 'p4', value: 'new' }];
+            const skip = await importLines('products', toNdjson(records), { mode: 'skip-existing' });
+            assert.deepStrictEqual([skip.body.created, skip.body.skipped], [1, 1]);
+            assert.deepStrictEqual((await request(app).get('/api/products/p2')).body.value, { name: 'Ink' });
+
+            const replace = await importLines('products', toNdjson(records), { mode: 'replace' });
+            assert.deepStrictEqual([replace.body.updated, replace.body.deleted], [2, 1]);
+            assert.deepStrictEqual((await request(app).get('/api/products')).body.values, { p2: 'new', p4: 'new' });
+        });
+
+        it('should report line errors and change nothing in dry runs', async () => {
+            const body = '{"key":"p1","value":1}\nnot json\n\n{"key":"_x","value":1}\n{"key":"p9"}\n';
+            const res = await importLines('products', body, { mode: 'replace', dryRun: 'true' });
+            assert.strictEqual(res.body.dryRun, true);
+            assert.deepStrictEqual([res.body.lines, res.body.updated, res.body.failed, res.body.deleted], [4, 1, 3, 0]);
+            assert.deepStrictEqual(res.body.errors.slice(0, 3).map(error => error.line), [2, 4, 5]);
+            assert.deepStrictEqual((await request(app).get('/api/products/p1')).body.value, { name: 'Pen' });
+
+            const dryReplace = await importLines('products', toNdjson([{ key: 'p1', value: 1 }]), { mode: 'replace', dryRun: '1' });
+            assert.deepStrictEqual([dryReplace.body.updated, dryReplace.body.deleted], [1, 1]);
+            assert.deepStrictEqual(Object.keys((await request(app).get('/api/products')).body.values), ['p1', 'p2']);
+
+            assert.strictEqual((await importLines('products', '', { mode: 'overwrite' })).status, 400);
+            const json = await request(app).post('/api/products/_import').send({ key: 'p1', value: 1 });
+            assert.strictEqual(json.status, 415);
+        });
+
+        it('should report the lines a real import would reject in dry runs', async () => {
+            await request(app).put('/api/strictProducts/_schema').send({ type: 'object', required: ['name'] });
+            const records = [
+                { key: 'p1', value: { name: 'Pen' } },
+                { key: 'p2', value: { color: 'blue' } },
+                { key: 'p3', value: { name: 'Pad' }, ttl: -5 }
+            ];
+            const dry = await importLines('strictProducts', toNdjson(records), { dryRun: 'true' });
+            assert.deepStrictEqual([dry.body.created, dry.body.failed], [1, 2]);
+            assert.deepStrictEqual(dry.body.errors.map(error => error.line), [2, 3]);
+
+            const real = await importLines('strictProducts', toNdjson(records));
+            assert.deepStrictEqual([real.body.created, real.body.failed], [dry.body.created, dry.body.failed]);
+            assert.deepStrictEqual(real.body.errors, dry.body.errors);
+        });
+    });
+
+    describe('Secondary indexes', () => {
+        const orders = {
+            o1: { customerId: 'c1', status: 'pending', total: 40 },
+            o2: { customerId: 'c2', status: 'pending', total: 15 },
+            o3: { customerId: 'c1', status: 'shipped', total: 5 },
+            o4: { customerId: 42, status: 'pending' }
+        };
+        const lookup = (index, query) => request(app).get(`/api/orders/_by/${index}`).query(query);
+        const keysOf = (res) => res.body.items.map(item => item.key);
+
+        beforeEach(async () => {
+            for (const [key, value] of Object.entries(orders)) {
+                await request(app).post(`/api/orders/${key}`).send({ value });
+            }
+        });
+
+        afterEach(async () => {
+            const res = await request(app).get('/api/orders/_indexes');
+            for (const index of res.body.indexes) {
+                await request(app).delete(`/api/orders/_indexes/${index.name}`);
+            }
+        });
+
+        it('should declare, list and drop indexes', async () => {
+            const created = await request(app).post('/api/orders/_indexes')
+                .send({ name: 'byCustomer', paths: ['customerId'] });
+            assert.strictEqual(created.status, 201);
+            assert.deepStrictEqual(created.body.paths, ['customerId']);
+
+            const duplicate = await request(app).post('/api/orders/_indexes')
+                .send({ name: 'byCustomer', paths: ['status'] });
+            assert.strictEqual(duplicate.status, 409);
+
+            const listed = await request(app).get('/api/orders/_indexes');
+            assert.deepStrictEqual(listed.body.indexes.map(index => index.name), ['byCustomer']);
+
+            assert.strictEqual((await request(app).delete('/api/orders/_indexes/byCustomer')).status, 200);
+            assert.strictEqual((await request(app).delete('/api/orders/_indexes/byCustomer')).status, 404);
+            assert.strictEqual((await lookup('byCustomer', { value: 'c1' })).status, 404);
+        });
+
+        it('should answer lookups from the index and keep it current', async () => {
+            await request(app).post('/api/orders/_indexes').send({ name: 'byCustomer', paths: ['customerId'] });
+            const [index] = await queryDb("SELECT sql_name FROM value_indexes WHERE name = 'byCustomer'");
+            const plan = await queryDb(
+                `EXPLAIN QUERY PLAN SELECT key FROM key_value_store
+                WHERE namespace = 'orders' AND json_extract(value, '$."customerId"') = 'c1'`
+            );
+            assert.ok(plan.some(step => step.detail.includes(index.sql_name)));
+
+            assert.deepStrictEqual(keysOf(await lookup('byCustomer', { value: 'c1' })), ['o1', 'o3']);
+            // Lookup values are JSON, so 42 and "42" are different
+            assert.deepStrictEqual(keysOf(await lookup('byCustomer', { value: '42' })), ['o4']);
+            assert.deepStrictEqual(keysOf(await lookup('byCustomer', { value: '"42"' })), []);
+            for (const value of ['{"id":1}', '[1]']) {
+                const rejected = await lookup('byCustomer', { value });
+                assert.strictEqual(rejected.status, 400);
+                assert.strictEqual(rejected.body.code, 'invalid_request');
+            }
+
+            await request(app).post('/api/orders/o5').send({ value: { customerId: 'c1' } });
+            await request(app).delete('/api/orders/o1');
+            const res = await lookup('byCustomer', { value: 'c1' });
+            assert.deepStrictEqual(res.body.items, [
+                { key: 'o3', value: orders.o3 },
+                { key: 'o5', value: { customerId: 'c1' } }
+            ]);
+        });
+
+        it('should look up indexes on several paths and page through results', async () => {
+            await request(app).post('/api/orders/_indexes')
+                .send({ name: 'byStatusCustomer', paths: ['status', 'customerId'] });
+
+            const exact = await lookup('byStatusCustomer', { value: ['pending', 'c1'] });
+            assert.deepStrictEqual(keysOf(exact), ['o1']);
+
+            const first = await lookup('byStatusCustomer', { value: 'pending', limit: 2 });
+            assert.deepStrictEqual(keysOf(first), ['o1', 'o2']);
+            const second = await lookup('byStatusCustomer', { value: 'pending', limit: 2, cursor: first.body.nextCursor });
+            assert.deepStrictEqual(keysOf(second), ['o4']);
+            assert.strictEqual(second.body.nextCursor, null);
+
+            assert.strictEqual((await lookup('byStatusCustomer', {})).status, 400);
+            assert.strictEqual((await lookup('byStatusCustomer', { value: ['a', 'b', 'c'] })).status, 400);
+        });
+
+        it('should rebuild indexes and reject malformed declarations', async () => {
+            await request(app).post('/api/orders/_indexes').send({ name: 'byCustomer', paths: ['customerId'] });
+            assert.strictEqual((await request(app).post('/api/orders/_indexes/byCustomer/rebuild')).status, 200);
+            assert.deepStrictEqual(keysOf(await lookup('byCustomer', { value: 'c2' })), ['o2']);
+            assert.strictEqual((await request(app).post('/api/orders/_indexes/missing/rebuild')).status, 404);
+
+            const invalid = [
+                { name: 'bad name', paths: ['customerId'] },
+                { name: 'noPaths', paths: [] },
+                { name: 'badPath', paths: ['a..b'] }
+            ];
+            for (const body of invalid) {
+                assert.strictEqual((await request(app).post('/api/orders/_indexes').send(body)).status, 400);
+            }
+        });
+
+        it('should leave nothing behind when creating an index fails', async () => {
+            await queryDb(`CREATE TRIGGER reject_index BEFORE INSERT ON value_indexes
+                BEGIN SELECT RAISE(ABORT, 'rejected'); END`);
+            try {
+                const res = await request(app).post('/api/orders/_indexes').send({ name: 'byCustomer', paths: ['customerId'] });
+                assert.strictEqual(res.status, 500);
+            } finally {
+                await queryDb('DROP TRIGGER reject_index');
+            }
+            assert.deepStrictEqual(await queryDb("SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE 'kvidx_%'"), []);
+        });
+    });
+
+    describe('Namespace schemas', () => {
+        const userSchema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                age: { type: 'integer', minimum: 0 }
+            },
+            required: ['name']
+        };
+
+        it('should attach, read and remove a schema', async () => {
+            assert.strictEqual((await request(app).get('/api/users/_schema')).status, 404);
+            const attached = await request(app).put('/api/users/_schema').send(userSchema);
+            assert.strictEqual(attached.status, 200);
+            assert.deepStrictEqual(attached.body.schema, userSchema);
+            assert.deepStrictEqual((await request(app).get('/api/users/_schema')).body.schema, userSchema);
+
+            assert.strictEqual((await request(app).delete('/api/users/_schema')).status, 200);
+            assert.strictEqual((await request(app).delete('/api/users/_schema')).status, 404);
+            assert.strictEqual((await request(app).post('/api/users/u1').send({ value: 'anything' })).status, 200);
+        });
+
+        it('should replace schemas that have an $id', async () => {
+            const schema = { $id: 'https://example.com/user.json', ...userSchema };
+            assert.strictEqual((await request(app).put('/api/users/_schema').send(schema)).status, 200);
+            assert.strictEqual((await request(app).put('/api/people/_schema').send(schema)).status, 200);
+
+            const updated = { ...schema, required: ['name', 'age'] };
+            assert.strictEqual((await request(app).put('/api/users/_schema').send(updated)).status, 200);
+            assert.strictEqual((await request(app).post('/api/users/u1').send({ value: { name: 'Ada' } })).status, 422);
+            assert.strictEqual((await request(app).post('/api/people/p1').send({ value: { name: 'Ada' } })).status, 200);
+        });
+
+        it('should reject invalid schemas', async () => {
+            const res = await request(app).put('/api/users/_schema').send({ type: 'no-such-type' });
+            assert.strictEqual(res.status, 400);
+            assert.match(res.body.detail, /Invalid schema/);
+        });
+
+        it('should reject writes that violate the schema with 422', async () => {
+            await request(app).put('/api/users/_schema').send(userSchema);
+            const ok = await request(app).post('/api/users/u1').send({ value: { name: 'Ada', age: 36 } });
+            assert.strictEqual(ok.status, 200);
+
+            const res = await request(app).post('/api/users/u2').send({ value: { age: -1 } });
+            assert.strictEqual(res.status, 422);
+            assert.deepStrictEqual(res.body.violations.map(violation => violation.path).sort(), ['/', '/age']);
+            assert.strictEqual((await request(app).get('/api/users/u2')).status, 404);
+
+            // Every write route goes through the schema
+            const patched = await request(app).patch('/api/users/u1').send({ name: null });
+            assert.strictEqual(patched.status, 422);
+            const incremented = await request(app).post('/api/users/u1/increment').send({ path: 'age', by: -40 });
+            assert.strictEqual(incremented.status, 422);
+            assert.strictEqual((await request(app).post('/api/users/u3/set-if-absent').send({ value: 3 })).status, 422);
+            const batch = await request(app).post('/api/_batch').send({
+                operations: [{ op: 'set', namespace: 'users', key: 'u4', value: { name: 4 } }]
+            });
+            assert.strictEqual(batch.status, 422);
+            assert.strictEqual(batch.body.violations[0].path, '/name');
+            assert.deepStrictEqual((await request(app).get('/api/users/u1')).body.value, { name: 'Ada', age: 36 });
+        });
+
+        it('should report stored values that do not conform', async () => {
+            await request(app).post('/api/users/u1').send({ value: { name: 'Ada' } });
+            await request(app).post('/api/users/u2').send({ value: { name: 'Bob', age: 'old' } });
+            await request(app).post('/api/users/u3').send({ value: 'Eve' });
+
+            assert.strictEqual((await request(app).post('/api/users/_schema/validate')).status, 404);
+
+            // A candidate schema can be checked before it is attached
+            const candidate = await request(app).post('/api/users/_schema/validate').send({ schema: { type: 'object' } });
+            assert.deepStrictEqual(candidate.body, {
+                namespace: 'users',
+                checked: 3,
+                invalid: 1,
+                keys: [{ key: 'u3', violations: [{ path: '/', message: 'must be object' }] }]
+            });
+
+            await request(app).put('/api/users/_schema').send(userSchema);
+            const report = await request(app).post('/api/users/_schema/validate');
+            assert.strictEqual(report.status, 200);
+            assert.strictEqual(report.body.invalid, 2);
+            assert.deepStrictEqual(report.body.keys.map(entry => entry.key), ['u2', 'u3']);
+        });
+    });
+
+    describe('Read cache', () => {
+        const read = (key) => request(app).get(`/api/users/${key}`);
+        // Changes the stored value behind the back of the cache
+        const overwrite = (key, value) => queryDb(
+            'UPDATE key_value_store SET value = ? WHERE namespace = ? AND key = ?',
+            [JSON.stringify(value), 'users', key]
+        );
+        const hits = () => getCacheStats().hits;
+
+        afterEach(() => configureCache({ maxEntries: 10000, maxBytes: 64 * 1024 * 1024 }));
+
+        it('should serve repeated reads from the cache', async () => {
+            await request(app).post('/api/users/u1').send({ value: { name: 'Ada' } });
+            const before = hits();
+            await read('u1');
+            await overwrite('u1', { name: 'stale' });
+            const res = await read('u1');
+            assert.deepStrictEqual(res.body, { value: { name: 'Ada' } });
+            assert.strictEqual(res.headers.etag, '"1"');
+            assert.strictEqual(hits(), before + 1);
+
+            const stats = await request(app).get('/api/_cache');
+            assert.strictEqual(stats.status, 200);
+            assert.ok(stats.body.entries >= 1 && stats.body.bytes > 0);
+            assert.ok(stats.body.hitRate > 0);
+        });
+
+        it('should invalidate entries on writes, deletes and namespace drops', async () => {
+            await request(app).post('/api/users/u1').send({ value: 1 });
+            await read('u1');
+            await request(app).post('/api/users/u1').send({ value: 2 });
+            assert.deepStrictEqual((await read('u1')).body, { value: 2 });
+            await request(app).post('/api/users/u1/increment');
+            assert.deepStrictEqual((await read('u1')).body, { value: 3 });
+            await request(app).delete('/api/users/u1');
+            assert.strictEqual((await read('u1')).status, 404);
+
+            await request(app).post('/api/users/u2').send({ value: 'b' });
+            await read('u2');
+            await request(app).delete('/api/users?confirm=users');
+            assert.strictEqual((await read('u2')).status, 404);
+        });
+
+        it('should not serve expired keys from the cache', async () => {
+            await request(app).post('/api/users/u1').send({ value: 'a', ttl: 0.05 });
+            await request(app).post('/api/users/u2').send({ value: 'b' });
+            await read('u1');
+            await read('u2');
+            await request(app).put('/api/users/u2/ttl').send({ ttl: 0.05 });
+            await read('u2');
+            await sleep(80);
+            assert.strictEqual((await read('u1')).status, 404);
+            assert.strictEqual((await read('u2')).status, 404);
+        });
+
+        it('should follow the cache policy of the namespace', async () => {
+            assert.deepStrictEqual((await request(app).get('/api/users/_cache')).body, { namespace: 'users', mode: 'on', maxAge: null });
+            await request(app).post('/api/users/u1').send({ value: 1 });
+            await read('u1');
+
+            const off = await request(app).put('/api/users/_cache').send({ mode: 'off' });
+            assert.deepStrictEqual(off.body, { namespace: 'users', mode: 'off', maxAge: null });
+            await overwrite('u1', 2);
+            assert.deepStrictEqual((await read('u1')).body, { value: 2 });
+            await overwrite('u1', 3);
+            assert.deepStrictEqual((await read('u1')).body, { value: 3 });
+
+            const maxAge = await request(app).put('/api/users/_cache').send({ mode: 'max-age', maxAge: 30 });
+            assert.deepStrictEqual(maxAge.body, { namespace: 'users', mode: 'max-age', maxAge: 30 });
+            assert.strictEqual((await request(app).put('/api/users/_cache').send({ mode: 'max-age' })).status, 400);
+            assert.strictEqual((await request(app).put('/api/users/_cache').send({ mode: 'sometimes' })).status, 400);
+
+            assert.strictEqual((await request(app).delete('/api/users/_cache')).body.mode, 'on');
+        });
+
+        it('should evict the least recently used entries beyond its limits', async () => {
+            configureCache({ maxEntries: 2 });
+            for (const key of ['u1', 'u2', 'u3']) {
+                await request(app).post(`/api/users/${key}`).send({ value: key });
+            }
+            await read('u1');
+            await read('u2');
+            await read('u1');
+            await read('u3');
+            assert.strictEqual(getCacheStats().entries, 2);
+            // u2 was the least recently used
+            await overwrite('u1', 'new');
+            await overwrite('u2', 'new');
+            assert.deepStrictEqual((await read('u1')).body, { value: 'u1' });
+            assert.deepStrictEqual((await read('u2')).body, { value: 'new' });
+
+            configureCache({ maxBytes: 32 });
+            await request(app).post('/api/users/big').send({ value: 'x'.repeat(100) });
+            await read('big');
+            assert.ok(getCacheStats().bytes <= 32);
+        });
+    });
+
+    describe('Key metadata & statistics', () => {
+        it('HEAD and ?meta=true should describe a key', async () => {
+            await request(app).post('/api/docs/readme')
+                .send({ value: '# C-Store', contentType: 'text/markdown', tags: ['docs', 'v1'], ttl: 60 });
+            await request(app).post('/api/docs/readme').send({ value: '# C-Store API' });
+
+            const head = await request(app).head('/api/docs/readme');
+            assert.strictEqual(head.status, 200);
+            assert.strictEqual(head.headers.etag, '"2"');
+            assert.strictEqual(head.headers['x-value-size'], String(Buffer.byteLength('"# C-Store API"')));
+            assert.strictEqual(head.headers['x-value-content-type'], 'text/markdown');
+            assert.strictEqual(head.headers['x-tags'], 'docs,v1');
+            assert.ok(Date.parse(head.headers['last-modified']) <= Date.now());
+
+            const meta = await request(app).get('/api/docs/readme?meta=true');
+            assert.strictEqual(meta.status, 200);
+            assert.strictEqual(meta.body.key, 'readme');
+            assert.strictEqual(meta.body.version, 2);
+            assert.deepStrictEqual(meta.body.tags, ['docs', 'v1']);
+            assert.strictEqual(meta.body.expiresAt, null);
+            assert.ok(meta.body.updatedAt >= meta.body.createdAt);
+            assert.strictEqual(meta.body.value, undefined);
+
+            assert.strictEqual((await request(app).head('/api/docs/missing')).status, 404);
+            assert.strictEqual((await request(app).get('/api/docs/missing?meta=1')).status, 404);
+        });
+
+        it('should reject invalid metadata', async () => {
+            const res = await request(app).post('/api/docs/readme').send({ value: 1, tags: ['has space'] });
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.violations[0].path, '/tags/0');
+            assert.strictEqual((await request(app).post('/api/docs/readme').send({ value: 1, contentType: 'markdown' })).status, 400);
+        });
+
+        it('GET /api/:namespace/_stats should count keys and bytes and list the largest', async () => {
+            await request(app).post('/api/docs/a').send({ value: 'x'.repeat(10) });
+            await request(app).post('/api/docs/b').send({ value: 1 });
+            await request(app).post('/api/other/c').send({ value: 'y'.repeat(100) });
+
+            const res = await request(app).get('/api/docs/_stats?top=1');
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.keys, 2);
+            assert.strictEqual(res.body.bytes, 1 + 12 + 1 + 1);
+            assert.deepStrictEqual(res.body.largest, [{ key: 'a', size: 12 }]);
+            assert.ok(Date.parse(res.body.lastModified) <= Date.now());
+
+            const empty = await request(app).get('/api/empty/_stats');
+            assert.deepStrictEqual(empty.body, { namespace: 'empty', keys: 0, bytes: 0, lastModified: null, largest: [] });
+        });
     });
 
     describe('Error & 404 handling', () => {
         it('Returns 404 for unknown route', async () => {
             const res = await request(app).get('/some/missing/path');
             assert.strictEqual(res.status, 404);
-            assert(res.body.error);
-            assert(res.body.path);
+            assert.strictEqual(res.body.code, 'not_found');
+            assert.strictEqual(res.body.instance, '/some/missing/path');
         });
     });
 });
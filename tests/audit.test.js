@@ -0,0 +1,193 @@
+const request = require('supertest');
+const assert = require('assert');
+const crypto = require('crypto');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const { configureAuth, createApiKey } = require('../lib/auth');
+const { setAuditRetention, pruneAuditLog } = require('../lib/audit');
+const { TEST_STORAGE, sleep, resetDb, closeDb, queryDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+const ADMIN_KEY = 'audit-admin-key';
+const bearer = (key) => `Bearer ${key}`;
+const sha256 = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+/**
+ * Queries the audit log until it holds at least the expected number of entries; those of requests
+ * that changed no key are written once the response has been sent
+ * @param {string} query - Query string of GET /api/_audit
+ * @param {number} count - Number of entries expected
+ */
+const auditEntries = async (query, count) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const res = await request(app).get(`/api/_audit?${query}`).set('Authorization', bearer(ADMIN_KEY));
+        assert.strictEqual(res.status, 200);
+        if (res.body.count >= count) {
+            return res.body;
+        }
+        await sleep(10);
+    }
+    throw new Error(`Expected ${count} audit entries for ${query}`);
+};
+
+describe('Audit log', () => {
+    before(() => configureAuth({ enabled: true, adminKey: ADMIN_KEY }));
+
+    after((done) => {
+        configureAuth({ enabled: false, adminKey: null });
+        closeDb(done);
+    });
+
+    beforeEach((done) => {
+        resetDb(done);
+    });
+
+    it('should record who changed a key with hashes of its value before and after', async () => {
+        const writer = await createApiKey('orders-service', [{ namespace: 'orders', permission: 'write' }]);
+        await request(app).post('/api/orders/o1').set('Authorization', bearer(writer.key)).send({ value: { total: 1 } });
+        await request(app).post('/api/orders/o1').set('Authorization', bearer(writer.key)).send({ value: { total: 2 } });
+        await request(app).delete('/api/orders/o1').set('Authorization', bearer(writer.key));
+
+        const { entries } = await auditEntries('namespace=orders&key=o1', 3);
+        assert.deepStrictEqual(entries.map(entry => entry.operation), ['delete', 'set', 'set']);
+        const [deleted, updated, created] = entries;
+        assert.strictEqual(created.beforeHash, null);
+        assert.strictEqual(created.afterHash, sha256({ total: 1 }));
+        assert.strictEqual(updated.beforeHash, sha256({ total: 1 }));
+        assert.strictEqual(updated.afterHash, sha256({ total: 2 }));
+        assert.strictEqual(deleted.beforeHash, sha256({ total: 2 }));
+        assert.strictEqual(deleted.afterHash, null);
+        entries.forEach(entry => {
+            assert.strictEqual(entry.actor, 'orders-service');
+            assert.strictEqual(entry.apiKeyId, writer.id);
+            assert.strictEqual(entry.path, '/api/orders/o1');
+            assert.strictEqual(entry.status, 200);
+            assert.ok(entry.clientIp);
+            assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+        });
+    });
+
+    it('should write the entries of key changes in the transaction of the change', async () => {
+        await request(app).post('/api/orders/o1').set('Authorization', bearer(ADMIN_KEY)).send({ value: 0 });
+        const writes = [1, 2, 3].map(value =>
+            request(app).post('/api/orders/o1').set('Authorization', bearer(ADMIN_KEY)).send({ value })
+        );
+        (await Promise.all(writes)).forEach(res => assert.strictEqual(res.status, 200));
+
+        // Recorded before the responses were sent, each with the value it replaced
+        const res = await request(app).get('/api/_audit?namespace=orders&key=o1').set('Authorization', bearer(ADMIN_KEY));
+        const entries = res.body.entries.reverse();
+        assert.strictEqual(entries.length, 4);
+        entries.slice(1).forEach((entry, index) => {
+            assert.strictEqual(entry.beforeHash, entries[index].afterHash);
+        });
+        assert.deepStrictEqual(
+            entries.map(entry => entry.afterHash).sort(),
+            [0, 1, 2, 3].map(sha256).sort()
+        );
+    });
+
+    it('should record the status the request answered with', async () => {
+        const setIfAbsent = (value) => request(app).post('/api/orders/o1/set-if-absent')
+            .set('Authorization', bearer(ADMIN_KEY)).send({ value });
+        assert.strictEqual((await setIfAbsent(1)).status, 201);
+        assert.strictEqual((await setIfAbsent(2)).status, 200);
+
+        const { entries } = await auditEntries('namespace=orders&key=o1&operation=set-if-absent', 2);
+        assert.deepStrictEqual(entries.map(entry => entry.status), [200, 201]);
+    });
+
+    it('should record denied attempts but not reads', async () => {
+        const reader = await createApiKey('reader', [{ namespace: 'orders', permission: 'read' }]);
+        const denied = await request(app).post('/api/orders/o1').set('Authorization', bearer(reader.key))
+            .send({ value: 1 });
+        assert.strictEqual(denied.status, 403);
+        await request(app).get('/api/orders/o1').set('Authorization', bearer(reader.key));
+
+        const { entries } = await auditEntries('actor=reader', 1);
+        await sleep(20);
+        assert.strictEqual((await auditEntries('actor=reader', 1)).count, 1);
+        assert.strictEqual(entries[0].status, 403);
+        assert.strictEqual(entries[0].afterHash, null);
+    });
+
+    it('should use the X-Request-ID of the client and echo it', async () => {
+        const res = await request(app).post('/api/orders/o1').set('Authorization', bearer(ADMIN_KEY))
+            .set('X-Request-ID', 'req-42').send({ value: 1 });
+        assert.strictEqual(res.headers['x-request-id'], 'req-42');
+        const { entries } = await auditEntries('requestId=req-42', 1);
+        assert.strictEqual(entries[0].actor, 'admin');
+
+        const generated = await request(app).get('/health').set('X-Request-ID', 'not valid!');
+        assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    });
+
+    it('should record every key a batch changes', async () => {
+        await request(app).post('/api/_batch').set('Authorization', bearer(ADMIN_KEY)).send({
+            operations: [
+                { op: 'set', namespace: 'orders', key: 'o1', value: 1 },
+                { op: 'get', namespace: 'orders', key: 'o1' },
+                { op: 'delete', namespace: 'users', key: 'u1' }
+            ]
+        });
+        const { entries } = await auditEntries('', 2);
+        assert.deepStrictEqual(
+            entries.map(({ operation, namespace, key }) => ({ operation, namespace, key })).sort((a, b) => a.key.localeCompare(b.key)),
+            [
+                { operation: 'batch.set', namespace: 'orders', key: 'o1' },
+                { operation: 'batch.delete', namespace: 'users', key: 'u1' }
+            ]
+        );
+        assert.strictEqual(entries[0].requestId, entries[1].requestId);
+    });
+
+    it('should filter and paginate newest first', async () => {
+        for (let i = 1; i <= 5; i++) {
+            await request(app).post(`/api/orders/o${i}`).set('Authorization', bearer(ADMIN_KEY)).send({ value: i });
+        }
+        await request(app).delete('/api/users?confirm=users').set('Authorization', bearer(ADMIN_KEY));
+        await auditEntries('', 6);
+
+        const first = await auditEntries('namespace=orders&limit=3', 3);
+        assert.deepStrictEqual(first.entries.map(entry => entry.key), ['o5', 'o4', 'o3']);
+        assert.ok(first.nextCursor);
+        const second = await auditEntries(`namespace=orders&limit=3&cursor=${first.nextCursor}`, 2);
+        assert.deepStrictEqual(second.entries.map(entry => entry.key), ['o2', 'o1']);
+        assert.strictEqual(second.nextCursor, null);
+
+        const namespaceDeletes = await auditEntries('operation=namespace.delete', 1);
+        assert.strictEqual(namespaceDeletes.entries[0].key, null);
+        const future = encodeURIComponent(new Date(Date.now() + 60000).toISOString());
+        assert.strictEqual((await auditEntries(`since=${future}`, 0)).count, 0);
+    });
+
+    it('should reject invalid queries and non-admin callers', async () => {
+        const admin = (query) => request(app).get(`/api/_audit?${query}`).set('Authorization', bearer(ADMIN_KEY));
+        assert.strictEqual((await admin('limit=0')).status, 400);
+        assert.strictEqual((await admin('since=yesterday')).status, 400);
+        assert.strictEqual((await admin('cursor=nope')).status, 400);
+
+        const writer = await createApiKey('writer', [{ namespace: '*', permission: 'write' }]);
+        const res = await request(app).get('/api/_audit').set('Authorization', bearer(writer.key));
+        assert.strictEqual(res.status, 403);
+    });
+
+    it('should be append-only and prune entries beyond the retention', async () => {
+        await request(app).post('/api/orders/o1').set('Authorization', bearer(ADMIN_KEY)).send({ value: 1 });
+        await auditEntries('', 1);
+        await assert.rejects(queryDb('UPDATE audit_log SET actor = ?', ['someone-else']), /append-only/);
+
+        await queryDb('INSERT INTO audit_log (created_at, request_id, actor, method, path, status, operation) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [Date.now() - 2 * 24 * 60 * 60 * 1000, 'old', 'admin', 'POST', '/api/orders/o0', 200, 'set']);
+        setAuditRetention({ maxAge: 24 * 60 * 60 * 1000 });
+        try {
+            assert.strictEqual(await pruneAuditLog(), 1);
+            assert.strictEqual((await auditEntries('', 1)).count, 1);
+        } finally {
+            setAuditRetention({ maxAge: 365 * 24 * 60 * 60 * 1000 });
+        }
+    });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const assert = require('assert');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const { configureAuth, createApiKey } = require('../lib/auth');
+const { TEST_STORAGE, resetDb, closeDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+const ADMIN_KEY = 'test-admin-key';
+const bearer = (key) => `Bearer ${key}`;
+
+describe('Authentication & ACLs', () => {
+    before(() => configureAuth({ enabled: true, adminKey: ADMIN_KEY }));
+
+    after((done) => {
+        configureAuth({ enabled: false, adminKey: null });
+        closeDb(done);
+    });
+
+    beforeEach((done) => {
+        resetDb(done);
+    });
+
+    describe('Authentication', () => {
+        it('should return 401 without credentials', async () => {
+            const res = await request(app).get('/api/orders');
+            assert.strictEqual(res.status, 401);
+            assert(res.headers['www-authenticate'].startsWith('Bearer'));
+        });
+
+        it('should return 401 for an unknown key', async () => {
+            const res = await request(app).get('/api/orders').set('Authorization', bearer('cs_nope'));
+            assert.strictEqual(res.status, 401);
+        });
+
+        it('should keep /health and / public', async () => {
+            assert.strictEqual((await request(app).get('/health')).status, 200);
+            assert.strictEqual((await request(app).get('/')).status, 200);
+        });
+
+        it('should accept the bootstrap admin key', async () => {
+            const res = await request(app).delete('/api/orders?confirm=orders').set('Authorization', bearer(ADMIN_KEY));
+            assert.strictEqual(res.status, 200);
+        });
+    });
+
+    describe('Key management', () => {
+        it('POST /api/_keys should create a key that authenticates', async () => {
+            const created = await request(app).post('/api/_keys').set('Authorization', bearer(ADMIN_KEY))
+                .send({ name: 'orders-service', scopes: [{ namespace: 'orders', permission: 'write' }] });
+            assert.strictEqual(created.status, 201);
+            assert(created.body.key.startsWith('cs_'));
+            assert.strictEqual(created.body.prefix, created.body.key.slice(0, 10));
+
+            const write = await request(app).post('/api/orders/o1').set('Authorization', bearer(created.body.key))
+                .send({ value: 1 });
+            assert.strictEqual(write.status, 200);
+        });
+
+        it('GET /api/_keys should list keys without revealing them', async () => {
+            await createApiKey('reader', [{ namespace: '*', permission: 'read' }]);
+            const res = await request(app).get('/api/_keys').set('Authorization', bearer(ADMIN_KEY));
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.count, 1);
+            assert.strictEqual(res.body.keys[0].name, 'reader');
+            assert.strictEqual(res.body.keys[0].key, undefined);
+        });
+
+        it('DELETE /api/_keys/:id should revoke a key', async () => {
+            const { id, key } = await createApiKey('temp', [{ namespace: '*', permission: 'read' }]);
+            const revoked = await request(app).delete(`/api/_keys/${id}`).set('Authorization', bearer(ADMIN_KEY));
+            assert.strictEqual(revoked.status, 200);
+
+            const res = await request(app).get('/api/orders').set('Authorization', bearer(key));
+            assert.strictEqual(res.status, 401);
+
+            const again = await request(app).delete(`/api/_keys/${id}`).set('Authorization', bearer(ADMIN_KEY));
+            assert.strictEqual(again.status, 404);
+        });
+
+        it('should reject malformed scopes', async () => {
+            const res = await request(app).post('/api/_keys').set('Authorization', bearer(ADMIN_KEY))
+                .send({ name: 'bad', scopes: [{ namespace: 'orders', permission: 'owner' }] });
+            assert.strictEqual(res.status, 400);
+        });
+
+        it('should require admin permission on every namespace', async () => {
+            const { key } = await createApiKey('ns-admin', [{ namespace: 'orders', permission: 'admin' }]);
+            const res = await request(app).get('/api/_keys').set('Authorization', bearer(key));
+            assert.strictEqual(res.status, 403);
+        });
+    });
+
+    describe('Namespace ACLs', () => {
+        it('read keys should read but not write', async () => {
+            const { key } = await createApiKey('reader', [{ namespace: 'orders', permission: 'read' }]);
+            assert.strictEqual((await request(app).get('/api/orders/o1').set('Authorization', bearer(key))).status, 404);
+            assert.strictEqual((await request(app).get('/api/stock/s1').set('Authorization', bearer(key))).status, 403);
+
+            const write = await request(app).post('/api/orders/o1').set('Authorization', bearer(key)).send({ value: 1 });
+            assert.strictEqual(write.status, 403);
+            const del = await request(app).delete('/api/orders/o1').set('Authorization', bearer(key));
+            assert.strictEqual(del.status, 403);
+        });
+
+        it('write keys should not drop namespaces or manage webhooks', async () => {
+            const { key } = await createApiKey('writer', [{ namespace: 'orders', permission: 'write' }]);
+            const drop = await request(app).delete('/api/orders?confirm=orders').set('Authorization', bearer(key));
+            assert.strictEqual(drop.status, 403);
+            const hooks = await request(app).get('/api/orders/_webhooks').set('Authorization', bearer(key));
+            assert.strictEqual(hooks.status, 403);
+        });
+
+        it('scopes should match namespace patterns only', async () => {
+            const { key } = await createApiKey('staging', [{ namespace: 'staging_*', permission: 'write' }]);
+            const allowed = await request(app).post('/api/staging_products/p1').set('Authorization', bearer(key))
+                .send({ value: 1 });
+            assert.strictEqual(allowed.status, 200);
+            const denied = await request(app).get('/api/products/p1').set('Authorization', bearer(key));
+            assert.strictEqual(denied.status, 403);
+        });
+
+        it('copies and merges should need write permission on the target', async () => {
+            await request(app).post('/api/staging_products/p1').set('Authorization', bearer(ADMIN_KEY)).send({ value: 1 });
+            const { key } = await createApiKey('staging', [{ namespace: 'staging_*', permission: 'write' }]);
+            const allowed = await request(app).post('/api/staging_products/_copy').set('Authorization', bearer(key))
+                .send({ target: 'staging_copy' });
+            assert.strictEqual(allowed.status, 200);
+            const denied = await request(app).post('/api/staging_products/_merge').set('Authorization', bearer(key))
+                .send({ target: 'products' });
+            assert.strictEqual(denied.status, 403);
+            assert.match(denied.body.detail, /namespace 'products'/);
+            const rename = await request(app).post('/api/staging_products/_rename').set('Authorization', bearer(key))
+                .send({ target: 'staging_renamed' });
+            assert.strictEqual(rename.status, 403);
+        });
+
+        it('batches should need the permission of every operation', async () => {
+            const { key } = await createApiKey('orders-writer', [
+                { namespace: 'orders', permission: 'write' },
+                { namespace: 'stock', permission: 'read' }
+            ]);
+            const send = (operations) => request(app).post('/api/_batch').set('Authorization', bearer(key))
+                .send({ operations });
+            const allowed = await send([
+                { op: 'get', namespace: 'stock', key: 'sku1' },
+                { op: 'set', namespace: 'orders', key: 'o1', value: 1 }
+            ]);
+            assert.strictEqual(allowed.status, 200);
+            const denied = await send([
+                { op: 'set', namespace: 'orders', key: 'o2', value: 1 },
+                { op: 'set', namespace: 'stock', key: 'sku1', value: 0 }
+            ]);
+            assert.strictEqual(denied.status, 403);
+            const order = await request(app).get('/api/orders/o2').set('Authorization', bearer(key));
+            assert.strictEqual(order.status, 404);
+        });
+
+        it('GET /api should only list readable namespaces', async () => {
+            await request(app).post('/api/orders/o1').set('Authorization', bearer(ADMIN_KEY)).send({ value: 1 });
+            await request(app).post('/api/users/u1').set('Authorization', bearer(ADMIN_KEY)).send({ value: 1 });
+            const { key } = await createApiKey('orders-reader', [{ namespace: 'orders', permission: 'read' }]);
+
+            const res = await request(app).get('/api').set('Authorization', bearer(key));
+            assert.deepStrictEqual(res.body.namespaces, ['orders']);
+        });
+
+        it('change feeds should accept the key as access_token', async () => {
+            const { key } = await createApiKey('reader', [{ namespace: 'orders', permission: 'read' }]);
+            const res = await request(app).get('/api/orders/_watch').query({ access_token: key, since: 'x' });
+            // Authenticated, then rejected for the malformed resume position
+            assert.strictEqual(res.status, 400);
+        });
+
+        it('should only accept access_token on change feeds', async () => {
+            const { key } = await createApiKey('reader', [{ namespace: 'orders', permission: 'read' }]);
+            const res = await request(app).get('/api/orders').query({ access_token: key });
+            assert.strictEqual(res.status, 401);
+            assert.match(res.body.detail, /Authorization header/);
+            const admin = await request(app).get('/api/_keys').query({ access_token: ADMIN_KEY });
+            assert.strictEqual(admin.status, 401);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const storage = require('../lib/storage');
+const { configureAuth, createApiKey } = require('../lib/auth');
+const { configureBackups, createBackup, restoreBackup } = require('../lib/backup');
+const { dispatchDeliveries } = require('../lib/webhooks');
+const { TEST_STORAGE, resetDb, closeDb, queryDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+describe('Backups', () => {
+    let directory;
+
+    before(() => {
+        configureAuth({ enabled: false });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'c-store-backups-'));
+    });
+
+    beforeEach((done) => {
+        fs.rmSync(path.join(directory, 'backups'), { recursive: true, force: true });
+        configureBackups({ directory: path.join(directory, 'backups'), retention: 3 });
+        resetDb(done);
+    });
+
+    after((done) => {
+        closeDb((error) => {
+            fs.rmSync(directory, { recursive: true, force: true });
+            done(error);
+        });
+    });
+
+    it('POST /api/_backups should take snapshots and rotate them beyond the retention', async () => {
+        await request(app).post('/api/orders/o1').send({ value: 1 });
+        const ids = [];
+        for (let i = 0; i < 4; i++) {
+            const res = await request(app).post('/api/_backups');
+            assert.strictEqual(res.status, 201);
+            ids.push(res.body.id);
+        }
+        assert.strictEqual(new Set(ids).size, 4);
+
+        const list = await request(app).get('/api/_backups');
+        assert.strictEqual(list.body.count, 3);
+        assert.deepStrictEqual(list.body.backups.map(backup => backup.id), ids.slice(1).reverse());
+        const [latest] = list.body.backups;
+        const file = path.join(directory, 'backups', `cstore-${latest.id}.db`);
+        assert.strictEqual(latest.sha256, crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex'));
+        assert.strictEqual(latest.size, fs.statSync(file).size);
+        assert.ok(Date.parse(latest.createdAt) <= Date.now());
+    });
+
+    it('GET /api/_backups/:backupId should verify the checksum', async () => {
+        const { id } = await createBackup();
+        const verified = await request(app).get(`/api/_backups/${id}`);
+        assert.strictEqual(verified.status, 200);
+        assert.strictEqual(verified.body.valid, true);
+
+        fs.appendFileSync(path.join(directory, 'backups', `cstore-${id}.db`), 'torn');
+        assert.strictEqual((await request(app).get(`/api/_backups/${id}`)).body.valid, false);
+        const restore = await request(app).post(`/api/_backups/${id}/restore`);
+        assert.strictEqual(restore.status, 409);
+
+        assert.strictEqual((await request(app).get('/api/_backups/20000101T000000000Z')).status, 404);
+        assert.strictEqual((await request(app).get('/api/_backups/..%2Fdata')).status, 400);
+    });
+
+    it('POST /api/_backups/:backupId/restore should swap in the backup and keep the replaced database', async () => {
+        await request(app).post('/api/orders/o1').send({ value: 'backed up' });
+        const { id } = await createBackup();
+        await request(app).post('/api/orders/o1').send({ value: 'changed' });
+        await request(app).post('/api/orders/o2').send({ value: 'added' });
+        // Cached reads must not survive the restore
+        assert.deepStrictEqual((await request(app).get('/api/orders/o1')).body, { value: 'changed' });
+
+        const res = await request(app).post(`/api/_backups/${id}/restore`);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.restored, id);
+        assert.deepStrictEqual((await request(app).get('/api/orders/o1')).body, { value: 'backed up' });
+        assert.strictEqual((await request(app).get('/api/orders/o2')).status, 404);
+
+        await restoreBackup(res.body.safetyBackup);
+        assert.deepStrictEqual((await request(app).get('/api/orders/o2')).body, { value: 'added' });
+    });
+
+    it('should keep API keys, the audit log and the change log, and reset the restored namespaces', async () => {
+        await request(app).post('/api/orders/o1').send({ value: 'backed up' });
+        const { id } = await createBackup();
+        await createApiKey('created-later', [{ namespace: 'orders', permission: 'read' }]);
+        await request(app).post('/api/users/u1').send({ value: 'added' });
+        const auditLog = await queryDb('SELECT id FROM audit_log');
+        const [{ seq: lastSeq }] = await queryDb('SELECT MAX(seq) AS seq FROM change_log');
+
+        const events = [];
+        const listener = change => events.push(change);
+        storage.changes.on('change', listener);
+        try {
+            await restoreBackup(id);
+        } finally {
+            storage.changes.off('change', listener);
+        }
+        assert.deepStrictEqual((await queryDb('SELECT name FROM api_keys')).map(row => row.name), ['created-later']);
+        assert.deepStrictEqual(await queryDb('SELECT id FROM audit_log'), auditLog);
+        assert.deepStrictEqual(
+            events.map(({ seq, type, namespace }) => ({ seq, type, namespace })),
+            [
+                { seq: lastSeq + 1, type: 'reset', namespace: 'orders' },
+                { seq: lastSeq + 2, type: 'reset', namespace: 'users' }
+            ]
+        );
+        const changes = await storage.getChanges('users', { after: lastSeq });
+        assert.deepStrictEqual(changes.map(change => change.type), ['reset']);
+
+        await request(app).post('/api/orders/o2').send({ value: 'after' });
+        assert.strictEqual((await storage.getChanges('orders', { after: lastSeq + 2 }))[0].seq, lastSeq + 3);
+    });
+
+    it('should keep webhooks and their deliveries', async () => {
+        const received = [];
+        const receiver = http.createServer((req, res) => {
+            received.push(req.url);
+            req.resume().on('end', () => res.end());
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${receiver.address().port}`;
+        try {
+            const kept = await request(app).post('/api/orders/_webhooks').send({ url: `${url}/kept`, events: ['set'] });
+            const removed = await request(app).post('/api/orders/_webhooks').send({ url: `${url}/removed`, events: ['set'] });
+            await request(app).post('/api/orders/o1').send({ value: 1 });
+            const { id } = await createBackup();
+            await request(app).delete(`/api/orders/_webhooks/${removed.body.id}`);
+            await dispatchDeliveries();
+            assert.deepStrictEqual(received, ['/kept']);
+
+            await restoreBackup(id);
+            const webhooks = (await request(app).get('/api/orders/_webhooks')).body.webhooks;
+            assert.deepStrictEqual(webhooks.map(webhook => webhook.id), [kept.body.id]);
+            await dispatchDeliveries();
+            assert.deepStrictEqual(received, ['/kept']);
+            const deliveries = (await request(app).get(`/api/orders/_webhooks/${kept.body.id}/deliveries`)).body.deliveries;
+            assert.deepStrictEqual(deliveries.map(delivery => delivery.status), ['delivered']);
+        } finally {
+            receiver.closeAllConnections();
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+
+    it('should restore file databases and keep serving writes on the reopened connection', async () => {
+        const file = path.join(directory, 'live.db');
+        storage.open({ adapter: 'sqlite', path: file });
+        await storage.setValue('orders', 'o1', 1);
+        const { id } = await createBackup();
+        await storage.setValue('orders', 'o1', 2);
+
+        await restoreBackup(id);
+        await storage.setValue('orders', 'o2', 'after');
+        assert.deepStrictEqual(await storage.getValue('orders'), { o1: 1, o2: 'after' });
+
+        // The restored content is in the file itself
+        storage.open({ adapter: 'sqlite', path: file });
+        assert.deepStrictEqual(await storage.getValue('orders', 'o1'), 1);
+    });
+
+    it('should not back up keys the memory adapter keeps', async () => {
+        storage.open({ adapter: 'memory' });
+        await assert.rejects(createBackup(), (error) => error.status === 501);
+    });
+});
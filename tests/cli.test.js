@@ -0,0 +1,152 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const { configureAuth } = require('../lib/auth');
+const { run } = require('../lib/cli');
+const { TEST_STORAGE, resetDb, closeDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+const ADMIN_KEY = 'cli-admin-key';
+
+/**
+ * Runs the command line with captured output
+ * @param {string[]} argv - The arguments
+ * @param {string} [input] - Text sent on stdin
+ * @returns {Promise<{status: number, stdout: string, stderr: string, json: Function}>}
+ */
+const cstore = async (argv, input = '') => {
+    const output = { stdout: '', stderr: '' };
+    const capture = (name) => ({ write: (text) => { output[name] += text; return true; } });
+    const status = await run(argv, { stdin: Readable.from([input]), stdout: capture('stdout'), stderr: capture('stderr') });
+    return { status, ...output, json: () => JSON.parse(output.stdout) };
+};
+
+describe('cstore command line', () => {
+    let server;
+    let remote;
+
+    before((done) => {
+        configureAuth({ enabled: true, adminKey: ADMIN_KEY });
+        server = app.listen(0, '127.0.0.1', () => {
+            remote = ['--url', `http://127.0.0.1:${server.address().port}`, '--api-key', ADMIN_KEY];
+            done();
+        });
+    });
+
+    after((done) => {
+        configureAuth({ enabled: false, adminKey: null });
+        server.closeAllConnections();
+        server.close(() => closeDb(done));
+    });
+
+    beforeEach((done) => {
+        resetDb(done);
+    });
+
+    describe('Remote mode', () => {
+        it('should set, get and delete keys', async () => {
+            assert.deepStrictEqual((await cstore(['set', 'orders', 'o1', '{"total": 40}', ...remote])).json(),
+                { namespace: 'orders', key: 'o1', version: 1 });
+            assert.strictEqual((await cstore(['set', 'orders', 'o2', '--string', ...remote], 'plain text')).status, 0);
+
+            assert.deepStrictEqual((await cstore(['get', 'orders', 'o1', ...remote])).json().value, { total: 40 });
+            assert.strictEqual((await cstore(['get', 'orders', 'o2', ...remote])).json().value, 'plain text');
+
+            assert.strictEqual((await cstore(['del', 'orders', 'o1', ...remote])).status, 0);
+            const missing = await cstore(['get', 'orders', 'o1', ...remote]);
+            assert.strictEqual(missing.status, 1);
+            assert.match(missing.stderr, /not found/);
+        });
+
+        it('should list namespaces and keys, and print tables', async () => {
+            await cstore(['set', 'orders', 'o1', '1', ...remote]);
+            await cstore(['set', 'orders', 'x1', '2', ...remote]);
+            await cstore(['set', 'customers', 'c1', '3', ...remote]);
+
+            assert.deepStrictEqual((await cstore(['ls', ...remote])).json(), ['customers', 'orders']);
+            assert.deepStrictEqual((await cstore(['keys', 'orders', '--prefix', 'o', ...remote])).json(), ['o1']);
+            assert.strictEqual((await cstore(['keys', 'orders', '--format', 'table', ...remote])).stdout, 'KEY\no1\nx1\n');
+            const stats = (await cstore(['stats', ...remote])).json();
+            assert.deepStrictEqual(stats.map(({ namespace, keys, bytes }) => [namespace, keys, bytes]), [['customers', 1, 3], ['orders', 2, 6]]);
+            assert.ok(Date.parse(stats[0].lastModified) <= Date.now());
+        });
+
+        it('should dump a namespace and load it into another', async () => {
+            await cstore(['set', 'orders', 'o1', '{"total": 40}', ...remote]);
+            await cstore(['set', 'orders', 'o2', '[1, 2]', ...remote]);
+            const dump = await cstore(['dump', 'orders', ...remote]);
+            assert.strictEqual(dump.stdout, '{"key":"o1","value":{"total":40}}\n{"key":"o2","value":[1,2]}\n');
+
+            const report = (await cstore(['load', 'archive', ...remote], dump.stdout)).json();
+            assert.strictEqual(report.created, 2);
+            assert.deepStrictEqual((await cstore(['get', 'archive', 'o2', ...remote])).json().value, [1, 2]);
+        });
+
+        it('should report errors of the server', async () => {
+            const res = await cstore(['get', 'orders', 'o1', ...remote.slice(0, 2)]);
+            assert.strictEqual(res.status, 1);
+            assert.match(res.stderr, /^cstore: /);
+        });
+    });
+
+    describe('Local mode', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cstore-cli-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should read and write the database file directly', async () => {
+            const local = ['--db', path.join(dir, 'store.db')];
+            const file = path.join(dir, 'value.json');
+            fs.writeFileSync(file, '{"total": 40}');
+            assert.strictEqual((await cstore(['set', 'orders', 'o1', '--file', file, '--ttl', '60', '--tags', 'a,b', ...local])).status, 0);
+            assert.strictEqual((await cstore(['set', 'orders', 'o2', ...local], '2')).status, 0);
+
+            assert.deepStrictEqual((await cstore(['get', 'orders', 'o1', ...local])).json(),
+                { namespace: 'orders', key: 'o1', value: { total: 40 }, version: 1 });
+            assert.deepStrictEqual((await cstore(['keys', 'orders', ...local])).json(), ['o1', 'o2']);
+            const [stats] = (await cstore(['stats', 'orders', ...local])).json();
+            assert.deepStrictEqual([stats.keys, stats.bytes], [2, 17]);
+
+            const dumpFile = path.join(dir, 'orders.ndjson');
+            await cstore(['dump', 'orders', '--file', dumpFile, ...local]);
+            const report = (await cstore(['load', 'copy', '--file', dumpFile, ...local])).json();
+            assert.strictEqual(report.created, 2);
+            assert.deepStrictEqual((await cstore(['ls', ...local])).json(), ['copy', 'orders']);
+        });
+
+        it('should reject reserved names and values that are not JSON', async () => {
+            const local = ['--db', path.join(dir, 'store.db')];
+            assert.match((await cstore(['set', '_keys', 'k', '1', ...local])).stderr, /reserved/);
+            assert.match((await cstore(['set', 'orders', 'o1', 'not json', ...local])).stderr, /--string/);
+        });
+
+        it('should report a database that cannot be opened', async () => {
+            const result = await cstore(['ls', '--db', path.join(dir, 'missing', 'store.db')]);
+            assert.strictEqual(result.status, 1);
+            assert.match(result.stderr, /^cstore: Failed to open database .*SQLITE_CANTOPEN/);
+        });
+    });
+
+    describe('Usage', () => {
+        it('should exit with status 2 for invalid command lines', async () => {
+            assert.strictEqual((await cstore(['frobnicate'])).status, 2);
+            assert.strictEqual((await cstore(['get', 'orders'])).status, 2);
+            assert.strictEqual((await cstore(['ls', '--format', 'xml'])).status, 2);
+            assert.strictEqual((await cstore(['ls', '--bogus'])).status, 2);
+            assert.strictEqual((await cstore(['--help'])).status, 0);
+        });
+    });
+});
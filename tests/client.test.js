@@ -0,0 +1,226 @@
+const assert = require('assert');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const { configureAuth } = require('../lib/auth');
+const {
+    createClient,
+    CStoreError,
+    NotFoundError,
+    ValidationError,
+    AuthenticationError,
+    PreconditionFailedError,
+    TimeoutError,
+    ConnectionError
+} = require('../client');
+const { TEST_STORAGE, resetDb, closeDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+const ADMIN_KEY = 'client-admin-key';
+
+/**
+ * Wraps fetch so that the first calls fail
+ * @param {Function[]} failures - One function per failing call, returning its result instead of fetch
+ * @returns {{fetch: Function, calls: number}}
+ */
+const flakyFetch = (failures) => {
+    const flaky = {
+        calls: 0,
+        fetch: (url, init) => {
+            const failure = failures[flaky.calls++];
+            return failure ? failure(url, init) : fetch(url, init);
+        }
+    };
+    return flaky;
+};
+
+const unavailable = async () => new Response(
+    JSON.stringify({ status: 503, code: 'service_unavailable', detail: 'Try again' }),
+    { status: 503, headers: { 'Content-Type': 'application/problem+json' } }
+);
+
+describe('JavaScript client', () => {
+    let server;
+    let baseUrl;
+    let store;
+
+    before((done) => {
+        configureAuth({ enabled: true, adminKey: ADMIN_KEY });
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            store = createClient({ baseUrl, apiKey: ADMIN_KEY, retryDelay: 1 });
+            done();
+        });
+    });
+
+    after((done) => {
+        configureAuth({ enabled: false, adminKey: null });
+        server.closeAllConnections();
+        server.close(() => closeDb(done));
+    });
+
+    beforeEach((done) => {
+        resetDb(done);
+    });
+
+    describe('Keys', () => {
+        it('should set, get and delete values', async () => {
+            assert.strictEqual(await store.set('orders', 'o/1', { total: 40 }), 1);
+            assert.deepStrictEqual(await store.get('orders', 'o/1'), { total: 40 });
+            assert.deepStrictEqual(await store.getEntry('orders', 'o/1'), { value: { total: 40 }, version: 1 });
+
+            await store.delete('orders', 'o/1');
+            await assert.rejects(store.get('orders', 'o/1'), (error) => {
+                assert.ok(error instanceof NotFoundError);
+                assert.ok(error instanceof CStoreError);
+                assert.strictEqual(error.status, 404);
+                assert.strictEqual(error.code, 'not_found');
+                return true;
+            });
+        });
+
+        it('should send preconditions and report the current version', async () => {
+            await store.set('orders', 'o1', 1);
+            assert.strictEqual(await store.set('orders', 'o1', 2, { ifMatch: 1 }), 2);
+            await assert.rejects(store.set('orders', 'o1', 3, { ifMatch: 1 }), (error) => {
+                assert.ok(error instanceof PreconditionFailedError);
+                assert.strictEqual(error.currentVersion, 2);
+                return true;
+            });
+            await assert.rejects(store.set('orders', 'o1', 3, { ifNoneMatch: '*' }), PreconditionFailedError);
+            await assert.rejects(store.delete('orders', 'o1', { ifMatch: 1 }), PreconditionFailedError);
+        });
+
+        it('should write and read key metadata and namespace statistics', async () => {
+            await store.set('docs', 'readme', '# C-Store', { contentType: 'text/markdown', tags: ['docs'] });
+            const metadata = await store.getMetadata('docs', 'readme');
+            assert.strictEqual(metadata.contentType, 'text/markdown');
+            assert.deepStrictEqual(metadata.tags, ['docs']);
+            assert.strictEqual(metadata.size, 11);
+
+            const stats = await store.stats('docs');
+            assert.strictEqual(stats.keys, 1);
+            assert.deepStrictEqual(stats.largest, [{ key: 'readme', size: 11 }]);
+            await assert.rejects(store.getMetadata('docs', 'missing'), NotFoundError);
+        });
+
+        it('should read past values', async () => {
+            await store.set('orders', 'o1', 'old');
+            const between = new Date();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            await store.set('orders', 'o1', 'new');
+            assert.strictEqual(await store.get('orders', 'o1', { asOf: between }), 'old');
+        });
+
+        it('should raise validation errors with their violations', async () => {
+            await assert.rejects(store.set('orders', 'o1', 1, { ttl: -1 }), (error) => {
+                assert.ok(error instanceof ValidationError);
+                assert.strictEqual(error.status, 400);
+                assert.strictEqual(error.violations[0].path, '/ttl');
+                return true;
+            });
+        });
+    });
+
+    describe('Namespaces', () => {
+        it('should iterate over namespace contents across pages', async () => {
+            for (let i = 0; i < 5; i++) {
+                await store.set('orders', `o${i}`, i);
+            }
+            await store.set('customers', 'c1', 'Ada');
+
+            const entries = [];
+            for await (const entry of store.entries('orders', { pageSize: 2 })) {
+                entries.push(entry);
+            }
+            assert.deepStrictEqual(entries, [0, 1, 2, 3, 4].map(i => ({ key: `o${i}`, value: i })));
+
+            const keys = [];
+            for await (const key of store.keys('orders', { pageSize: 2, order: 'desc', prefix: 'o' })) {
+                keys.push(key);
+            }
+            assert.deepStrictEqual(keys, ['o4', 'o3', 'o2', 'o1', 'o0']);
+
+            const namespaces = [];
+            for await (const namespace of store.namespaces({ pageSize: 1 })) {
+                namespaces.push(namespace);
+            }
+            assert.deepStrictEqual(namespaces, ['customers', 'orders']);
+        });
+
+        it('should list pages, delete namespaces and restore them from the trash', async () => {
+            await store.set('orders', 'o1', 1);
+            await store.set('orders', 'o2', 2);
+            const first = await store.list('orders', { limit: 1 });
+            assert.deepStrictEqual(first.items, [{ key: 'o1', value: 1 }]);
+            const second = await store.list('orders', { limit: 1, cursor: first.nextCursor, keysOnly: true });
+            assert.deepStrictEqual(second.items, ['o2']);
+
+            await store.deleteNamespace('orders');
+            assert.deepStrictEqual(await store.listNamespaces(), { namespaces: [], nextCursor: null });
+
+            assert.deepStrictEqual((await store.listTrash('orders')).map(entry => entry.key).sort(), ['o1', 'o2']);
+            assert.strictEqual((await store.restore('orders', 'o1')).version, 2);
+            assert.strictEqual((await store.restore('orders')).restored, 1);
+            assert.deepStrictEqual((await store.list('orders', { keysOnly: true })).items, ['o1', 'o2']);
+        });
+    });
+
+    describe('Failures', () => {
+        it('should raise AuthenticationError for a missing or unknown key', async () => {
+            await assert.rejects(createClient({ baseUrl }).get('orders', 'o1'), AuthenticationError);
+            await assert.rejects(createClient({ baseUrl, apiKey: 'cs_nope' }).get('orders', 'o1'), AuthenticationError);
+        });
+
+        it('should retry 5xx responses and connection errors with backoff', async () => {
+            await store.set('orders', 'o1', 1);
+            const flaky = flakyFetch([unavailable, () => Promise.reject(new TypeError('fetch failed'))]);
+            const client = createClient({ baseUrl, apiKey: ADMIN_KEY, retryDelay: 1, fetch: flaky.fetch });
+            assert.strictEqual(await client.get('orders', 'o1'), 1);
+            assert.strictEqual(flaky.calls, 3);
+        });
+
+        it('should give up after the configured retries', async () => {
+            const flaky = flakyFetch([unavailable, unavailable, unavailable]);
+            const client = createClient({ baseUrl, apiKey: ADMIN_KEY, retries: 1, retryDelay: 1, fetch: flaky.fetch });
+            await assert.rejects(client.get('orders', 'o1'), (error) => {
+                assert.strictEqual(error.constructor, CStoreError);
+                assert.strictEqual(error.status, 503);
+                assert.strictEqual(error.message, 'Try again');
+                return true;
+            });
+            assert.strictEqual(flaky.calls, 2);
+        });
+
+        it('should not retry client errors or conditional writes', async () => {
+            const notFound = flakyFetch([]);
+            const client = createClient({ baseUrl, apiKey: ADMIN_KEY, retryDelay: 1, fetch: notFound.fetch });
+            await assert.rejects(client.get('orders', 'o1'), NotFoundError);
+            assert.strictEqual(notFound.calls, 1);
+
+            const flaky = flakyFetch([unavailable]);
+            const conditional = createClient({ baseUrl, apiKey: ADMIN_KEY, retryDelay: 1, fetch: flaky.fetch });
+            await assert.rejects(conditional.set('orders', 'o1', 1, { ifNoneMatch: '*' }), (error) => error.status === 503);
+            assert.strictEqual(flaky.calls, 1);
+        });
+
+        it('should time out slow requests', async () => {
+            const hanging = (url, init) => new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(init.signal.reason));
+            });
+            const client = createClient({ baseUrl, timeout: 20, retries: 0, fetch: hanging });
+            await assert.rejects(client.get('orders', 'o1'), TimeoutError);
+        });
+
+        it('should raise ConnectionError when the server cannot be reached', async () => {
+            const client = createClient({ baseUrl: 'http://127.0.0.1:1', retries: 1, retryDelay: 1 });
+            await assert.rejects(client.listNamespaces(), (error) => {
+                assert.ok(error instanceof ConnectionError);
+                assert.strictEqual(error.status, null);
+                return true;
+            });
+        });
+    });
+});
@@ -0,0 +1,33 @@
+const { open, close } = require('../lib/storage');
+const { all } = require('../lib/db');
+const { flushAuditLog } = require('../lib/audit');
+
+// Tests run against a private in-memory SQLite database, never the lib/data.db of the dev server
+const TEST_STORAGE = { adapter: 'sqlite', path: ':memory:' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Starts a test from an empty database by opening a fresh in-memory one, once the audit entries
+// of earlier requests are written to the database they belong to
+const resetDb = (done) => {
+    flushAuditLog().then(() => {
+        open(TEST_STORAGE);
+        done();
+    }, done);
+};
+
+// Closes the storage backend and its database once pending audit entries are written
+const closeDb = (done) => {
+    flushAuditLog().then(close).then(() => done(), done);
+};
+
+// Resolves with every row returned by a query on the storage database
+const queryDb = (sql, params = []) => all(sql, params);
+
+module.exports = {
+    TEST_STORAGE,
+    sleep,
+    resetDb,
+    closeDb,
+    queryDb
+};
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const assert = require('assert');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const { configureAuth } = require('../lib/auth');
+const { TEST_STORAGE, resetDb, closeDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+/**
+ * Reads the value of a sample from a Prometheus text exposition
+ * @param {string} text - The exposition
+ * @param {string} sample - Metric name with its labels, as exposed
+ * @returns {number|undefined}
+ */
+const sampleValue = (text, sample) => {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+    return line === undefined ? undefined : Number(line.slice(sample.length + 1));
+};
+
+const scrape = async () => {
+    const res = await request(app).get('/metrics');
+    assert.strictEqual(res.status, 200);
+    return res.text;
+};
+
+describe('Metrics', () => {
+    before(() => configureAuth({ enabled: false }));
+
+    beforeEach((done) => {
+        resetDb(done);
+    });
+
+    after((done) => {
+        closeDb(done);
+    });
+
+    it('should expose metrics in the Prometheus text format', async () => {
+        const res = await request(app).get('/metrics');
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+        assert.match(res.text, /# TYPE cstore_http_requests_total counter/);
+        assert.match(res.text, /# TYPE cstore_http_request_duration_seconds histogram/);
+        assert.match(res.text, /# TYPE process_cpu_seconds_total counter/);
+    });
+
+    it('should count requests and their latency by declared route and status', async () => {
+        const sample = 'cstore_http_requests_total{method="POST",route="/api/:namespace/:id",status="200"}';
+        const before = sampleValue(await scrape(), sample) || 0;
+        await request(app).post('/api/orders/o1').send({ value: 1 });
+        await request(app).post('/api/orders/o2').send({ value: 2 });
+        await request(app).get('/api/orders/_missing');
+        await request(app).get('/no/such/route');
+
+        const text = await scrape();
+        assert.strictEqual(sampleValue(text, sample), before + 2);
+        assert.ok(sampleValue(text, 'cstore_http_request_duration_seconds_count{method="POST",route="/api/:namespace/:id",status="200"}') >= 2);
+        assert.ok(sampleValue(text, 'cstore_http_requests_total{method="GET",route="unmatched",status="404"}') >= 1);
+        assert.ok(!text.includes('/api/orders/o1'));
+    });
+
+    it('should time storage operations', async () => {
+        await request(app).post('/api/orders/o1').send({ value: 1 });
+        await request(app).post('/api/orders/o1').set('If-Match', '"7"').send({ value: 2 });
+        const text = await scrape();
+        assert.ok(sampleValue(text, 'cstore_storage_operation_duration_seconds_count{operation="setValue",result="ok"}') >= 1);
+        assert.ok(sampleValue(text, 'cstore_storage_operation_duration_seconds_count{operation="setValue",result="error"}') >= 1);
+    });
+
+    it('should report keys and bytes per namespace and the database size', async () => {
+        await request(app).post('/api/orders/o1').send({ value: 'abc' });
+        await request(app).post('/api/orders/o2').send({ value: 1 });
+        await request(app).post('/api/users/u1').send({ value: {} });
+        const text = await scrape();
+        assert.strictEqual(sampleValue(text, 'cstore_namespace_keys{namespace="orders"}'), 2);
+        assert.strictEqual(sampleValue(text, 'cstore_namespace_keys{namespace="users"}'), 1);
+        // Keys plus serialized values: o1 "abc" and o2 1
+        assert.strictEqual(sampleValue(text, 'cstore_namespace_bytes{namespace="orders"}'), 2 + 5 + 2 + 1);
+        assert.ok(sampleValue(text, 'cstore_database_size_bytes') > 0);
+
+        await request(app).delete('/api/users?confirm=users');
+        assert.strictEqual(sampleValue(await scrape(), 'cstore_namespace_keys{namespace="users"}'), undefined);
+    });
+
+    it('should count errors reaching the global error handler', async () => {
+        const sample = 'cstore_http_unhandled_errors_total{method="POST",route="unmatched"}';
+        const before = sampleValue(await scrape(), sample) || 0;
+        await request(app).post('/api/orders/o1').set('Content-Type', 'application/json').send('{"value": ');
+        assert.strictEqual(sampleValue(await scrape(), sample), before + 1);
+    });
+
+    it('should require an admin key when authentication is enabled', async () => {
+        configureAuth({ enabled: true, adminKey: 'metrics-admin' });
+        try {
+            assert.strictEqual((await request(app).get('/metrics')).status, 401);
+            const res = await request(app).get('/metrics').set('Authorization', 'Bearer metrics-admin');
+            assert.strictEqual(res.status, 200);
+        } finally {
+            configureAuth({ enabled: false, adminKey: null });
+        }
+    });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const assert = require('assert');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const { configureAuth } = require('../lib/auth');
+const { TEST_STORAGE, resetDb, closeDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+/**
+ * Lists every route registered on a router and its sub-routers as OpenAPI path templates
+ * @param {Object} router - The Express router
+ * @param {string} prefix - Path the router is mounted on
+ * @returns {string[]} - Entries such as 'post /api/{namespace}/{id}'
+ */
+const registeredRoutes = (router, prefix) => router.stack.flatMap(layer => {
+    if (layer.route) {
+        const path = `${prefix}${layer.route.path}`.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+        return Object.keys(layer.route.methods).map(method => `${method} ${path}`);
+    }
+    return layer.handle && layer.handle.stack ? registeredRoutes(layer.handle, prefix) : [];
+});
+
+describe('OpenAPI & errors', () => {
+    before(() => configureAuth({ enabled: false }));
+
+    beforeEach((done) => {
+        resetDb(done);
+    });
+
+    after((done) => {
+        closeDb(done);
+    });
+
+    describe('OpenAPI document', () => {
+        it('GET /api/_openapi.json should serve the document without an API key', async () => {
+            configureAuth({ enabled: true, adminKey: 'openapi-admin' });
+            try {
+                const res = await request(app).get('/api/_openapi.json');
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.openapi, '3.1.0');
+                assert.ok(res.body.components.schemas.Problem);
+            } finally {
+                configureAuth({ enabled: false, adminKey: null });
+            }
+        });
+
+        it('should document every route', async () => {
+            const { paths } = (await request(app).get('/api/_openapi.json')).body;
+            const documented = Object.entries(paths)
+                .flatMap(([path, methods]) => Object.keys(methods).map(method => `${method} ${path}`));
+            const registered = registeredRoutes(require('../routes/api'), '/api');
+            assert.ok(registered.includes('post /api/{namespace}/{id}'));
+            assert.deepStrictEqual(registered.filter(route => !documented.includes(route)), []);
+        });
+    });
+
+    describe('Request validation', () => {
+        it('should reject a write without a value with 400', async () => {
+            const res = await request(app).post('/api/orders/o1').send({ ttl: 60 });
+            assert.strictEqual(res.status, 400);
+            assert.match(res.headers['content-type'], /^application\/problem\+json/);
+            assert.strictEqual(res.body.code, 'invalid_request');
+            assert.deepStrictEqual(res.body.violations, [
+                { in: 'body', path: '/', message: "must have required property 'value'" }
+            ]);
+            assert.strictEqual((await request(app).get('/api/orders/o1')).status, 404);
+        });
+
+        it('should reject a write without a body and a null value is still a value', async () => {
+            assert.strictEqual((await request(app).post('/api/orders/o1')).status, 400);
+            assert.strictEqual((await request(app).post('/api/orders/o1').send({ value: null })).status, 200);
+        });
+
+        it('should answer 415 for bodies in undocumented formats', async () => {
+            const res = await request(app).post('/api/orders/o1').set('Content-Type', 'text/plain').send('1');
+            assert.strictEqual(res.status, 415);
+            assert.strictEqual(res.body.code, 'unsupported_media_type');
+        });
+
+        it('should answer 400 problem details for malformed JSON', async () => {
+            const res = await request(app).post('/api/orders/o1').set('Content-Type', 'application/json').send('{"value": ');
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.code, 'bad_request');
+        });
+
+        it('should check query parameters and nested bodies', async () => {
+            const list = await request(app).get('/api/orders?limit=many');
+            assert.strictEqual(list.status, 400);
+            assert.deepStrictEqual(list.body.violations, [{ in: 'query', path: '/limit', message: 'must be integer' }]);
+
+            const batch = await request(app).post('/api/_batch').send({ operations: [{ op: 'upsert', namespace: 'orders', key: 'o1' }] });
+            assert.strictEqual(batch.status, 400);
+            assert.strictEqual(batch.body.violations[0].path, '/operations/0/op');
+
+            const patch = await request(app).patch('/api/orders/o1').set('Content-Type', 'application/json-patch+json')
+                .send(JSON.stringify({ op: 'add' }));
+            assert.strictEqual(patch.status, 400);
+            assert.strictEqual(patch.body.violations[0].message, 'must be array');
+        });
+    });
+
+    describe('Error model', () => {
+        it('should describe errors as problem details with a code', async () => {
+            await request(app).post('/api/orders/o1').send({ value: 1 });
+            const res = await request(app).post('/api/orders/o1').set('If-Match', '"9"').send({ value: 2 });
+            assert.strictEqual(res.status, 412);
+            assert.deepStrictEqual(res.body, {
+                type: 'about:blank',
+                title: 'Precondition Failed',
+                status: 412,
+                code: 'precondition_failed',
+                detail: res.body.detail,
+                instance: '/api/orders/o1',
+                currentVersion: 1
+            });
+        });
+
+        it('should answer 404 for missing keys, revisions in the past and unknown API routes', async () => {
+            const before = Date.now() - 1000;
+            await request(app).post('/api/orders/o1').send({ value: 1 });
+            assert.strictEqual((await request(app).get(`/api/orders/o1?asOf=${before}`)).status, 404);
+            assert.strictEqual((await request(app).get('/api/orders/o2')).status, 404);
+            const unknown = await request(app).put('/api/orders/o1');
+            assert.strictEqual(unknown.status, 404);
+            assert.strictEqual(unknown.body.code, 'not_found');
+        });
+
+        it('should use problem details for authentication errors', async () => {
+            configureAuth({ enabled: true, adminKey: 'openapi-admin' });
+            try {
+                const res = await request(app).get('/api/orders');
+                assert.strictEqual(res.status, 401);
+                assert.strictEqual(res.body.code, 'unauthenticated');
+            } finally {
+                configureAuth({ enabled: false, adminKey: null });
+            }
+        });
+    });
+});
@@ -0,0 +1,209 @@
+const request = require('supertest');
+const assert = require('assert');
+const http = require('http');
+const crypto = require('crypto');
+
+// Force test env before requiring app
+process.env.NODE_ENV = 'test';
+const { createApp } = require('../app');
+const { configureWebhooks, startWebhookDispatcher, stopWebhookDispatcher } = require('../lib/webhooks');
+const { configureAuth } = require('../lib/auth');
+const { TEST_STORAGE, sleep, resetDb, closeDb, queryDb } = require('./helpers');
+
+const app = createApp({ storage: TEST_STORAGE });
+
+// Local HTTP receiver answering with the queued status codes (200 once they run out), after
+// the given delay in milliseconds
+const startReceiver = (statuses = [], delay = 0) => new Promise((resolve) => {
+    const receiver = { requests: [] };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+            setTimeout(() => res.end(), delay);
+        });
+    });
+    receiver.server.listen(0, () => {
+        receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+        resolve(receiver);
+    });
+});
+
+// Polls until the condition holds or a second has passed
+const waitUntil = async (condition) => {
+    for (let i = 0; i < 100 && !(await condition()); i++) {
+        await sleep(10);
+    }
+    assert(await condition(), 'condition not met in time');
+};
+
+const deliveriesOf = async (namespace, id) => {
+    const res = await request(app).get(`/api/${namespace}/_webhooks/${id}/deliveries`);
+    return res.body.deliveries;
+};
+
+describe('Webhooks', () => {
+    let receiver;
+
+    // API key checks are covered in auth.test.js
+    before(() => configureAuth({ enabled: false }));
+
+    beforeEach((done) => {
+        resetDb(done);
+    });
+
+    afterEach((done) => {
+        stopWebhookDispatcher();
+        configureWebhooks({ maxAttempts: 8, baseBackoff: 1000, pollInterval: 5000 });
+        if (receiver) {
+            receiver.server.close(done);
+            receiver = undefined;
+        } else {
+            done();
+        }
+    });
+
+    after((done) => {
+        closeDb(done);
+    });
+
+    describe('Registration', () => {
+        it('POST /api/:namespace/_webhooks should register a webhook and reveal its secret once', async () => {
+            const created = await request(app).post('/api/orders/_webhooks').send({ url: 'http://localhost:9/hook' });
+            assert.strictEqual(created.status, 201);
+            assert.strictEqual(created.body.namespace, 'orders');
+            assert.deepStrictEqual(created.body.events, ['set', 'delete', 'namespace_drop', 'reset']);
+            assert(created.body.secret.length > 0);
+
+            const list = await request(app).get('/api/orders/_webhooks');
+            assert.strictEqual(list.body.count, 1);
+            assert.strictEqual(list.body.webhooks[0].id, created.body.id);
+            assert.strictEqual(list.body.webhooks[0].secret, undefined);
+        });
+
+        it('should reject invalid URLs and event types', async () => {
+            const badUrl = await request(app).post('/api/orders/_webhooks').send({ url: 'ftp://example.com' });
+            assert.strictEqual(badUrl.status, 400);
+
+            const badEvents = await request(app).post('/api/orders/_webhooks')
+                .send({ url: 'http://localhost:9/hook', events: ['update'] });
+            assert.strictEqual(badEvents.status, 400);
+        });
+
+        it('DELETE /api/:namespace/_webhooks/:id should remove the webhook', async () => {
+            const created = await request(app).post('/api/orders/_webhooks').send({ url: 'http://localhost:9/hook' });
+            const deleted = await request(app).delete(`/api/orders/_webhooks/${created.body.id}`);
+            assert.strictEqual(deleted.status, 200);
+
+            const missing = await request(app).get(`/api/orders/_webhooks/${created.body.id}`);
+            assert.strictEqual(missing.status, 404);
+            const log = await request(app).get(`/api/orders/_webhooks/${created.body.id}/deliveries`);
+            assert.strictEqual(log.status, 404);
+        });
+    });
+
+    describe('Delivery', () => {
+        it('should POST signed payloads for matching changes only', async () => {
+            receiver = await startReceiver();
+            const created = await request(app).post('/api/orders/_webhooks')
+                .send({ url: receiver.url, events: ['set'], prefix: 'o:', secret: 'shh' });
+            startWebhookDispatcher();
+
+            await request(app).post('/api/orders/x:1').send({ value: 'ignored prefix' });
+            await request(app).post('/api/orders/o:1').send({ value: { total: 5 } });
+            await request(app).delete('/api/orders/o:1');
+            await request(app).post('/api/other/o:1').send({ value: 'other namespace' });
+
+            await waitUntil(async () => (await deliveriesOf('orders', created.body.id))
+                .some(delivery => delivery.status === 'delivered'));
+            assert.strictEqual(receiver.requests.length, 1);
+
+            const [delivery] = receiver.requests;
+            const payload = JSON.parse(delivery.body);
+            assert.strictEqual(payload.event, 'set');
+            assert.strictEqual(payload.key, 'o:1');
+            assert.deepStrictEqual(payload.value, { total: 5 });
+            assert.strictEqual(delivery.headers['x-cstore-event'], 'set');
+            const expected = crypto.createHmac('sha256', 'shh').update(delivery.body).digest('hex');
+            assert.strictEqual(delivery.headers['x-cstore-signature'], `sha256=${expected}`);
+        });
+
+        it('should send deliveries queued during a dispatch pass once it ends', async () => {
+            receiver = await startReceiver([], 100);
+            const created = await request(app).post('/api/orders/_webhooks').send({ url: receiver.url });
+            startWebhookDispatcher();
+
+            await request(app).post('/api/orders/o:1').send({ value: 1 });
+            await sleep(20);
+            // Queued while the delivery of o:1 waits for the receiver; the next poll is 5s away
+            await request(app).post('/api/orders/o:2').send({ value: 2 });
+
+            await waitUntil(async () => (await deliveriesOf('orders', created.body.id))
+                .every(delivery => delivery.status === 'delivered'));
+            assert.deepStrictEqual(receiver.requests.map(delivery => JSON.parse(delivery.body).key), ['o:1', 'o:2']);
+        });
+
+        it('should retry failed deliveries with backoff until they succeed', async () => {
+            receiver = await startReceiver([500, 503]);
+            configureWebhooks({ baseBackoff: 10, pollInterval: 10 });
+            const created = await request(app).post('/api/orders/_webhooks').send({ url: receiver.url });
+            startWebhookDispatcher();
+
+            await request(app).post('/api/orders/o:1').send({ value: 1 });
+
+            await waitUntil(async () => (await deliveriesOf('orders', created.body.id))[0].status === 'delivered');
+            const [delivery] = await deliveriesOf('orders', created.body.id);
+            assert.strictEqual(delivery.attempts, 3);
+            assert.strictEqual(delivery.responseStatus, 200);
+            assert.strictEqual(receiver.requests.length, 3);
+        });
+
+        it('should mark a delivery failed once attempts run out', async () => {
+            receiver = await startReceiver([500, 500, 500]);
+            configureWebhooks({ maxAttempts: 2, baseBackoff: 10, pollInterval: 10 });
+            const created = await request(app).post('/api/orders/_webhooks').send({ url: receiver.url });
+            startWebhookDispatcher();
+
+            await request(app).post('/api/orders/o:1').send({ value: 1 });
+
+            await waitUntil(async () => (await deliveriesOf('orders', created.body.id))[0].status === 'failed');
+            const failed = await request(app).get(`/api/orders/_webhooks/${created.body.id}/deliveries?status=failed`);
+            assert.strictEqual(failed.body.count, 1);
+            assert.strictEqual(failed.body.deliveries[0].attempts, 2);
+            assert(failed.body.deliveries[0].lastError.includes('500'));
+        });
+
+        it('should queue deliveries in the transaction of the write', async () => {
+            const created = await request(app).post('/api/orders/_webhooks').send({ url: 'http://localhost:9/hook' });
+            const pending = () => queryDb('SELECT event FROM webhook_deliveries WHERE webhook_id = ?', [created.body.id]);
+
+            // Queued by the time the write is acknowledged
+            await request(app).post('/api/orders/o:1').send({ value: 1 });
+            assert.deepStrictEqual(await pending(), [{ event: 'set' }]);
+
+            // A rolled back write queues nothing
+            const failed = await request(app).post('/api/_batch').send({ operations: [
+                { op: 'delete', namespace: 'orders', key: 'o:1' },
+                { op: 'set', namespace: 'orders', key: 'o:2', value: 2, ifMatch: 5 }
+            ] });
+            assert.strictEqual(failed.status, 412);
+            assert.deepStrictEqual(await pending(), [{ event: 'set' }]);
+        });
+
+        it('should keep deliveries queued while the dispatcher is stopped', async () => {
+            receiver = await startReceiver();
+            const created = await request(app).post('/api/orders/_webhooks').send({ url: receiver.url });
+
+            await request(app).post('/api/orders/o:1').send({ value: 1 });
+            await waitUntil(async () => (await deliveriesOf('orders', created.body.id)).length === 1);
+            assert.strictEqual((await deliveriesOf('orders', created.body.id))[0].status, 'pending');
+
+            startWebhookDispatcher();
+            await waitUntil(() => receiver.requests.length === 1);
+        });
+    });
+});